@@ -1,6 +1,8 @@
 // src/config.js
 import 'dotenv/config'; // Use this for ESM
-import { RPC_URLS } from '@filoz/synapse-sdk';
+import { RPC_URLS, SIZE_CONSTANTS } from '@filoz/synapse-sdk';
+import { ethers } from 'ethers';
+import { fileURLToPath } from 'url';
 
 const config = {
   port: process.env.PORT || 3001,
@@ -12,25 +14,177 @@ const config = {
     network: process.env.SYNAPSE_NETWORK || 'calibration',
     rpcUrl: process.env.SYNAPSE_RPC_URL,
   },
+  storage: {
+    // 'synapse' stores files on Filecoin; 'local' keeps them on disk so the API runs offline
+    driver: process.env.STORAGE_DRIVER || 'synapse',
+    localDir: process.env.LOCAL_STORAGE_DIR || 'storage',
+  },
+  retrieval: {
+    // Tried in order. 'filcdn' and 'provider' are resolved automatically; anything else is a
+    // gateway URL, optionally containing a {cid} placeholder.
+    gateways: (process.env.RETRIEVAL_GATEWAYS || 'filcdn,provider').split(',').map(g => g.trim()).filter(Boolean),
+    // Derived from the wallet address below unless overridden
+    filcdnBaseUrl: process.env.FILCDN_BASE_URL,
+    timeout: Number(process.env.RETRIEVAL_TIMEOUT_MS) || 30000,
+    // 0 is a valid retry count, so anything but a whole number falls back to the default instead.
+    retries: /^\d+$/.test(process.env.RETRIEVAL_RETRIES ?? '') ? Number(process.env.RETRIEVAL_RETRIES) : 2,
+    cacheDir: process.env.RETRIEVAL_CACHE_DIR || 'cache/retrieval',
+    cacheMaxBytes: (Number(process.env.RETRIEVAL_CACHE_MAX_MB) || 2048) * 1024 * 1024,
+  },
+  resumableUploads: {
+    // Chunks are appended here until the upload is completed and handed to storage
+    dir: process.env.RESUMABLE_UPLOAD_DIR || 'uploads/resumable',
+    chunkSize: 8 * 1024 * 1024, // Suggested chunk size returned to clients
+    maxSize: (Number(process.env.RESUMABLE_MAX_SIZE_GB) || 50) * 1024 * 1024 * 1024,
+    // Files larger than this are split into linked pieces described by a manifest
+    pieceSize: Number(process.env.MAX_PIECE_SIZE) || SIZE_CONSTANTS.MAX_UPLOAD_SIZE,
+  },
+  auth: {
+    // Domain that sign-in-with-Ethereum messages must be issued for (e.g. app.kintagen.com).
+    // Sign-in with Ethereum is refused until it is set.
+    siweDomain: process.env.AUTH_SIWE_DOMAIN,
+    // Wallets (Ethereum or Flow addresses) that may sign in without an account; their account is
+    // created on first sign-in. Everyone else needs one created by an admin or a project
+    // invite. Entries are kept in the form sign-in compares: Ethereum checksummed, Flow lowercase
+    // with a 0x prefix.
+    allowedAddresses: (process.env.AUTH_ALLOWED_ADDRESSES || '').split(',').map(a => a.trim()).filter(Boolean)
+      .map(address => {
+        const normalized = address.toLowerCase().replace(/^(0x)?/, '0x');
+        return /^0x[0-9a-f]{40}$/.test(normalized) ? ethers.getAddress(normalized) : normalized;
+      }),
+    // App identifier the frontend passes to FCL when requesting a Flow account proof
+    flowAppIdentifier: process.env.AUTH_FLOW_APP_IDENTIFIER || 'KintaGen',
+    nonceTtl: 5 * 60 * 1000, // Sign-in nonces expire after 5 minutes
+    sessionTtl: (Number(process.env.AUTH_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  },
+  analysis: {
+    // Total R scripts that may run at once, across all tools
+    maxWorkers: Number(process.env.ANALYSIS_MAX_WORKERS) || 2,
+    // Per-tool concurrency limits and timeouts live in the tool registry (services/analysis-tools.js).
+    // Multiplies every tool timeout, e.g. 2 on a slow machine
+    timeoutFactor: Number(process.env.ANALYSIS_TIMEOUT_FACTOR) || 1,
+    // Cap on the input files of one job once fetched from storage and unpacked
+    maxInputBytes: (Number(process.env.ANALYSIS_MAX_INPUT_GB) || 20) * 1024 ** 3,
+    // How long a job whose results could not be stored keeps them on disk for a retry
+    failedOutputRetention: (Number(process.env.ANALYSIS_FAILED_OUTPUT_RETENTION_HOURS) || 168) * 60 * 60 * 1000,
+  },
+  ai: {
+    // 'openai' is any OpenAI-compatible chat completions endpoint: Mosaia (the default), OpenAI,
+    // or a local Ollama / llama.cpp server. 'mock' answers from fixtures and needs no network.
+    llm: {
+      provider: process.env.LLM_PROVIDER || 'openai',
+      baseUrl: process.env.LLM_BASE_URL || 'https://api.mosaia.ai/v1/agent',
+      apiKey: process.env.LLM_API_KEY || process.env.MOSAIA_HTTP_API_KEY,
+    },
+    // Model per task; tasks without their own model use the default (a Mosaia agent ID).
+    models: {
+      default: process.env.LLM_MODEL || '6845cac0d8955e09bf51f446',
+      queries: process.env.LLM_MODEL_QUERIES, // Web search queries for chat
+      synthesis: process.env.LLM_MODEL_SYNTHESIS, // Chat answers and research reports
+      metadata: process.env.LLM_MODEL_METADATA, // Paper metadata extraction
+    },
+    // Mosaia has no embeddings endpoint, so embeddings are configured separately.
+    embeddings: {
+      provider: process.env.EMBEDDING_PROVIDER || (process.env.LLM_PROVIDER === 'mock' ? 'mock' : 'openai'),
+      baseUrl: process.env.EMBEDDING_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY,
+      model: process.env.EMBEDDING_MODEL || (process.env.LLM_PROVIDER === 'mock' ? 'mock-embedding' : 'text-embedding-3-small'),
+    },
+    // Web search for chat: 'exa', 'mock' (fixtures) or 'none'.
+    search: {
+      provider: process.env.SEARCH_PROVIDER || (process.env.LLM_PROVIDER === 'mock' ? 'mock' : 'exa'),
+      exaApiKey: process.env.EXA_API_KEY,
+    },
+    // Replies and search results of the mock providers
+    mockFixtures: process.env.AI_MOCK_FIXTURES || fileURLToPath(new URL('./services/ai/mock-fixtures.json', import.meta.url)),
+  },
+  rag: {
+    chunkSize: 1500, // Characters per chunk
+    chunkOverlap: 200, // Characters repeated at the start of the next chunk
+    topK: Number(process.env.RAG_TOP_K) || 6, // Passages of our own data given to the model per question
+    // Records without chunks are indexed by a background worker, this many per pass (0 disables it)
+    indexBatch: Number(process.env.RAG_INDEX_BATCH ?? 10),
+    indexInterval: 60 * 1000, // How often the worker looks for records without chunks
+    // Without pgvector chunks are ranked in Node; only the newest records' chunks, up to this many, are scored
+    maxScoredChunks: Number(process.env.RAG_MAX_SCORED_CHUNKS) || 5000,
+    maxDocumentBytes: (Number(process.env.RAG_MAX_DOCUMENT_MB) || 50) * 1024 * 1024,
+  },
+  bibliography: {
+    // Where DOIs and PMIDs found in papers are resolved, in order of preference: 'crossref',
+    // 'pubmed', or 'mirror' (a local JSON file, for offline use). Empty disables enrichment.
+    sources: (process.env.BIBLIOGRAPHY_SOURCES ?? (process.env.LLM_PROVIDER === 'mock' ? 'mirror' : 'crossref,pubmed'))
+      .split(',').map(source => source.trim()).filter(Boolean),
+    crossrefUrl: process.env.CROSSREF_BASE_URL || 'https://api.crossref.org',
+    pubmedUrl: process.env.PUBMED_BASE_URL || 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils',
+    // Both APIs ask clients to identify themselves, and serve those that do more reliably
+    contactEmail: process.env.BIBLIOGRAPHY_CONTACT_EMAIL,
+    ncbiApiKey: process.env.NCBI_API_KEY,
+    mirrorPath: process.env.BIBLIOGRAPHY_MIRROR || fileURLToPath(new URL('./services/bibliography/mirror.json', import.meta.url)),
+    timeout: 10000, // Per request, in ms
+  },
+  metadata: {
+    // Papers whose title, authors or year are extracted with less confidence than this (0-1)
+    // are saved as pending_review instead of complete
+    reviewThreshold: Number(process.env.METADATA_REVIEW_THRESHOLD ?? 0.6),
+    maxAttempts: 3, // Calls to the model per paper: the first extraction plus repairs of invalid replies
+    excerptChars: 16000, // Characters of text sent to the model, front matter first
+  },
+  dedup: {
+    // Papers in a project whose titles share at least this share of their words (0-1) are
+    // flagged as likely duplicates, unless both have DOIs
+    titleThreshold: Number(process.env.DEDUP_TITLE_THRESHOLD ?? 0.9),
+  },
+  uploadQueue: {
+    // Where queued payloads are spooled until the worker has pushed them to the provider
+    spoolDir: process.env.UPLOAD_SPOOL_DIR || 'uploads/queue',
+    // How many uploads may run at the same time against a single proof set
+    concurrencyPerProofSet: Number(process.env.UPLOAD_CONCURRENCY_PER_PROOF_SET) || 1,
+    pollInterval: 5000, // Check for queued jobs every 5000ms
+    // Failed uploads are retried with exponential backoff before being flagged as failed
+    maxAttempts: Number(process.env.UPLOAD_MAX_ATTEMPTS) || 3,
+    retryDelay: 30000, // Wait 30s before the first retry, doubling after each attempt
+    // How long a request waits for its upload's root to be added before answering with the job ID
+    waitTimeout: Number(process.env.UPLOAD_WAIT_TIMEOUT_MS) || 5 * 60 * 1000,
+  },
 };
 
 // --- Validation ---
 if (!config.db.connectionString) {
   throw new Error("Missing required environment variable: POSTGRES_DSN");
 }
-if (!config.synapse.privateKey) {
-  throw new Error("Missing required environment variable: SYNAPSE_PRIVATE_KEY");
+// Synapse credentials are only needed when files are actually stored on Filecoin.
+if (config.storage.driver === 'synapse') {
+  if (!config.synapse.privateKey) {
+    throw new Error("Missing required environment variable: SYNAPSE_PRIVATE_KEY");
+  }
+  if (config.synapse.privateKey.length !== 66) {
+      throw new Error("Invalid SYNAPSE_PRIVATE_KEY format. Must be a 66-character hex string (e.g., 0x...).");
+  }
+  if (!config.synapse.rpcUrl) {
+      // Set default RPC if not provided
+      console.warn(`SYNAPSE_RPC_URL not set, using default for ${config.synapse.network}.`);
+      config.synapse.rpcUrl = RPC_URLS[config.synapse.network]?.http;
+      if (!config.synapse.rpcUrl) {
+          throw new Error(`Invalid SYNAPSE_NETWORK: ${config.synapse.network}. Cannot find default RPC URL.`);
+      }
+  }
+  // FilCDN serves each wallet's pieces from its own subdomain
+  config.synapse.walletAddress = new ethers.Wallet(config.synapse.privateKey).address;
+  if (!config.retrieval.filcdnBaseUrl) {
+      const cdnHost = config.synapse.network === 'mainnet' ? 'filcdn.io' : `${config.synapse.network}.filcdn.io`;
+      config.retrieval.filcdnBaseUrl = `https://${config.synapse.walletAddress.toLowerCase()}.${cdnHost}`;
+  }
+}
+config.retrieval.filcdnBaseUrl = config.retrieval.filcdnBaseUrl?.replace(/\/$/, '');
+// The server starts without AI credentials; only the endpoints that need them fail.
+if (config.ai.llm.provider === 'openai' && !config.ai.llm.apiKey) {
+  console.warn("LLM_API_KEY (or MOSAIA_HTTP_API_KEY) not set; chat and metadata extraction need it unless the LLM endpoint is keyless (e.g. Ollama).");
 }
-if (config.synapse.privateKey.length !== 66) {
-    throw new Error("Invalid SYNAPSE_PRIVATE_KEY format. Must be a 66-character hex string (e.g., 0x...).");
+if (config.ai.search.provider === 'exa' && !config.ai.search.exaApiKey) {
+  console.warn("EXA_API_KEY not set; chat will answer without web search. Set SEARCH_PROVIDER=none to silence this.");
 }
-if (!config.synapse.rpcUrl) {
-    // Set default RPC if not provided
-    console.warn(`SYNAPSE_RPC_URL not set, using default for ${config.synapse.network}.`);
-    config.synapse.rpcUrl = RPC_URLS[config.synapse.network]?.http;
-    if (!config.synapse.rpcUrl) {
-        throw new Error(`Invalid SYNAPSE_NETWORK: ${config.synapse.network}. Cannot find default RPC URL.`);
-    }
+if (!config.auth.siweDomain) {
+  console.warn("AUTH_SIWE_DOMAIN not set; sign-in with Ethereum is disabled until it is.");
 }
 
 export default config;
\ No newline at end of file
@@ -1,106 +1,187 @@
 // src/controllers/analysis.controller.js
-import path from 'path';
-import fs from 'fs';
-import { runScript } from '../services/analysis.service.js';
-import { fileURLToPath } from 'url';
+import {
+    enqueueAnalysisJob, getAnalysisJob, getAnalysisRecord, getScriptHash, checkAnalysisInputs, resolveAnalysisProject, retryAnalysisJob,
+} from '../services/analysis-job.service.js';
+import { getTool, listTools, validateParameters } from '../services/analysis-tools.js';
+import { assertProjectAccess } from '../services/access.service.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+/**
+ * Answers 202 with the queued job and where to poll it.
+ */
+function sendJobAccepted(res, job, extra = {}) {
+    res.status(202).set('Location', `/api/analyze/jobs/${job.id}`).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/analyze/jobs/${job.id}`,
+        ...extra,
+    });
+}
 
-export async function nmrAnalysisHandler(req, res, next) {
-    const { dataPath } = req.body;
-    if (!dataPath) return res.status(400).json({ success: false, error: 'Request body must include "dataPath".' });
+/**
+ * Queues a run of a registered analysis tool and answers 202 with the job to poll, instead of
+ * holding the request open while the script runs.
+ * Body: { inputCids, parameters?, projectId? }. The files behind the CIDs are fetched from storage
+ * by the worker, so the caller needs read access to each record but never names a path on the server.
+ * The finished analysis is recorded in `projectId`, which defaults to the inputs' project and
+ * needs editor access.
+ */
+export async function runAnalysisHandler(req, res, next) {
+    const toolName = req.params.tool;
+    const tool = getTool(toolName);
+    if (!tool) {
+        return res.status(404).json({ success: false, error: `Unknown analysis tool "${toolName}". See GET /api/analyze/tools.` });
+    }
 
-    const r_script_path = path.join(path.dirname(__dirname), 'scripts', 'run_batman.R');
-    const outputDir = path.join(path.dirname(__dirname), 'results', `run_${Date.now()}`);
+    const { inputCids, parameters, projectId, dataPath, dataUrl } = req.body || {};
+    if (dataPath !== undefined || dataUrl !== undefined) {
+        return res.status(400).json({
+            success: false,
+            error: 'File paths and URLs are not accepted. Upload the data as a record and send its CID in "inputCids".',
+        });
+    }
+    if (!Array.isArray(inputCids) || inputCids.length === 0 || !inputCids.every(cid => typeof cid === 'string' && /^[a-z0-9]+$/i.test(cid))) {
+        return res.status(400).json({ success: false, error: 'Request body must include "inputCids", a non-empty array of CIDs.' });
+    }
+    const cids = [...new Set(inputCids)];
+    if (cids.length > tool.maxInputs) {
+        return res.status(400).json({ success: false, error: `The ${toolName} analysis takes at most ${tool.maxInputs} input CID(s).` });
+    }
+    const { value: validParameters, errors } = validateParameters(tool, parameters);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid parameters.', details: errors });
+    }
 
     try {
-        fs.mkdirSync(outputDir, { recursive: true });
-        const scriptOutputLog = await runScript('Rscript', [r_script_path, dataPath], { cwd: outputDir });
-        res.json({
-            success: true,
-            message: 'BATMAN analysis completed successfully.',
-            outputDirectory: outputDir,
-            log: scriptOutputLog,
-        });
+        const inputProjects = await checkAnalysisInputs(req.user, cids, tool.inputTypes, `The ${toolName} analysis`);
+        const targetProjectId = await resolveAnalysisProject(req.user, projectId, inputProjects);
+
+        const job = await enqueueAnalysisJob(toolName, { inputCids: cids, parameters: validParameters }, req.user.id, targetProjectId);
+        sendJobAccepted(res, job);
     } catch (error) {
-        error.outputDirectory = outputDir; // Add context for debugging
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        console.error(`[API ERROR] while queueing ${toolName} analysis:`, error);
         next(error);
     }
 }
 
-export async function ld50AnalysisHandler(req, res, next) {
-    const { dataUrl } = req.body;
+/**
+ * Re-runs a stored analysis with the same tool, inputs and parameters, then diffs the new result
+ * against the stored one. The re-run is stored as its own analysis record, and the outcome is
+ * logged on the project's NFT as a verification event.
+ * Body: { relativeTolerance?, absoluteTolerance?, allowScriptChange? }. Tolerances default to the
+ * tool's. If the script has changed since the original run, the re-run is refused unless
+ * `allowScriptChange` is true, and the verification then records that the script differed.
+ */
+export async function rerunAnalysisHandler(req, res, next) {
+    const { cid } = req.params;
+    const { relativeTolerance, absoluteTolerance, allowScriptChange = false } = req.body || {};
+    for (const [name, value] of Object.entries({ relativeTolerance, absoluteTolerance })) {
+        if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+            return res.status(400).json({ success: false, error: `${name} must be a non-negative number.` });
+        }
+    }
 
-    const r_script_path = path.join(path.dirname(__dirname), 'scripts', 'ld50_analysis.R');
-    
     try {
-        const scriptOutputJson = await runScript('Rscript', [r_script_path, dataUrl], {});
-        const results = JSON.parse(scriptOutputJson);
-        if (results.status === 'success') {
-            res.json(results);
-        } else {
-            console.error('LD50 R script reported an internal error:', results.error);
-            res.status(500).json(results);
+        const record = await getAnalysisRecord(cid);
+        if (!record) {
+            return res.status(404).json({ success: false, error: `Analysis ${cid} not found.` });
+        }
+        await assertProjectAccess(req.user, record.project_id, 'editor');
+        if (!record.tool || !record.source_cids?.length) {
+            return res.status(400).json({ success: false, error: `Analysis ${cid} was not produced by an analysis job, so there is nothing to re-run.` });
+        }
+
+        const tool = getTool(record.tool);
+        if (!tool) {
+            return res.status(409).json({ success: false, error: `The ${record.tool} tool is no longer registered.` });
+        }
+        const scriptHash = await getScriptHash(record.tool);
+        if (scriptHash !== record.script_hash && allowScriptChange !== true) {
+            return res.status(409).json({
+                success: false,
+                error: `${tool.script} has changed since analysis ${cid} was produced. Send "allowScriptChange": true to re-run it with the current script.`,
+                recordedScriptHash: record.script_hash,
+                currentScriptHash: scriptHash,
+            });
+        }
+        const { value: parameters, errors } = validateParameters(tool, record.parameters || {});
+        if (errors.length > 0) {
+            return res.status(409).json({ success: false, error: `The stored parameters are no longer valid for ${record.tool}.`, details: errors });
         }
+        await checkAnalysisInputs(req.user, record.source_cids, tool.inputTypes, `The ${record.tool} analysis`);
+
+        const comparison = {};
+        if (relativeTolerance !== undefined) comparison.relativeTolerance = relativeTolerance;
+        if (absoluteTolerance !== undefined) comparison.absoluteTolerance = absoluteTolerance;
+
+        const job = await enqueueAnalysisJob(record.tool, {
+            inputCids: record.source_cids,
+            parameters,
+            rerunOf: cid,
+            originalScriptHash: record.script_hash,
+            comparison,
+        }, req.user.id, record.project_id);
+        sendJobAccepted(res, job, { rerunOf: cid, scriptChanged: scriptHash !== record.script_hash });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        console.error(`[API ERROR] in rerunAnalysisHandler for CID ${cid}:`, error);
         next(error);
     }
 }
 
-export async function gcmsAnalysisHandler(req, res, next) {
-    const { dataPath } = req.body;
-    const r_script_path = path.join(path.dirname(__dirname), 'scripts', 'xcms_analysis.R');
-    const args = [r_script_path, dataPath];
+/**
+ * Lists the registered analysis tools with their input types and parameter schemas.
+ */
+export async function listAnalysisToolsHandler(req, res) {
+    res.status(200).json({ data: listTools() });
+}
 
+/**
+ * Reports an analysis job's status and progress, and its JSON result once it has finished.
+ * Add `?includeLog=true` for the tail of the script's output.
+ */
+export async function getAnalysisJobHandler(req, res, next) {
     try {
-        const scriptOutputJson = await runScript('Rscript', args);
-        const results = JSON.parse(scriptOutputJson);
-        if (results.status === 'success') {
-            res.json(results);
-        } else {
-            console.error('R script reported an internal error:', results.error);
-            res.status(500).json(results);
+        const jobId = Number(req.params.id);
+        if (!Number.isInteger(jobId)) {
+            return res.status(400).json({ error: 'A numeric job ID is required.' });
         }
+
+        const job = await getAnalysisJob(jobId, { includeLog: req.query.includeLog === 'true' });
+        // Jobs are private to the user who started them (and admins).
+        if (!job || (!req.user.isAdmin && job.requested_by !== req.user.id)) {
+            return res.status(404).json({ error: `Analysis job #${jobId} not found.` });
+        }
+        res.status(200).json({ data: job });
     } catch (error) {
+        console.error(`[API ERROR] in getAnalysisJobHandler for job ${req.params.id}:`, error);
         next(error);
     }
 }
-export async function gcmsDifferentialHandler(req, res, next) {
-    const { dataPath } = req.body;
-    const r_script_path = path.join(path.dirname(__dirname), 'scripts', 'xcms_analysis.R');
-    const args = [r_script_path, dataPath];
-    try {
-        console.log('[API] Running GC-MS Differential Analysis...');
-        const scriptOutputJson = await runScript('Rscript', args);
-        const results = JSON.parse(scriptOutputJson);
-        if (results.status === 'error') throw new Error(results.error);
-        res.json(results);
-    } catch (error) {
-        console.error('[API ERROR] in gcmsDifferentialHandler:', error);
-        next(error);
-    }
-}
-
-// --- NEW HANDLER for profiling analysis ---
-export async function gcmsProfilingHandler(req, res, next) {
-    const { dataPath } = req.body;
-    const r_script_path = path.join(path.dirname(__dirname), 'scripts', 'xcms_profiling.R');
-    const args = [r_script_path, dataPath];
-    
-    // Note: The robust solution involves downloading and unzipping the dataCid first.
-    // For now, we are assuming the R script can handle a URL to a directory if needed,
-    // or that you will implement the unzip logic here later.
 
+/**
+ * Retries storing the results of a job that failed only because they could not be stored.
+ * Takes the editor role in the job's project.
+ */
+export async function retryAnalysisJobHandler(req, res, next) {
     try {
-        console.log('[API] Running GC-MS Profiling Analysis...');
-        const scriptOutputJson = await runScript('Rscript', args);
-        console.log(scriptOutputJson)
-        const results = JSON.parse(scriptOutputJson);
-        if (results.status === 'error') throw new Error(results.error);
-        res.json(results);
+        const jobId = Number(req.params.id);
+        if (!Number.isInteger(jobId)) {
+            return res.status(400).json({ error: 'A numeric job ID is required.' });
+        }
+
+        const job = await retryAnalysisJob(jobId, req.user);
+        res.status(202).json({ data: job });
     } catch (error) {
-        console.error('[API ERROR] in gcmsProfilingHandler:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error(`[API ERROR] in retryAnalysisJobHandler for job ${req.params.id}:`, error);
         next(error);
     }
-}
\ No newline at end of file
+}
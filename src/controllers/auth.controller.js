@@ -0,0 +1,100 @@
+// src/controllers/auth.controller.js
+import * as authService from '../services/auth.service.js';
+import { extractToken } from '../middleware/auth.middleware.js';
+
+function handleServiceError(error, res, next, handlerName) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`[API ERROR] in ${handlerName}:`, error);
+    next(error);
+}
+
+/**
+ * Issues a single-use nonce to embed in a sign-in-with-Ethereum message or a Flow account proof.
+ */
+export async function createNonceHandler(req, res, next) {
+    try {
+        const nonce = await authService.createNonce();
+        res.status(201).json(nonce);
+    } catch (error) {
+        handleServiceError(error, res, next, 'createNonceHandler');
+    }
+}
+
+/**
+ * Exchanges a signed sign-in-with-Ethereum message for a session token. Body: { message, signature }
+ */
+export async function siweLoginHandler(req, res, next) {
+    try {
+        const { message, signature } = req.body || {};
+        const session = await authService.signInWithEthereum(message, signature);
+        res.status(200).json(session);
+    } catch (error) {
+        handleServiceError(error, res, next, 'siweLoginHandler');
+    }
+}
+
+/**
+ * Exchanges a Flow account proof for a session token. Body: { address, nonce, signatures }
+ */
+export async function flowLoginHandler(req, res, next) {
+    try {
+        const session = await authService.signInWithFlow(req.body || {});
+        res.status(200).json(session);
+    } catch (error) {
+        handleServiceError(error, res, next, 'flowLoginHandler');
+    }
+}
+
+/**
+ * Ends the current wallet session. API keys are revoked through DELETE /api/auth/api-keys/:id instead.
+ */
+export async function logoutHandler(req, res, next) {
+    try {
+        if (req.user.authMethod === 'session') {
+            await authService.revokeSession(extractToken(req));
+        }
+        res.status(204).end();
+    } catch (error) {
+        handleServiceError(error, res, next, 'logoutHandler');
+    }
+}
+
+export async function getCurrentUserHandler(req, res) {
+    res.status(200).json({ data: req.user });
+}
+
+export async function listApiKeysHandler(req, res, next) {
+    try {
+        const keys = await authService.listApiKeys(req.user.id);
+        res.status(200).json({ data: keys });
+    } catch (error) {
+        handleServiceError(error, res, next, 'listApiKeysHandler');
+    }
+}
+
+/**
+ * Creates an API key for the current user. The key is only shown in this response.
+ */
+export async function createApiKeyHandler(req, res, next) {
+    try {
+        const key = await authService.createApiKey(req.user.id, req.body?.label);
+        res.status(201).json({ data: key });
+    } catch (error) {
+        handleServiceError(error, res, next, 'createApiKeyHandler');
+    }
+}
+
+export async function revokeApiKeyHandler(req, res, next) {
+    try {
+        const keyId = Number(req.params.keyId);
+        if (!Number.isInteger(keyId)) {
+            return res.status(400).json({ error: 'A numeric key ID is required.' });
+        }
+        await authService.revokeApiKey(req.user.id, keyId);
+        res.status(204).end();
+    } catch (error) {
+        handleServiceError(error, res, next, `revokeApiKeyHandler for key ${req.params.keyId}`);
+    }
+}
@@ -1,30 +1,199 @@
 // src/controllers/chat.controller.js
-import { generateSearchQueries, getSearchResults, synthesizeReport } from '../services/ai.service.js';
+import {
+    generateSearchQueries, getSearchResults, synthesizeGroundedAnswer, streamGroundedAnswer,
+} from '../services/ai.service.js';
+import { retrievePassages } from '../services/rag.service.js';
+import { assertProjectAccess } from '../services/access.service.js';
 
-async function researcher(topic,context) {
+const ASSISTANT_SENDERS = ['assistant', 'ai', 'bot'];
+
+// Sent while the stream is otherwise quiet (web searches can take a while), so proxies keep it open.
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Converts the client's messages ({role|sender, text|content}) into chat completion messages.
+ * @returns {{role: string, content: string}[]|null} Null if any message has no text.
+ */
+function toChatHistory(messages) {
+    const history = messages.map((message) => {
+        const content = message?.content ?? message?.text;
+        if (typeof content !== 'string' || !content.trim()) return null;
+        const sender = String(message.role || message.sender || 'user').toLowerCase();
+        return { role: ASSISTANT_SENDERS.includes(sender) ? 'assistant' : 'user', content };
+    });
+    return history.includes(null) ? null : history;
+}
+
+/**
+ * Validates a chat request body.
+ * @returns {{error: string}|{history: object[], projectId: number|null, filecoinContext: string|undefined}}
+ */
+export function parseChatRequest(body) {
+    const { messages, filecoinContext, projectId } = body || {};
+    if (!messages || !Array.isArray(messages) || messages.length === 0) {
+        return { error: 'Invalid request: "messages" array is required.' };
+    }
+    const history = toChatHistory(messages);
+    if (!history) {
+        return { error: 'Invalid request: every message needs a non-empty "text".' };
+    }
+    if (history[history.length - 1].role !== 'user') {
+        return { error: 'Invalid request: the last message must be from the user.' };
+    }
+    return {
+        history,
+        projectId: projectId == null || projectId === '' ? null : Number(projectId),
+        filecoinContext,
+    };
+}
+
+async function searchWeb(topic, { signal, onEvent }) {
     console.log(`Starting research on topic: "${topic}"`);
-    const searchQueries = await generateSearchQueries(topic);
+    const searchQueries = await generateSearchQueries(topic, 10, { signal });
     console.log("Generated search queries:", searchQueries);
-    const searchResults = await getSearchResults(searchQueries);
+    onEvent('queries', { queries: searchQueries });
+    const searchResults = await getSearchResults(searchQueries, 10, {
+        signal,
+        onResults: (query, results, index) => onEvent('search', { query, index, total: searchQueries.length, resultCount: results.length }),
+    });
     console.log(`Found ${searchResults.length} search results.`);
-    console.log("Synthesizing report...");
-    const report = await synthesizeReport(topic, searchResults);
-    return report;
+    return searchResults;
 }
 
+/**
+ * Retrieves passages from the user's own records, then searches the web. Either source may be
+ * unavailable (no embeddings key, web search down); the answer is then built from the other.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] Stops between steps and cancels LLM requests.
+ * @param {(event: string, data: object) => void} [options.onEvent] Progress callback.
+ */
+async function gatherSources(user, { history, projectId }, { signal, onEvent = () => {} } = {}) {
+    const question = history[history.length - 1].content;
+    onEvent('status', { stage: 'retrieving' });
+    const passages = await retrievePassages(user, question, { projectId }).catch((error) => {
+        console.error('[Chat] Retrieval from stored records failed:', error);
+        return [];
+    });
+    onEvent('records', { count: passages.length });
+    signal?.throwIfAborted();
+
+    // Earlier questions give follow-ups ("and its toxicity?") something to search for.
+    onEvent('status', { stage: 'searching' });
+    const topic = history.filter(message => message.role === 'user').slice(-3).map(message => message.content).join(' / ');
+    const searchResults = await searchWeb(topic, { signal, onEvent }).catch((error) => {
+        if (signal?.aborted) throw error;
+        console.error('[Chat] Web search failed:', error);
+        return [];
+    });
+    signal?.throwIfAborted();
+    return { passages, searchResults };
+}
+
+function describeSources(passages, searchResults) {
+    return {
+        records: passages.map(passage => ({
+            cid: passage.cid,
+            type: passage.type,
+            title: passage.title,
+            projectId: passage.projectId,
+            score: passage.score,
+            snippet: passage.content.slice(0, 300),
+        })),
+        web: searchResults.map(result => ({ url: result.url, title: result.title })),
+    };
+}
+
+/**
+ * Answers the last message of a conversation from the user's own records first, then the web.
+ * Body: { messages, projectId?, filecoinContext? }. The whole history is sent to the model.
+ * Passages are retrieved from the papers, experiments and analyses of `projectId`, or of every
+ * project the user can see, and cited by CID next to the web URLs.
+ */
 export async function chatHandler(req, res, next) {
     try {
-        const { messages,filecoinContext } = req.body;
-        if (!messages || !Array.isArray(messages) || messages.length === 0) {
-            return res.status(400).json({ error: 'Invalid request: "messages" array is required.' });
+        const chat = parseChatRequest(req.body);
+        if (chat.error) {
+            return res.status(400).json({ error: chat.error });
         }
-        
-        const lastUserMessage = messages[messages.length - 1].text;
-        const result = await researcher(`Solve: ${lastUserMessage}; Context: ${filecoinContext}`);
-        
-        res.json({ reply: result });
+        if (chat.projectId !== null) await assertProjectAccess(req.user, chat.projectId, 'viewer');
+
+        const { passages, searchResults } = await gatherSources(req.user, chat);
+        console.log(`Synthesizing answer from ${passages.length} record passage(s) and ${searchResults.length} web result(s)...`);
+        const reply = await synthesizeGroundedAnswer(chat.history, passages, searchResults, chat.filecoinContext);
+
+        res.json({ reply, sources: describeSources(passages, searchResults) });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Error in chat handler:', error.message);
         next(error); // Pass error to the global error handler
     }
-}
\ No newline at end of file
+}
+
+/**
+ * The streaming variant of chatHandler, as Server-Sent Events. Same body; the events are:
+ *   status  {stage}                          'retrieving', 'searching', then 'writing'
+ *   records {count}                          passages found in our own records
+ *   queries {queries}                        the generated web search queries
+ *   search  {query, index, total, resultCount} after each web search
+ *   sources {records, web}                   everything the answer is based on
+ *   token   {text}                           the next piece of the answer
+ *   done    {reply}                          the whole answer
+ *   error   {error}                          generation failed; the stream ends
+ * Closing the connection cancels the remaining searches and the LLM request.
+ */
+export async function chatStreamHandler(req, res, next) {
+    const chat = parseChatRequest(req.body);
+    if (chat.error) {
+        return res.status(400).json({ error: chat.error });
+    }
+    try {
+        if (chat.projectId !== null) await assertProjectAccess(req.user, chat.projectId, 'viewer');
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('[API ERROR] in chatStreamHandler:', error);
+        return next(error);
+    }
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // Stops nginx from buffering the events
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL);
+
+    try {
+        const { passages, searchResults } = await gatherSources(req.user, chat, { signal: controller.signal, onEvent: send });
+        send('sources', describeSources(passages, searchResults));
+
+        send('status', { stage: 'writing' });
+        let reply = '';
+        for await (const text of streamGroundedAnswer(chat.history, passages, searchResults, chat.filecoinContext, controller.signal)) {
+            reply += text;
+            send('token', { text });
+        }
+        send('done', { reply });
+    } catch (error) {
+        if (controller.signal.aborted) {
+            console.log('[Chat] Client disconnected; cancelled the streamed answer.');
+            return;
+        }
+        // The status line is already sent, so the error can only be reported as an event.
+        console.error('[API ERROR] in chatStreamHandler:', error);
+        send('error', { error: 'The answer could not be generated. Please try again.' });
+    } finally {
+        clearInterval(heartbeat);
+        res.end();
+    }
+}
@@ -0,0 +1,112 @@
+// src/controllers/citation.controller.js
+import { query } from '../services/db.js';
+import { assertProjectAccess } from '../services/access.service.js';
+import { assignCitationKeys, formatCitations, parseCitationFile } from '../services/citation.service.js';
+import { enqueueCitationImport, getCitationImport } from '../services/citation-import.service.js';
+
+const CITED_COLUMNS = 'cid, title, authors, journal, year, doi, keywords, created_at';
+
+function sendCitations(res, citations, name) {
+    res.type(citations.contentType);
+    res.attachment(`${name}.${citations.extension}`);
+    res.status(200).send(citations.body);
+}
+
+/**
+ * Every paper in a project as BibTeX (the default), RIS or CSL-JSON: `?format=bibtex|ris|csl-json`.
+ */
+export async function projectCitationsHandler(req, res, next) {
+    try {
+        const projectId = Number(req.params.id);
+        if (!Number.isInteger(projectId)) {
+            return res.status(400).json({ error: 'A numeric project ID is required.' });
+        }
+        await assertProjectAccess(req.user, projectId, 'viewer');
+
+        const result = await query(`SELECT ${CITED_COLUMNS} FROM paper WHERE project_id = $1`, [projectId]);
+        sendCitations(res, formatCitations(result.rows, req.query.format || 'bibtex'), `project-${projectId}`);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error(`[API ERROR] in projectCitationsHandler for project ${req.params.id}:`, error);
+        next(error);
+    }
+}
+
+/**
+ * One paper's citation, with the same key it has in its project's export.
+ */
+export async function paperCitationHandler(req, res, next) {
+    try {
+        const result = await query(`SELECT ${CITED_COLUMNS}, project_id FROM paper WHERE cid = $1`, [req.params.cid]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Record not found' });
+        }
+        const paper = result.rows[0];
+        await assertProjectAccess(req.user, paper.project_id ?? null, 'viewer');
+
+        const siblings = await query(`SELECT ${CITED_COLUMNS} FROM paper WHERE project_id IS NOT DISTINCT FROM $1`, [paper.project_id]);
+        const keys = assignCitationKeys(siblings.rows);
+        sendCitations(res, formatCitations([paper], req.query.format || 'bibtex', keys), keys.get(paper.cid));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error(`[API ERROR] in paperCitationHandler for CID ${req.params.cid}:`, error);
+        next(error);
+    }
+}
+
+/**
+ * Queues the creation of papers from the entries of an uploaded .bib or .ris file and answers
+ * 202 with the import to poll. The file is parsed here, so a file that is not BibTeX or RIS is
+ * refused straight away. Multipart: `file`, `projectId?`.
+ */
+export async function importCitationsHandler(req, res, next) {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'A .bib or .ris file is required.' });
+        }
+        const projectId = req.body.projectId ? Number(req.body.projectId) : null;
+        await assertProjectAccess(req.user, projectId, 'editor');
+
+        const { format, entries } = parseCitationFile(req.file.originalname, req.file.buffer.toString('utf-8'));
+        const citationImport = await enqueueCitationImport({ filename: req.file.originalname, format, entries }, req.user.id, projectId);
+        res.status(202).set('Location', `/api/papers/imports/${citationImport.id}`).json({
+            importId: citationImport.id,
+            status: citationImport.status,
+            entryCount: citationImport.entry_count,
+            statusUrl: `/api/papers/imports/${citationImport.id}`,
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('[API ERROR] in importCitationsHandler:', error);
+        next(error);
+    }
+}
+
+/**
+ * Reports a citation import's progress and, as entries are processed, the papers it created or
+ * linked and the entries it skipped.
+ */
+export async function getCitationImportHandler(req, res, next) {
+    try {
+        const importId = Number(req.params.id);
+        if (!Number.isInteger(importId)) {
+            return res.status(400).json({ error: 'A numeric import ID is required.' });
+        }
+
+        const citationImport = await getCitationImport(importId);
+        // Imports are private to the user who started them (and admins).
+        if (!citationImport || (!req.user.isAdmin && citationImport.requested_by !== req.user.id)) {
+            return res.status(404).json({ error: `Citation import #${importId} not found.` });
+        }
+        res.status(200).json({ data: citationImport });
+    } catch (error) {
+        console.error(`[API ERROR] in getCitationImportHandler for import ${req.params.id}:`, error);
+        next(error);
+    }
+}
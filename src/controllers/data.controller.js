@@ -1,21 +1,60 @@
 // src/controllers/data.controller.js
 import { query } from '../services/db.js';
+import { STORAGE_STATUSES } from '../services/queue.service.js';
+import { assertProjectAccess, visibleProjectsClause } from '../services/access.service.js';
+import { METADATA_STATUSES, validateMetadataUpdate } from '../services/metadata.service.js';
+import { indexRecord } from '../services/rag.service.js';
+import { resolveAlias } from '../services/record.service.js';
+import { INSTRUMENT_TYPES } from '../services/instruments.js';
 
 // --- MODIFIED: Add 'experiment' to the list of valid data types ---
 const VALID_TYPES = {
-    paper: { table: 'paper', validSorts: ['created_at', 'title', 'journal', 'year', 'cid'] },
-    experiment: { table: 'experiment', validSorts: ['created_at', 'title', 'instrument', 'cid'] },
+    paper: { table: 'paper', validSorts: ['created_at', 'title', 'journal', 'year', 'doi', 'cid'] },
+    experiment: { table: 'experiment', validSorts: ['created_at', 'title', 'instrument', 'instrument_type', 'operator', 'run_date', 'cid'] },
     analysis: { table: 'analysis', validSorts: ['created_at', 'title', 'cid'] }, 
     genome: { table: 'genome', validSorts: ['created_at', 'organism', 'assembly_version', 'cid'] },
     spectrum: { table: 'spectrum', validSorts: ['created_at', 'compound', 'technique_nmr_ir_ms', 'cid'] },
     file_cids: { table: 'file_cids', validSorts: ['uploaded_at', 'filename', 'cid', 'id'] },
 };
 
-function buildWhereClause(type, queryParams) {
+// Experiment run parameters are filtered as `param.<name>=<value>`, e.g. `param.nucleus=1H`.
+const PARAMETER_FILTER = /^param\.([A-Za-z0-9_-]{1,100})$/;
+const DATE_FILTER = /^\d{4}-\d{2}-\d{2}$/;
+
+// Filters that take one value. A repeated parameter arrives as an array, which they cannot use.
+const SINGLE_VALUE_FILTERS = {
+    paper: ['doi', 'keyword'],
+    experiment: ['instrumentType', 'instrument', 'operator', 'sampleId', 'protocol'],
+};
+
+/**
+ * The JSON a run parameter filter matches: the value as a string and, where it reads as one, as
+ * a number or boolean, since parameters keep the type they were uploaded with.
+ */
+function parameterMatches(name, value) {
+    const candidates = [value];
+    if (value.trim() !== '' && Number.isFinite(Number(value))) candidates.push(Number(value));
+    if (value === 'true' || value === 'false') candidates.push(value === 'true');
+    return candidates.map(candidate => JSON.stringify({ [name]: candidate }));
+}
+
+// Kept for search only: the tsvector is meaningless to clients and a paper's full text can be
+// megabytes (it is served by GET /api/document-content/:cid).
+const withoutSearchColumns = ({ search_vector, full_text, ...row }) => row;
+
+function buildWhereClause(type, queryParams, user) {
     const whereClauses = [];
     const args = [];
     let argIndex = 1;
 
+    // Only rows in projects the user belongs to. Admins see everything, including General data.
+    const visibility = visibleProjectsClause(user, argIndex);
+    if (visibility.clause) {
+        whereClauses.push(visibility.clause);
+        args.push(...visibility.args);
+        argIndex += visibility.args.length;
+    }
+
     // This filter is now generic and works for all types with a project_id
     if (queryParams.projectId && queryParams.projectId !== '') {
       whereClauses.push(`project_id = $${argIndex++}`);
@@ -35,7 +74,7 @@ function buildWhereClause(type, queryParams) {
                 break;
             // --- NEW: Add search case for 'experiment' ---
             case 'experiment':
-                whereClauses.push(`(title ILIKE $${argIndex} OR description ILIKE $${argIndex})`);
+                whereClauses.push(`(title ILIKE $${argIndex} OR description ILIKE $${argIndex} OR instrument ILIKE $${argIndex} OR operator ILIKE $${argIndex} OR protocol_ref ILIKE $${argIndex})`);
                 args.push(`%${queryParams.search}%`);
                 argIndex++;
                 break;
@@ -62,14 +101,39 @@ function buildWhereClause(type, queryParams) {
         }
     }
 
+    // On-chain storage status, tracked for every type except the legacy file_cids table
+    if (queryParams.storageStatus && type !== 'file_cids') {
+        whereClauses.push(`storage_status = $${argIndex++}`);
+        args.push(queryParams.storageStatus);
+    }
+
     // Type-specific filters
     if (type === 'paper') {
         if (queryParams.year) { whereClauses.push(`year = $${argIndex++}`); args.push(Number(queryParams.year)); }
         if (queryParams.journal) { whereClauses.push(`journal ILIKE $${argIndex++}`); args.push(`%${queryParams.journal}%`); }
-        if (queryParams.keyword) { whereClauses.push(`$${argIndex++} = ANY(keywords)`); args.push(queryParams.keyword); }
+        if (typeof queryParams.keyword === 'string' && queryParams.keyword) { whereClauses.push(`$${argIndex++} = ANY(keywords)`); args.push(queryParams.keyword); }
+        if (typeof queryParams.doi === 'string' && queryParams.doi) { whereClauses.push(`doi = $${argIndex++}`); args.push(queryParams.doi.toLowerCase()); }
+        // metadataStatus=pending_review is the review queue
+        if (queryParams.metadataStatus) { whereClauses.push(`metadata_status = $${argIndex++}`); args.push(queryParams.metadataStatus); }
     }
     if (type === 'experiment') {
         if (queryParams.instrument) { whereClauses.push(`instrument ILIKE $${argIndex++}`); args.push(`%${queryParams.instrument}%`); }
+        if (queryParams.instrumentType) { whereClauses.push(`instrument_type = $${argIndex++}`); args.push(queryParams.instrumentType); }
+        if (queryParams.operator) { whereClauses.push(`operator ILIKE $${argIndex++}`); args.push(`%${queryParams.operator}%`); }
+        if (queryParams.sampleId) { whereClauses.push(`$${argIndex++} = ANY(sample_ids)`); args.push(queryParams.sampleId); }
+        if (queryParams.protocol) { whereClauses.push(`protocol_ref ILIKE $${argIndex++}`); args.push(`%${queryParams.protocol}%`); }
+        if (queryParams.runDateFrom) { whereClauses.push(`run_date >= $${argIndex++}`); args.push(queryParams.runDateFrom); }
+        if (queryParams.runDateTo) { whereClauses.push(`run_date <= $${argIndex++}`); args.push(queryParams.runDateTo); }
+        for (const [key, value] of Object.entries(queryParams)) {
+            const name = key.match(PARAMETER_FILTER)?.[1];
+            if (!name) continue;
+            // Containment, so the GIN index on parameters is used.
+            const matches = parameterMatches(name, String(value)).map(json => {
+                args.push(json);
+                return `parameters @> $${argIndex++}::jsonb`;
+            });
+            whereClauses.push(`(${matches.join(' OR ')})`);
+        }
     }
     if (type === 'genome') {
         if (queryParams.organism) { whereClauses.push(`organism ILIKE $${argIndex++}`); args.push(`%${queryParams.organism}%`); }
@@ -92,13 +156,46 @@ export async function queryDataHandler(req, res, next) {
         }
         
         const { table, validSorts } = VALID_TYPES[type];
+
+        // file_cids rows belong to no project, so they count as General data.
+        if (type === 'file_cids') {
+            await assertProjectAccess(req.user, null, 'viewer');
+        } else if (req.query.projectId !== undefined) {
+            await assertProjectAccess(req.user, req.query.projectId === '' ? null : Number(req.query.projectId), 'viewer');
+        }
+
+        if (req.query.storageStatus && !STORAGE_STATUSES.includes(req.query.storageStatus)) {
+            return res.status(400).json({ error: `Invalid storageStatus. Expected one of: ${STORAGE_STATUSES.join(', ')}.` });
+        }
+        const repeated = (SINGLE_VALUE_FILTERS[type] || [])
+            .find(key => req.query[key] !== undefined && typeof req.query[key] !== 'string');
+        if (repeated) {
+            return res.status(400).json({ error: `${repeated} may only be given once.` });
+        }
+        if (type === 'paper' && req.query.metadataStatus && !METADATA_STATUSES.includes(req.query.metadataStatus)) {
+            return res.status(400).json({ error: `Invalid metadataStatus. Expected one of: ${METADATA_STATUSES.join(', ')}.` });
+        }
+        if (type === 'experiment') {
+            if (req.query.instrumentType && !Object.hasOwn(INSTRUMENT_TYPES, req.query.instrumentType)) {
+                return res.status(400).json({ error: `Invalid instrumentType. Expected one of: ${Object.keys(INSTRUMENT_TYPES).join(', ')}.` });
+            }
+            for (const key of ['runDateFrom', 'runDateTo']) {
+                if (req.query[key] && (!DATE_FILTER.test(req.query[key]) || Number.isNaN(Date.parse(req.query[key])))) {
+                    return res.status(400).json({ error: `${key} must be a date (YYYY-MM-DD).` });
+                }
+            }
+            const badParameter = Object.keys(req.query).find(key => key.startsWith('param.') && !PARAMETER_FILTER.test(key));
+            if (badParameter) {
+                return res.status(400).json({ error: `Invalid parameter filter '${badParameter}'. Use param.<name>=<value>, with letters, digits, '_' or '-' in the name.` });
+            }
+        }
         
         const limit = parseInt(req.query.limit, 10) || 20;
         const offset = parseInt(req.query.offset, 10) || 0;
         const sortBy = validSorts.includes(req.query.sort) ? req.query.sort : validSorts[0];
         const sortOrder = ['ASC', 'DESC'].includes(req.query.order?.toUpperCase()) ? req.query.order.toUpperCase() : 'DESC';
 
-        const { whereString, args, argIndex } = buildWhereClause(type, req.query);
+        const { whereString, args, argIndex } = buildWhereClause(type, req.query, req.user);
         
         const countQuery = `SELECT COUNT(*) FROM ${table} ${whereString}`;
         const countResult = await query(countQuery, args);
@@ -109,11 +206,14 @@ export async function queryDataHandler(req, res, next) {
         const dataResult = await query(dataQuery, finalArgs);
 
         res.status(200).json({
-            data: dataResult.rows,
+            data: dataResult.rows.map(withoutSearchColumns),
             pagination: { total: totalCount, limit, offset, count: dataResult.rows.length },
             sort: { by: sortBy, order: sortOrder },
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error(`[API ERROR] in queryDataHandler for type '${req.params.type}':`, error);
         next(error);
     }
@@ -130,21 +230,83 @@ export async function getDataByIDHandler(req, res, next) {
         }
 
         const { table } = VALID_TYPES[type];
-        const result = await query(`SELECT * FROM ${table} WHERE cid = $1`, [cid]);
+        let result = await query(`SELECT * FROM ${table} WHERE cid = $1`, [cid]);
+
+        // A record merged into another answers with the one it was merged into.
+        let redirectedFrom;
+        if (result.rows.length === 0) {
+            const alias = await resolveAlias(cid);
+            if (alias?.record_type === table) {
+                result = await query(`SELECT * FROM ${table} WHERE cid = $1`, [alias.cid]);
+                redirectedFrom = cid;
+            }
+        }
 
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Record not found' });
         }
+        await assertProjectAccess(req.user, result.rows[0].project_id ?? null, 'viewer');
         
-        res.status(200).json({ data: result.rows[0] });
+        res.status(200).json({ data: withoutSearchColumns(result.rows[0]), redirectedFrom });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error(`[API ERROR] in getDataByIDHandler for type '${req.params.type}':`, error);
         next(error);
     }
 }
 
+/**
+ * Corrects a paper's metadata, typically one in the review queue, and marks it reviewed. Only the
+ * fields in the body change; a body with none just confirms the extracted metadata.
+ */
+export async function updatePaperMetadataHandler(req, res, next) {
+    try {
+        const { cid } = req.params;
+        const existing = await query('SELECT project_id, full_text, metadata_confidence FROM paper WHERE cid = $1', [cid]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Record not found' });
+        }
+        const paper = existing.rows[0];
+        await assertProjectAccess(req.user, paper.project_id ?? null, 'editor');
+
+        const { value: changes, errors } = validateMetadataUpdate(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid paper metadata.', details: errors });
+        }
+
+        // Fields a person has set are certain.
+        const confidence = { ...paper.metadata_confidence };
+        for (const field of Object.keys(changes)) confidence[field] = 1;
+
+        const columns = Object.keys(changes);
+        const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+        const result = await query(
+            `UPDATE paper SET ${[...assignments, `metadata_confidence = $${columns.length + 2}`, `reviewed_by = $${columns.length + 3}`].join(', ')},
+                 metadata_status = 'reviewed', metadata_error = NULL, reviewed_at = NOW()
+             WHERE cid = $1 RETURNING *`,
+            [cid, ...columns.map(column => changes[column]), JSON.stringify(confidence), req.user.id]
+        );
+        console.log(`[DB] Paper ${cid} metadata reviewed by user ${req.user.id} (${columns.join(', ') || 'no changes'}).`);
+
+        // The chat index starts each paper with its metadata; not awaited, like at upload.
+        indexRecord(cid, paper.full_text ?? undefined).catch(error => console.error(`[RAG] Failed to reindex paper ${cid}:`, error));
+
+        res.status(200).json({ data: withoutSearchColumns(result.rows[0]) });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('[API ERROR] in updatePaperMetadataHandler:', error);
+        next(error);
+    }
+}
+
 export async function listCIDsHandler(req, res, next) {
     try {
+        // The generic file_cids mapping has no project, so it is General data.
+        await assertProjectAccess(req.user, null, 'viewer');
         const { filename } = req.query;
         const sql = filename 
             ? 'SELECT filename, cid, uploaded_at FROM file_cids WHERE filename = $1 ORDER BY uploaded_at DESC'
@@ -154,6 +316,9 @@ export async function listCIDsHandler(req, res, next) {
         const result = await query(sql, params);
         res.status(200).json(result.rows);
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('[API ERROR] in listCIDsHandler:', error);
         next(error);
     }
@@ -1,9 +1,8 @@
 // src/controllers/document.controller.js
 import { extractTextFromBuffer } from '../services/pdf.service.js';
-import { query } from '../services/db.js';
-import fetch from 'node-fetch'; // You might need to install this: pnpm add node-fetch
-
-const buildFilcdnUrl = (cid) => `https://0xcdb8cc9323852ab3bed33f6c54a7e0c15d555353.calibration.filcdn.io/${cid}`;
+import { findRecordByCid } from '../services/record.service.js';
+import { assertProjectAccess } from '../services/access.service.js';
+import * as storage from '../services/storage.service.js';
 
 export async function getDocumentContentHandler(req, res, next) {
     try {
@@ -13,30 +12,14 @@ export async function getDocumentContentHandler(req, res, next) {
         console.log(`[Content Fetch] Request for CID: ${cid}`);
 
         // 1. Check our database for the file's metadata first
-        const metaResult = await query(`
-            SELECT 'paper' as type, is_encrypted, lit_token_id FROM paper WHERE cid = $1
-            UNION ALL
-            SELECT 'experiment' as type, is_encrypted, lit_token_id FROM experiment WHERE cid = $1
-            UNION ALL
-            SELECT 'analysis' as type, is_encrypted, lit_token_id FROM analysis WHERE cid = $1
-            UNION ALL
-            SELECT 'genome' as type, is_encrypted, lit_token_id FROM genome WHERE cid = $1
-            UNION ALL
-            SELECT 'spectrum' as type, is_encrypted, lit_token_id FROM spectrum WHERE cid = $1
-        `, [cid]);
-
-        if (metaResult.rows.length === 0) {
+        const metadata = await findRecordByCid(cid);
+        if (!metadata) {
             return res.status(404).json({ error: 'File metadata not found in database.' });
         }
-        const metadata = metaResult.rows[0];
+        await assertProjectAccess(req.user, metadata.project_id, 'viewer');
 
-        // 2. Fetch the raw file content from the gateway
-        const url = buildFilcdnUrl(cid);
-        const response = await fetch(url);
-        console.log(response)
-        if (!response.ok) throw new Error(`Failed to fetch CID ${cid} from gateway.`);
-        
-        const fileBuffer = Buffer.from(await response.arrayBuffer());
+        // 2. Fetch the raw file content from the configured storage backend
+        const fileBuffer = await storage.get(cid);
 
         // --- THE NEW, CORRECTED LOGIC ---
 
@@ -47,7 +30,7 @@ export async function getDocumentContentHandler(req, res, next) {
             console.log(`[Content Fetch] CID ${cid} is encrypted. Returning raw content for client-side decryption.`);
             
             const base64Content = fileBuffer.toString('base64');
-            const mimetype = response.headers.get('content-type') || 'application/octet-stream';
+            const mimetype = 'application/octet-stream';
             return res.status(200).json({
                 isRaw: true, // Signal to client: "This is raw data, you must process it."
                 content: base64Content,
@@ -74,6 +57,9 @@ export async function getDocumentContentHandler(req, res, next) {
         });
 
     } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 403) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error(`[API ERROR] in getDocumentContentHandler for CID ${req.params.cid}:`, error);
         next(error);
     }
@@ -0,0 +1,165 @@
+// src/controllers/file.controller.js
+import { pipeline } from 'stream/promises';
+import { findRecordByCid } from '../services/record.service.js';
+import { assertProjectAccess } from '../services/access.service.js';
+import * as storage from '../services/storage.service.js';
+import { getManifest, createManifestReadStream } from '../services/manifest.service.js';
+
+// Magic numbers for the formats we store most often. Anything else is served as a download.
+const SIGNATURES = [
+    { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] },          // %PDF
+    { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },          // PK..
+    { type: 'application/gzip', bytes: [0x1f, 0x8b] },
+    { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+    { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+];
+
+/**
+ * Guesses a Content-Type from the first bytes of a file.
+ * @param {Buffer} head Up to the first 512 bytes of the file.
+ */
+function detectContentType(head) {
+    for (const { type, bytes } of SIGNATURES) {
+        if (bytes.every((byte, i) => head[i] === byte)) return type;
+    }
+    if (head.length >= 262 && head.toString('latin1', 257, 262) === 'ustar') return 'application/x-tar';
+
+    // No control characters other than whitespace: treat it as text (FASTA, CSV, JSON, JCAMP...).
+    const looksLikeText = head.length > 0 && !head.some(byte => byte < 0x09 || (byte > 0x0d && byte < 0x20));
+    if (looksLikeText) {
+        const start = head.toString('utf8').trimStart();
+        return start.startsWith('{') || start.startsWith('[') ? 'application/json' : 'text/plain; charset=utf-8';
+    }
+    return 'application/octet-stream';
+}
+
+/**
+ * Opens a stored file, transparently reassembling files that were split into pieces.
+ */
+async function openStream(cid, manifest, range) {
+    return manifest ? createManifestReadStream(manifest, range) : storage.createReadStream(cid, range);
+}
+
+async function readHead(cid, manifest, size) {
+    if (size === 0) return Buffer.alloc(0);
+    const stream = await openStream(cid, manifest, { start: 0, end: Math.min(size, 512) - 1 });
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Parses a single-range `Range` header.
+ * @returns {{start: number, end: number}|null|'unsatisfiable'} null when the whole file should be sent.
+ */
+export function parseRange(header, size) {
+    if (!header) return null;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    // Multiple ranges or other units are allowed to be ignored, so fall back to the full body.
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        const suffixLength = Number(match[2]);
+        if (suffixLength === 0) return 'unsatisfiable';
+        start = Math.max(size - suffixLength, 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+
+    if (start >= size || start > end) return 'unsatisfiable';
+    return { start, end };
+}
+
+/**
+ * The range a request asks for. A Range only applies if If-Range (when sent) still matches
+ * the file's ETag; otherwise the whole file is sent.
+ * @returns {{start: number, end: number}|null|'unsatisfiable'} As for `parseRange`.
+ */
+export function requestedRange(headers, etag, size) {
+    const ifRange = headers['if-range'];
+    return !ifRange || ifRange === etag ? parseRange(headers.range, size) : null;
+}
+
+/**
+ * Streams the raw bytes of a stored file with Range, ETag and conditional request support.
+ * Encrypted records are streamed exactly as stored, for the client to decrypt.
+ */
+export async function streamFileHandler(req, res, next) {
+    const { cid } = req.params;
+    try {
+        const record = await findRecordByCid(cid);
+        if (!record) {
+            return res.status(404).json({ error: 'File metadata not found in database.' });
+        }
+        await assertProjectAccess(req.user, record.project_id, 'viewer');
+
+        // Large files are stored as linked pieces; the record's CID is then the manifest's.
+        const manifest = await getManifest(cid);
+        const fileInfo = manifest ? { size: Number(manifest.size) } : await storage.stat(cid);
+        if (!fileInfo || fileInfo.size == null) {
+            return res.status(404).json({ error: `CID ${cid} was not found in storage.` });
+        }
+        const { size } = fileInfo;
+
+        // CIDs are content hashes, so the CID itself is a strong validator and the bytes never change.
+        const etag = `"${cid}"`;
+        res.set({
+            'ETag': etag,
+            'Accept-Ranges': 'bytes',
+            'Cache-Control': 'private, max-age=31536000, immutable',
+        });
+        if (req.headers['if-none-match'] === etag) {
+            return res.status(304).end();
+        }
+
+        const contentType = record.is_encrypted
+            ? 'application/octet-stream'
+            : detectContentType(await readHead(cid, manifest, size));
+        res.set('Content-Type', contentType);
+
+        const range = requestedRange(req.headers, etag, size);
+
+        if (range === 'unsatisfiable') {
+            res.set('Content-Range', `bytes */${size}`);
+            return res.status(416).end();
+        }
+
+        if (range) {
+            res.status(206).set({
+                'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+                'Content-Length': String(range.end - range.start + 1),
+            });
+        } else {
+            res.status(200).set('Content-Length', String(size));
+        }
+
+        if (req.method === 'HEAD' || size === 0) {
+            return res.end();
+        }
+
+        console.log(`[File Stream] Streaming CID ${cid}${range ? ` bytes ${range.start}-${range.end}` : ''} (${contentType}).`);
+        const stream = await openStream(cid, manifest, range || undefined);
+        // pipeline destroys the source if the client disconnects, so no download keeps running.
+        await pipeline(stream, res);
+    } catch (error) {
+        if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.log(`[File Stream] Client disconnected while streaming CID ${cid}.`);
+            return;
+        }
+        if (res.headersSent) {
+            // Too late for a JSON error; cut the connection so the client sees a truncated body.
+            console.error(`[API ERROR] in streamFileHandler for CID ${cid} after streaming started:`, error.message);
+            return res.destroy(error);
+        }
+        if (error.statusCode === 404 || error.statusCode === 403 || error.statusCode === 400) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error(`[API ERROR] in streamFileHandler for CID ${cid}:`, error);
+        next(error);
+    }
+}
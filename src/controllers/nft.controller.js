@@ -1,6 +1,8 @@
 // src/controllers/nft.controller.js
 import * as flowService from '../services/flow.service.js';
 import { query } from '../services/db.js';
+import { agentName } from '../services/auth.service.js';
+import { assertProjectAccess } from '../services/access.service.js';
 
 /**
  * Gets the workflow story (log) for a given NFT.
@@ -9,9 +11,13 @@ import { query } from '../services/db.js';
 export async function getNftStoryHandler(req, res, next) {
     try {
         const { id } = req.params;
-        if (!id) {
+        if (!/^\d+$/.test(id || '')) {
             return res.status(400).json({ error: 'NFT ID is required' });
         }
+
+        // The story is visible to the members of the project the NFT belongs to.
+        const projectResult = await query('SELECT id FROM projects WHERE nft_id = $1', [id]);
+        await assertProjectAccess(req.user, projectResult.rows[0]?.id ?? null, 'viewer');
         
         const story = await flowService.getNftStory(id);
         if (!story) {
@@ -22,6 +28,9 @@ export async function getNftStoryHandler(req, res, next) {
         res.status(200).json(story);
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         // Handle cases where the NFT ID might be valid but not found in the collection
         if (error.message && error.message.includes('Could not borrow view resolver')) {
             return res.status(404).json({ error: `NFT with ID ${req.params.id} not found or collection not public.` });
@@ -43,6 +52,7 @@ export async function addLogEntryHandler(req, res, next) {
         if (!action || !outputCID) {
             return res.status(400).json({ error: 'Action description and output CID are required.' });
         }
+        await assertProjectAccess(req.user, Number(projectId), 'editor');
 
         // 1. Find the project in our DB to get its NFT ID
         const projectResult = await query('SELECT nft_id FROM projects WHERE id = $1', [projectId]);
@@ -59,7 +69,7 @@ export async function addLogEntryHandler(req, res, next) {
         // 2. Call the Flow service to add the log entry
         const sealedTx = await flowService.addLogEntry({
             nftId,
-            agent: "KintaGenApp", // Or get this from an authenticated user later
+            agent: agentName(req.user),
             action,
             outputCID,
         });
@@ -70,6 +80,9 @@ export async function addLogEntryHandler(req, res, next) {
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error(`[API ERROR] in addLogEntryHandler for project ${req.params.projectId}:`, error);
         next(error);
     }
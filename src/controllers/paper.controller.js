@@ -0,0 +1,204 @@
+// src/controllers/paper.controller.js
+import { query } from '../services/db.js';
+import * as storage from '../services/storage.service.js';
+import { insertRecord } from '../services/record.service.js';
+import { indexRecord } from '../services/rag.service.js';
+import { assertProjectAccess, visibleProjectsClause } from '../services/access.service.js';
+import { hasSources } from '../services/bibliography.service.js';
+import { lookupReference, normalizeDoi, validateMetadataUpdate } from '../services/metadata.service.js';
+import { FLAG_PROJECT, FLAG_STATUSES, flagDuplicates, scanProject, getFlag, listFlags, dismissFlag, mergePapers } from '../services/dedup.service.js';
+
+/**
+ * Adds a paper by DOI alone. Its bibliographic record is stored as a JSON document, which stands
+ * in for the paper's file, and its abstract is indexed as the paper's text.
+ * Body `{doi, projectId?, keywords?}`.
+ */
+export async function importDoiHandler(req, res, next) {
+    try {
+        const { doi: rawDoi, projectId, keywords } = req.body || {};
+        if (typeof rawDoi !== 'string' || !rawDoi.trim()) {
+            return res.status(400).json({ error: 'doi is required.' });
+        }
+        const doi = normalizeDoi(rawDoi);
+        const { value: extra, errors } = validateMetadataUpdate({ doi, ...(keywords !== undefined && { keywords }) });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid paper metadata.', details: errors });
+        }
+
+        const project = projectId ? Number(projectId) : null;
+        await assertProjectAccess(req.user, project, 'editor');
+        if (!hasSources()) {
+            return res.status(503).json({ error: 'No bibliographic sources are configured (BIBLIOGRAPHY_SOURCES).' });
+        }
+
+        const existing = await query('SELECT cid FROM paper WHERE doi = $1 AND project_id IS NOT DISTINCT FROM $2', [doi, project]);
+        if (existing.rows.length > 0) {
+            return res.status(409).json({ error: `A paper with DOI ${doi} is already in this project.`, cid: existing.rows[0].cid });
+        }
+
+        const reference = await lookupReference({ doi });
+        if (!reference?.metadata.title) {
+            return res.status(404).json({ error: `No bibliographic source has a record for DOI ${doi}.` });
+        }
+        const { metadata, source } = reference;
+
+        // The retrieval time keeps the document (and so its CID) distinct per import, since the
+        // same DOI may be imported into several projects.
+        const document = { ...metadata, doi: metadata.doi || doi, source, retrievedAt: new Date().toISOString() };
+        const filename = `${document.doi.replace(/[^a-z0-9.]+/gi, '_')}.json`;
+        const stored = await storage.put(Buffer.from(JSON.stringify(document, null, 2)), { filename, requestedBy: req.user.id, projectId: project });
+
+        const row = await insertRecord('paper', {
+            title: metadata.title,
+            journal: metadata.journal,
+            year: metadata.year,
+            authors: metadata.authors,
+            keywords: extra.keywords,
+            doi: document.doi,
+            pmid: metadata.pmid,
+            abstract: metadata.abstract,
+            license: metadata.license,
+            full_text: metadata.abstract || '',
+            metadata_status: 'complete',
+            metadata_source: source,
+            metadata_confidence: JSON.stringify(Object.fromEntries(Object.keys(metadata).map(field => [field, 1]))),
+            project_id: project,
+            uploaded_by: req.user.id,
+        }, stored);
+        if (!row) {
+            return res.status(409).json({ error: `A paper with DOI ${doi} is already in this project.`, cid: stored.cid });
+        }
+        console.log(`[DB] Imported paper ${stored.cid} from ${source} for DOI ${document.doi}`);
+
+        indexRecord(stored.cid, metadata.abstract || '').catch(error => console.error(`[RAG] Failed to index paper ${stored.cid}:`, error));
+        const duplicates = await flagDuplicates(stored.cid);
+
+        return res.status(201).json({
+            message: 'Paper imported successfully!',
+            rootCID: stored.cid,
+            title: metadata.title,
+            doi: document.doi,
+            projectId: project,
+            metadataSource: source,
+            uploadJobId: stored.jobId,
+            duplicateFlags: duplicates.map(flag => flag.id),
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('[API ERROR] in importDoiHandler:', error);
+        next(error);
+    }
+}
+
+/**
+ * Lists papers flagged as likely duplicates (`?status=open` by default, `?projectId=`, with ''
+ * for General papers). `?rescan=true` first compares every pair of papers in the project, which
+ * requires a projectId.
+ */
+export async function listDuplicatesHandler(req, res, next) {
+    try {
+        const status = req.query.status ?? 'open';
+        if (status !== 'all' && !FLAG_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Expected 'all' or one of: ${FLAG_STATUSES.join(', ')}.` });
+        }
+
+        let projectId;
+        if (req.query.projectId !== undefined) {
+            projectId = req.query.projectId === '' ? null : Number(req.query.projectId);
+            await assertProjectAccess(req.user, projectId, 'viewer');
+        }
+        if (req.query.rescan === 'true') {
+            if (projectId === undefined) {
+                return res.status(400).json({ error: 'A projectId is required to rescan for duplicates.' });
+            }
+            await assertProjectAccess(req.user, projectId, 'editor');
+            await scanProject(projectId);
+        }
+
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const offset = parseInt(req.query.offset, 10) || 0;
+        const { flags, total } = await listFlags({
+            status: status === 'all' ? undefined : status,
+            projectId,
+            visible: visibleProjectsClause(req.user, 1, FLAG_PROJECT),
+            limit,
+            offset,
+        });
+
+        res.status(200).json({
+            data: flags,
+            pagination: { total, limit, offset, count: flags.length },
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('[API ERROR] in listDuplicatesHandler:', error);
+        next(error);
+    }
+}
+
+/**
+ * Marks a duplicate flag as a false match.
+ */
+export async function dismissDuplicateHandler(req, res, next) {
+    try {
+        const id = Number(req.params.id);
+        if (!Number.isInteger(id)) {
+            return res.status(400).json({ error: 'A numeric flag ID is required.' });
+        }
+        const flag = await getFlag(id);
+        if (!flag) {
+            return res.status(404).json({ error: `Duplicate flag #${id} not found.` });
+        }
+        await assertProjectAccess(req.user, flag.project_id ?? null, 'editor');
+
+        const dismissed = await dismissFlag(id, req.user.id);
+        console.log(`[DEDUP] Flag #${id} (${flag.cid} / ${flag.duplicate_cid}) dismissed by user ${req.user.id}.`);
+        res.status(200).json({ data: dismissed });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error(`[API ERROR] in dismissDuplicateHandler for flag ${req.params.id}:`, error);
+        next(error);
+    }
+}
+
+/**
+ * Merges a duplicate paper into the one to keep. Body `{keepCid, duplicateCid}`; the caller must
+ * be an editor of both papers' projects. The duplicate's CID keeps resolving, to the kept paper.
+ */
+export async function mergePapersHandler(req, res, next) {
+    try {
+        const { keepCid, duplicateCid } = req.body || {};
+        if (typeof keepCid !== 'string' || typeof duplicateCid !== 'string' || !keepCid || !duplicateCid) {
+            return res.status(400).json({ error: 'keepCid and duplicateCid are required.' });
+        }
+
+        const papers = await query('SELECT cid, project_id FROM paper WHERE cid = ANY($1)', [[keepCid, duplicateCid]]);
+        for (const cid of [keepCid, duplicateCid]) {
+            const paper = papers.rows.find(row => row.cid === cid);
+            if (!paper) {
+                return res.status(404).json({ error: `Paper ${cid} not found.` });
+            }
+            await assertProjectAccess(req.user, paper.project_id ?? null, 'editor');
+        }
+
+        const { paper, repointed } = await mergePapers(keepCid, duplicateCid, req.user.id);
+
+        // The kept paper may have gained an abstract or full text; not awaited, like at upload.
+        indexRecord(keepCid, paper.full_text ?? undefined).catch(error => console.error(`[RAG] Failed to reindex paper ${keepCid}:`, error));
+
+        const { search_vector, full_text, ...data } = paper;
+        res.status(200).json({ data, mergedCid: duplicateCid, repointed });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('[API ERROR] in mergePapersHandler:', error);
+        next(error);
+    }
+}
@@ -0,0 +1,119 @@
+// src/controllers/pipeline.controller.js
+import { checkAnalysisInputs, resolveAnalysisProject } from '../services/analysis-job.service.js';
+import { getPipeline, listPipelines, pipelineInputTypes, pipelineMaxInputs } from '../services/analysis-pipelines.js';
+import { startPipelineRun, getPipelineRun, resumePipelineRun, validateStepParameters } from '../services/pipeline.service.js';
+import { assertProjectAccess } from '../services/access.service.js';
+
+/**
+ * Looks up a run for the current user. Like analysis jobs, runs are private to the user who
+ * started them (and admins).
+ */
+async function findOwnRun(req, res) {
+    const runId = Number(req.params.id);
+    if (!Number.isInteger(runId)) {
+        res.status(400).json({ error: 'A numeric run ID is required.' });
+        return null;
+    }
+    const run = await getPipelineRun(runId);
+    if (!run || (!req.user.isAdmin && run.requested_by !== req.user.id)) {
+        res.status(404).json({ error: `Pipeline run #${runId} not found.` });
+        return null;
+    }
+    return run;
+}
+
+/**
+ * Lists the registered pipelines with their steps and each step's parameter schema.
+ */
+export async function listPipelinesHandler(req, res) {
+    res.status(200).json({ data: listPipelines() });
+}
+
+/**
+ * Starts a pipeline run and answers 202 with the run to poll.
+ * Body: { inputCids, parameters?: { <stepId>: {...} }, projectId? }. Inputs and the target project
+ * are checked as for a single analysis; every step is recorded in the same project.
+ */
+export async function runPipelineHandler(req, res, next) {
+    const { name } = req.params;
+    const pipeline = getPipeline(name);
+    if (!pipeline) {
+        return res.status(404).json({ success: false, error: `Unknown pipeline "${name}". See GET /api/pipelines.` });
+    }
+
+    const { inputCids, parameters, projectId } = req.body || {};
+    if (!Array.isArray(inputCids) || inputCids.length === 0 || !inputCids.every(cid => typeof cid === 'string' && /^[a-z0-9]+$/i.test(cid))) {
+        return res.status(400).json({ success: false, error: 'Request body must include "inputCids", a non-empty array of CIDs.' });
+    }
+    const cids = [...new Set(inputCids)];
+    const maxInputs = pipelineMaxInputs(pipeline);
+    if (cids.length > maxInputs) {
+        return res.status(400).json({ success: false, error: `The ${name} pipeline takes at most ${maxInputs} input CID(s).` });
+    }
+    const { value: stepParameters, errors } = validateStepParameters(pipeline, parameters);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid parameters.', details: errors });
+    }
+
+    try {
+        const inputProjects = await checkAnalysisInputs(req.user, cids, pipelineInputTypes(pipeline), `The ${name} pipeline`);
+        const targetProjectId = await resolveAnalysisProject(req.user, projectId, inputProjects);
+
+        const run = await startPipelineRun(name, cids, stepParameters, req.user.id, targetProjectId);
+        res.status(202).set('Location', `/api/pipelines/runs/${run.id}`).json({
+            success: true,
+            runId: run.id,
+            status: run.status,
+            statusUrl: `/api/pipelines/runs/${run.id}`,
+            data: run,
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        console.error(`[API ERROR] while starting ${name} pipeline:`, error);
+        next(error);
+    }
+}
+
+/**
+ * Reports a run with the status, job and result CID of each step, and the provenance CID once
+ * every step has succeeded.
+ */
+export async function getPipelineRunHandler(req, res, next) {
+    try {
+        const run = await findOwnRun(req, res);
+        if (!run) return;
+        res.status(200).json({ data: run });
+    } catch (error) {
+        console.error(`[API ERROR] in getPipelineRunHandler for run ${req.params.id}:`, error);
+        next(error);
+    }
+}
+
+/**
+ * Resumes a failed run from the steps that failed. Steps that succeeded are not run again.
+ */
+export async function resumePipelineRunHandler(req, res, next) {
+    try {
+        const run = await findOwnRun(req, res);
+        if (!run) return;
+        // The project may have been archived, or the user demoted, since the run started.
+        if (run.project_id) await assertProjectAccess(req.user, run.project_id, 'editor');
+
+        const resumed = await resumePipelineRun(run.id);
+        res.status(202).set('Location', `/api/pipelines/runs/${run.id}`).json({
+            success: true,
+            runId: run.id,
+            status: resumed.status,
+            statusUrl: `/api/pipelines/runs/${run.id}`,
+            data: resumed,
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        console.error(`[API ERROR] in resumePipelineRunHandler for run ${req.params.id}:`, error);
+        next(error);
+    }
+}
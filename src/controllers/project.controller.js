@@ -1,9 +1,20 @@
 // src/controllers/project.controller.js
 import * as projectService from '../services/project.service.js';
+import { agentName, findOrCreateUserByAddress } from '../services/auth.service.js';
+import { assertProjectAccess } from '../services/access.service.js';
+
+function handleServiceError(error, res, next, handlerName) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`[API ERROR] in ${handlerName}:`, error);
+    next(error);
+}
 
 export async function listProjectsHandler(req, res, next) {
     try {
-        const projects = await projectService.getAllProjects();
+        const includeArchived = req.query.includeArchived === 'true';
+        const projects = await projectService.getAllProjects(req.user, { includeArchived });
         res.status(200).json(projects);
     } catch (error) {
         console.error('[API ERROR] in listProjectsHandler:', error);
@@ -12,12 +23,17 @@ export async function listProjectsHandler(req, res, next) {
 }
 
 export async function createProjectHandler(req, res, next) {
+    const { name, description } = req.body;
     try {
-        const { name, description } = req.body;
+        // New projects make their creator an owner who can upload and mint, so not everyone who
+        // can sign in may create one.
+        if (!req.user.canCreateProjects) {
+            return res.status(403).json({ error: 'You are not allowed to create projects. Ask an admin for access.' });
+        }
         if (!name) {
             return res.status(400).json({ error: 'Project name is required' });
         }
-        const newProject = await projectService.createProject(name, description);
+        const newProject = await projectService.createProject(name, description, req.user.id);
         res.status(201).json(newProject);
     } catch (error) {
         // Handle unique constraint violation for name
@@ -29,6 +45,64 @@ export async function createProjectHandler(req, res, next) {
     }
 }
 
+/**
+ * Gets a project with per-type record counts and the latest entry of its NFT logbook.
+ */
+export async function getProjectHandler(req, res, next) {
+    try {
+        const projectId = Number(req.params.id);
+        await assertProjectAccess(req.user, projectId, 'viewer');
+        const project = await projectService.getProjectDetails(projectId, req.user);
+        if (!project) {
+            return res.status(404).json({ error: `Project with ID ${projectId} not found.` });
+        }
+        res.status(200).json(project);
+    } catch (error) {
+        handleServiceError(error, res, next, `getProjectHandler for ID ${req.params.id}`);
+    }
+}
+
+/**
+ * Updates a project's name or description, or archives/unarchives it. Owners only.
+ * Body: { name?, description?, archived? }
+ */
+export async function updateProjectHandler(req, res, next) {
+    const { name, description, archived } = req.body || {};
+    try {
+        const projectId = Number(req.params.id);
+        if (archived !== undefined && typeof archived !== 'boolean') {
+            return res.status(400).json({ error: 'archived must be true or false.' });
+        }
+        await assertProjectAccess(req.user, projectId, 'owner');
+
+        const project = await projectService.updateProject(projectId, { name, description, archived });
+        res.status(200).json(project);
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: `A project with the name "${name}" already exists.` });
+        }
+        handleServiceError(error, res, next, `updateProjectHandler for ID ${req.params.id}`);
+    }
+}
+
+/**
+ * Permanently deletes a project that has no NFT. Its records become unassigned (General) data.
+ */
+export async function deleteProjectHandler(req, res, next) {
+    try {
+        const projectId = Number(req.params.id);
+        await assertProjectAccess(req.user, projectId, 'owner');
+
+        const { counts } = await projectService.deleteProject(projectId);
+        res.status(200).json({
+            message: `Project ${projectId} deleted. Its records are now unassigned.`,
+            unassignedRecords: counts,
+        });
+    } catch (error) {
+        handleServiceError(error, res, next, `deleteProjectHandler for ID ${req.params.id}`);
+    }
+}
+
 /**
  * Controller to trigger the NFT minting for an existing project.
  */
@@ -38,12 +112,16 @@ export async function mintProjectNftHandler(req, res, next) {
         if (!id) {
             return res.status(400).json({ error: 'Project ID is required.' });
         }
+        await assertProjectAccess(req.user, Number(id), 'owner');
 
-        const updatedProject = await projectService.mintNftForProject(Number(id));
+        const updatedProject = await projectService.mintNftForProject(Number(id), agentName(req.user));
         
         res.status(200).json(updatedProject);
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         // Handle specific errors from the service, like "already minted"
         if (error.message.includes('already been minted')) {
             return res.status(409).json({ error: error.message });
@@ -54,4 +132,68 @@ export async function mintProjectNftHandler(req, res, next) {
         console.error(`[API ERROR] in mintProjectNftHandler for ID ${req.params.id}:`, error);
         next(error);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Lists a project's members. Any member can see who else is in the project.
+ */
+export async function listMembersHandler(req, res, next) {
+    try {
+        const projectId = Number(req.params.id);
+        await assertProjectAccess(req.user, projectId, 'viewer');
+        const members = await projectService.listMembers(projectId);
+        res.status(200).json({ data: members });
+    } catch (error) {
+        handleServiceError(error, res, next, `listMembersHandler for project ${req.params.id}`);
+    }
+}
+
+/**
+ * Invites a user to a project, or changes their role. Owners only.
+ * Body: { userId | ethAddress | flowAddress, role }. Inviting an address that has never signed in
+ * creates its account, so the membership applies as soon as that wallet signs in.
+ */
+export async function addMemberHandler(req, res, next) {
+    try {
+        const projectId = Number(req.params.id);
+        const { userId, ethAddress, flowAddress, role } = req.body || {};
+        if (!userId && !ethAddress && !flowAddress) {
+            return res.status(400).json({ error: 'One of userId, ethAddress or flowAddress is required.' });
+        }
+        if (userId && !Number.isInteger(Number(userId))) {
+            return res.status(400).json({ error: 'userId must be a numeric user ID.' });
+        }
+        await assertProjectAccess(req.user, projectId, 'owner');
+
+        const memberId = userId
+            ? Number(userId)
+            : (await findOrCreateUserByAddress({ ethAddress, flowAddress })).id;
+        const member = await projectService.addMember(projectId, memberId, role, req.user.id);
+        res.status(201).json({ data: member });
+    } catch (error) {
+        // Foreign key violation: the userId does not exist
+        if (error.code === '23503') {
+            return res.status(404).json({ error: `User #${req.body.userId} not found.` });
+        }
+        handleServiceError(error, res, next, `addMemberHandler for project ${req.params.id}`);
+    }
+}
+
+/**
+ * Removes a member from a project. Owners can remove anyone; any member can remove themselves.
+ */
+export async function removeMemberHandler(req, res, next) {
+    try {
+        const projectId = Number(req.params.id);
+        const userId = Number(req.params.userId);
+        if (!Number.isInteger(userId)) {
+            return res.status(400).json({ error: 'A numeric user ID is required.' });
+        }
+        await assertProjectAccess(req.user, projectId, userId === req.user.id ? 'viewer' : 'owner');
+
+        await projectService.removeMember(projectId, userId);
+        res.status(204).end();
+    } catch (error) {
+        handleServiceError(error, res, next, `removeMemberHandler for project ${req.params.id}`);
+    }
+}
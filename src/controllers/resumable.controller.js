@@ -0,0 +1,151 @@
+// src/controllers/resumable.controller.js
+import * as resumableService from '../services/resumable.service.js';
+import { assertProjectAccess } from '../services/access.service.js';
+import config from '../config.js';
+
+// Content types accepted for chunk bodies. The first is the one the tus protocol uses.
+const CHUNK_CONTENT_TYPES = ['application/offset+octet-stream', 'application/octet-stream'];
+
+const uploadLocation = (id) => `/api/uploads/resumable/${id}`;
+
+function toResponse(upload) {
+    return {
+        uploadId: upload.id,
+        status: upload.status,
+        filename: upload.filename,
+        dataType: upload.data_type,
+        size: Number(upload.size),
+        offset: Number(upload.upload_offset),
+        piecesStored: upload.stored_pieces.length,
+        cid: upload.cid,
+        error: upload.error,
+        createdAt: upload.created_at,
+        updatedAt: upload.updated_at,
+    };
+}
+
+function handleServiceError(error, res, next, handlerName) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`[API ERROR] in ${handlerName}:`, error);
+    next(error);
+}
+
+/**
+ * Loads an upload, hiding it from everyone but the user who started it (and admins).
+ */
+async function loadOwnUpload(req) {
+    const upload = await resumableService.getResumableUpload(req.params.uploadId);
+    if (!upload || (!req.user.isAdmin && upload.record_fields.uploaded_by !== req.user.id)) {
+        throw Object.assign(new Error(`Resumable upload ${req.params.uploadId} not found.`), { statusCode: 404 });
+    }
+    return upload;
+}
+
+/**
+ * Starts a resumable upload. Body: { filename, size, sha256?, dataType, metadata?, projectId?, isEncrypted?, litTokenId? }
+ */
+export async function createResumableUploadHandler(req, res, next) {
+    try {
+        const { filename, size, sha256, dataType, metadata, projectId, isEncrypted, litTokenId } = req.body || {};
+        await assertProjectAccess(req.user, projectId ? Number(projectId) : null, 'editor');
+
+        const upload = await resumableService.createResumableUpload({
+            filename,
+            size: Number(size),
+            sha256,
+            dataType,
+            metadata,
+            projectId,
+            isEncrypted: isEncrypted === true || isEncrypted === 'true',
+            litTokenId,
+            uploadedBy: req.user.id,
+        });
+
+        res.status(201).set({
+            'Location': uploadLocation(upload.id),
+            'Upload-Offset': '0',
+            'Upload-Length': String(upload.size),
+        }).json({ ...toResponse(upload), chunkSize: config.resumableUploads.chunkSize });
+    } catch (error) {
+        handleServiceError(error, res, next, 'createResumableUploadHandler');
+    }
+}
+
+/**
+ * Reports an upload's offset and status. HEAD returns only the tus headers.
+ */
+export async function getResumableUploadHandler(req, res, next) {
+    try {
+        const upload = await loadOwnUpload(req);
+
+        res.set({
+            'Upload-Offset': String(upload.upload_offset),
+            'Upload-Length': String(upload.size),
+            'Cache-Control': 'no-store',
+        });
+        if (req.method === 'HEAD') {
+            return res.status(200).end();
+        }
+        res.status(200).json({ data: toResponse(upload) });
+    } catch (error) {
+        handleServiceError(error, res, next, 'getResumableUploadHandler');
+    }
+}
+
+/**
+ * Appends the request body as the next chunk. Requires an `Upload-Offset` header and
+ * optionally an `Upload-Checksum: sha256 <base64>` header.
+ */
+export async function appendChunkHandler(req, res, next) {
+    try {
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+        if (!CHUNK_CONTENT_TYPES.includes(contentType)) {
+            return res.status(415).json({ error: `Chunks must be sent as ${CHUNK_CONTENT_TYPES[0]}.` });
+        }
+
+        const offset = Number(req.headers['upload-offset']);
+        if (!Number.isInteger(offset) || offset < 0) {
+            return res.status(400).json({ error: 'A valid Upload-Offset header is required.' });
+        }
+
+        await loadOwnUpload(req);
+        const newOffset = await resumableService.appendChunk(
+            req.params.uploadId,
+            offset,
+            req,
+            req.headers['upload-checksum']
+        );
+        res.status(204).set('Upload-Offset', String(newOffset)).end();
+    } catch (error) {
+        handleServiceError(error, res, next, `appendChunkHandler for upload ${req.params.uploadId}`);
+    }
+}
+
+/**
+ * Finishes an upload once every byte has arrived. Storage happens in the background,
+ * so this answers 202 and the client polls the upload until it is 'completed'.
+ */
+export async function completeResumableUploadHandler(req, res, next) {
+    try {
+        await loadOwnUpload(req);
+        const upload = await resumableService.completeResumableUpload(req.params.uploadId);
+        res.status(202).set('Location', uploadLocation(upload.id)).json({ data: toResponse(upload) });
+    } catch (error) {
+        handleServiceError(error, res, next, `completeResumableUploadHandler for upload ${req.params.uploadId}`);
+    }
+}
+
+/**
+ * Cancels an upload and deletes the chunks received so far.
+ */
+export async function abortResumableUploadHandler(req, res, next) {
+    try {
+        await loadOwnUpload(req);
+        await resumableService.abortResumableUpload(req.params.uploadId);
+        res.status(204).end();
+    } catch (error) {
+        handleServiceError(error, res, next, `abortResumableUploadHandler for upload ${req.params.uploadId}`);
+    }
+}
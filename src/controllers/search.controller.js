@@ -0,0 +1,46 @@
+// src/controllers/search.controller.js
+import { searchRecords, SEARCH_TYPES } from '../services/search.service.js';
+import { assertProjectAccess } from '../services/access.service.js';
+
+/**
+ * Ranked search across papers, experiments, analyses, genomes and spectra.
+ * Query: q, types? (comma-separated), projectId? ('' for General data), semantic?, limit?, offset?.
+ * Hits carry a `snippet` of escaped HTML with matched terms wrapped in <mark>.
+ */
+export async function searchHandler(req, res, next) {
+    try {
+        const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (!q || q.length > 500) {
+            return res.status(400).json({ error: 'A search query "q" of at most 500 characters is required.' });
+        }
+
+        const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean) : Object.keys(SEARCH_TYPES);
+        const unknownTypes = types.filter(type => !Object.hasOwn(SEARCH_TYPES, type));
+        if (types.length === 0 || unknownTypes.length > 0) {
+            return res.status(400).json({ error: `Invalid types. Expected any of: ${Object.keys(SEARCH_TYPES).join(', ')}.` });
+        }
+
+        let projectId;
+        if (req.query.projectId !== undefined) {
+            projectId = req.query.projectId === '' ? null : Number(req.query.projectId);
+            await assertProjectAccess(req.user, projectId, 'viewer');
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const semantic = req.query.semantic === 'true';
+
+        const { hits, total } = await searchRecords(req.user, q, { types: [...new Set(types)], projectId, semantic, limit, offset });
+        res.status(200).json({
+            data: hits,
+            pagination: { total, limit, offset, count: hits.length },
+            query: { q, types, semantic },
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('[API ERROR] in searchHandler:', error);
+        next(error);
+    }
+}
@@ -1,10 +1,35 @@
 // src/controllers/upload.controller.js
 import { query } from '../services/db.js';
-import { uploadData } from '../services/synapse.js';
-import * as aiService from '../services/ai.service.js';
+import * as storage from '../services/storage.service.js';
 import * as pdfService from '../services/pdf.service.js';
+import { findRecordByCid, insertRecord } from '../services/record.service.js';
+import { extractPaperMetadata } from '../services/metadata.service.js';
+import { indexRecord } from '../services/rag.service.js';
+import { getUploadJob, listUploadJobs, retryUploadJob, JOB_STATUSES } from '../services/queue.service.js';
+import { assertProjectAccess } from '../services/access.service.js';
+import { flagDuplicates } from '../services/dedup.service.js';
+import { validateExperimentMetadata } from '../services/experiment.service.js';
+import { listInstrumentTypes } from '../services/instruments.js';
 import fs from 'fs';
 
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Identical files get the same CID, and a CID belongs to a single record, so an upload of a file
+ * stored before answers with the record kept for it. The file of a record of another type or in
+ * another project cannot be added again.
+ * @returns {Promise<object|null>} The existing row, or null if the file is new.
+ */
+async function findExistingRecord(cid, type, projectId) {
+    const record = await findRecordByCid(cid);
+    if (!record) return null;
+    if (record.type !== type || (record.project_id ?? null) !== projectId) {
+        throw httpError(409, `This file is already stored as ${record.type} ${record.cid}; a file can only belong to one record.`);
+    }
+    const result = await query(`SELECT * FROM ${record.type} WHERE cid = $1`, [record.cid]);
+    return result.rows[0];
+}
+
 /**
  * The main, flexible handler for processing and uploading files.
  * It categorizes data based on the 'dataType' parameter from the request.
@@ -28,10 +53,53 @@ export async function processAndUploadHandler(req, res, next) {
 
     try {
         console.log(`[API] Processing ${dataType} for project ${projectId || 'General'}. Encrypted: ${isEncryptedBool}`);
+        await assertProjectAccess(req.user, projectId ? Number(projectId) : null, 'editor');
+
+        // Checked before the file is stored, so a mistyped form does not cost an upload.
+        if ((dataType === 'experiment' || dataType === 'analysis') && !manualTitle) {
+            return res.status(400).json({ error: `A title is required for ${dataType} data.` });
+        }
+        let experiment = { metadata: {}, fields: {} };
+        if (dataType === 'experiment') {
+            experiment = validateExperimentMetadata(req.body);
+            if (experiment.errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid experiment metadata.', details: experiment.errors });
+            }
+        }
         
         const fileBuffer = fs.readFileSync(tempFilePath);
-        const uploadResult = await uploadData(fileBuffer);
-        const commP = uploadResult.commp;
+        const uploadResult = await storage.put(fileBuffer, {
+            filename: req.file.originalname,
+            requestedBy: req.user.id,
+            projectId: projectId ? Number(projectId) : null,
+        });
+        const commP = uploadResult.cid;
+
+        if (['paper', 'experiment', 'analysis'].includes(dataType)) {
+            const existing = await findExistingRecord(commP, dataType, projectId ? Number(projectId) : null);
+            if (existing) {
+                console.log(`[API] ${req.file.originalname} was uploaded before as ${dataType} ${existing.cid}; returning that record.`);
+                // The existing record is returned as it is, so say which of the form's fields it did not take.
+                const ignoredFields = Object.keys(req.body)
+                    .filter(field => field !== 'dataType' && field !== 'projectId' && req.body[field] !== '');
+                return res.status(200).json({
+                    message: `This file was uploaded before; this is its existing ${dataType} record.`
+                        + (ignoredFields.length > 0 ? ` The ${ignoredFields.join(', ')} sent with it were not applied.` : ''),
+                    rootCID: existing.cid,
+                    title: existing.title,
+                    projectId: existing.project_id,
+                    isEncrypted: existing.is_encrypted,
+                    litTokenId: existing.lit_token_id,
+                    metadataStatus: existing.metadata_status,
+                    metadataConfidence: existing.metadata_confidence,
+                    metadataSource: existing.metadata_source,
+                    metadataConflicts: existing.metadata_conflicts,
+                    uploadJobId: uploadResult.jobId,
+                    duplicate: true,
+                    ignoredFields,
+                });
+            }
+        }
 
         // This object now holds all metadata that will be returned
         let responseMetadata = {
@@ -48,60 +116,112 @@ export async function processAndUploadHandler(req, res, next) {
                 responseMetadata.title = req.file.originalname;
 
                 // --- MODIFIED: Insert encryption metadata ---
-                await query(
-                    `INSERT INTO paper (cid, title, project_id, is_encrypted, lit_token_id) 
-                     VALUES ($1, $2, $3, $4, $5) ON CONFLICT (cid) DO NOTHING`,
-                    [commP, responseMetadata.title, responseMetadata.projectId, isEncryptedBool, responseMetadata.litTokenId]
-                );
+                await insertRecord('paper', {
+                    title: responseMetadata.title,
+                    project_id: responseMetadata.projectId,
+                    is_encrypted: isEncryptedBool,
+                    lit_token_id: responseMetadata.litTokenId,
+                    uploaded_by: req.user.id,
+                    filename: req.file.originalname,
+                }, uploadResult);
 
             } else { // Handle unencrypted papers (PDF or text)
                 let text = '';
                 if (req.file.mimetype === 'application/pdf') {
                     console.log('[API] File is a PDF. Parsing text...');
-                    text = await pdfService.extractTextFromBuffer(fileBuffer);
+                    text = await pdfService.extractTextFromBuffer(fileBuffer).catch(error => {
+                        console.error(`[API] Could not parse the text of ${req.file.originalname}:`, error.message);
+                        return '';
+                    });
                 } else if (req.file.mimetype.startsWith('text/')) {
                     console.log('[API] File is a plain text file.');
                     text = fileBuffer.toString('utf-8');
                 }
 
                 if (text) {
-                    console.log('[API] Running AI metadata extraction...');
-                    const aiMeta = await aiService.extractMetadataFromText(text);
-                    responseMetadata = { ...responseMetadata, ...aiMeta, title: aiMeta.title };
-                    
-                    await query(
-                        `INSERT INTO paper (cid, title, journal, year, keywords, authors, project_id, is_encrypted, lit_token_id) 
-                         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) ON CONFLICT (cid) DO NOTHING`,
-                        [commP, aiMeta.title, aiMeta.journal, aiMeta.year, aiMeta.keywords, aiMeta.authors, responseMetadata.projectId, isEncryptedBool, responseMetadata.litTokenId]
-                    );
+                    // The file is already stored, so extraction must not fail the upload: papers
+                    // it is unsure about are saved for review (PATCH /api/data/paper/:cid).
+                    console.log('[API] Running AI metadata extraction and bibliographic lookup...');
+                    const extraction = await extractPaperMetadata(text);
+                    const meta = extraction.metadata;
+                    if (extraction.status === 'pending_review') {
+                        console.warn(`[API] Paper ${commP} needs metadata review: ${extraction.error}`);
+                    }
+                    responseMetadata = {
+                        ...responseMetadata,
+                        ...meta,
+                        title: meta.title || req.file.originalname,
+                        metadataStatus: extraction.status,
+                        metadataConfidence: extraction.confidence,
+                        metadataSource: extraction.source,
+                        metadataConflicts: extraction.conflicts,
+                    };
+
+                    await insertRecord('paper', {
+                        title: responseMetadata.title,
+                        journal: meta.journal,
+                        year: meta.year,
+                        keywords: meta.keywords,
+                        authors: meta.authors,
+                        doi: meta.doi,
+                        pmid: meta.pmid,
+                        abstract: meta.abstract,
+                        license: meta.license,
+                        full_text: text,
+                        metadata_status: extraction.status,
+                        metadata_confidence: JSON.stringify(extraction.confidence),
+                        metadata_error: extraction.error,
+                        metadata_source: extraction.source,
+                        metadata_conflicts: extraction.conflicts && JSON.stringify(extraction.conflicts),
+                        project_id: responseMetadata.projectId,
+                        is_encrypted: isEncryptedBool,
+                        lit_token_id: responseMetadata.litTokenId,
+                        uploaded_by: req.user.id,
+                        filename: req.file.originalname,
+                    }, uploadResult);
+
+                    // Chunk and embed the text for chat while we still have it; not awaited, and
+                    // a failure only means the paper is indexed on demand later.
+                    indexRecord(commP, text).catch(error => console.error(`[RAG] Failed to index paper ${commP}:`, error));
                 } else {
                     console.log(`[API] Unencrypted file type '${req.file.mimetype}' not parsable. Saving with filename as title.`);
                     responseMetadata.title = req.file.originalname;
-                    await query(
-                        `INSERT INTO paper (cid, title, project_id, is_encrypted, lit_token_id) 
-                         VALUES ($1, $2, $3, $4, $5) ON CONFLICT (cid) DO NOTHING`,
-                        [commP, responseMetadata.title, responseMetadata.projectId, isEncryptedBool, responseMetadata.litTokenId]
-                    );
+                    responseMetadata.metadataStatus = 'pending_review';
+                    await insertRecord('paper', {
+                        title: responseMetadata.title,
+                        metadata_status: 'pending_review',
+                        metadata_error: 'No text could be read from the file, so its metadata must be entered by hand.',
+                        project_id: responseMetadata.projectId,
+                        is_encrypted: isEncryptedBool,
+                        lit_token_id: responseMetadata.litTokenId,
+                        uploaded_by: req.user.id,
+                        filename: req.file.originalname,
+                    }, uploadResult);
                 }
             }
             console.log(`[DB] Saved paper metadata for CommP: ${commP}`);
+            responseMetadata.duplicateFlags = (await flagDuplicates(commP)).map(flag => flag.id);
 
         } else if (dataType === 'experiment' || dataType === 'analysis') {
-            if (!manualTitle) throw new Error(`A title is required for ${dataType} data.`);
             responseMetadata.title = manualTitle;
-            const targetTable = dataType;
 
             // --- MODIFIED: Insert encryption metadata for experiments and analyses ---
-            await query(
-                `INSERT INTO ${targetTable} (cid, title, project_id, is_encrypted, lit_token_id) 
-                 VALUES ($1, $2, $3, $4, $5) ON CONFLICT (cid) DO NOTHING`,
-                [commP, responseMetadata.title, responseMetadata.projectId, isEncryptedBool, responseMetadata.litTokenId]
-            );
+            await insertRecord(dataType, {
+                ...experiment.fields,
+                title: responseMetadata.title,
+                project_id: responseMetadata.projectId,
+                is_encrypted: isEncryptedBool,
+                lit_token_id: responseMetadata.litTokenId,
+                uploaded_by: req.user.id,
+                filename: req.file.originalname,
+            }, uploadResult);
+            if (dataType === 'experiment') responseMetadata.experiment = experiment.metadata;
             console.log(`[DB] Saved ${dataType} data for CommP: ${commP}`);
 
         } else {
             return res.status(200).json({
-                rootCID: commP
+                rootCID: commP,
+                uploadJobId: uploadResult.jobId,
             });
         }
         
@@ -113,9 +233,20 @@ export async function processAndUploadHandler(req, res, next) {
             projectId: responseMetadata.projectId,
             isEncrypted: isEncryptedBool,
             litTokenId: responseMetadata.litTokenId,
+            metadataStatus: responseMetadata.metadataStatus,
+            metadataConfidence: responseMetadata.metadataConfidence,
+            metadataSource: responseMetadata.metadataSource,
+            metadataConflicts: responseMetadata.metadataConflicts,
+            duplicateFlags: responseMetadata.duplicateFlags,
+            experiment: responseMetadata.experiment,
+            uploadJobId: uploadResult.jobId,
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            // A 504 from the upload queue names the job that is still running.
+            return res.status(error.statusCode).json({ error: error.message, ...(error.jobId && { uploadJobId: error.jobId }) });
+        }
         console.error(`[API ERROR] in processAndUploadHandler:`, error);
         next(error);
     } finally {
@@ -135,21 +266,27 @@ export async function uploadAndAddRootHandler(req, res, next) {
             return res.status(400).json({ error: 'file is required' });
         }
 
+        // Generic uploads belong to no project, so only admins may add them.
+        await assertProjectAccess(req.user, null, 'editor');
         console.log(`[API] Received file ${req.file.originalname} (${req.file.size} bytes) for proof set ${proofSetID || 'any'}`);
-        const uploadResult = await uploadData(req.file.buffer, { proofSetId: proofSetID ? Number(proofSetID) : undefined });
+        const uploadResult = await storage.put(req.file.buffer, { proofSetId: proofSetID ? Number(proofSetID) : undefined, filename: req.file.originalname, requestedBy: req.user.id });
 
         await query(
-            'INSERT INTO file_cids (filename, cid) VALUES ($1, $2) ON CONFLICT (cid) DO NOTHING',
-            [req.file.originalname, uploadResult.commp]
+            'INSERT INTO file_cids (filename, cid, uploaded_by) VALUES ($1, $2, $3) ON CONFLICT (cid) DO NOTHING',
+            [req.file.originalname, uploadResult.cid, req.user.id]
         );
-        console.log(`[DB] Saved generic mapping: ${req.file.originalname} -> ${uploadResult.commp}`);
+        console.log(`[DB] Saved generic mapping: ${req.file.originalname} -> ${uploadResult.cid}`);
 
         return res.status(200).json({
             proofSetID: uploadResult.proofSetId,
-            rootCID: uploadResult.commp,
+            rootCID: uploadResult.cid,
+            uploadJobId: uploadResult.jobId,
             message: "File uploaded and root added successfully",
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, ...(error.jobId && { uploadJobId: error.jobId }) });
+        }
         console.error('[API ERROR] in uploadAndAddRootHandler:', error);
         next(error);
     }
@@ -165,24 +302,50 @@ export async function uploadAndAddGenomeHandler(req, res, next) {
             return res.status(400).json({ error: 'file and organism are required' });
         }
         console.log(`[API] Uploading genome for: "${organism}", Project: ${projectId || 'General'}`);
+        await assertProjectAccess(req.user, projectId ? Number(projectId) : null, 'editor');
+
+        const uploadResult = await storage.put(req.file.buffer, {
+            filename: req.file.originalname,
+            requestedBy: req.user.id,
+            projectId: projectId ? Number(projectId) : null,
+        });
+        const commP = uploadResult.cid;
 
-        const uploadResult = await uploadData(req.file.buffer);
-        const commP = uploadResult.commp;
+        const existing = await findExistingRecord(commP, 'genome', projectId ? Number(projectId) : null);
+        if (existing) {
+            return res.status(200).json({
+                proofSetID: existing.proof_set_id,
+                rootCID: existing.cid,
+                uploadJobId: uploadResult.jobId,
+                organism: existing.organism,
+                assemblyVersion: existing.assembly_version,
+                notes: existing.notes,
+                duplicate: true,
+            });
+        }
 
-        await query(
-            'INSERT INTO genome (cid, organism, assembly_version, notes, project_id) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (cid) DO NOTHING',
-            [commP, organism, assemblyVersion || null, notes || null, projectId || null]
-        );
+        await insertRecord('genome', {
+            organism,
+            assembly_version: assemblyVersion || null,
+            notes: notes || null,
+            project_id: projectId || null,
+            uploaded_by: req.user.id,
+            filename: req.file.originalname,
+        }, uploadResult);
         console.log(`[DB] Saved genome metadata for CommP: ${commP}`);
 
         return res.status(200).json({
             proofSetID: uploadResult.proofSetId,
             rootCID: commP,
+            uploadJobId: uploadResult.jobId,
             organism,
             assemblyVersion,
             notes,
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, ...(error.jobId && { uploadJobId: error.jobId }) });
+        }
         console.error('[API ERROR] in uploadAndAddGenomeHandler:', error);
         next(error);
     }
@@ -198,6 +361,7 @@ export async function uploadAndAddSpectrumHandler(req, res, next) {
             return res.status(400).json({ error: 'file and compound are required' });
         }
         console.log(`[API] Uploading spectrum for: "${compound}", Project: ${projectId || 'General'}`);
+        await assertProjectAccess(req.user, projectId ? Number(projectId) : null, 'editor');
 
         let metadataJsonb = null;
         if (metadata) {
@@ -208,24 +372,123 @@ export async function uploadAndAddSpectrumHandler(req, res, next) {
             }
         }
 
-        const uploadResult = await uploadData(req.file.buffer);
-        const commP = uploadResult.commp;
+        const uploadResult = await storage.put(req.file.buffer, {
+            filename: req.file.originalname,
+            requestedBy: req.user.id,
+            projectId: projectId ? Number(projectId) : null,
+        });
+        const commP = uploadResult.cid;
+
+        const existing = await findExistingRecord(commP, 'spectrum', projectId ? Number(projectId) : null);
+        if (existing) {
+            return res.status(200).json({
+                proofSetID: existing.proof_set_id,
+                rootCID: existing.cid,
+                uploadJobId: uploadResult.jobId,
+                compound: existing.compound,
+                technique: existing.technique_nmr_ir_ms,
+                metadata: existing.metadata_json,
+                duplicate: true,
+            });
+        }
 
-        await query(
-            'INSERT INTO spectrum (cid, compound, technique_nmr_ir_ms, metadata_json, project_id) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (cid) DO NOTHING',
-            [commP, compound, technique || null, metadataJsonb, projectId || null]
-        );
+        await insertRecord('spectrum', {
+            compound,
+            technique_nmr_ir_ms: technique || null,
+            metadata_json: metadataJsonb,
+            project_id: projectId || null,
+            uploaded_by: req.user.id,
+            filename: req.file.originalname,
+        }, uploadResult);
         console.log(`[DB] Saved spectrum metadata for CommP: ${commP}`);
 
         res.status(200).json({
             proofSetID: uploadResult.proofSetId,
             rootCID: commP,
+            uploadJobId: uploadResult.jobId,
             compound,
             technique,
             metadata: metadataJsonb,
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, ...(error.jobId && { uploadJobId: error.jobId }) });
+        }
         console.error('[API ERROR] in uploadAndAddSpectrumHandler:', error);
         next(error);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * The instrument types experiments can be uploaded with, and the schema of each one's parameters.
+ */
+export async function listInstrumentTypesHandler(req, res) {
+    res.status(200).json({ data: listInstrumentTypes() });
+}
+
+/**
+ * Reports the state of a single queued upload the user requested or can see through its project.
+ */
+export async function getUploadJobHandler(req, res, next) {
+    try {
+        const jobId = Number(req.params.jobId);
+        if (!Number.isInteger(jobId)) {
+            return res.status(400).json({ error: 'A numeric job ID is required.' });
+        }
+
+        const job = await getUploadJob(jobId, req.user);
+        if (!job) {
+            return res.status(404).json({ error: `Upload job #${jobId} not found.` });
+        }
+        res.status(200).json({ data: job });
+    } catch (error) {
+        console.error(`[API ERROR] in getUploadJobHandler for job ${req.params.jobId}:`, error);
+        next(error);
+    }
+}
+
+/**
+ * Lists the user's queued and past uploads and those of their projects, optionally filtered by status.
+ */
+export async function listUploadJobsHandler(req, res, next) {
+    try {
+        const { status } = req.query;
+        if (status && !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Expected one of: ${JOB_STATUSES.join(', ')}.` });
+        }
+
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const offset = parseInt(req.query.offset, 10) || 0;
+        const { jobs, total } = await listUploadJobs(req.user, { status, limit, offset });
+
+        res.status(200).json({
+            data: jobs,
+            pagination: { total, limit, offset, count: jobs.length },
+        });
+    } catch (error) {
+        console.error('[API ERROR] in listUploadJobsHandler:', error);
+        next(error);
+    }
+}
+
+/**
+ * Manually re-queues an upload that exhausted its automatic retries. Takes the editor role in
+ * the job's project.
+ */
+export async function retryUploadJobHandler(req, res, next) {
+    try {
+        const jobId = Number(req.params.jobId);
+        if (!Number.isInteger(jobId)) {
+            return res.status(400).json({ error: 'A numeric job ID is required.' });
+        }
+
+        const job = await retryUploadJob(jobId, req.user);
+        res.status(202).json({ data: job });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error(`[API ERROR] in retryUploadJobHandler for job ${req.params.jobId}:`, error);
+        next(error);
+    }
+}
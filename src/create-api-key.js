@@ -0,0 +1,60 @@
+// src/create-api-key.js
+// Creates an API key from the command line, e.g. for the first user or for a CI machine.
+//
+//   node src/create-api-key.js --name "Lab robot" [--eth 0x...] [--flow 0x...] [--admin] [--project-creator] [--label ci]
+//   node src/create-api-key.js --user 3 [--admin] [--project-creator] [--label laptop]
+//
+// --admin grants access to every project and to unassigned ("General") data.
+// --project-creator lets a user create projects (admins always can).
+// A user created with --eth or --flow can then also sign in with that wallet.
+import { pool, query } from './services/db.js';
+import { createUser, createApiKey } from './services/auth.service.js';
+
+function readOption(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+async function main() {
+  const userId = readOption('user');
+  const displayName = readOption('name');
+  const ethAddress = readOption('eth');
+  const flowAddress = readOption('flow');
+  const label = readOption('label');
+  const isAdmin = process.argv.includes('--admin');
+  const canCreateProjects = process.argv.includes('--project-creator');
+
+  if (!userId && !displayName && !ethAddress && !flowAddress) {
+    console.error('Usage: node src/create-api-key.js (--user <id> | --name <name> [--eth <address>] [--flow <address>]) [--admin] [--project-creator] [--label <label>]');
+    process.exit(1);
+  }
+
+  try {
+    let id = Number(userId);
+    if (userId) {
+      const result = await query('SELECT id FROM users WHERE id = $1', [id]);
+      if (result.rows.length === 0) throw new Error(`User #${userId} not found.`);
+      if (isAdmin) {
+        await query('UPDATE users SET is_admin = TRUE WHERE id = $1', [id]);
+        console.log(`[AUTH] User #${id} is now an admin.`);
+      }
+      if (canCreateProjects) {
+        await query('UPDATE users SET can_create_projects = TRUE WHERE id = $1', [id]);
+        console.log(`[AUTH] User #${id} can now create projects.`);
+      }
+    } else {
+      id = (await createUser({ displayName, ethAddress, flowAddress, isAdmin, canCreateProjects })).id;
+    }
+
+    const key = await createApiKey(id, label);
+    console.log(`[AUTH] ✅ API key #${key.id} created for user #${id}. It will not be shown again:`);
+    console.log(key.token);
+  } catch (err) {
+    console.error('[AUTH] ❌ Failed to create API key:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,91 @@
+// src/index-search.js
+// Backfills the search index for records uploaded before it existed.
+//
+//   node src/index-search.js [--force] [--embeddings] [--limit 100]
+//
+// Extracts and stores the text of every unencrypted paper that has none yet (all of them with
+// --force), which updates its full-text search vector. Files that are neither PDF nor plain text
+// are stored as empty text so they are not read again. With --embeddings, the chunks used for
+// semantic search and chat are (re)built for those papers and for every paper, experiment and
+// analysis that has no chunks for the configured embeddings model.
+import { pool, query } from './services/db.js';
+import { readStoredText, indexRecord, RAG_TYPES } from './services/rag.service.js';
+import config from './config.js';
+
+function readOption(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+async function backfillPaperText({ force, embeddings, limit }) {
+  const result = await query(
+    `SELECT cid, title FROM paper WHERE NOT is_encrypted ${force ? '' : 'AND full_text IS NULL'}
+     ORDER BY created_at DESC ${limit ? `LIMIT ${limit}` : ''}`
+  );
+  console.log(`[SEARCH] Extracting the text of ${result.rowCount} paper(s)...`);
+
+  let failed = 0;
+  for (const [i, { cid, title }] of result.rows.entries()) {
+    try {
+      const text = await readStoredText(cid);
+      await query('UPDATE paper SET full_text = $2 WHERE cid = $1', [cid, text]);
+      if (embeddings) await indexRecord(cid, text);
+      console.log(`[SEARCH] (${i + 1}/${result.rowCount}) ${cid} "${title}": ${text.length} characters.`);
+    } catch (error) {
+      failed++;
+      console.error(`[SEARCH] (${i + 1}/${result.rowCount}) ${cid} failed: ${error.message}`);
+    }
+  }
+  return failed;
+}
+
+async function backfillEmbeddings({ limit }) {
+  const unions = RAG_TYPES.map(type => `SELECT cid, created_at FROM ${type} WHERE NOT is_encrypted`).join(' UNION ALL ');
+  const result = await query(
+    `SELECT r.cid FROM (${unions}) r
+     WHERE NOT EXISTS (SELECT 1 FROM document_chunks c WHERE c.cid = r.cid AND c.embedding_model = $1)
+     ORDER BY r.created_at DESC ${limit ? `LIMIT ${limit}` : ''}`,
+    [config.ai.embeddings.model]
+  );
+  console.log(`[SEARCH] Embedding ${result.rowCount} record(s) with ${config.ai.embeddings.model}...`);
+
+  let failed = 0;
+  for (const [i, { cid }] of result.rows.entries()) {
+    try {
+      const chunkCount = await indexRecord(cid);
+      console.log(`[SEARCH] (${i + 1}/${result.rowCount}) ${cid}: ${chunkCount} chunk(s).`);
+    } catch (error) {
+      failed++;
+      console.error(`[SEARCH] (${i + 1}/${result.rowCount}) ${cid} failed: ${error.message}`);
+    }
+  }
+  return failed;
+}
+
+async function main() {
+  const force = process.argv.includes('--force');
+  const embeddings = process.argv.includes('--embeddings');
+  const limit = readOption('limit') === undefined ? null : Number(readOption('limit'));
+  if (limit !== null && (!Number.isInteger(limit) || limit <= 0)) {
+    console.error('Usage: node src/index-search.js [--force] [--embeddings] [--limit <count>]');
+    process.exit(1);
+  }
+
+  try {
+    let failed = await backfillPaperText({ force, embeddings, limit });
+    if (embeddings) failed += await backfillEmbeddings({ limit });
+    if (failed > 0) {
+      console.error(`[SEARCH] ❌ ${failed} record(s) could not be indexed; run the command again to retry them.`);
+      process.exitCode = 1;
+    } else {
+      console.log('[SEARCH] ✅ Search index is up to date.');
+    }
+  } catch (err) {
+    console.error('[SEARCH] ❌ Backfill failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
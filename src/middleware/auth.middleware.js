@@ -0,0 +1,37 @@
+// src/middleware/auth.middleware.js
+import * as authService from '../services/auth.service.js';
+
+/**
+ * Reads the caller's token from `Authorization: Bearer <token>` or, for scripts, `X-API-Key`.
+ */
+export function extractToken(req) {
+    const authorization = req.headers.authorization || '';
+    const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+    return match ? match[1] : req.headers['x-api-key'] || null;
+}
+
+/**
+ * Rejects requests without a valid API key or session token and attaches the caller as `req.user`.
+ */
+export async function requireAuth(req, res, next) {
+    const token = extractToken(req);
+    if (!token) {
+        return res.status(401).set('WWW-Authenticate', 'Bearer').json({
+            error: 'Authentication required. Send an API key or session token as "Authorization: Bearer <token>".',
+        });
+    }
+
+    try {
+        const user = await authService.authenticateToken(token);
+        if (!user) {
+            return res.status(401).set('WWW-Authenticate', 'Bearer error="invalid_token"').json({
+                error: 'Invalid, revoked or expired token.',
+            });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('[API ERROR] in requireAuth:', error);
+        next(error);
+    }
+}
@@ -0,0 +1,148 @@
+// src/migrate.js
+// Versioned schema migrations. Each file in src/migrations is named `NNN_description.js` and
+// exports `up(client)` and `down(client)`. Applied versions are recorded in `schema_migrations`.
+//
+//   node src/migrate.js up [version]   Apply pending migrations (up to and including `version`)
+//   node src/migrate.js down [steps]   Revert the last `steps` applied migrations (default 1)
+//   node src/migrate.js status         List every migration and whether it has been applied
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { pool } from './services/db.js';
+
+const migrationsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+// Arbitrary key for pg_advisory_lock, so two processes never migrate the same database at once.
+const MIGRATION_LOCK_KEY = 472_019_001;
+
+const MIGRATION_FILE = /^(\d{3})_([\w-]+)\.js$/;
+
+async function loadMigrations() {
+  const files = fs.readdirSync(migrationsDir).filter(file => MIGRATION_FILE.test(file)).sort();
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = MIGRATION_FILE.exec(file);
+    const module = await import(pathToFileURL(path.join(migrationsDir, file)).href);
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export both up(client) and down(client).`);
+    }
+    migrations.push({ version, name, description: module.description || '', up: module.up, down: module.down });
+  }
+
+  const duplicate = migrations.find((m, i) => i > 0 && migrations[i - 1].version === m.version);
+  if (duplicate) throw new Error(`Two migrations share version ${duplicate.version}.`);
+  return migrations;
+}
+
+async function getAppliedVersions(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// Each migration runs in its own transaction together with its schema_migrations bookkeeping,
+// so a failure leaves the database at the previous version.
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+async function migrateUp(client, migrations, applied, targetVersion) {
+  if (targetVersion && !migrations.some(m => m.version === targetVersion)) {
+    throw new Error(`No migration with version ${targetVersion}.`);
+  }
+  const pending = migrations.filter(m => !applied.has(m.version) && (!targetVersion || m.version <= targetVersion));
+  if (pending.length === 0) {
+    console.log('[MIGRATE] ✅ Database is up to date.');
+    return;
+  }
+
+  for (const migration of pending) {
+    console.log(`[MIGRATE] Applying ${migration.version}_${migration.name}...`);
+    await runInTransaction(client, async () => {
+      await migration.up(client);
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    });
+  }
+  console.log(`[MIGRATE] ✅ Applied ${pending.length} migration(s).`);
+}
+
+async function migrateDown(client, migrations, applied, steps) {
+  const toRevert = [...applied.keys()].sort().reverse().slice(0, steps);
+  if (toRevert.length === 0) {
+    console.log('[MIGRATE] Nothing to revert.');
+    return;
+  }
+
+  for (const version of toRevert) {
+    const migration = migrations.find(m => m.version === version);
+    if (!migration) {
+      throw new Error(`Migration ${version}_${applied.get(version).name} is applied but its file is missing; cannot revert it.`);
+    }
+    console.log(`[MIGRATE] Reverting ${migration.version}_${migration.name}...`);
+    await runInTransaction(client, async () => {
+      await migration.down(client);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    });
+  }
+  console.log(`[MIGRATE] ✅ Reverted ${toRevert.length} migration(s).`);
+}
+
+function printStatus(migrations, applied) {
+  for (const migration of migrations) {
+    const row = applied.get(migration.version);
+    const state = row ? `applied ${row.applied_at.toISOString()}` : 'pending';
+    console.log(`${migration.version}  ${migration.name.padEnd(24)}  ${state.padEnd(32)}  ${migration.description}`);
+  }
+  for (const [version, row] of applied) {
+    if (!migrations.some(m => m.version === version)) {
+      console.log(`${version}  ${row.name.padEnd(24)}  applied, but the migration file is missing`);
+    }
+  }
+}
+
+async function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.error('Usage: node src/migrate.js <up [version] | down [steps] | status>');
+    process.exit(1);
+  }
+
+  const steps = command === 'down' ? Number(arg ?? 1) : null;
+  if (command === 'down' && (!Number.isInteger(steps) || steps < 1)) {
+    console.error('[MIGRATE] ❌ steps must be a positive integer.');
+    process.exit(1);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    const migrations = await loadMigrations();
+    const applied = await getAppliedVersions(client);
+
+    if (command === 'up') await migrateUp(client, migrations, applied, arg && arg.padStart(3, '0'));
+    else if (command === 'down') await migrateDown(client, migrations, applied, steps);
+    else printStatus(migrations, applied);
+  } catch (err) {
+    console.error('[MIGRATE] ❌ Migration failed:', err);
+    process.exitCode = 1;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,124 @@
+// src/migrations/001_initial_schema.js
+// The schema as it was created by the original init-db.js script. Every statement is
+// idempotent, so databases created by that script adopt this migration without changes.
+
+export const description = 'Projects, the paper/experiment/analysis/genome/spectrum tables and file_cids';
+
+export async function up(client) {
+  // 1. Projects table - The central hub
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS projects (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL UNIQUE,
+        description TEXT,
+        nft_id BIGINT UNIQUE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // 2. Papers table - with encryption flags
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS paper (
+        cid TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        journal TEXT,
+        year INTEGER,
+        keywords TEXT[],
+        authors TEXT[],
+        project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+        is_encrypted BOOLEAN NOT NULL DEFAULT FALSE,
+        lit_token_id TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // 3. Experiments table - with encryption flags
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS experiment (
+        cid TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT,
+        instrument TEXT,
+        project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+        is_encrypted BOOLEAN NOT NULL DEFAULT FALSE,
+        lit_token_id TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // 4. Analyses table - with encryption flags
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS analysis (
+        cid TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT,
+        source_cids TEXT[],
+        project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+        is_encrypted BOOLEAN NOT NULL DEFAULT FALSE,
+        lit_token_id TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // 5. Genomes table - with encryption flags
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS genome (
+        cid TEXT PRIMARY KEY,
+        organism TEXT,
+        assembly_version TEXT,
+        notes TEXT,
+        project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+        is_encrypted BOOLEAN NOT NULL DEFAULT FALSE,
+        lit_token_id TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // 6. Spectra table - with encryption flags
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS spectrum (
+        cid TEXT PRIMARY KEY,
+        compound TEXT,
+        technique_nmr_ir_ms TEXT,
+        metadata_json JSONB,
+        project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+        is_encrypted BOOLEAN NOT NULL DEFAULT FALSE,
+        lit_token_id TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // 7. Generic file_cids table (can be deprecated if no longer used, but kept for compatibility)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS file_cids (
+        id SERIAL PRIMARY KEY,
+        filename TEXT NOT NULL,
+        cid TEXT NOT NULL UNIQUE,
+        uploaded_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // Very old databases created file_cids without the UNIQUE constraint (formerly fixed by
+  // migrate-v1.js). Keep only the first row for each CID, then add the constraint.
+  await client.query(`
+    DELETE FROM file_cids a USING (
+        SELECT MIN(ctid) as ctid, cid
+        FROM file_cids
+        GROUP BY cid HAVING COUNT(*) > 1
+    ) b
+    WHERE a.cid = b.cid
+    AND a.ctid <> b.ctid;
+  `);
+  await client.query(`
+    DO $$
+    BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'file_cids_cid_key') THEN
+            ALTER TABLE file_cids ADD CONSTRAINT file_cids_cid_key UNIQUE (cid);
+        END IF;
+    END $$;
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS paper, experiment, analysis, genome, spectrum, file_cids, projects CASCADE;');
+}
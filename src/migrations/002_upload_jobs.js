@@ -0,0 +1,33 @@
+// src/migrations/002_upload_jobs.js
+
+export const description = 'Persistent upload queue drained by the Synapse upload worker';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS upload_jobs (
+        id SERIAL PRIMARY KEY,
+        status TEXT NOT NULL DEFAULT 'queued',
+        filename TEXT,
+        size BIGINT NOT NULL,
+        spool_path TEXT NOT NULL,
+        proof_set_id BIGINT,
+        commp TEXT,
+        tx_hash TEXT,
+        root_ids BIGINT[],
+        attempts INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        run_after TIMESTAMPTZ,
+        provider_retrieval_url TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        started_at TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  // Queues created before provider URLs were recorded lack this column.
+  await client.query('ALTER TABLE upload_jobs ADD COLUMN IF NOT EXISTS provider_retrieval_url TEXT;');
+  await client.query('CREATE INDEX IF NOT EXISTS upload_jobs_status_idx ON upload_jobs (status, created_at);');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS upload_jobs;');
+}
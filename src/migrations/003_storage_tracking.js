@@ -0,0 +1,33 @@
+// src/migrations/003_storage_tracking.js
+
+export const description = 'Proof set, root IDs, root tx hash and storage status on every data table';
+
+const STORED_TABLES = ['paper', 'experiment', 'analysis', 'genome', 'spectrum'];
+
+export async function up(client) {
+  for (const table of STORED_TABLES) {
+    // Rows stored before this existed keep a NULL storage_status; new rows start as 'pending'
+    // until the upload queue confirms them.
+    await client.query(`
+      ALTER TABLE ${table}
+          ADD COLUMN IF NOT EXISTS proof_set_id BIGINT,
+          ADD COLUMN IF NOT EXISTS root_ids BIGINT[],
+          ADD COLUMN IF NOT EXISTS root_tx_hash TEXT,
+          ADD COLUMN IF NOT EXISTS storage_status TEXT;
+    `);
+    await client.query(`ALTER TABLE ${table} ALTER COLUMN storage_status SET DEFAULT 'pending';`);
+    await client.query(`CREATE INDEX IF NOT EXISTS ${table}_storage_status_idx ON ${table} (storage_status);`);
+  }
+}
+
+export async function down(client) {
+  for (const table of STORED_TABLES) {
+    await client.query(`
+      ALTER TABLE ${table}
+          DROP COLUMN IF EXISTS proof_set_id,
+          DROP COLUMN IF EXISTS root_ids,
+          DROP COLUMN IF EXISTS root_tx_hash,
+          DROP COLUMN IF EXISTS storage_status;
+    `);
+  }
+}
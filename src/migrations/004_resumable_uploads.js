@@ -0,0 +1,38 @@
+// src/migrations/004_resumable_uploads.js
+
+export const description = 'Resumable chunked uploads and manifests for files split into pieces';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS resumable_uploads (
+        id UUID PRIMARY KEY,
+        status TEXT NOT NULL DEFAULT 'uploading',
+        filename TEXT NOT NULL,
+        size BIGINT NOT NULL,
+        upload_offset BIGINT NOT NULL DEFAULT 0,
+        expected_sha256 TEXT,
+        data_type TEXT NOT NULL,
+        record_fields JSONB NOT NULL DEFAULT '{}',
+        stored_pieces JSONB NOT NULL DEFAULT '[]',
+        cid TEXT,
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS file_manifests (
+        cid TEXT PRIMARY KEY,
+        filename TEXT,
+        size BIGINT NOT NULL,
+        sha256 TEXT NOT NULL,
+        piece_cids TEXT[] NOT NULL,
+        piece_sizes BIGINT[] NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS resumable_uploads, file_manifests;');
+}
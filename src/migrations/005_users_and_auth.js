@@ -0,0 +1,55 @@
+// src/migrations/005_users_and_auth.js
+
+export const description = 'Users, API keys and wallet sign-in, and the uploader of every data row';
+
+const UPLOADER_TABLES = ['paper', 'experiment', 'analysis', 'genome', 'spectrum', 'file_cids'];
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        display_name TEXT,
+        eth_address TEXT UNIQUE,
+        flow_address TEXT UNIQUE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_login_at TIMESTAMPTZ
+    );
+  `);
+
+  // API keys and wallet sessions share one table; only the SHA-256 of a token is stored.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        kind TEXT NOT NULL DEFAULT 'api_key',
+        key_hash TEXT NOT NULL UNIQUE,
+        key_prefix TEXT NOT NULL,
+        label TEXT,
+        expires_at TIMESTAMPTZ,
+        last_used_at TIMESTAMPTZ,
+        revoked_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS api_keys_user_idx ON api_keys (user_id);');
+
+  // Single-use nonces for sign-in-with-Ethereum messages and Flow account proofs
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS auth_nonces (
+        nonce TEXT PRIMARY KEY,
+        expires_at TIMESTAMPTZ NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  for (const table of UPLOADER_TABLES) {
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL;`);
+  }
+}
+
+export async function down(client) {
+  for (const table of UPLOADER_TABLES) {
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS uploaded_by;`);
+  }
+  await client.query('DROP TABLE IF EXISTS auth_nonces, api_keys, users;');
+}
@@ -0,0 +1,52 @@
+// src/migrations/006_project_membership.js
+// Projects created before this migration have no members, so only admins can see them until
+// an admin adds an owner through POST /api/projects/:id/members.
+
+export const description = 'Admin and project-creator flags on users, owner/editor/viewer project membership and upload job owners';
+
+const RECORD_TABLES = ['paper', 'experiment', 'analysis', 'genome', 'spectrum'];
+
+export async function up(client) {
+  await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN NOT NULL DEFAULT FALSE;');
+  // Admins may always create projects; anyone else needs this set (create-api-key --project-creator).
+  await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS can_create_projects BOOLEAN NOT NULL DEFAULT FALSE;');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS project_members (
+        project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+        added_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (project_id, user_id)
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS project_members_user_idx ON project_members (user_id);');
+
+  // Upload jobs are visible to whoever requested them and to the members of their project.
+  await client.query(`
+    ALTER TABLE upload_jobs
+      ADD COLUMN IF NOT EXISTS requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL;
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS upload_jobs_requested_by_idx ON upload_jobs (requested_by);');
+  await client.query('CREATE INDEX IF NOT EXISTS upload_jobs_project_id_idx ON upload_jobs (project_id);');
+
+  // Older jobs take the owner and project of the record stored under their CID, if there is one.
+  for (const table of RECORD_TABLES) {
+    await client.query(`
+      UPDATE upload_jobs j SET requested_by = r.uploaded_by, project_id = r.project_id
+      FROM ${table} r
+      WHERE r.cid = j.commp AND j.requested_by IS NULL AND j.project_id IS NULL;
+    `);
+  }
+}
+
+export async function down(client) {
+  await client.query('DROP INDEX IF EXISTS upload_jobs_project_id_idx;');
+  await client.query('DROP INDEX IF EXISTS upload_jobs_requested_by_idx;');
+  await client.query('ALTER TABLE upload_jobs DROP COLUMN IF EXISTS project_id, DROP COLUMN IF EXISTS requested_by;');
+  await client.query('DROP TABLE IF EXISTS project_members;');
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS can_create_projects;');
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS is_admin;');
+}
@@ -0,0 +1,19 @@
+// src/migrations/007_project_archive.js
+
+export const description = 'Soft-archive state and last-update time on projects';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE projects
+        ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE projects
+        DROP COLUMN IF EXISTS archived_at,
+        DROP COLUMN IF EXISTS updated_at;
+  `);
+}
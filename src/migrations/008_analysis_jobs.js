@@ -0,0 +1,30 @@
+// src/migrations/008_analysis_jobs.js
+
+export const description = 'Asynchronous analysis jobs run by the R-script worker pool';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS analysis_jobs (
+        id SERIAL PRIMARY KEY,
+        tool TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        params JSONB NOT NULL DEFAULT '{}',
+        progress INTEGER NOT NULL DEFAULT 0,
+        progress_message TEXT,
+        result JSONB,
+        log TEXT,
+        error TEXT,
+        output_dir TEXT,
+        requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        started_at TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS analysis_jobs_status_idx ON analysis_jobs (status, created_at);');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS analysis_jobs;');
+}
@@ -0,0 +1,27 @@
+// src/migrations/009_record_filenames.js
+
+export const description = 'Original filename on every data table, so analyses get their inputs under it';
+
+const STORED_TABLES = ['paper', 'experiment', 'analysis', 'genome', 'spectrum'];
+
+export async function up(client) {
+  for (const table of STORED_TABLES) {
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS filename TEXT;`);
+    // Records uploaded through the queue can take the name from their upload job.
+    await client.query(`
+      UPDATE ${table} t SET filename = j.filename
+      FROM (
+          SELECT DISTINCT ON (commp) commp, filename FROM upload_jobs
+          WHERE commp IS NOT NULL AND filename IS NOT NULL
+          ORDER BY commp, updated_at DESC
+      ) j
+      WHERE t.cid = j.commp AND t.filename IS NULL;
+    `);
+  }
+}
+
+export async function down(client) {
+  for (const table of STORED_TABLES) {
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS filename;`);
+  }
+}
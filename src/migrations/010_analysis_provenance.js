@@ -0,0 +1,35 @@
+// src/migrations/010_analysis_provenance.js
+
+export const description = 'Provenance of analysis records and the records produced by analysis jobs';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE analysis
+        ADD COLUMN IF NOT EXISTS tool TEXT,
+        ADD COLUMN IF NOT EXISTS parameters JSONB,
+        ADD COLUMN IF NOT EXISTS script_hash TEXT,
+        ADD COLUMN IF NOT EXISTS analysis_job_id INTEGER REFERENCES analysis_jobs(id) ON DELETE SET NULL;
+  `);
+  await client.query(`
+    ALTER TABLE analysis_jobs
+        ADD COLUMN IF NOT EXISTS project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS result_cid TEXT,
+        ADD COLUMN IF NOT EXISTS flow_tx_id TEXT;
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE analysis_jobs
+        DROP COLUMN IF EXISTS project_id,
+        DROP COLUMN IF EXISTS result_cid,
+        DROP COLUMN IF EXISTS flow_tx_id;
+  `);
+  await client.query(`
+    ALTER TABLE analysis
+        DROP COLUMN IF EXISTS tool,
+        DROP COLUMN IF EXISTS parameters,
+        DROP COLUMN IF EXISTS script_hash,
+        DROP COLUMN IF EXISTS analysis_job_id;
+  `);
+}
@@ -0,0 +1,13 @@
+// src/migrations/011_analysis_verification.js
+
+export const description = 'Re-runs of analyses and the diff against the original result';
+
+export async function up(client) {
+  await client.query('ALTER TABLE analysis ADD COLUMN IF NOT EXISTS rerun_of TEXT;');
+  await client.query('ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS verification JSONB;');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE analysis_jobs DROP COLUMN IF EXISTS verification;');
+  await client.query('ALTER TABLE analysis DROP COLUMN IF EXISTS rerun_of;');
+}
@@ -0,0 +1,45 @@
+// src/migrations/012_pipelines.js
+
+export const description = 'Multi-step analysis pipeline runs and their per-step state';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS pipeline_runs (
+        id SERIAL PRIMARY KEY,
+        pipeline TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'running',
+        definition JSONB NOT NULL,
+        input_cids TEXT[] NOT NULL,
+        project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+        requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        provenance_cid TEXT,
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        finished_at TIMESTAMPTZ
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS pipeline_steps (
+        run_id INTEGER NOT NULL REFERENCES pipeline_runs(id) ON DELETE CASCADE,
+        step_id TEXT NOT NULL,
+        tool TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        parameters JSONB NOT NULL DEFAULT '{}',
+        input_cids TEXT[],
+        analysis_job_id INTEGER REFERENCES analysis_jobs(id) ON DELETE SET NULL,
+        result_cid TEXT,
+        error TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (run_id, step_id)
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS pipeline_steps_job_idx ON pipeline_steps (analysis_job_id);');
+  await client.query('ALTER TABLE analysis ADD COLUMN IF NOT EXISTS pipeline_run_id INTEGER REFERENCES pipeline_runs(id) ON DELETE SET NULL;');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE analysis DROP COLUMN IF EXISTS pipeline_run_id;');
+  await client.query('DROP TABLE IF EXISTS pipeline_steps, pipeline_runs;');
+}
@@ -0,0 +1,23 @@
+// src/migrations/013_document_chunks.js
+
+export const description = 'Embedded text chunks of papers, experiments and analyses for grounded chat';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS document_chunks (
+        id SERIAL PRIMARY KEY,
+        cid TEXT NOT NULL,
+        record_type TEXT NOT NULL,
+        chunk_index INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        embedding REAL[] NOT NULL,
+        embedding_model TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (cid, chunk_index)
+    );
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS document_chunks;');
+}
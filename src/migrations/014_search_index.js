@@ -0,0 +1,72 @@
+// src/migrations/014_search_index.js
+
+export const description = 'Full-text search vectors on every data table, stored paper text, optional pgvector';
+
+// The columns indexed per table, by weight: A ranks above B, B above C.
+const SEARCH_COLUMNS = {
+  paper: ['title', 'journal authors keywords', 'full_text'],
+  experiment: ['title', 'description instrument', ''],
+  analysis: ['title', 'description tool', ''],
+  genome: ['organism', 'assembly_version notes', ''],
+  spectrum: ['compound', 'technique_nmr_ir_ms metadata_json', ''],
+};
+
+export async function up(client) {
+  await client.query('ALTER TABLE paper ADD COLUMN IF NOT EXISTS full_text TEXT;');
+
+  // One trigger function for every table: its arguments name the columns for weights A, B and C.
+  // Columns are read through to_jsonb so arrays and JSON are indexed as their text. Text beyond
+  // 500k characters is left out, which keeps each vector well under the 1 MB tsvector limit.
+  await client.query(`
+    CREATE OR REPLACE FUNCTION search_vector_update() RETURNS trigger AS $$
+    DECLARE
+      fields JSONB := to_jsonb(NEW);
+      weights TEXT[] := ARRAY['A', 'B', 'C'];
+      vector TSVECTOR := ''::tsvector;
+      column_name TEXT;
+    BEGIN
+      FOR i IN 1..TG_NARGS LOOP
+        FOREACH column_name IN ARRAY string_to_array(TG_ARGV[i - 1], ' ') LOOP
+          vector := vector || setweight(to_tsvector('english', left(coalesce(fields->>column_name, ''), 500000)), weights[i]::"char");
+        END LOOP;
+      END LOOP;
+      NEW.search_vector := vector;
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql;
+  `);
+
+  for (const [table, columns] of Object.entries(SEARCH_COLUMNS)) {
+    const args = columns.map(list => `'${list}'`).join(', ');
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;`);
+    // Storage status writes leave the vector alone instead of re-parsing a paper's full text.
+    const indexedColumns = columns.join(' ').split(' ').filter(Boolean).join(', ');
+    await client.query(`DROP TRIGGER IF EXISTS ${table}_search_vector ON ${table};`);
+    await client.query(`
+      CREATE TRIGGER ${table}_search_vector BEFORE INSERT OR UPDATE OF ${indexedColumns} ON ${table}
+      FOR EACH ROW EXECUTE FUNCTION search_vector_update(${args});
+    `);
+    // Fires the trigger for existing rows.
+    await client.query(`UPDATE ${table} SET ${columns[0]} = ${columns[0]};`);
+    await client.query(`CREATE INDEX IF NOT EXISTS ${table}_search_idx ON ${table} USING GIN (search_vector);`);
+  }
+
+  // Semantic search ranks in Postgres when pgvector is installed, and in Node otherwise.
+  await client.query('SAVEPOINT pgvector');
+  try {
+    await client.query('CREATE EXTENSION IF NOT EXISTS vector;');
+  } catch (error) {
+    await client.query('ROLLBACK TO SAVEPOINT pgvector');
+    console.warn(`[MIGRATE] pgvector is not available (${error.message}); semantic search will rank in Node.`);
+  }
+}
+
+export async function down(client) {
+  for (const table of Object.keys(SEARCH_COLUMNS)) {
+    await client.query(`DROP TRIGGER IF EXISTS ${table}_search_vector ON ${table};`);
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS search_vector;`);
+  }
+  await client.query('DROP FUNCTION IF EXISTS search_vector_update();');
+  await client.query('ALTER TABLE paper DROP COLUMN IF EXISTS full_text;');
+  // The vector extension is left installed; other database objects may use it.
+}
@@ -0,0 +1,51 @@
+// src/migrations/015_paper_metadata_review.js
+
+export const description = 'Paper DOI, extraction confidence and the metadata review queue';
+
+const withDoi = ['title', 'journal authors keywords doi', 'full_text'];
+const withoutDoi = ['title', 'journal authors keywords', 'full_text'];
+
+async function recreatePaperSearchTrigger(client, columns) {
+  const args = columns.map(list => `'${list}'`).join(', ');
+  const indexedColumns = columns.join(' ').split(' ').join(', ');
+  await client.query('DROP TRIGGER IF EXISTS paper_search_vector ON paper;');
+  await client.query(`
+    CREATE TRIGGER paper_search_vector BEFORE INSERT OR UPDATE OF ${indexedColumns} ON paper
+    FOR EACH ROW EXECUTE FUNCTION search_vector_update(${args});
+  `);
+}
+
+export async function up(client) {
+  // metadata_status: 'complete' when extraction passed validation with enough confidence,
+  // 'pending_review' when a person needs to check it, 'reviewed' once they have.
+  await client.query(`
+    ALTER TABLE paper
+      ADD COLUMN IF NOT EXISTS doi TEXT,
+      ADD COLUMN IF NOT EXISTS metadata_status TEXT NOT NULL DEFAULT 'complete'
+        CHECK (metadata_status IN ('complete', 'pending_review', 'reviewed')),
+      ADD COLUMN IF NOT EXISTS metadata_confidence JSONB,
+      ADD COLUMN IF NOT EXISTS metadata_error TEXT,
+      ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS paper_pending_review_idx ON paper (created_at)
+    WHERE metadata_status = 'pending_review';
+  `);
+
+  await recreatePaperSearchTrigger(client, withDoi);
+}
+
+export async function down(client) {
+  await recreatePaperSearchTrigger(client, withoutDoi);
+  await client.query('DROP INDEX IF EXISTS paper_pending_review_idx;');
+  await client.query(`
+    ALTER TABLE paper
+      DROP COLUMN IF EXISTS reviewed_at,
+      DROP COLUMN IF EXISTS reviewed_by,
+      DROP COLUMN IF EXISTS metadata_error,
+      DROP COLUMN IF EXISTS metadata_confidence,
+      DROP COLUMN IF EXISTS metadata_status,
+      DROP COLUMN IF EXISTS doi;
+  `);
+}
@@ -0,0 +1,47 @@
+// src/migrations/016_paper_bibliography.js
+
+export const description = 'Paper PMID, abstract, license, metadata source and conflicts with bibliographic records';
+
+const withAbstract = ['title', 'journal authors keywords doi pmid', 'abstract full_text'];
+const withoutAbstract = ['title', 'journal authors keywords doi', 'full_text'];
+
+async function recreatePaperSearchTrigger(client, columns) {
+  const args = columns.map(list => `'${list}'`).join(', ');
+  const indexedColumns = columns.join(' ').split(' ').join(', ');
+  await client.query('DROP TRIGGER IF EXISTS paper_search_vector ON paper;');
+  await client.query(`
+    CREATE TRIGGER paper_search_vector BEFORE INSERT OR UPDATE OF ${indexedColumns} ON paper
+    FOR EACH ROW EXECUTE FUNCTION search_vector_update(${args});
+  `);
+}
+
+export async function up(client) {
+  // metadata_source: 'llm' when the metadata is the model's, otherwise the bibliographic sources
+  // it came from (e.g. 'crossref+pubmed'). metadata_conflicts: {field: {extracted, resolved}}.
+  await client.query(`
+    ALTER TABLE paper
+      ADD COLUMN IF NOT EXISTS pmid TEXT,
+      ADD COLUMN IF NOT EXISTS abstract TEXT,
+      ADD COLUMN IF NOT EXISTS license TEXT,
+      ADD COLUMN IF NOT EXISTS metadata_source TEXT,
+      ADD COLUMN IF NOT EXISTS metadata_conflicts JSONB;
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS paper_doi_idx ON paper (doi) WHERE doi IS NOT NULL;');
+  await client.query('CREATE INDEX IF NOT EXISTS paper_pmid_idx ON paper (pmid) WHERE pmid IS NOT NULL;');
+
+  await recreatePaperSearchTrigger(client, withAbstract);
+}
+
+export async function down(client) {
+  await recreatePaperSearchTrigger(client, withoutAbstract);
+  await client.query('DROP INDEX IF EXISTS paper_pmid_idx;');
+  await client.query('DROP INDEX IF EXISTS paper_doi_idx;');
+  await client.query(`
+    ALTER TABLE paper
+      DROP COLUMN IF EXISTS metadata_conflicts,
+      DROP COLUMN IF EXISTS metadata_source,
+      DROP COLUMN IF EXISTS license,
+      DROP COLUMN IF EXISTS abstract,
+      DROP COLUMN IF EXISTS pmid;
+  `);
+}
@@ -0,0 +1,32 @@
+// src/migrations/017_citation_imports.js
+
+export const description = 'Queued imports of papers from .bib and .ris files';
+
+export async function up(client) {
+  // entries: the parsed entries of the file, so the worker never re-reads the upload.
+  // result: {created, linked, skipped}, filled in as entries are processed.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS citation_imports (
+        id SERIAL PRIMARY KEY,
+        status TEXT NOT NULL DEFAULT 'queued',
+        filename TEXT NOT NULL,
+        format TEXT NOT NULL,
+        entries JSONB NOT NULL,
+        entry_count INTEGER NOT NULL,
+        processed INTEGER NOT NULL DEFAULT 0,
+        result JSONB,
+        error TEXT,
+        project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+        requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        started_at TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS citation_imports_status_idx ON citation_imports (status, created_at);');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS citation_imports;');
+}
@@ -0,0 +1,56 @@
+// src/migrations/018_deduplication.js
+
+export const description = 'Content hashes of stored files, duplicate paper flags and CID aliases of merged records';
+
+export async function up(client) {
+  // What storage returned for each distinct file, so identical bytes are never stored twice.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS stored_objects (
+        sha256 TEXT NOT NULL,
+        driver TEXT NOT NULL,
+        cid TEXT NOT NULL,
+        size BIGINT NOT NULL,
+        proof_set_id BIGINT,
+        root_tx_hash TEXT,
+        job_id INTEGER,
+        storage_status TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (sha256, driver)
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS stored_objects_cid_idx ON stored_objects (cid);');
+
+  // Pairs of papers in the same project that look like the same work. `cid` is the one uploaded
+  // first; `score` is 1 for a shared DOI and the title similarity otherwise.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS duplicate_flags (
+        id SERIAL PRIMARY KEY,
+        cid TEXT NOT NULL,
+        duplicate_cid TEXT NOT NULL,
+        reason TEXT NOT NULL CHECK (reason IN ('doi', 'title')),
+        score REAL NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'merged', 'dismissed')),
+        resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        resolved_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (cid, duplicate_cid)
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS duplicate_flags_open_idx ON duplicate_flags (created_at) WHERE status = 'open';`);
+
+  // The CIDs of records merged into another, so links to them keep resolving.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS cid_aliases (
+        alias_cid TEXT PRIMARY KEY,
+        cid TEXT NOT NULL,
+        record_type TEXT NOT NULL,
+        merged_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        merged_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS cid_aliases_cid_idx ON cid_aliases (cid);');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS cid_aliases, duplicate_flags, stored_objects;');
+}
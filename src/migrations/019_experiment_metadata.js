@@ -0,0 +1,53 @@
+// src/migrations/019_experiment_metadata.js
+
+export const description = 'Experiment instrument type, operator, run date, sample IDs, protocol and run parameters';
+
+const withMetadata = ['title', 'description instrument instrument_type operator protocol_ref sample_ids', 'parameters'];
+const withoutMetadata = ['title', 'description instrument', ''];
+
+async function recreateExperimentSearchTrigger(client, columns) {
+  const args = columns.map(list => `'${list}'`).join(', ');
+  const indexedColumns = columns.join(' ').split(' ').filter(Boolean).join(', ');
+  await client.query('DROP TRIGGER IF EXISTS experiment_search_vector ON experiment;');
+  await client.query(`
+    CREATE TRIGGER experiment_search_vector BEFORE INSERT OR UPDATE OF ${indexedColumns} ON experiment
+    FOR EACH ROW EXECUTE FUNCTION search_vector_update(${args});
+  `);
+}
+
+export async function up(client) {
+  // instrument_type is a key of the registry in services/instruments.js, and `parameters` were
+  // validated against its schema; `instrument` stays the free-text make and model.
+  await client.query(`
+    ALTER TABLE experiment
+      ADD COLUMN IF NOT EXISTS instrument_type TEXT,
+      ADD COLUMN IF NOT EXISTS operator TEXT,
+      ADD COLUMN IF NOT EXISTS run_date DATE,
+      ADD COLUMN IF NOT EXISTS sample_ids TEXT[] NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS protocol_ref TEXT,
+      ADD COLUMN IF NOT EXISTS parameters JSONB;
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS experiment_instrument_type_idx ON experiment (instrument_type);');
+  await client.query('CREATE INDEX IF NOT EXISTS experiment_run_date_idx ON experiment (run_date);');
+  await client.query('CREATE INDEX IF NOT EXISTS experiment_sample_ids_idx ON experiment USING GIN (sample_ids);');
+  await client.query('CREATE INDEX IF NOT EXISTS experiment_parameters_idx ON experiment USING GIN (parameters jsonb_path_ops);');
+
+  await recreateExperimentSearchTrigger(client, withMetadata);
+}
+
+export async function down(client) {
+  await recreateExperimentSearchTrigger(client, withoutMetadata);
+  await client.query('DROP INDEX IF EXISTS experiment_parameters_idx;');
+  await client.query('DROP INDEX IF EXISTS experiment_sample_ids_idx;');
+  await client.query('DROP INDEX IF EXISTS experiment_run_date_idx;');
+  await client.query('DROP INDEX IF EXISTS experiment_instrument_type_idx;');
+  await client.query(`
+    ALTER TABLE experiment
+      DROP COLUMN IF EXISTS parameters,
+      DROP COLUMN IF EXISTS protocol_ref,
+      DROP COLUMN IF EXISTS sample_ids,
+      DROP COLUMN IF EXISTS run_date,
+      DROP COLUMN IF EXISTS operator,
+      DROP COLUMN IF EXISTS instrument_type;
+  `);
+}
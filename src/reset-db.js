@@ -11,7 +11,23 @@ const tablesToDrop = [
   'experiment',
   'analysis',
   'file_cids',
+  'upload_jobs',
+  'resumable_uploads',
+  'file_manifests',
+  'analysis_jobs',
+  'pipeline_runs',
+  'pipeline_steps',
+  'document_chunks',
+  'citation_imports',
+  'stored_objects',
+  'duplicate_flags',
+  'cid_aliases',
   'projects',
+  'project_members',
+  'api_keys',
+  'auth_nonces',
+  'users',
+  'schema_migrations',
 ];
 
 async function resetDatabase() {
@@ -4,31 +4,68 @@ import multer from 'multer';
 
 // --- CONTROLLER IMPORTS ---
 
+// Authentication: wallet sign-in, sessions and API keys
+import { requireAuth } from '../middleware/auth.middleware.js';
+import {
+    createNonceHandler,
+    siweLoginHandler,
+    flowLoginHandler,
+    logoutHandler,
+    getCurrentUserHandler,
+    listApiKeysHandler,
+    createApiKeyHandler,
+    revokeApiKeyHandler
+} from '../controllers/auth.controller.js';
+
 // Unified handlers for chat, analysis, and data querying
-import { chatHandler } from '../controllers/chat.controller.js';
-import { nmrAnalysisHandler, ld50AnalysisHandler, gcmsDifferentialHandler,gcmsProfilingHandler } from '../controllers/analysis.controller.js';
-import { queryDataHandler, getDataByIDHandler, listCIDsHandler } from '../controllers/data.controller.js';
+import { chatHandler, chatStreamHandler } from '../controllers/chat.controller.js';
+import { runAnalysisHandler, listAnalysisToolsHandler, getAnalysisJobHandler, retryAnalysisJobHandler, rerunAnalysisHandler } from '../controllers/analysis.controller.js';
+import { listPipelinesHandler, runPipelineHandler, getPipelineRunHandler, resumePipelineRunHandler } from '../controllers/pipeline.controller.js';
+import { queryDataHandler, getDataByIDHandler, updatePaperMetadataHandler, listCIDsHandler } from '../controllers/data.controller.js';
+import { searchHandler } from '../controllers/search.controller.js';
+import { importDoiHandler, listDuplicatesHandler, dismissDuplicateHandler, mergePapersHandler } from '../controllers/paper.controller.js';
+import { projectCitationsHandler, paperCitationHandler, importCitationsHandler, getCitationImportHandler } from '../controllers/citation.controller.js';
 
 // The new, flexible upload handler + legacy handlers
 import { 
     processAndUploadHandler,
     uploadAndAddGenomeHandler, 
-    uploadAndAddSpectrumHandler 
+    uploadAndAddSpectrumHandler,
+    getUploadJobHandler,
+    listUploadJobsHandler,
+    retryUploadJobHandler,
+    listInstrumentTypesHandler
 } from '../controllers/upload.controller.js';
 
+// Resumable, chunked uploads for large files (genomes, instrument archives)
+import {
+    createResumableUploadHandler,
+    getResumableUploadHandler,
+    appendChunkHandler,
+    completeResumableUploadHandler,
+    abortResumableUploadHandler
+} from '../controllers/resumable.controller.js';
+
 // Handlers for project and NFT management
 import { 
     listProjectsHandler,
     createProjectHandler,
-    mintProjectNftHandler
+    getProjectHandler,
+    updateProjectHandler,
+    deleteProjectHandler,
+    mintProjectNftHandler,
+    listMembersHandler,
+    addMemberHandler,
+    removeMemberHandler
 } from '../controllers/project.controller.js';
 import { 
     getNftStoryHandler,
     addLogEntryHandler
 } from '../controllers/nft.controller.js';
 
-// Handler for fetching raw document content
+// Handlers for fetching raw document content
 import { getDocumentContentHandler } from '../controllers/document.controller.js';
+import { streamFileHandler } from '../controllers/file.controller.js';
 
 
 // --- ROUTER SETUP ---
@@ -44,37 +81,105 @@ const uploadToMemory = multer({ storage: multer.memoryStorage() });
 
 // --- API ROUTES ---
 
+// --- Authentication ---
+// The only routes reachable without a token: they are how a wallet obtains one.
+router.post('/auth/nonce', createNonceHandler);
+router.post('/auth/siwe', siweLoginHandler);
+router.post('/auth/flow', flowLoginHandler);
+
+// Every route registered below requires an API key or session token and sets req.user.
+router.use(requireAuth);
+
+router.get('/auth/me', getCurrentUserHandler);
+router.post('/auth/logout', logoutHandler);
+router.get('/auth/api-keys', listApiKeysHandler);
+router.post('/auth/api-keys', createApiKeyHandler);
+router.delete('/auth/api-keys/:keyId', revokeApiKeyHandler);
+
 // --- Data Ingestion & Processing ---
 // The primary, flexible route for uploading papers and experiments.
 router.post('/upload', uploadToDisk.single('file'), processAndUploadHandler);
+// Instrument types an experiment can be uploaded with, and the schema of their run parameters.
+router.get('/instruments', listInstrumentTypesHandler);
 
 // Legacy routes for specific data types that expect a buffer in memory.
 router.post('/upload/genome', uploadToMemory.single('file'), uploadAndAddGenomeHandler);
 router.post('/upload/spectrum', uploadToMemory.single('file'), uploadAndAddSpectrumHandler);
 
+// Resumable uploads (tus-style): init, append chunks with Upload-Offset, then complete.
+// Registered before '/uploads/:jobId' so 'resumable' is never mistaken for a job ID.
+router.post('/uploads/resumable', createResumableUploadHandler);
+router.get('/uploads/resumable/:uploadId', getResumableUploadHandler);
+router.patch('/uploads/resumable/:uploadId', appendChunkHandler);
+router.post('/uploads/resumable/:uploadId/complete', completeResumableUploadHandler);
+router.delete('/uploads/resumable/:uploadId', abortResumableUploadHandler);
+
+// Upload queue status. Every upload above is processed by the persistent upload queue.
+router.get('/uploads', listUploadJobsHandler);
+router.get('/uploads/:jobId', getUploadJobHandler);
+router.post('/uploads/:jobId/retry', retryUploadJobHandler);
+
 // --- Chat & AI Endpoints ---
 router.post('/chat', chatHandler);
+// Same request as /chat, answered as Server-Sent Events: progress, sources, then the answer token by token.
+router.post('/chat/stream', chatStreamHandler);
 
 // --- Project & NFT Management ---
 router.get('/projects', listProjectsHandler);
 router.post('/projects', createProjectHandler);
+router.get('/projects/:id', getProjectHandler);
+router.patch('/projects/:id', updateProjectHandler);
+router.delete('/projects/:id', deleteProjectHandler);
 router.post('/projects/:id/mint', mintProjectNftHandler);
+router.get('/projects/:id/members', listMembersHandler);
+router.post('/projects/:id/members', addMemberHandler);
+router.delete('/projects/:id/members/:userId', removeMemberHandler);
 router.post('/projects/:projectId/log', addLogEntryHandler);
 router.get('/nfts/:id/story', getNftStoryHandler);
 
 // --- Data Querying ---
 router.get('/data/:type', queryDataHandler);
 router.get('/data/:type/:cid', getDataByIDHandler);
+// Corrects a paper's extracted metadata and takes it out of the review queue (?metadataStatus=pending_review).
+router.patch('/data/paper/:cid', updatePaperMetadataHandler);
+// Adds a paper from its bibliographic record (Crossref, PubMed or the local mirror), without a file.
+router.post('/papers/import-doi', importDoiHandler);
+// Citations as BibTeX, RIS or CSL-JSON (?format=), and papers created from a .bib or .ris file.
+router.get('/projects/:id/citations', projectCitationsHandler);
+router.get('/papers/:cid/citation', paperCitationHandler);
+router.post('/papers/import-citations', uploadToMemory.single('file'), importCitationsHandler);
+router.get('/papers/imports/:id', getCitationImportHandler);
+// Papers flagged as likely duplicates (same DOI or nearly the same title), and merging them.
+// A merged paper's CID stays valid as an alias of the paper it was merged into.
+router.get('/papers/duplicates', listDuplicatesHandler);
+router.post('/papers/duplicates/:id/dismiss', dismissDuplicateHandler);
+router.post('/papers/merge', mergePapersHandler);
 router.get('/cids', listCIDsHandler);
+// Ranked full-text (optionally semantic) search across every data type, with highlighted snippets.
+router.get('/search', searchHandler);
 
 // --- Raw Content Fetching ---
 // Fetches a file from FilCDN by CID and returns its parsed text content.
 router.get('/document-content/:cid', getDocumentContentHandler);
+// Streams the raw bytes (ciphertext for encrypted records) with Range/206 and ETag support.
+router.get('/files/:cid', streamFileHandler);
 
 // --- Analysis Tools (R Scripts) ---
-router.post('/analyze/nmr', nmrAnalysisHandler);
-router.post('/analyze/ld50', ld50AnalysisHandler);
-router.post('/analyze/gcms-differential', gcmsDifferentialHandler);
-router.post('/analyze/gcms-profiling', gcmsProfilingHandler);   
+// Tools are declared in services/analysis-tools.js. Running one returns 202 with a job ID;
+// the script runs in the background analysis worker pool.
+router.get('/analyze/tools', listAnalysisToolsHandler);
+router.post('/analyze/:tool', runAnalysisHandler);
+router.get('/analyze/jobs/:id', getAnalysisJobHandler);
+router.post('/analyze/jobs/:id/retry', retryAnalysisJobHandler);
+// Re-runs a stored analysis and diffs the result against the original (a verification event on the NFT).
+router.post('/analysis/:cid/rerun', rerunAnalysisHandler);
+
+// --- Analysis Pipelines ---
+// Pipelines are declared in services/analysis-pipelines.js. Each step runs as an analysis job;
+// a failed run can be resumed from the steps that failed.
+router.get('/pipelines', listPipelinesHandler);
+router.post('/pipelines/:name/run', runPipelineHandler);
+router.get('/pipelines/runs/:id', getPipelineRunHandler);
+router.post('/pipelines/runs/:id/resume', resumePipelineRunHandler);
 
 export default router;
\ No newline at end of file
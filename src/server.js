@@ -3,17 +3,17 @@ import express from 'express';
 import cors from 'cors';
 import 'dotenv/config';
 import apiRoutes from './routes/api.js';
+import * as storage from './services/storage.service.js';
+import { resumeInterruptedUploads } from './services/resumable.service.js';
+import { startAnalysisWorker } from './services/analysis-job.service.js';
+import { startPipelineWorker } from './services/pipeline.service.js';
+import { startIndexWorker } from './services/rag.service.js';
+import { startCitationImportWorker } from './services/citation-import.service.js';
 
 // --- CONFIGURATION & SETUP ---
 const app = express();
 const port = 3001;
 
-// Check for necessary API keys on startup
-if (!process.env.MOSAIA_HTTP_API_KEY || !process.env.EXA_API_KEY) {
-    console.error('❌ MOSAIA_HTTP_API_KEY and EXA_API_KEY must be set in the .env file.');
-    process.exit(1);
-}
-
 // --- GLOBAL MIDDLEWARE ---
 app.use(cors());      // Enable Cross-Origin Resource Sharing
 app.use(express.json()); // Allow the server to parse JSON request bodies
@@ -35,10 +35,22 @@ app.use((err, req, res, next) => {
         error: message,
         // Include outputDirectory for debugging R script failures
         ...(err.outputDirectory && { outputDirectory: err.outputDirectory }),
+        // Uploads that outlived the request answer 504 with the job to follow
+        ...(err.jobId && { uploadJobId: err.jobId }),
     });
 });
 
 // --- START SERVER ---
 app.listen(port, () => {
     console.log(`✅ API server is running and listening at http://localhost:${port}`);
+    storage.init().then(resumeInterruptedUploads).catch(error => {
+        console.error(`❌ Failed to initialize the '${storage.driverName}' storage driver:`, error);
+    });
+    startAnalysisWorker().then(startPipelineWorker).catch(error => {
+        console.error('❌ Failed to start the analysis worker pool:', error);
+    });
+    startIndexWorker();
+    startCitationImportWorker().catch(error => {
+        console.error('❌ Failed to start the citation import worker:', error);
+    });
 });
\ No newline at end of file
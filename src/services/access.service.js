@@ -0,0 +1,68 @@
+// src/services/access.service.js
+import { query } from './db.js';
+
+// Ordered from least to most privileged; each role can do everything the ones before it can.
+export const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const hasRole = (role, minRole) => PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minRole);
+
+/**
+ * @param {object} user The authenticated user (`req.user`).
+ * @param {number} projectId
+ * @returns {Promise<string|null>} The user's role in the project, or null if they are not a member.
+ */
+export async function getProjectRole(user, projectId) {
+  const result = await query(
+    'SELECT role FROM project_members WHERE project_id = $1 AND user_id = $2',
+    [projectId, user.id]
+  );
+  return result.rows[0]?.role || null;
+}
+
+/**
+ * Throws unless the user holds at least `minRole` in the project. Admins pass every check.
+ * Unassigned ("General") data has no project and is only accessible to admins.
+ * Non-members get a 404 so project IDs cannot be probed. Archived projects are read-only:
+ * editor-level actions (uploads, log entries) are refused, while owners can still manage them.
+ * @param {object} user The authenticated user (`req.user`).
+ * @param {number|null} projectId The project, or null for General data.
+ * @param {string} minRole One of PROJECT_ROLES.
+ */
+export async function assertProjectAccess(user, projectId, minRole) {
+  if (projectId == null) {
+    if (!user.isAdmin) throw httpError(403, 'Unassigned (General) data is only available to admins.');
+    return;
+  }
+  if (!Number.isInteger(projectId)) throw httpError(400, 'A numeric project ID is required.');
+
+  const projectResult = await query('SELECT id, archived_at FROM projects WHERE id = $1', [projectId]);
+  const project = projectResult.rows[0];
+  if (!project) throw httpError(404, `Project with ID ${projectId} not found.`);
+
+  if (!user.isAdmin) {
+    const role = await getProjectRole(user, projectId);
+    if (!role) throw httpError(404, `Project with ID ${projectId} not found.`);
+    if (!hasRole(role, minRole)) {
+      throw httpError(403, `This requires the '${minRole}' role in project ${projectId}; you are a '${role}'.`);
+    }
+  }
+  if (project.archived_at && minRole === 'editor') {
+    throw httpError(409, `Project ${projectId} is archived. Unarchive it to add data.`);
+  }
+}
+
+/**
+ * Builds a SQL condition limiting rows with a `project_id` column to projects the user can view.
+ * @param {object} user The authenticated user (`req.user`).
+ * @param {number} paramIndex The placeholder number to use for the user ID.
+ * @returns {{clause: string|null, args: any[]}} No clause for admins, who can see everything.
+ */
+export function visibleProjectsClause(user, paramIndex, column = 'project_id') {
+  if (user.isAdmin) return { clause: null, args: [] };
+  return {
+    clause: `${column} IN (SELECT project_id FROM project_members WHERE user_id = $${paramIndex})`,
+    args: [user.id],
+  };
+}
@@ -1,100 +1,213 @@
 // src/services/ai.service.js
-import OpenAI from 'openai';
-import Exa from 'exa-js';
+import config from '../config.js';
+import * as openaiProvider from './ai/openai.provider.js';
+import * as mockProvider from './ai/mock.provider.js';
+import * as exaSearch from './ai/exa.search.js';
+import * as mockSearch from './ai/mock.search.js';
+
+const { llm, models, embeddings, search, mockFixtures } = config.ai;
+
+/**
+ * Every LLM provider's `createProvider(options)` returns the same functions:
+ *
+ *   complete({model, messages, temperature, signal}) -> Promise<string>
+ *   stream({model, messages, temperature, signal})   -> AsyncIterable<string>  The reply as it is generated.
+ *   embed({model, texts})                            -> Promise<number[][]>    One vector per text.
+ *
+ * and every search backend's `createSearch(options)` returns
+ *
+ *   search(query, {numResults, signal}) -> Promise<{url, title, text}[]>
+ */
+const PROVIDERS = {
+    openai: ({ baseUrl, apiKey }) => openaiProvider.createProvider({ baseUrl, apiKey }),
+    mock: () => mockProvider.createProvider({ fixturesPath: mockFixtures }),
+};
+
+const SEARCH_BACKENDS = {
+    exa: () => exaSearch.createSearch({ apiKey: search.exaApiKey }),
+    mock: () => mockSearch.createSearch({ fixturesPath: mockFixtures }),
+    none: () => ({ search: async () => [] }),
+};
+
+function select(registry, name, variable) {
+    if (!Object.hasOwn(registry, name)) {
+        throw new Error(`Invalid ${variable}: ${name}. Expected one of: ${Object.keys(registry).join(', ')}.`);
+    }
+    return registry[name];
+}
 
 // Initialize clients once
-const openai = new OpenAI({
-    baseURL: 'https://api.mosaia.ai/v1/agent',
-    apiKey: process.env.MOSAIA_HTTP_API_KEY,
-});
+const llmProvider = select(PROVIDERS, llm.provider, 'LLM_PROVIDER')(llm);
+const embeddingProvider = select(PROVIDERS, embeddings.provider, 'EMBEDDING_PROVIDER')(embeddings);
+const webSearch = select(SEARCH_BACKENDS, search.provider, 'SEARCH_PROVIDER')();
 
-const exa = new Exa(process.env.EXA_API_KEY);
+const modelFor = (task) => models[task] || models.default;
+
+const withSystemPrompt = (system, user, messages) => [
+    {'role': 'system', 'content': system},
+    ...(messages || [{'role': 'user', 'content': user}]),
+];
 
 /**
  * A generic function to get a response from the configured LLM.
+ * Pass `messages` instead of `user` to send a whole conversation after the system prompt, and
+ * `signal` (an AbortSignal) to cancel the request. `task` picks the model (see config.ai.models).
  */
-async function getLLMResponse({system, user, temperature = 1, model = '6845cac0d8955e09bf51f446'}) {
-    const completion = await openai.chat.completions.create({
-        model,
+async function getLLMResponse({system, user, messages, temperature = 1, task, signal}) {
+    return llmProvider.complete({
+        model: modelFor(task),
         temperature,
-        messages: [
-            {'role': 'system', 'content': system},
-            {'role': 'user', 'content': user},
-        ]
+        messages: withSystemPrompt(system, user, messages),
+        signal,
+    });
+}
+
+/**
+ * Like getLLMResponse, but yields the reply piece by piece as the model produces it.
+ * Aborting `signal` ends the stream and closes the upstream request.
+ */
+function streamLLMResponse({system, messages, temperature = 1, task, signal}) {
+    return llmProvider.stream({
+        model: modelFor(task),
+        temperature,
+        messages: withSystemPrompt(system, null, messages),
+        signal,
     });
-    return completion.choices[0].message.content;
 }
 
 /**
  * Generates search queries for a given topic using an LLM.
  */
-export async function generateSearchQueries(topic, n = 10) {
+export async function generateSearchQueries(topic, n = 10, { signal } = {}) {
     const userPrompt = `I'm writing a research report on ${topic} and need help coming up with diverse search queries. Please generate a list of ${n} search queries. Do not add any formatting or numbering.`;
     const completion = await getLLMResponse({
         system: 'Respond with only the suggested search queries in plain text, each on its own line.',
         user: userPrompt,
-        temperature: 1
+        temperature: 1,
+        task: 'queries',
+        signal,
     });
     return completion.split('\n').filter(s => s.trim().length > 0).slice(0, n);
 }
 
 /**
- * Uses Exa to get search results for a list of queries.
+ * Uses the configured search backend to get results for a list of queries.
+ * `onResults(query, results, index)` is called after each query; aborting `signal` stops before
+ * the next one.
  */
-export async function getSearchResults(queries, linksPerQuery = 10) {
+export async function getSearchResults(queries, linksPerQuery = 10, { onResults, signal } = {}) {
     let results = [];
-    for (const query of queries) {
-        const searchResponse = await exa.searchAndContents(query, {
-            numResults: linksPerQuery
-        });
-        results.push(...searchResponse.results);
+    for (const [index, query] of queries.entries()) {
+        signal?.throwIfAborted();
+        const queryResults = await webSearch.search(query, { numResults: linksPerQuery, signal });
+        results.push(...queryResults);
+        onResults?.(query, queryResults, index);
     }
     return results;
 }
 
 /**
- * Synthesizes a research report from search results using an LLM.
+ * Whether embeddings can be requested at all: OpenAI itself rejects keyless requests.
+ * @returns {boolean}
+ */
+export function canEmbed() {
+    return !(embeddings.provider === 'openai' && !embeddings.apiKey && new URL(embeddings.baseUrl).hostname === 'api.openai.com');
+}
+
+/**
+ * Embeds texts with the configured embeddings model.
+ * @param {string[]} texts
+ * @returns {Promise<number[][]>} One vector per text, in order.
  */
-export async function synthesizeReport(topic, searchContents, contentSlice = 750) {
-    const inputData = searchContents.map(item => `--START ITEM--\nURL: ${item.url}\nCONTENT: ${item.text.slice(0, contentSlice)}\n--END ITEM--\n`).join('');
+export async function embedTexts(texts, batchSize = 64) {
+    // Fail once here instead of once per batch.
+    if (!canEmbed()) {
+        throw new Error('EMBEDDING_API_KEY (or OPENAI_API_KEY) must be set to embed documents.');
+    }
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += batchSize) {
+        vectors.push(...await embeddingProvider.embed({ model: embeddings.model, texts: texts.slice(i, i + batchSize) }));
+    }
+    return vectors;
+}
+
+function groundedAnswerPrompt(passages, searchContents, context, contentSlice = 750) {
+    const internalData = passages.map(passage => `--START PASSAGE--\nCID: ${passage.cid}\nTYPE: ${passage.type}\nTITLE: ${passage.title}\nCONTENT: ${passage.content}\n--END PASSAGE--\n`).join('');
+    const webData = searchContents.map((item, i) => `--START ITEM [${i + 1}]--\nURL: ${item.url}\nCONTENT: ${(item.text || '').slice(0, contentSlice)}\n--END ITEM--\n`).join('');
+    return `You are a research assistant for a lab's data repository. Answer the user's latest message, taking the whole conversation into account.
+Prefer the lab's own records below over the web. Cite a record passage as [cid:<CID>] right after the statement it supports, and a web result by its footnote number ([#]). Only cite sources you used, and say so if neither source answers the question.
+End with a "References" section listing each cited record as [cid:<CID>] <title> and each cited web result as [#] <url>.
+${context ? `\nContext from the user's current view:\n${context}\n` : ''}
+Lab records:
+${internalData || '(none found)\n'}
+Web results:
+${webData || '(none found)\n'}`;
+}
+
+/**
+ * Answers the last message of a conversation from passages of our own stored records and from
+ * web search results. Internal passages are cited by CID, web results by footnote.
+ * @param {{role: string, content: string}[]} messages The full conversation, oldest first.
+ * @param {{cid: string, type: string, title: string, content: string}[]} passages
+ * @param {{url: string, text: string}[]} searchContents
+ * @param {string} [context] Extra context sent by the client (e.g. the record being viewed).
+ */
+export async function synthesizeGroundedAnswer(messages, passages, searchContents, context) {
     return await getLLMResponse({
-        system: 'You are a helpful research assistant. Write a report according to the user\'s instructions.',
-        user: `Input Data:\n${inputData}\n\nWrite a two paragraph research report about ${topic} based on the provided information. Include as many sources as possible. Provide citations in the text using footnote notation ([#]). First provide the report, followed by a single "References" section that lists all the URLs used, in the format [#] <url>.`,
+        system: groundedAnswerPrompt(passages, searchContents, context),
+        messages,
+        task: 'synthesis',
+    });
+}
+
+/**
+ * Streams the answer synthesizeGroundedAnswer would return, yielding text as it is generated.
+ * @param {AbortSignal} [signal] Cancels generation, e.g. when the client disconnects.
+ */
+export function streamGroundedAnswer(messages, passages, searchContents, context, signal) {
+    return streamLLMResponse({
+        system: groundedAnswerPrompt(passages, searchContents, context),
+        messages,
+        task: 'synthesis',
+        signal,
     });
 }
 
 /**
- * Extracts structured metadata from a paper's text using an LLM.
+ * Asks the LLM for a paper's metadata as JSON and returns its reply as-is; metadata.service.js
+ * parses, validates and normalizes it. To repair an invalid reply, pass it as `repair.reply`
+ * with the `repair.problems` found in it, and the model is asked to correct them.
  */
-export async function extractMetadataFromText(text) {
+export async function requestPaperMetadata(text, repair) {
     const prompt = `
         Analyze the text from a scientific paper. Your task is to extract the specified fields.
         Respond ONLY with a single, valid JSON object. Do not include any explanations or markdown.
-        
+
         The fields to extract are:
         - "title": The main title of the paper.
         - "journal": The name of the journal.
-        - "year": The 4-digit publication year as a string.
+        - "year": The 4-digit publication year as a number.
         - "keywords": An array of 3-5 relevant keywords as strings.
-        - "doi": the doi of the article
-        - "authors": An array of authors of the article.
-        If a field cannot be found, use an empty string "" or an empty array [].
+        - "doi": The DOI of the article, such as "10.1234/abcd.5678".
+        - "authors": An array of the authors' full names, in order.
+        - "confidence": An object giving, for each field above, how sure you are of it from 0 to 1.
+        If a field cannot be found, use an empty string "", an empty array [] or null for the year,
+        with a confidence of 0.
 
         --- TEXT ---
-        ${text.substring(0, 15000)}
+        ${text}
     `;
-    const aiResponseText = await getLLMResponse({
+    const messages = [{'role': 'user', 'content': prompt}];
+    if (repair) {
+        messages.push(
+            {'role': 'assistant', 'content': repair.reply},
+            {'role': 'user', 'content': `That reply was not usable:\n- ${repair.problems.join('\n- ')}\nRespond again with ONLY the corrected JSON object.`},
+        );
+    }
+    return getLLMResponse({
         system: 'You are a JSON extraction machine.',
-        user: prompt,
-        temperature: 0.1
+        messages,
+        temperature: 0.1,
+        task: 'metadata',
     });
-
-    console.log('Raw AI response received:', aiResponseText);
-    const jsonStartIndex = aiResponseText.indexOf('{');
-    const jsonEndIndex = aiResponseText.lastIndexOf('}');
-    if (jsonStartIndex === -1 || jsonEndIndex === -1) {
-        throw new Error("AI response did not contain a valid JSON object.");
-    }
-    const jsonString = aiResponseText.substring(jsonStartIndex, jsonEndIndex + 1);
-    return JSON.parse(jsonString);
-}
\ No newline at end of file
+}
@@ -0,0 +1,19 @@
+// src/services/ai/exa.search.js
+import Exa from 'exa-js';
+
+/**
+ * @param {{apiKey?: string}} options
+ */
+export function createSearch({ apiKey }) {
+  // Created on first use: the client throws without a key, and the server must start without one.
+  let exa = null;
+
+  return {
+    async search(query, { numResults }) {
+      if (!apiKey) throw new Error('EXA_API_KEY must be set to search the web with Exa.');
+      exa ??= new Exa(apiKey);
+      const response = await exa.searchAndContents(query, { numResults });
+      return response.results;
+    },
+  };
+}
@@ -0,0 +1,56 @@
+// src/services/ai/mock.provider.js
+// A deterministic stand-in for an LLM, so the API runs without network access or keys.
+// Replies come from a fixtures file: the first entry whose `match` appears in the system prompt
+// or the last message wins, with {{lastMessage}} replaced by that message. Embeddings hash each
+// word into a fixed number of dimensions, so texts sharing words are close, as with a real model.
+import crypto from 'crypto';
+import fs from 'fs';
+
+const EMBEDDING_DIMENSIONS = 256;
+
+export function readFixtures(fixturesPath) {
+  return JSON.parse(fs.readFileSync(fixturesPath, 'utf-8'));
+}
+
+function embedText(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    const hash = crypto.createHash('sha1').update(word).digest();
+    vector[hash.readUInt32BE(0) % EMBEDDING_DIMENSIONS] += 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+/**
+ * @param {{fixturesPath: string}} options
+ */
+export function createProvider({ fixturesPath }) {
+  const fixtures = readFixtures(fixturesPath);
+
+  const reply = (messages) => {
+    const system = messages.find(message => message.role === 'system')?.content || '';
+    const lastMessage = messages[messages.length - 1]?.content || '';
+    const fixture = fixtures.completions.find(entry => system.includes(entry.match) || lastMessage.includes(entry.match));
+    return (fixture?.reply ?? fixtures.defaultReply).replaceAll('{{lastMessage}}', lastMessage);
+  };
+
+  return {
+    async complete({ messages, signal }) {
+      signal?.throwIfAborted();
+      return reply(messages);
+    },
+
+    async *stream({ messages, signal }) {
+      // Word by word, like a real stream.
+      for (const piece of reply(messages).match(/\S+\s*|\s+/g) || []) {
+        signal?.throwIfAborted();
+        yield piece;
+      }
+    },
+
+    async embed({ texts }) {
+      return texts.map(embedText);
+    },
+  };
+}
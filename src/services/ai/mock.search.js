@@ -0,0 +1,19 @@
+// src/services/ai/mock.search.js
+// Web search results from the mock fixtures file, with {{query}} and {{slug}} filled in.
+import { readFixtures } from './mock.provider.js';
+
+/**
+ * @param {{fixturesPath: string}} options
+ */
+export function createSearch({ fixturesPath }) {
+  const { searchResults } = readFixtures(fixturesPath);
+
+  return {
+    async search(query, { numResults }) {
+      const slug = query.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      return searchResults.slice(0, numResults).map(result => Object.fromEntries(
+        Object.entries(result).map(([key, value]) => [key, value.replaceAll('{{query}}', query).replaceAll('{{slug}}', slug)])
+      ));
+    },
+  };
+}
@@ -0,0 +1,31 @@
+// src/services/ai/openai.provider.js
+// Any OpenAI-compatible API: Mosaia, OpenAI, or a local Ollama / llama.cpp server.
+import OpenAI from 'openai';
+
+/**
+ * @param {{baseUrl: string, apiKey?: string}} options
+ */
+export function createProvider({ baseUrl, apiKey }) {
+  // Local servers ignore the key, but the client refuses to start without one.
+  const client = new OpenAI({ baseURL: baseUrl, apiKey: apiKey || 'not-set' });
+
+  return {
+    async complete({ model, messages, temperature, signal }) {
+      const completion = await client.chat.completions.create({ model, temperature, messages }, { signal });
+      return completion.choices[0].message.content;
+    },
+
+    async *stream({ model, messages, temperature, signal }) {
+      const stream = await client.chat.completions.create({ model, temperature, messages, stream: true }, { signal });
+      for await (const chunk of stream) {
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) yield text;
+      }
+    },
+
+    async embed({ model, texts }) {
+      const response = await client.embeddings.create({ model, input: texts });
+      return response.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+    },
+  };
+}
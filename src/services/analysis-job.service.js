@@ -0,0 +1,654 @@
+// src/services/analysis-job.service.js
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+import { query } from './db.js';
+import { runScriptWithProgress } from './analysis.service.js';
+import { getTool, hasParameters } from './analysis-tools.js';
+import { getManifest, createManifestReadStream, storeFileInPieces } from './manifest.service.js';
+import { detectArchiveType, readHead, extractArchive, createTarGz } from './archive.service.js';
+import { findRecordByCid, insertRecord } from './record.service.js';
+import { assertProjectAccess } from './access.service.js';
+import { diffResults } from './result-diff.service.js';
+import { addLogEntry } from './flow.service.js';
+import { agentName, getUser } from './auth.service.js';
+import * as storage from './storage.service.js';
+import config from '../config.js';
+
+const { maxWorkers, timeoutFactor, maxInputBytes, failedOutputRetention } = config.analysis;
+
+const srcDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const scriptsDir = path.join(srcDir, 'scripts');
+const resultsDir = path.join(srcDir, 'results');
+
+// queued -> running -> succeeded or failed. Jobs never retry on their own, since a failing
+// script usually fails the same way again.
+export const ANALYSIS_JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+// The log can be large, so it is only returned when asked for.
+const JOB_COLUMNS = 'id, tool, status, params, progress, progress_message, result, error, verification, output_dir, result_cid, flow_tx_id, project_id, requested_by, created_at, started_at, finished_at, updated_at';
+
+// Progress lines can arrive many times a second; the database only hears about them this often.
+const PROGRESS_WRITE_INTERVAL = 1000;
+const OUTPUT_SWEEP_INTERVAL = 60 * 60 * 1000;
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+// Emits 'finished' with the job row once a job has succeeded or failed.
+const jobEvents = new EventEmitter();
+
+const activeJobs = new Map(); // tool -> number of scripts currently running
+let runningTotal = 0;
+let isDraining = false;
+let drainRequested = false;
+
+const toolTimeout = (tool) => getTool(tool).timeout * timeoutFactor;
+
+async function updateJob(jobId, fields) {
+  const columns = Object.keys(fields);
+  const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+  const result = await query(
+    `UPDATE analysis_jobs SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING ${JOB_COLUMNS}`,
+    [jobId, ...columns.map(column => fields[column])]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Queues an analysis. It starts as soon as a worker and a slot for its tool are free.
+ * @param {string} tool A tool from the registry in analysis-tools.js.
+ * @param {object} params `{ inputCids, parameters }`, with parameters already validated.
+ * @param {number} requestedBy The ID of the user who asked for the analysis.
+ * @param {number|null} projectId The project the resulting analysis record belongs to.
+ * @returns {Promise<object>} The queued job.
+ */
+export async function enqueueAnalysisJob(tool, params, requestedBy, projectId) {
+  if (!getTool(tool)) throw new Error(`Unknown analysis tool: ${tool}`);
+
+  const result = await query(
+    `INSERT INTO analysis_jobs (tool, params, requested_by, project_id) VALUES ($1, $2, $3, $4) RETURNING ${JOB_COLUMNS}`,
+    [tool, params, requestedBy, projectId]
+  );
+  const job = result.rows[0];
+  console.log(`[AnalysisQueue] Job #${job.id}: queued ${tool}.`);
+  setImmediate(drainQueue);
+  return job;
+}
+
+function announceFinished(jobId) {
+  getAnalysisJob(jobId)
+    .then(finished => jobEvents.emit('finished', finished))
+    .catch(error => console.error(`[AnalysisQueue] Job #${jobId}: failed to announce its completion.`, error));
+}
+
+/**
+ * Calls `listener` with the job row whenever a job in this process has succeeded or failed.
+ * @param {function(object): void} listener
+ */
+export function onAnalysisJobFinished(listener) {
+  jobEvents.on('finished', listener);
+}
+
+/**
+ * Checks that the user can read every input record, that its type is accepted, and that it is
+ * not encrypted (the server never holds the key, so it could only analyse ciphertext).
+ * @param {object} user The authenticated user (`req.user`).
+ * @param {string[]} cids
+ * @param {string[]} inputTypes The record types the tool or pipeline accepts.
+ * @param {string} label How to name the tool or pipeline in error messages.
+ * @returns {Promise<Set<number|null>>} The projects the inputs belong to.
+ */
+export async function checkAnalysisInputs(user, cids, inputTypes, label) {
+  const inputProjects = new Set();
+  for (const cid of cids) {
+    const record = await findRecordByCid(cid);
+    if (!record) throw httpError(404, `No record found for CID ${cid}.`);
+    await assertProjectAccess(user, record.project_id, 'viewer');
+    if (!inputTypes.includes(record.type)) {
+      throw httpError(400, `CID ${cid} is a ${record.type} record. ${label} takes: ${inputTypes.join(', ')}.`);
+    }
+    if (record.is_encrypted) throw httpError(400, `CID ${cid} is encrypted and cannot be analysed on the server.`);
+    inputProjects.add(record.project_id);
+  }
+  return inputProjects;
+}
+
+/**
+ * Picks the project an analysis is recorded in and checks the user can write to it.
+ * @param {object} user The authenticated user (`req.user`).
+ * @param {number|null|undefined} requestedProjectId `projectId` from the request, if any.
+ * @param {Set<number|null>} inputProjects As returned by `checkAnalysisInputs`.
+ * @returns {Promise<number|null>} The requested project, or else the one all inputs belong to.
+ */
+export async function resolveAnalysisProject(user, requestedProjectId, inputProjects) {
+  let projectId;
+  if (requestedProjectId !== undefined) {
+    projectId = requestedProjectId === null ? null : Number(requestedProjectId);
+  } else if (inputProjects.size === 1) {
+    [projectId] = inputProjects;
+  } else {
+    throw httpError(400, 'The input CIDs belong to different projects. Send "projectId" to choose where the analysis is recorded.');
+  }
+  await assertProjectAccess(user, projectId, 'editor');
+  return projectId;
+}
+
+/**
+ * @param {number} jobId
+ * @param {object} [options]
+ * @param {boolean} [options.includeLog] Also return the tail of the script's output.
+ * @returns {Promise<object|null>}
+ */
+export async function getAnalysisJob(jobId, { includeLog = false } = {}) {
+  const result = await query(
+    `SELECT ${JOB_COLUMNS}${includeLog ? ', log' : ''} FROM analysis_jobs WHERE id = $1`,
+    [jobId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * @param {string} cid
+ * @returns {Promise<object|null>} The `analysis` record with that CID, including its provenance columns.
+ */
+export async function getAnalysisRecord(cid) {
+  const result = await query('SELECT * FROM analysis WHERE cid = $1', [cid]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Atomically moves the oldest queued job whose tool still has a free slot to 'running'.
+ */
+async function claimNextJob() {
+  if (runningTotal >= maxWorkers) return null;
+
+  const candidates = await query(
+    `SELECT id, tool FROM analysis_jobs WHERE status = 'queued' ORDER BY created_at ASC, id ASC LIMIT 50`
+  );
+  for (const candidate of candidates.rows) {
+    const tool = getTool(candidate.tool);
+    if (!tool) continue;
+    if ((activeJobs.get(candidate.tool) || 0) >= tool.concurrency) continue;
+
+    const claimed = await query(
+      `UPDATE analysis_jobs SET status = 'running', started_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'queued' RETURNING *`,
+      [candidate.id]
+    );
+    if (claimed.rows.length > 0) return claimed.rows[0];
+  }
+  return null;
+}
+
+/**
+ * Extracts the JSON result from a script's stdout. jsonlite output can be preceded by
+ * package start-up messages, so parsing falls back to the first opening brace.
+ */
+export function parseJsonOutput(stdout) {
+  const text = stdout.trim();
+  try {
+    return JSON.parse(text);
+  } catch {
+    const start = text.indexOf('{');
+    if (start === -1) throw new Error('The script did not print a JSON result.');
+    try {
+      return JSON.parse(text.slice(start));
+    } catch {
+      throw new Error('The script printed output that is not valid JSON.');
+    }
+  }
+}
+
+/**
+ * Reduces a stored filename to something safe to create inside the working directory.
+ */
+export function safeFilename(filename) {
+  const name = path.basename(filename || '').replace(/[^\w.-]/g, '_');
+  return !name || /^\.+$/.test(name) ? 'data' : name;
+}
+
+/**
+ * Writes a stored file to disk, reassembling it first if it was split into pieces.
+ */
+async function downloadCid(cid, manifest, destPath) {
+  const stream = manifest ? createManifestReadStream(manifest) : await storage.createReadStream(cid);
+  await pipeline(stream, fs.createWriteStream(destPath, { flags: 'wx' }));
+}
+
+/**
+ * Copies a job's input CIDs from storage into `<inputsDir>/<cid>/`, unpacking zip and tar
+ * archives in place. Scripts only ever see files inside this directory. A single file keeps the
+ * name it was uploaded with, since scripts pick their inputs by extension (e.g. `.CDF`).
+ * @returns {Promise<string>} The path the script receives: the file for single-file tools,
+ *   otherwise the CID's directory, or `inputsDir` itself for several CIDs.
+ */
+export async function fetchInputs(job, tool, inputsDir) {
+  const { inputCids } = job.params;
+
+  // Sizes are checked up front so an oversized job fails before anything is downloaded.
+  const sources = [];
+  let downloadBytes = 0;
+  for (const cid of inputCids) {
+    const manifest = await getManifest(cid);
+    const record = await findRecordByCid(cid);
+    const fileInfo = manifest ? { size: Number(manifest.size) } : await storage.stat(cid);
+    if (!fileInfo || fileInfo.size == null) throw new Error(`Input ${cid} was not found in storage.`);
+    downloadBytes += fileInfo.size;
+    sources.push({ cid, manifest, size: fileInfo.size, filename: record?.filename || manifest?.filename });
+  }
+  if (downloadBytes > maxInputBytes) {
+    throw new Error(`The input files total ${downloadBytes} bytes, more than the ${maxInputBytes} byte limit.`);
+  }
+
+  let usedBytes = 0;
+  let filePath = null;
+  for (const { cid, manifest, size, filename } of sources) {
+    const cidDir = path.join(inputsDir, cid);
+    await fs.promises.mkdir(cidDir, { recursive: true });
+
+    // Downloaded next to the CID's directory, so unpacked entries can never collide with it.
+    const downloadPath = path.join(inputsDir, `${cid}.download`);
+    await downloadCid(cid, manifest, downloadPath);
+
+    const archiveType = size > 0 ? detectArchiveType(await readHead(downloadPath)) : null;
+    if (!archiveType) {
+      filePath = path.join(cidDir, safeFilename(filename));
+      await fs.promises.rename(downloadPath, filePath);
+      usedBytes += size;
+      continue;
+    }
+    if (tool.input === 'file') {
+      throw new Error(`Input ${cid} is an archive, but ${job.tool} reads a single file.`);
+    }
+    console.log(`[AnalysisQueue] Job #${job.id}: unpacking ${archiveType} input ${cid}.`);
+    const { bytes } = await extractArchive(downloadPath, archiveType, cidDir, { maxBytes: maxInputBytes - usedBytes });
+    usedBytes += bytes;
+    await fs.promises.unlink(downloadPath);
+  }
+
+  if (tool.input === 'file') return filePath;
+  return inputCids.length === 1 ? path.join(inputsDir, inputCids[0]) : inputsDir;
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * The SHA-256 of a tool's script as it is on disk now, as recorded in `analysis.script_hash`.
+ * @param {string} toolName
+ * @returns {Promise<string>}
+ */
+export async function getScriptHash(toolName) {
+  return hashFile(path.join(scriptsDir, getTool(toolName).script));
+}
+
+/**
+ * Reads `result.json` back out of a stored analysis bundle.
+ * @param {string} cid The bundle's CID.
+ * @param {string} workDir A scratch directory to unpack it in.
+ */
+async function readStoredResult(cid, workDir) {
+  const bundlePath = path.join(workDir, `${cid}.tar.gz`);
+  const bundleDir = path.join(workDir, cid);
+  await fs.promises.mkdir(workDir, { recursive: true });
+  await downloadCid(cid, await getManifest(cid), bundlePath);
+  await extractArchive(bundlePath, 'tar.gz', bundleDir, { maxBytes: maxInputBytes });
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(bundleDir, 'result.json'), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`Analysis ${cid} has no result.json in its bundle.`);
+    throw error;
+  }
+}
+
+/**
+ * Diffs a re-run's result against the result stored with the analysis it re-runs.
+ * Tolerances sent with the re-run request override the tool's defaults.
+ */
+async function verifyRerun(job, tool, { result, scriptHash }, workDir) {
+  const { rerunOf, originalScriptHash, comparison = {} } = job.params;
+  const original = await readStoredResult(rerunOf, workDir);
+  const options = { ...tool.comparison, ...comparison };
+  return {
+    rerunOf,
+    scriptChanged: scriptHash !== originalScriptHash,
+    relativeTolerance: options.relativeTolerance,
+    absoluteTolerance: options.absoluteTolerance,
+    ...diffResults(original, result, options),
+  };
+}
+
+/**
+ * Bundles the result, the script log, a provenance file and everything else the script wrote
+ * into a tarball, stores it, and inserts the `analysis` record pointing at it.
+ * @returns {Promise<string>} The CID of the stored bundle.
+ */
+async function storeAnalysisRecord(job, tool, { result, log, scriptHash, outputDir, verification }) {
+  const { inputCids } = job.params;
+  const provenance = {
+    tool: job.tool,
+    script: tool.script,
+    scriptHash,
+    parameters: job.params.parameters || {},
+    sourceCids: inputCids,
+    analysisJobId: job.id,
+    projectId: job.project_id,
+    requestedBy: job.requested_by,
+    startedAt: job.started_at,
+    finishedAt: new Date(),
+    rerunOf: job.params.rerunOf || null,
+    pipelineRunId: job.params.pipelineRunId || null,
+    pipelineStep: job.params.pipelineStep || null,
+  };
+  await fs.promises.writeFile(path.join(outputDir, 'result.json'), JSON.stringify(result, null, 2));
+  if (verification) {
+    await fs.promises.writeFile(path.join(outputDir, 'verification.json'), JSON.stringify(verification, null, 2));
+  }
+  await fs.promises.writeFile(path.join(outputDir, 'script.log'), log || '');
+  await fs.promises.writeFile(path.join(outputDir, 'provenance.json'), JSON.stringify(provenance, null, 2));
+
+  // Written next to the output directory, not inside the tree being packed.
+  const filename = `analysis_${job.tool}_job${job.id}.tar.gz`;
+  const bundlePath = path.join(resultsDir, filename);
+  try {
+    await createTarGz(outputDir, bundlePath, { exclude: ['inputs'] });
+    const { size } = await fs.promises.stat(bundlePath);
+    const stored = await storeFileInPieces(bundlePath, {
+      filename,
+      size,
+      sha256: await hashFile(bundlePath),
+      requestedBy: job.requested_by,
+      projectId: job.project_id,
+    });
+
+    await insertRecord('analysis', {
+      title: job.params.rerunOf ? `${job.tool} re-run of ${job.params.rerunOf}` : `${job.tool} analysis #${job.id}`,
+      description: `${tool.script} run on ${inputCids.join(', ')}`,
+      source_cids: inputCids,
+      project_id: job.project_id,
+      uploaded_by: job.requested_by,
+      tool: job.tool,
+      parameters: job.params.parameters || {},
+      script_hash: scriptHash,
+      analysis_job_id: job.id,
+      rerun_of: job.params.rerunOf || null,
+      pipeline_run_id: job.params.pipelineRunId || null,
+    }, stored);
+    console.log(`[AnalysisQueue] Job #${job.id}: stored results as analysis ${stored.cid}.`);
+    return stored.cid;
+  } finally {
+    await fs.promises.unlink(bundlePath).catch(() => {});
+  }
+}
+
+/**
+ * Appends the stored analysis to the logbook of the project's NFT, if the project has one.
+ * A re-run is logged as a verification of the original analysis.
+ * @returns {Promise<string|null>} The Flow transaction ID, or null if the project is not minted.
+ */
+async function logToProjectNft(job, cid, verification) {
+  if (!job.project_id) return null;
+  const projectResult = await query('SELECT nft_id FROM projects WHERE id = $1', [job.project_id]);
+  const nftId = projectResult.rows[0]?.nft_id;
+  if (!nftId) return null;
+
+  let action = `Ran ${job.tool} analysis (job #${job.id})`;
+  if (verification) {
+    const outcome = verification.reproduced
+      ? 'reproduced within tolerance'
+      : `${verification.differenceCount} difference(s) beyond tolerance`;
+    action = `Verified ${job.tool} analysis ${verification.rerunOf}: ${outcome} (job #${job.id})`;
+  }
+
+  const requester = job.requested_by ? await getUser(job.requested_by) : null;
+  const sealedTx = await addLogEntry({
+    nftId,
+    agent: requester ? agentName(requester) : 'analysis worker',
+    action,
+    outputCID: cid,
+  });
+  return sealedTx.transactionId;
+}
+
+/**
+ * Stores a finished job's results and marks it as succeeded. If storing fails, the job is marked
+ * as failed but keeps its working directory, so the store can be retried.
+ * @returns {Promise<boolean>} Whether the working directory was kept.
+ */
+async function storeResults(job, tool, { result, log, scriptHash, outputDir, verification }) {
+  let cid;
+  try {
+    cid = await storeAnalysisRecord(job, tool, { result, log, scriptHash, outputDir, verification });
+  } catch (error) {
+    console.error(`[AnalysisQueue] Job #${job.id}: failed to store its results.`, error);
+    await updateJob(job.id, { status: 'failed', result, log, verification, output_dir: outputDir, error: `The analysis finished but its results could not be stored: ${error.message}`, finished_at: new Date() });
+    return true;
+  }
+
+  // Everything in the output directory is now in the stored bundle.
+  await fs.promises.rm(outputDir, { recursive: true, force: true });
+  await updateJob(job.id, { status: 'succeeded', result, log, verification, result_cid: cid, output_dir: null, progress: 100, error: null, finished_at: new Date() });
+  console.log(`[AnalysisQueue] Job #${job.id}: succeeded.`);
+
+  // A Flow outage must not undo a finished analysis, so the log entry is best effort.
+  try {
+    const flowTxId = await logToProjectNft(job, cid, verification);
+    if (flowTxId) await updateJob(job.id, { flow_tx_id: flowTxId });
+  } catch (error) {
+    console.error(`[AnalysisQueue] Job #${job.id}: failed to add the analysis to the project NFT log.`, error);
+  }
+  return false;
+}
+
+async function processJob(job) {
+  const tool = getTool(job.tool);
+  const outputDir = path.join(resultsDir, `job_${job.id}`);
+  const inputsDir = path.join(outputDir, 'inputs');
+  const timeout = toolTimeout(job.tool);
+  console.log(`[AnalysisQueue] Job #${job.id}: running ${job.tool} (timeout ${timeout / 1000}s).`);
+
+  // Progress writes are chained so they land in order, and the final update waits for them.
+  let pendingUpdate = Promise.resolve();
+  let lastProgressWrite = 0;
+  const onProgress = (progress, message) => {
+    if (Date.now() - lastProgressWrite < PROGRESS_WRITE_INTERVAL && progress < 100) return;
+    lastProgressWrite = Date.now();
+    pendingUpdate = pendingUpdate
+      .then(() => updateJob(job.id, { progress, progress_message: message }))
+      .catch(error => console.error(`[AnalysisQueue] Job #${job.id}: failed to record progress.`, error));
+  };
+
+  let keepOutputDir = false;
+  try {
+    await fs.promises.mkdir(outputDir, { recursive: true });
+    await updateJob(job.id, { output_dir: outputDir, progress_message: 'Fetching input files' });
+
+    const scriptPath = path.join(scriptsDir, tool.script);
+    const scriptHash = await hashFile(scriptPath);
+    const inputPath = await fetchInputs(job, tool, inputsDir);
+    const args = [scriptPath, inputPath];
+    if (hasParameters(tool)) args.push(JSON.stringify(job.params.parameters || {}));
+    const { stdout, log } = await runScriptWithProgress(
+      tool.command,
+      args,
+      // Files a script writes to its working directory land in the job's directory and are bundled.
+      { cwd: outputDir, timeout, onProgress }
+    );
+    await pendingUpdate;
+
+    const result = tool.output === 'json'
+      ? parseJsonOutput(stdout)
+      : { message: 'Analysis completed successfully.' };
+
+    // The scripts catch their own errors and report them as { status: 'error', error }.
+    if (result.status && result.status !== 'success') {
+      console.error(`[AnalysisQueue] Job #${job.id}: the script reported an error:`, result.error);
+      await updateJob(job.id, { status: 'failed', result, log, output_dir: null, error: result.error || 'The script reported an error.', finished_at: new Date() });
+      return;
+    }
+
+    // The original result is unpacked next to the inputs, so it is cleaned up with them.
+    let verification = null;
+    if (job.params.rerunOf) {
+      await updateJob(job.id, { progress_message: 'Comparing with the original result' });
+      verification = await verifyRerun(job, tool, { result, scriptHash }, path.join(inputsDir, 'original'));
+      console.log(`[AnalysisQueue] Job #${job.id}: re-run of ${job.params.rerunOf} ${verification.reproduced ? 'reproduced' : `differs in ${verification.differenceCount} field(s)`}.`);
+    }
+
+    await fs.promises.rm(inputsDir, { recursive: true, force: true });
+    keepOutputDir = await storeResults(job, tool, { result, log, scriptHash, outputDir, verification });
+  } catch (error) {
+    console.error(`[AnalysisQueue] Job #${job.id}: failed.`, error.message);
+    await pendingUpdate;
+    await updateJob(job.id, { status: 'failed', log: error.log || null, output_dir: null, error: error.message || String(error), finished_at: new Date() });
+  } finally {
+    // The log and error are in the job's row; the directory only outlives the job while its
+    // results wait for a retried store.
+    if (!keepOutputDir) {
+      await fs.promises.rm(outputDir, { recursive: true, force: true })
+        .catch(error => console.error(`[AnalysisQueue] Job #${job.id}: failed to remove its working directory.`, error));
+    }
+  }
+}
+
+/**
+ * Retries storing the results of a job that finished but could not store them, using the
+ * working directory it kept. Takes the editor role in the job's project.
+ * @param {number} jobId
+ * @param {object} user The authenticated user (`req.user`).
+ * @returns {Promise<object>} The job, back in 'running' until the store settles.
+ */
+export async function retryAnalysisJob(jobId, user) {
+  const job = await getAnalysisJob(jobId);
+  if (!job || (!user.isAdmin && job.requested_by !== user.id)) {
+    throw Object.assign(new Error(`Analysis job #${jobId} not found.`), { statusCode: 404 });
+  }
+  if (job.project_id != null || job.requested_by !== user.id) {
+    await assertProjectAccess(user, job.project_id, 'editor');
+  }
+  if (job.status !== 'failed' || !job.output_dir) {
+    throw Object.assign(new Error('Only jobs whose results could not be stored can be retried. Run the analysis again instead.'), { statusCode: 409 });
+  }
+
+  let provenance;
+  try {
+    provenance = JSON.parse(await fs.promises.readFile(path.join(job.output_dir, 'provenance.json'), 'utf8'));
+  } catch {
+    throw Object.assign(new Error(`The results of job #${jobId} are no longer on disk. Run the analysis again.`), { statusCode: 410 });
+  }
+
+  const claimed = await query(
+    `UPDATE analysis_jobs SET status = 'running', error = NULL, finished_at = NULL, updated_at = NOW()
+     WHERE id = $1 AND status = 'failed' AND output_dir IS NOT NULL RETURNING *`,
+    [jobId]
+  );
+  if (claimed.rows.length === 0) {
+    throw Object.assign(new Error(`Analysis job #${jobId} is already being retried.`), { statusCode: 409 });
+  }
+  const claimedJob = claimed.rows[0];
+  console.log(`[AnalysisQueue] Job #${jobId}: retrying the store of its results.`);
+
+  // Not awaited, like a queued job: the caller polls the job for the outcome.
+  storeResults(claimedJob, getTool(claimedJob.tool), {
+    result: claimedJob.result,
+    log: claimedJob.log,
+    scriptHash: provenance.scriptHash,
+    outputDir: claimedJob.output_dir,
+    verification: claimedJob.verification,
+  })
+    .catch(error => console.error(`[AnalysisQueue] Job #${jobId}: unexpected error while retrying its store.`, error))
+    .finally(() => announceFinished(jobId));
+
+  return getAnalysisJob(jobId);
+}
+
+/**
+ * Deletes the working directories that failed stores left behind once they are older than
+ * `ANALYSIS_FAILED_OUTPUT_RETENTION_HOURS`.
+ */
+async function sweepFailedOutputs() {
+  const expired = await query(
+    `SELECT id, output_dir FROM analysis_jobs
+     WHERE status = 'failed' AND output_dir IS NOT NULL AND finished_at < NOW() - $1 * INTERVAL '1 millisecond'`,
+    [failedOutputRetention]
+  );
+  for (const job of expired.rows) {
+    await fs.promises.rm(job.output_dir, { recursive: true, force: true });
+    await query(`UPDATE analysis_jobs SET output_dir = NULL, updated_at = NOW() WHERE id = $1 AND status = 'failed'`, [job.id]);
+  }
+  if (expired.rows.length > 0) {
+    console.log(`[AnalysisQueue] Removed the kept results of ${expired.rows.length} failed analysis job(s).`);
+  }
+}
+
+/**
+ * Claims and starts as many queued jobs as the worker pool and per-tool limits allow.
+ */
+async function drainQueue() {
+  if (isDraining) {
+    drainRequested = true;
+    return;
+  }
+  isDraining = true;
+
+  try {
+    do {
+      drainRequested = false;
+      let job;
+      while ((job = await claimNextJob())) {
+        const { tool } = job;
+        activeJobs.set(tool, (activeJobs.get(tool) || 0) + 1);
+        runningTotal++;
+
+        // Not awaited: the script runs in the background and frees its slot when it settles.
+        processJob(job)
+          .catch(error => console.error(`[AnalysisQueue] Job #${job.id}: unexpected worker error.`, error))
+          .finally(() => {
+            activeJobs.set(tool, activeJobs.get(tool) - 1);
+            runningTotal--;
+            setImmediate(drainQueue);
+            announceFinished(job.id);
+          });
+      }
+    } while (drainRequested);
+  } catch (error) {
+    console.error('[AnalysisQueue] Failed to drain the analysis queue.', error);
+  } finally {
+    isDraining = false;
+  }
+}
+
+/**
+ * Starts the worker pool. Scripts that were running when the process last stopped died with
+ * it, so their jobs are marked as failed and their working directories removed; queued jobs
+ * are picked up again. Kept results of failed stores are swept every hour.
+ */
+export async function startAnalysisWorker() {
+  // Joined with itself so RETURNING sees the directory from before the update.
+  const interrupted = await query(
+    `UPDATE analysis_jobs AS job SET status = 'failed', error = 'Interrupted by a server restart.', output_dir = NULL,
+       finished_at = NOW(), updated_at = NOW()
+     FROM analysis_jobs AS previous
+     WHERE job.id = previous.id AND job.status = 'running' RETURNING job.id, previous.output_dir`
+  );
+  for (const job of interrupted.rows) {
+    if (job.output_dir) await fs.promises.rm(job.output_dir, { recursive: true, force: true });
+  }
+  if (interrupted.rowCount > 0) {
+    console.log(`[AnalysisQueue] Marked ${interrupted.rowCount} interrupted analysis job(s) as failed.`);
+  }
+
+  const sweep = () => sweepFailedOutputs()
+    .catch(error => console.error('[AnalysisQueue] Failed to sweep the results of failed jobs.', error));
+  await sweep();
+  setInterval(sweep, OUTPUT_SWEEP_INTERVAL).unref();
+
+  console.log(`[AnalysisQueue] Worker pool started (max ${maxWorkers} concurrent analyses).`);
+  drainQueue();
+}
@@ -0,0 +1,97 @@
+// src/services/analysis-pipelines.js
+// The registry of multi-step pipelines behind POST /api/pipelines/:name/run. A pipeline is a DAG
+// of registered analysis tools (see analysis-tools.js). Each step lists where its inputs come from:
+// '$inputs' is the CIDs the run was started with, any other entry is the ID of an earlier step,
+// whose stored analysis bundle is passed on. Steps run as soon as everything they depend on has
+// succeeded, so independent branches run side by side.
+import { getTool } from './analysis-tools.js';
+
+export const RUN_INPUTS = '$inputs';
+
+export const PIPELINES = {
+  'gcms-workflow': {
+    description: 'GC-MS feature profiling, differential analysis with the same peak picking, annotation of the significant features, and one report.',
+    steps: [
+      { id: 'profiling', tool: 'gcms-profiling', inputs: [RUN_INPUTS] },
+      // Reads the profiling bundle for its peak-picking settings, so both steps see the same peaks.
+      { id: 'differential', tool: 'gcms-differential', inputs: [RUN_INPUTS, 'profiling'] },
+      { id: 'annotation', tool: 'gcms-annotation', inputs: ['differential'] },
+      { id: 'report', tool: 'analysis-report', inputs: ['profiling', 'differential', 'annotation'] },
+    ],
+  },
+};
+
+/**
+ * Checks that a pipeline only uses registered tools, that every step's inputs are the run
+ * inputs or earlier steps (which also rules out cycles), and that each tool accepts what it is fed.
+ */
+function validatePipeline(name, pipeline) {
+  if (!pipeline.steps.some(step => step.inputs.includes(RUN_INPUTS))) {
+    throw new Error(`Pipeline ${name}: no step reads the run inputs ('${RUN_INPUTS}').`);
+  }
+  const seen = new Set();
+  for (const step of pipeline.steps) {
+    const tool = getTool(step.tool);
+    if (!tool) throw new Error(`Pipeline ${name}: step ${step.id} uses unknown tool ${step.tool}.`);
+    if (seen.has(step.id) || step.id === RUN_INPUTS) throw new Error(`Pipeline ${name}: duplicate step ID ${step.id}.`);
+    for (const input of step.inputs) {
+      if (input !== RUN_INPUTS && !seen.has(input)) {
+        throw new Error(`Pipeline ${name}: step ${step.id} reads ${input}, which is not an earlier step.`);
+      }
+      if (input !== RUN_INPUTS && !tool.inputTypes.includes('analysis')) {
+        throw new Error(`Pipeline ${name}: step ${step.id} is fed by ${input}, but ${step.tool} does not take analysis records.`);
+      }
+    }
+    if (!step.inputs.includes(RUN_INPUTS) && step.inputs.length > tool.maxInputs) {
+      throw new Error(`Pipeline ${name}: step ${step.id} has more inputs than ${step.tool} accepts.`);
+    }
+    seen.add(step.id);
+  }
+}
+
+for (const [name, pipeline] of Object.entries(PIPELINES)) validatePipeline(name, pipeline);
+
+/**
+ * @param {string} name
+ * @returns {object|null} The pipeline definition, or null.
+ */
+export function getPipeline(name) {
+  return Object.hasOwn(PIPELINES, name) ? PIPELINES[name] : null;
+}
+
+/**
+ * The record types a pipeline accepts as run inputs: those every step reading '$inputs' accepts.
+ * @param {object} pipeline
+ * @returns {string[]}
+ */
+export function pipelineInputTypes(pipeline) {
+  const entrySteps = pipeline.steps.filter(step => step.inputs.includes(RUN_INPUTS));
+  return entrySteps
+    .map(step => getTool(step.tool).inputTypes)
+    .reduce((common, types) => common.filter(type => types.includes(type)));
+}
+
+/**
+ * How many CIDs a run can start with: the smallest limit among the steps reading '$inputs', less
+ * the bundles of earlier steps such a step also reads.
+ * @param {object} pipeline
+ * @returns {number}
+ */
+export function pipelineMaxInputs(pipeline) {
+  const entrySteps = pipeline.steps.filter(step => step.inputs.includes(RUN_INPUTS));
+  return Math.min(...entrySteps.map(step => getTool(step.tool).maxInputs - (step.inputs.length - 1)));
+}
+
+/**
+ * The public description of every pipeline, for the discovery endpoint.
+ * @returns {object[]}
+ */
+export function listPipelines() {
+  return Object.entries(PIPELINES).map(([name, pipeline]) => ({
+    name,
+    description: pipeline.description,
+    inputTypes: pipelineInputTypes(pipeline),
+    maxInputs: pipelineMaxInputs(pipeline),
+    steps: pipeline.steps.map(step => ({ ...step, parameters: getTool(step.tool).parameters })),
+  }));
+}
@@ -0,0 +1,178 @@
+// src/services/analysis-tools.js
+// The registry of analysis pipelines behind POST /api/analyze/:tool. Adding a pipeline means
+// adding an entry here and its script to src/scripts; the controller and worker are generic.
+//
+// Each script is called as `<command> <script> <inputPath> [<parametersJson>]`:
+//   - inputPath is the input file (`input: 'file'`) or a directory of unpacked inputs (`input: 'directory'`);
+//   - parametersJson is only passed when the tool declares parameters, already validated and
+//     with defaults filled in.
+// Scripts with `output: 'json'` print one JSON object, reporting failures as { status: 'error', error };
+// `output: 'log'` scripts only write files. Either may print `PROGRESS <percent> [message]` lines.
+// `comparison` is how a re-run's result is checked against the original (see result-diff.service.js).
+
+import { validateSchema } from './json-schema.js';
+
+// Plots are re-rendered PNGs and logs carry timings, so neither says anything about reproducibility.
+const IGNORED_RESULT_KEYS = ['log', '*_b64'];
+
+export const ANALYSIS_TOOLS = {
+  nmr: {
+    description: 'Rnmr1D processing, binning and two-group statistics of Varian 1D NMR spectra with a samples CSV.',
+    command: 'Rscript',
+    script: 'nmr_analysis.R',
+    inputTypes: ['spectrum', 'experiment'],
+    input: 'directory',
+    maxInputs: 20,
+    parameters: { type: 'object', properties: {}, additionalProperties: false },
+    output: 'json',
+    comparison: { relativeTolerance: 1e-6, absoluteTolerance: 1e-9, ignoreKeys: IGNORED_RESULT_KEYS },
+    concurrency: 1,
+    timeout: 30 * 60 * 1000,
+  },
+  ld50: {
+    description: 'Dose-response curve and LD50 estimate from a CSV with dose, response and total columns.',
+    command: 'Rscript',
+    script: 'ld50_analysis.R',
+    inputTypes: ['experiment'],
+    input: 'file',
+    maxInputs: 1,
+    parameters: { type: 'object', properties: {}, additionalProperties: false },
+    output: 'json',
+    // The dose-response fit is deterministic, so estimates should agree to rounding error.
+    comparison: { relativeTolerance: 1e-6, absoluteTolerance: 1e-9, ignoreKeys: IGNORED_RESULT_KEYS },
+    concurrency: 2,
+    timeout: 5 * 60 * 1000,
+  },
+  // XCMS runs are memory hungry and slow, so they get one slot and a long timeout.
+  'gcms-differential': {
+    description: 'XCMS differential analysis of GC-MS runs against a phenodata CSV. Given a gcms-profiling bundle too, it picks peaks with the same settings.',
+    command: 'Rscript',
+    script: 'xcms_analysis.R',
+    inputTypes: ['experiment', 'spectrum', 'analysis'],
+    input: 'directory',
+    maxInputs: 20,
+    parameters: { type: 'object', properties: {}, additionalProperties: false },
+    output: 'json',
+    // Peak areas depend on floating-point summation order, so allow a small relative drift.
+    comparison: { relativeTolerance: 1e-3, absoluteTolerance: 1e-6, ignoreKeys: IGNORED_RESULT_KEYS },
+    concurrency: 1,
+    timeout: 60 * 60 * 1000,
+  },
+  'gcms-profiling': {
+    description: 'XCMS peak picking and feature profiling of GC-MS .CDF files.',
+    command: 'Rscript',
+    script: 'xcms_profiling.R',
+    inputTypes: ['experiment', 'spectrum'],
+    input: 'directory',
+    maxInputs: 20,
+    parameters: {
+      type: 'object',
+      properties: {
+        ppm: { type: 'number', minimum: 1, maximum: 5000, default: 2500, description: 'CentWave m/z tolerance in ppm.' },
+        snthresh: { type: 'number', minimum: 1, maximum: 1000, default: 10, description: 'CentWave signal-to-noise threshold.' },
+      },
+      additionalProperties: false,
+    },
+    output: 'json',
+    // Peak areas depend on floating-point summation order, so allow a small relative drift.
+    comparison: { relativeTolerance: 1e-3, absoluteTolerance: 1e-6, ignoreKeys: IGNORED_RESULT_KEYS },
+    concurrency: 1,
+    timeout: 60 * 60 * 1000,
+  },
+  'gcms-annotation': {
+    description: 'Significant features of a gcms-differential result, matched against a reference library of compounds.',
+    command: 'Rscript',
+    script: 'gcms_annotation.R',
+    inputTypes: ['analysis'],
+    input: 'directory',
+    maxInputs: 1,
+    parameters: {
+      type: 'object',
+      properties: {
+        pAdjThreshold: { type: 'number', minimum: 0, maximum: 1, default: 0.05, description: 'Adjusted p-value below which a feature is significant.' },
+        minLog2FoldChange: { type: 'number', minimum: 0, maximum: 20, default: 1, description: 'Smallest absolute log2 fold change of a significant feature.' },
+        mzTolerance: { type: 'number', minimum: 0, maximum: 10, default: 0.5, description: 'm/z window for a library match, in Da.' },
+        rtTolerance: { type: 'number', minimum: 0, maximum: 600, default: 10, description: 'Retention time window for a library match, in seconds.' },
+        library: {
+          type: 'array',
+          default: [],
+          description: 'Reference compounds: a name, a characteristic m/z and, optionally, a retention time in seconds.',
+          items: {
+            type: 'object',
+            required: ['name', 'mz'],
+            properties: {
+              name: { type: 'string', minLength: 1, maxLength: 200 },
+              mz: { type: 'number', minimum: 0 },
+              rt: { type: 'number', minimum: 0 },
+            },
+            additionalProperties: false,
+          },
+        },
+      },
+      additionalProperties: false,
+    },
+    output: 'json',
+    // Filtering and matching a stored table involves no numerical fitting.
+    comparison: { relativeTolerance: 1e-9, absoluteTolerance: 1e-12, ignoreKeys: IGNORED_RESULT_KEYS },
+    concurrency: 2,
+    timeout: 5 * 60 * 1000,
+  },
+  // Takes stored analysis bundles rather than raw data, so it can close a pipeline.
+  'analysis-report': {
+    description: 'Summary report of earlier analyses: tools, parameters, source CIDs and result fields.',
+    command: 'Rscript',
+    script: 'analysis_report.R',
+    inputTypes: ['analysis'],
+    input: 'directory',
+    maxInputs: 20,
+    parameters: { type: 'object', properties: {}, additionalProperties: false },
+    output: 'json',
+    comparison: { relativeTolerance: 0, absoluteTolerance: 0, ignoreKeys: [...IGNORED_RESULT_KEYS, 'finishedAt'] },
+    concurrency: 2,
+    timeout: 5 * 60 * 1000,
+  },
+};
+
+/**
+ * @param {string} name
+ * @returns {object|null} The registered tool, or null.
+ */
+export function getTool(name) {
+  return Object.hasOwn(ANALYSIS_TOOLS, name) ? ANALYSIS_TOOLS[name] : null;
+}
+
+/**
+ * The public description of every tool, for the discovery endpoint.
+ * @returns {object[]}
+ */
+export function listTools() {
+  return Object.entries(ANALYSIS_TOOLS).map(([name, tool]) => ({
+    name,
+    description: tool.description,
+    inputTypes: tool.inputTypes,
+    input: tool.input,
+    maxInputs: tool.maxInputs,
+    parameters: tool.parameters,
+    output: tool.output,
+  }));
+}
+
+/**
+ * Whether a tool's script takes a parameters argument at all.
+ * @param {object} tool
+ * @returns {boolean}
+ */
+export function hasParameters(tool) {
+  return Object.keys(tool.parameters.properties || {}).length > 0;
+}
+
+/**
+ * Validates request parameters against a tool's schema and fills in defaults (see json-schema.js
+ * for the supported keywords).
+ * @param {object} tool A registered tool.
+ * @param {object} [parameters] The parameters from the request.
+ * @returns {{value: object, errors: string[]}}
+ */
+export function validateParameters(tool, parameters = {}) {
+  return validateSchema(tool.parameters, parameters, 'parameters');
+}
@@ -1,40 +1,81 @@
 // src/services/analysis.service.js
 import { spawn } from 'child_process';
 
+// Scripts report progress by printing lines such as "PROGRESS 40 Aligning retention times".
+const PROGRESS_LINE = /^PROGRESS\s+(\d{1,3})(?:\s+(.*))?$/;
+
+// Only the end of a script's output is kept for the job log.
+const MAX_LOG_LENGTH = 64 * 1024;
+
 /**
- * A helper function to run external scripts as a promise.
+ * Runs an external script as a promise, reporting its progress lines as they arrive and killing
+ * the process if it runs longer than the timeout.
  * @param {string} command The command to run (e.g., 'Rscript').
  * @param {string[]} args An array of arguments for the command.
- * @param {object} [options={}] Options for the child process (e.g., { cwd: '/path/to/dir' }).
- * @returns {Promise<string>} A promise that resolves with the script's stdout.
+ * @param {object} [options={}]
+ * @param {string} [options.cwd] Working directory for the script.
+ * @param {number} [options.timeout] Milliseconds before the process is killed.
+ * @param {function} [options.onProgress] Called with (percent, message) for every PROGRESS line.
+ * @returns {Promise<{stdout: string, log: string}>} stdout without the progress lines, and the
+ *   tail of the combined stdout/stderr log.
  */
-export function runScript(command, args, options = {}) {
+export function runScriptWithProgress(command, args, { cwd, timeout, onProgress } = {}) {
     return new Promise((resolve, reject) => {
         console.log(`Spawning: ${command} ${args.join(' ')}`);
-        const process = spawn(command, args, options);
-  
+        const child = spawn(command, args, { cwd });
+
         let stdout = '';
-        let stderr = '';
-  
-        process.stdout.on('data', (data) => {
-            console.log(`[${command} stdout]: ${data}`);
-            stdout += data.toString();
+        let log = '';
+        let pendingLine = '';
+        let timedOut = false;
+
+        const appendLog = (text) => {
+            log = (log + text).slice(-MAX_LOG_LENGTH);
+        };
+
+        const handleLine = (line) => {
+            const match = PROGRESS_LINE.exec(line.trim());
+            if (match) {
+                onProgress?.(Math.min(Number(match[1]), 100), match[2] || null);
+            } else {
+                stdout += `${line}\n`;
+            }
+        };
+
+        const timer = timeout ? setTimeout(() => {
+            timedOut = true;
+            child.kill('SIGTERM');
+            // R ignores SIGTERM while inside some native code, so follow up with SIGKILL.
+            setTimeout(() => child.kill('SIGKILL'), 5000).unref();
+        }, timeout) : null;
+
+        child.stdout.on('data', (data) => {
+            appendLog(data.toString());
+            const lines = (pendingLine + data.toString()).split('\n');
+            pendingLine = lines.pop();
+            lines.forEach(handleLine);
         });
-  
-        process.stderr.on('data', (data) => {
+
+        child.stderr.on('data', (data) => {
             console.error(`[${command} stderr]: ${data}`);
-            stderr += data.toString();
+            appendLog(data.toString());
         });
-  
-        process.on('close', (code) => {
+
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            if (pendingLine) handleLine(pendingLine);
+            if (timedOut) {
+                return reject(Object.assign(new Error(`Process ${command} timed out after ${Math.round(timeout / 1000)}s`), { log }));
+            }
             if (code !== 0) {
-                return reject(new Error(`Process ${command} exited with code ${code}\n${stderr}`));
+                return reject(Object.assign(new Error(`Process ${command} exited with code ${code}`), { log }));
             }
-            resolve(stdout);
+            resolve({ stdout, log });
         });
-  
-        process.on('error', (err) => {
+
+        child.on('error', (err) => {
+            clearTimeout(timer);
             reject(err);
         });
     });
-}
\ No newline at end of file
+}
@@ -0,0 +1,310 @@
+// src/services/archive.service.js
+// Unpacks zip, tar and gzipped tar archives into a directory without ever writing outside it.
+// Entries with absolute paths or '..' segments are refused, and only regular files and
+// directories are created, so symlinks and device files in an archive are skipped.
+// Also writes gzipped tarballs, which is how analysis bundles are stored.
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Identifies an archive from its first bytes.
+ * @param {Buffer} head At least the first 512 bytes of the file.
+ * @returns {'zip'|'tar'|'tar.gz'|null}
+ */
+export function detectArchiveType(head) {
+  if (head.length >= 4 && head.readUInt32LE(0) === 0x04034b50) return 'zip';
+  if (head.length >= 262 && head.toString('latin1', 257, 262) === 'ustar') return 'tar';
+  // Any gzip file is assumed to be a tarball; a plain .gz payload fails with a clear error.
+  if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) return 'tar.gz';
+  return null;
+}
+
+/**
+ * Resolves an archive entry name inside `destDir`, refusing anything that would land outside it.
+ */
+function resolveEntryPath(destDir, name) {
+  const normalized = name.replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[a-z]:/i.test(normalized) || normalized.split('/').includes('..')) {
+    throw httpError(400, `Archive entry "${name}" points outside the working directory.`);
+  }
+  const target = path.resolve(destDir, normalized);
+  if (target !== destDir && !target.startsWith(destDir + path.sep)) {
+    throw httpError(400, `Archive entry "${name}" points outside the working directory.`);
+  }
+  return target;
+}
+
+/**
+ * Counts extracted bytes across all entries so a compression bomb stops at the limit.
+ */
+function createByteLimiter(state, maxBytes) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      state.bytes += chunk.length;
+      if (state.bytes > maxBytes) {
+        return callback(httpError(413, `Archive expands to more than ${maxBytes} bytes.`));
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+async function writeEntry(streams, target, state, maxBytes) {
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  await pipeline(...streams, createByteLimiter(state, maxBytes), fs.createWriteStream(target, { flags: 'wx' }));
+  state.files.push(target);
+}
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Reads the first 512 bytes of a file, enough for `detectArchiveType`.
+ * @param {string} filePath
+ * @returns {Promise<Buffer>}
+ */
+export async function readHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    return await readAt(handle, 0, 512);
+  } finally {
+    await handle.close();
+  }
+}
+
+async function extractZip(filePath, destDir, state, maxBytes) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+
+    // The end-of-central-directory record sits in the last 22 bytes plus an optional comment.
+    const tailLength = Math.min(size, 22 + 0xffff);
+    const tail = await readAt(handle, size - tailLength, tailLength);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd === -1) throw httpError(400, 'Corrupt zip archive: no central directory.');
+
+    const entryCount = tail.readUInt16LE(eocd + 10);
+    const directorySize = tail.readUInt32LE(eocd + 12);
+    const directoryOffset = tail.readUInt32LE(eocd + 16);
+    if (directoryOffset === 0xffffffff || entryCount === 0xffff) {
+      throw httpError(400, 'Zip64 archives are not supported. Use a tar archive for files over 4 GB.');
+    }
+
+    const directory = await readAt(handle, directoryOffset, directorySize);
+    let offset = 0;
+    for (let i = 0; i < entryCount; i++) {
+      if (directory.readUInt32LE(offset) !== 0x02014b50) throw httpError(400, 'Corrupt zip archive: bad central directory entry.');
+      const method = directory.readUInt16LE(offset + 10);
+      const compressedSize = directory.readUInt32LE(offset + 20);
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      const externalAttributes = directory.readUInt32LE(offset + 38);
+      const localHeaderOffset = directory.readUInt32LE(offset + 42);
+      const name = directory.toString('utf8', offset + 46, offset + 46 + nameLength);
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      const target = resolveEntryPath(destDir, name);
+      if (name.endsWith('/')) {
+        await fs.promises.mkdir(target, { recursive: true });
+        continue;
+      }
+      // Unix symlinks are stored with S_IFLNK in the high bits of the external attributes.
+      if (((externalAttributes >>> 16) & 0o170000) === 0o120000) continue;
+      if (method !== 0 && method !== 8) throw httpError(400, `Unsupported zip compression method ${method} for "${name}".`);
+
+      const localHeader = await readAt(handle, localHeaderOffset, 30);
+      const dataStart = localHeaderOffset + 30 + localHeader.readUInt16LE(26) + localHeader.readUInt16LE(28);
+      if (compressedSize === 0) {
+        await writeEntry([Readable.from([])], target, state, maxBytes);
+        continue;
+      }
+      const raw = fs.createReadStream(filePath, { start: dataStart, end: dataStart + compressedSize - 1 });
+      await writeEntry(method === 8 ? [raw, zlib.createInflateRaw()] : [raw], target, state, maxBytes);
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Reads a NUL-terminated string field from a tar header.
+ */
+const tarField = (header, start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+
+/**
+ * Extracts the path from a pax extended header, which overrides the name of the next entry.
+ */
+function parsePaxPath(data) {
+  for (const record of data.toString('utf8').split('\n')) {
+    const match = /^\d+ path=(.*)$/.exec(record);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+async function extractTar(filePath, destDir, state, maxBytes) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    let offset = 0;
+    let nextName = null;
+    for (;;) {
+      const header = await readAt(handle, offset, 512);
+      if (header.length < 512 || header.every(byte => byte === 0)) break;
+
+      const size = parseInt(tarField(header, 124, 12).trim() || '0', 8);
+      const type = String.fromCharCode(header[156] || 0x30);
+      // Only POSIX ustar headers have a name prefix; old GNU headers keep timestamps there.
+      const prefix = header.toString('latin1', 257, 263) === 'ustar\0' ? tarField(header, 345, 155) : '';
+      const baseName = tarField(header, 0, 100);
+      const name = nextName || (prefix ? `${prefix}/${baseName}` : baseName);
+      const dataStart = offset + 512;
+      offset = dataStart + Math.ceil(size / 512) * 512;
+
+      if (type === 'L' || type === 'x') {
+        // GNU long names and pax headers describe the entry that follows them.
+        const data = await readAt(handle, dataStart, size);
+        nextName = type === 'L' ? data.toString('utf8').replace(/\0.*$/s, '') : parsePaxPath(data);
+        continue;
+      }
+      nextName = null;
+      if (type === 'g') continue; // Global pax header
+
+      const target = resolveEntryPath(destDir, name);
+      if (type === '5') {
+        await fs.promises.mkdir(target, { recursive: true });
+      } else if (type === '0' || type === '7') {
+        const source = size > 0
+          ? fs.createReadStream(filePath, { start: dataStart, end: dataStart + size - 1 })
+          : Readable.from([]);
+        await writeEntry([source], target, state, maxBytes);
+      }
+      // Links, devices and FIFOs are skipped.
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Unpacks an archive into `destDir`.
+ * @param {string} filePath The archive.
+ * @param {'zip'|'tar'|'tar.gz'} type As returned by `detectArchiveType`.
+ * @param {string} destDir The directory to unpack into. It is created if needed.
+ * @param {object} [options]
+ * @param {number} [options.maxBytes] Refuse archives that expand to more than this.
+ * @returns {Promise<{files: string[], bytes: number}>} The extracted files and their total size.
+ */
+export async function extractArchive(filePath, type, destDir, { maxBytes = Infinity } = {}) {
+  const root = path.resolve(destDir);
+  await fs.promises.mkdir(root, { recursive: true });
+  const state = { files: [], bytes: 0 };
+
+  if (type === 'zip') {
+    await extractZip(filePath, root, state, maxBytes);
+  } else if (type === 'tar') {
+    await extractTar(filePath, root, state, maxBytes);
+  } else if (type === 'tar.gz') {
+    // Tar entries are read by offset, so the tarball is decompressed to disk first.
+    const tarPath = `${filePath}.tar`;
+    try {
+      await pipeline(fs.createReadStream(filePath), zlib.createGunzip(), createByteLimiter({ bytes: 0 }, maxBytes), fs.createWriteStream(tarPath));
+      const head = await readHead(tarPath);
+      if (detectArchiveType(head) !== 'tar') throw httpError(400, 'The gzip file does not contain a tar archive.');
+      await extractTar(tarPath, root, state, maxBytes);
+    } finally {
+      await fs.promises.unlink(tarPath).catch(() => {});
+    }
+  } else {
+    throw new Error(`Unsupported archive type: ${type}`);
+  }
+  return state;
+}
+
+/**
+ * Writes a tar header field as zero-padded octal followed by a NUL.
+ */
+function writeOctal(header, value, start, length) {
+  header.write(value.toString(8).padStart(length - 1, '0') + '\0', start, length, 'latin1');
+}
+
+/**
+ * Builds a ustar header for a regular file. Names over 100 bytes are split into prefix and name.
+ */
+function tarHeader(name, size, mtime) {
+  let prefix = '';
+  let baseName = name;
+  if (Buffer.byteLength(name) > 100) {
+    const split = name.lastIndexOf('/', 155);
+    if (split <= 0 || Buffer.byteLength(name.slice(split + 1)) > 100) throw new Error(`Path too long for a tar archive: ${name}`);
+    [prefix, baseName] = [name.slice(0, split), name.slice(split + 1)];
+  }
+
+  const header = Buffer.alloc(512);
+  header.write(baseName, 0, 100, 'utf8');
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.write('0', 156, 1, 'latin1');
+  header.write('ustar\0' + '00', 257, 8, 'latin1');
+  header.write(prefix, 345, 155, 'utf8');
+
+  // The checksum is computed with its own field filled with spaces.
+  header.fill(0x20, 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'latin1');
+  return header;
+}
+
+async function listFiles(dir, base = '', exclude = []) {
+  const files = [];
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const name = base ? `${base}/${entry.name}` : entry.name;
+    if (exclude.includes(name)) continue;
+    if (entry.isDirectory()) files.push(...await listFiles(path.join(dir, entry.name), name, exclude));
+    else if (entry.isFile()) files.push(name);
+  }
+  return files;
+}
+
+/**
+ * Packs the regular files under `sourceDir` into a gzipped tarball. Entries are sorted by
+ * path so the same files always produce the same listing.
+ * @param {string} sourceDir
+ * @param {string} destPath The .tar.gz file to write. It must not be inside `sourceDir`.
+ * @param {object} [options]
+ * @param {string[]} [options.exclude] Paths relative to `sourceDir` to leave out, e.g. `['inputs']`.
+ * @returns {Promise<string[]>} The relative paths that were packed.
+ */
+export async function createTarGz(sourceDir, destPath, { exclude = [] } = {}) {
+  const names = await listFiles(sourceDir, '', exclude);
+
+  async function* tarStream() {
+    for (const name of names) {
+      const filePath = path.join(sourceDir, name);
+      const { size, mtime } = await fs.promises.stat(filePath);
+      yield tarHeader(name, size, mtime);
+      for await (const chunk of fs.createReadStream(filePath)) yield chunk;
+      if (size % 512) yield Buffer.alloc(512 - (size % 512));
+    }
+    // Two empty blocks mark the end of the archive.
+    yield Buffer.alloc(1024);
+  }
+
+  await pipeline(Readable.from(tarStream()), zlib.createGzip(), fs.createWriteStream(destPath));
+  return names;
+}
@@ -0,0 +1,291 @@
+// src/services/auth.service.js
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { query } from './db.js';
+import { verifyAccountProof } from './flow.service.js';
+import config from '../config.js';
+
+const { siweDomain, allowedAddresses, flowAppIdentifier, nonceTtl, sessionTtl } = config.auth;
+
+// Tokens are shown to the user once; the prefix tells API keys and wallet sessions apart at a glance.
+const TOKEN_PREFIXES = { api_key: 'kg_key_', session: 'kg_ses_' };
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// FCL reports Flow addresses with a 0x prefix, but they are often written without one.
+const normalizeFlowAddress = (address) => address.toLowerCase().replace(/^(0x)?/, '0x');
+
+/**
+ * Maps a users row onto the object attached to `req.user`.
+ */
+function toUser(row, authMethod) {
+  return {
+    id: row.id,
+    displayName: row.display_name,
+    ethAddress: row.eth_address,
+    flowAddress: row.flow_address,
+    isAdmin: row.is_admin,
+    canCreateProjects: row.is_admin || row.can_create_projects,
+    authMethod,
+  };
+}
+
+/**
+ * The name recorded as the agent of on-chain log entries made on behalf of a user.
+ * @param {object} user The authenticated user (`req.user`).
+ * @returns {string}
+ */
+export function agentName(user) {
+  return user.displayName || user.flowAddress || user.ethAddress || `user#${user.id}`;
+}
+
+/**
+ * @param {number} userId
+ * @returns {Promise<object|null>} The user, shaped like `req.user`, or null if there is none.
+ */
+export async function getUser(userId) {
+  const result = await query('SELECT * FROM users WHERE id = $1', [userId]);
+  return result.rows[0] ? toUser(result.rows[0], null) : null;
+}
+
+/**
+ * Resolves an API key or session token to its user.
+ * @param {string} token The raw token from the request.
+ * @returns {Promise<object|null>} The user, or null if the token is unknown, revoked or expired.
+ */
+export async function authenticateToken(token) {
+  const result = await query(
+    `SELECT k.id AS key_id, k.kind, u.*
+     FROM api_keys k JOIN users u ON u.id = k.user_id
+     WHERE k.key_hash = $1 AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())`,
+    [hashToken(token)]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+
+  // Only written once a minute so busy clients do not turn every request into a write.
+  query(
+    `UPDATE api_keys SET last_used_at = NOW()
+     WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+    [row.key_id]
+  ).catch(error => console.error('[Auth] Failed to record key usage:', error));
+
+  return toUser(row, row.kind);
+}
+
+async function issueToken(userId, kind, { label = null, expiresAt = null } = {}) {
+  const token = TOKEN_PREFIXES[kind] + crypto.randomBytes(32).toString('base64url');
+  const result = await query(
+    `INSERT INTO api_keys (user_id, kind, key_hash, key_prefix, label, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, kind, key_prefix, label, expires_at, created_at`,
+    [userId, kind, hashToken(token), token.slice(0, TOKEN_PREFIXES[kind].length + 6), label, expiresAt]
+  );
+  return { ...result.rows[0], token };
+}
+
+/**
+ * Creates a user. Used by the create-api-key script to bootstrap the first accounts.
+ * @param {object} params
+ * @param {string} [params.displayName]
+ * @param {string} [params.ethAddress]
+ * @param {string} [params.flowAddress]
+ * @param {boolean} [params.isAdmin] Admins can access every project and unassigned data.
+ * @param {boolean} [params.canCreateProjects] Whether the user may create projects (admins always can).
+ * @returns {Promise<object>} The new user.
+ */
+export async function createUser({ displayName, ethAddress, flowAddress, isAdmin = false, canCreateProjects = false }) {
+  const result = await query(
+    'INSERT INTO users (display_name, eth_address, flow_address, is_admin, can_create_projects) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+    [
+      displayName || null,
+      ethAddress ? ethers.getAddress(ethAddress) : null,
+      flowAddress ? normalizeFlowAddress(flowAddress) : null,
+      isAdmin,
+      canCreateProjects,
+    ]
+  );
+  console.log(`[Auth] Created user #${result.rows[0].id}.`);
+  return toUser(result.rows[0], null);
+}
+
+/**
+ * Finds the user with a wallet address, creating a placeholder account if there is none yet.
+ * This lets a project owner invite someone by address before they have ever signed in;
+ * the membership is theirs as soon as they sign in with that wallet.
+ * @param {object} params
+ * @param {string} [params.ethAddress]
+ * @param {string} [params.flowAddress]
+ * @returns {Promise<object>} The user.
+ */
+export async function findOrCreateUserByAddress({ ethAddress, flowAddress }) {
+  let column;
+  let address;
+  if (ethAddress) {
+    if (!ethers.isAddress(ethAddress)) throw httpError(400, `Invalid Ethereum address: ${ethAddress}`);
+    [column, address] = ['eth_address', ethers.getAddress(ethAddress)];
+  } else {
+    if (!/^(0x)?[0-9a-f]{16}$/i.test(flowAddress || '')) throw httpError(400, `Invalid Flow address: ${flowAddress}`);
+    [column, address] = ['flow_address', normalizeFlowAddress(flowAddress)];
+  }
+
+  // The no-op update makes RETURNING yield the existing row on conflict.
+  const result = await query(
+    `INSERT INTO users (${column}) VALUES ($1)
+     ON CONFLICT (${column}) DO UPDATE SET ${column} = EXCLUDED.${column} RETURNING *`,
+    [address]
+  );
+  return toUser(result.rows[0], null);
+}
+
+/**
+ * Creates a long-lived API key for a user. The raw key is only ever returned here.
+ * @param {number} userId
+ * @param {string} [label] A note such as the machine or script using the key.
+ * @returns {Promise<object>} The key row including the raw `token`.
+ */
+export async function createApiKey(userId, label) {
+  return issueToken(userId, 'api_key', { label: label || null });
+}
+
+/**
+ * @param {number} userId
+ * @returns {Promise<object[]>} The user's active API keys, without their secrets.
+ */
+export async function listApiKeys(userId) {
+  const result = await query(
+    `SELECT id, key_prefix, label, last_used_at, created_at FROM api_keys
+     WHERE user_id = $1 AND kind = 'api_key' AND revoked_at IS NULL ORDER BY created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Revokes one of the user's API keys.
+ * @param {number} userId
+ * @param {number} keyId
+ */
+export async function revokeApiKey(userId, keyId) {
+  const result = await query(
+    'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+    [keyId, userId]
+  );
+  if (result.rowCount === 0) throw httpError(404, `API key #${keyId} not found.`);
+}
+
+/**
+ * Revokes the session token used for the current request (sign-out).
+ * @param {string} token
+ */
+export async function revokeSession(token) {
+  await query(`UPDATE api_keys SET revoked_at = NOW() WHERE key_hash = $1 AND kind = 'session'`, [hashToken(token)]);
+}
+
+/**
+ * Issues a single-use nonce for a wallet sign-in. 32 random bytes in hex satisfy both
+ * EIP-4361 (alphanumeric, at least 8 characters) and FCL account proofs (at least 32 bytes of hex).
+ * @returns {Promise<{nonce: string, expiresAt: Date, domain: string|null, appIdentifier: string}>}
+ */
+export async function createNonce() {
+  const nonce = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + nonceTtl);
+  await query('DELETE FROM auth_nonces WHERE expires_at < NOW()');
+  await query('INSERT INTO auth_nonces (nonce, expires_at) VALUES ($1, $2)', [nonce, expiresAt]);
+  return { nonce, expiresAt, domain: siweDomain || null, appIdentifier: flowAppIdentifier };
+}
+
+async function consumeNonce(nonce) {
+  const result = await query('DELETE FROM auth_nonces WHERE nonce = $1 AND expires_at > NOW() RETURNING nonce', [nonce]);
+  if (result.rowCount === 0) throw httpError(401, 'Unknown or expired nonce. Request a new one and sign again.');
+}
+
+/**
+ * Issues a session to the account of a wallet. Only wallets with an account (created by an admin,
+ * or as a placeholder when a project owner invites the address) or on the AUTH_ALLOWED_ADDRESSES
+ * allowlist may sign in, so a valid signature alone does not let a stranger in.
+ */
+async function startSession(column, address) {
+  const result = allowedAddresses.includes(address)
+    ? await query(
+      `INSERT INTO users (${column}, last_login_at) VALUES ($1, NOW())
+       ON CONFLICT (${column}) DO UPDATE SET last_login_at = NOW() RETURNING *`,
+      [address]
+    )
+    : await query(`UPDATE users SET last_login_at = NOW() WHERE ${column} = $1 RETURNING *`, [address]);
+  if (result.rows.length === 0) {
+    console.warn(`[Auth] Refused sign-in from ${address}: no account.`);
+    throw httpError(403, `There is no account for ${address}. Ask an admin or a project owner to invite this wallet.`);
+  }
+  const user = toUser(result.rows[0], 'session');
+  const session = await issueToken(user.id, 'session', { expiresAt: new Date(Date.now() + sessionTtl) });
+  console.log(`[Auth] User #${user.id} signed in with ${address}.`);
+  return { token: session.token, expiresAt: session.expires_at, user };
+}
+
+/**
+ * Parses the fields we check out of an EIP-4361 (sign-in-with-Ethereum) message.
+ */
+function parseSiweMessage(message) {
+  const header = /^(\S+) wants you to sign in with your Ethereum account:\n(0x[a-fA-F0-9]{40})\n/.exec(message);
+  if (!header) throw httpError(400, 'Not a valid sign-in-with-Ethereum message.');
+  const field = (name) => new RegExp(`^${name}: (.+)$`, 'm').exec(message)?.[1].trim() || null;
+  return {
+    domain: header[1],
+    address: header[2],
+    nonce: field('Nonce'),
+    expirationTime: field('Expiration Time'),
+    notBefore: field('Not Before'),
+  };
+}
+
+/**
+ * Signs a user in with a sign-in-with-Ethereum (EIP-4361) message signed by their wallet.
+ * @param {string} message The exact message the wallet signed.
+ * @param {string} signature The personal_sign signature.
+ * @returns {Promise<{token: string, expiresAt: Date, user: object}>} A session token.
+ */
+export async function signInWithEthereum(message, signature) {
+  if (!message || !signature) throw httpError(400, 'message and signature are required.');
+  const fields = parseSiweMessage(message);
+
+  // Without a domain to check, a message signed for any other site would be accepted here.
+  if (!siweDomain) throw httpError(503, 'Sign-in with Ethereum is disabled until AUTH_SIWE_DOMAIN is configured.');
+  if (fields.domain !== siweDomain) throw httpError(401, `This message was issued for ${fields.domain}, not ${siweDomain}.`);
+  if (!fields.nonce) throw httpError(400, 'The message has no nonce.');
+  if (fields.expirationTime && new Date(fields.expirationTime) <= new Date()) throw httpError(401, 'The message has expired.');
+  if (fields.notBefore && new Date(fields.notBefore) > new Date()) throw httpError(401, 'The message is not valid yet.');
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(message, signature);
+  } catch {
+    throw httpError(400, 'Malformed signature.');
+  }
+  if (signer !== ethers.getAddress(fields.address)) throw httpError(401, 'The signature does not match the address in the message.');
+
+  await consumeNonce(fields.nonce);
+  return startSession('eth_address', signer);
+}
+
+/**
+ * Signs a user in with a Flow account proof obtained through FCL.
+ * @param {object} proof
+ * @param {string} proof.address
+ * @param {string} proof.nonce A nonce issued by `createNonce`.
+ * @param {object[]} proof.signatures
+ * @returns {Promise<{token: string, expiresAt: Date, user: object}>} A session token.
+ */
+export async function signInWithFlow({ address, nonce, signatures } = {}) {
+  if (!address || !nonce || !Array.isArray(signatures) || signatures.length === 0) {
+    throw httpError(400, 'address, nonce and signatures are required.');
+  }
+
+  // The nonce is consumed first so a proof can never be replayed, even if verification errors out.
+  await consumeNonce(nonce);
+  const valid = await verifyAccountProof(flowAppIdentifier, { address, nonce, signatures });
+  if (!valid) throw httpError(401, 'The account proof is not valid for this address.');
+
+  return startSession('flow_address', normalizeFlowAddress(address));
+}
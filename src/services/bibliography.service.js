@@ -0,0 +1,75 @@
+// src/services/bibliography.service.js
+// Authoritative paper metadata from bibliographic databases. A DOI or PMID is looked up in every
+// configured source (see config.bibliography) at once, and the records found are merged field by
+// field, preferring the sources listed first.
+import config from '../config.js';
+import * as crossref from './bibliography/crossref.source.js';
+import * as pubmed from './bibliography/pubmed.source.js';
+import * as mirror from './bibliography/mirror.source.js';
+
+const { sources: sourceNames, crossrefUrl, pubmedUrl, contactEmail, ncbiApiKey, mirrorPath, timeout } = config.bibliography;
+
+/**
+ * Every source's `createSource(options)` returns
+ *
+ *   lookup({doi?, pmid?}) -> Promise<object|null>  {doi, pmid, title, authors, journal, year, abstract, license},
+ *                                                  each optional, or null if the source does not know the paper.
+ */
+const SOURCES = {
+  crossref: () => crossref.createSource({ baseUrl: crossrefUrl, contactEmail, timeout }),
+  pubmed: () => pubmed.createSource({ baseUrl: pubmedUrl, contactEmail, apiKey: ncbiApiKey, timeout }),
+  mirror: () => mirror.createSource({ mirrorPath }),
+};
+
+const REFERENCE_FIELDS = ['doi', 'pmid', 'title', 'authors', 'journal', 'year', 'abstract', 'license'];
+
+const sources = sourceNames.map((name) => {
+  if (!Object.hasOwn(SOURCES, name)) {
+    throw new Error(`Invalid BIBLIOGRAPHY_SOURCES entry: ${name}. Expected any of: ${Object.keys(SOURCES).join(', ')}.`);
+  }
+  return { name, ...SOURCES[name]() };
+});
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Whether any source is configured; without one every lookup finds nothing.
+ * @returns {boolean}
+ */
+export function hasSources() {
+  return sources.length > 0;
+}
+
+/**
+ * Looks a paper up by DOI and/or PMID. Sources that fail are skipped with a warning, unless all
+ * of them do.
+ * @param {{doi?: string, pmid?: string}} ids The DOI in its bare, lower-case form.
+ * @returns {Promise<object|null>} The merged record as returned by the sources (not yet validated),
+ *   with `source` naming those that knew the paper (e.g. 'crossref+pubmed'), or null if none did.
+ *   Rejects with statusCode 502 when every source failed.
+ */
+export async function resolveReference({ doi, pmid }) {
+  const results = await Promise.allSettled(sources.map(source => source.lookup({ doi, pmid })));
+  const found = [];
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      console.warn(`[BIBLIO] ${sources[i].name} lookup of ${doi || `PMID ${pmid}`} failed: ${result.reason.message}`);
+    } else if (result.value) {
+      found.push({ name: sources[i].name, record: result.value });
+    }
+  });
+  if (found.length === 0) {
+    if (results.length > 0 && results.every(result => result.status === 'rejected')) {
+      throw Object.assign(new Error(`No bibliographic source could be reached to resolve ${doi || `PMID ${pmid}`}.`), { statusCode: 502 });
+    }
+    return null;
+  }
+
+  const merged = {};
+  for (const field of REFERENCE_FIELDS) {
+    const entry = found.find(({ record }) => !isEmpty(record[field]));
+    if (entry) merged[field] = entry.record[field];
+  }
+  merged.source = found.map(({ name }) => name).join('+');
+  return merged;
+}
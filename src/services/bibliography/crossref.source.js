@@ -0,0 +1,34 @@
+// src/services/bibliography/crossref.source.js
+// Resolves DOIs with the Crossref REST API (https://api.crossref.org/swagger-ui/index.html).
+import { fetchBody, stripMarkup } from './http.js';
+
+// Crossref dates are [[year, month, day]]; the first of these that is set is the publication year.
+const DATE_FIELDS = ['issued', 'published', 'published-print', 'published-online'];
+
+/**
+ * @param {{baseUrl: string, contactEmail?: string, timeout: number}} options
+ */
+export function createSource({ baseUrl, contactEmail, timeout }) {
+  return {
+    async lookup({ doi }) {
+      if (!doi) return null;
+      const url = new URL(`${baseUrl.replace(/\/$/, '')}/works/${encodeURIComponent(doi)}`);
+      // Requests with a contact address are served from Crossref's faster "polite" pool.
+      if (contactEmail) url.searchParams.set('mailto', contactEmail);
+      const body = await fetchBody(url, { timeout });
+      if (!body) return null;
+
+      const work = body.message;
+      const dateField = DATE_FIELDS.find(field => work[field]?.['date-parts']?.[0]?.[0]);
+      return {
+        doi: work.DOI,
+        title: work.title?.[0],
+        authors: (work.author || []).map(author => [author.given, author.family].filter(Boolean).join(' ') || author.name).filter(Boolean),
+        journal: work['container-title']?.[0],
+        year: dateField ? work[dateField]['date-parts'][0][0] : undefined,
+        abstract: work.abstract ? stripMarkup(work.abstract) : undefined,
+        license: work.license?.[0]?.URL,
+      };
+    },
+  };
+}
@@ -0,0 +1,32 @@
+// src/services/bibliography/http.js
+import fetch from 'node-fetch';
+
+/**
+ * GETs a URL from a bibliographic API, giving up after `timeout` ms.
+ * @param {string|URL} url
+ * @param {{timeout: number, as?: 'json'|'text'}} options
+ * @returns {Promise<object|string|null>} The parsed body, or null if the API does not know the ID (404).
+ */
+export async function fetchBody(url, { timeout, as = 'json' }) {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': 'KintaGen/1.0 (https://github.com/KintaGen)' },
+    signal: AbortSignal.timeout(timeout),
+  });
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`${new URL(url).host} responded with HTTP ${response.status}.`);
+  return as === 'json' ? response.json() : response.text();
+}
+
+/**
+ * Strips JATS/HTML tags and decodes the common entities, as found in Crossref and PubMed abstracts.
+ * @param {string} markup
+ * @returns {string}
+ */
+export function stripMarkup(markup) {
+  return markup
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,19 @@
+// src/services/bibliography/mirror.source.js
+// Resolves DOIs and PMIDs from a local JSON file, for offline use and tests. The file holds
+// `{"works": [...]}` with entries shaped like a lookup result: doi, pmid, title, authors,
+// journal, year, abstract and license.
+import fs from 'fs';
+
+/**
+ * @param {{mirrorPath: string}} options
+ */
+export function createSource({ mirrorPath }) {
+  const { works } = JSON.parse(fs.readFileSync(mirrorPath, 'utf-8'));
+
+  return {
+    async lookup({ doi, pmid }) {
+      const work = works.find(entry => (doi && entry.doi?.toLowerCase() === doi) || (pmid && String(entry.pmid) === String(pmid)));
+      return work ? { ...work } : null;
+    },
+  };
+}
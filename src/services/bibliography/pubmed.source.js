@@ -0,0 +1,53 @@
+// src/services/bibliography/pubmed.source.js
+// Resolves PMIDs, and DOIs of indexed articles, with the NCBI E-utilities
+// (https://www.ncbi.nlm.nih.gov/books/NBK25501/). PubMed has no license information.
+import { fetchBody, stripMarkup } from './http.js';
+
+/**
+ * @param {{baseUrl: string, contactEmail?: string, apiKey?: string, timeout: number}} options
+ */
+export function createSource({ baseUrl, contactEmail, apiKey, timeout }) {
+  const eutil = (name, params) => {
+    const url = new URL(`${baseUrl.replace(/\/$/, '')}/${name}.fcgi`);
+    for (const [key, value] of Object.entries({ db: 'pubmed', tool: 'kintagen', email: contactEmail, api_key: apiKey, ...params })) {
+      if (value) url.searchParams.set(key, value);
+    }
+    return url;
+  };
+
+  async function findPmid(doi) {
+    const body = await fetchBody(eutil('esearch', { term: `${doi}[doi]`, retmode: 'json' }), { timeout });
+    const ids = body?.esearchresult?.idlist || [];
+    // A DOI search that matches several articles matched loosely; none of them is reliably it.
+    return ids.length === 1 ? ids[0] : null;
+  }
+
+  async function fetchAbstract(pmid) {
+    const xml = await fetchBody(eutil('efetch', { id: pmid, rettype: 'abstract', retmode: 'xml' }), { timeout, as: 'text' });
+    const sections = [...(xml || '').matchAll(/<AbstractText([^>]*)>([\s\S]*?)<\/AbstractText>/g)].map(([, attributes, text]) => {
+      const label = attributes.match(/Label="([^"]+)"/)?.[1];
+      return label ? `${label}: ${stripMarkup(text)}` : stripMarkup(text);
+    });
+    return sections.length > 0 ? sections.join('\n') : undefined;
+  }
+
+  return {
+    async lookup({ doi, pmid }) {
+      pmid ??= doi ? await findPmid(doi) : null;
+      if (!pmid) return null;
+      const body = await fetchBody(eutil('esummary', { id: pmid, retmode: 'json' }), { timeout });
+      const summary = body?.result?.[pmid];
+      if (!summary || summary.error) return null;
+
+      return {
+        pmid: String(pmid),
+        doi: summary.articleids?.find(id => id.idtype === 'doi')?.value,
+        title: summary.title ? stripMarkup(summary.title).replace(/\.$/, '') : undefined,
+        authors: (summary.authors || []).filter(author => author.authtype === 'Author').map(author => author.name),
+        journal: summary.fulljournalname || summary.source,
+        year: Number(summary.pubdate?.match(/\d{4}/)?.[0]) || undefined,
+        abstract: await fetchAbstract(pmid),
+      };
+    },
+  };
+}
@@ -0,0 +1,194 @@
+// src/services/citation-import.service.js
+// Creates papers from the entries of an uploaded .bib or .ris file in the background. Every new
+// paper waits for its JSON document to be stored, which can take a while per entry, so imports
+// are queued and run one at a time instead of holding the request open.
+import { query } from './db.js';
+import * as storage from './storage.service.js';
+import { insertRecord } from './record.service.js';
+import { requestIndexing } from './rag.service.js';
+import { validateMetadata } from './metadata.service.js';
+import { flagDuplicates } from './dedup.service.js';
+
+// queued -> running -> succeeded or failed.
+export const CITATION_IMPORT_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+// The parsed entries are only needed by the worker.
+const IMPORT_COLUMNS = 'id, status, filename, format, entry_count, processed, result, error, project_id, requested_by, created_at, started_at, finished_at, updated_at';
+
+let isDraining = false;
+let drainRequested = false;
+
+async function updateImport(importId, fields) {
+  const columns = Object.keys(fields);
+  const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+  await query(
+    `UPDATE citation_imports SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1`,
+    [importId, ...columns.map(column => fields[column])]
+  );
+}
+
+/**
+ * Queues the import of a parsed citation file.
+ * @param {{filename: string, format: string, entries: object[]}} file As parsed by `parseCitationFile`.
+ * @param {number} requestedBy
+ * @param {number|null} projectId The project the papers go into; the caller has checked editor access.
+ * @returns {Promise<object>} The queued import.
+ */
+export async function enqueueCitationImport({ filename, format, entries }, requestedBy, projectId) {
+  const result = await query(
+    `INSERT INTO citation_imports (filename, format, entries, entry_count, requested_by, project_id)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING ${IMPORT_COLUMNS}`,
+    [filename, format, JSON.stringify(entries), entries.length, requestedBy, projectId]
+  );
+  const citationImport = result.rows[0];
+  console.log(`[CitationImport] Import #${citationImport.id}: queued ${entries.length} entries from ${filename}.`);
+  setImmediate(drainQueue);
+  return citationImport;
+}
+
+/**
+ * @param {number} importId
+ * @returns {Promise<object|null>}
+ */
+export async function getCitationImport(importId) {
+  const result = await query(`SELECT ${IMPORT_COLUMNS} FROM citation_imports WHERE id = $1`, [importId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Waits for a stored object even if the upload outlives the storage wait timeout, since nobody
+ * is waiting on the worker.
+ */
+function putPatiently(dataBuffer, options) {
+  return storage.put(dataBuffer, options).catch(error => error.settled || Promise.reject(error));
+}
+
+/**
+ * Imports one entry. An entry whose DOI matches a paper already in the project is linked to it,
+ * filling in only the fields it lacks. Otherwise the entry is stored as a JSON document that
+ * stands in for the paper's file; the document holds only the entry and its target project, so
+ * importing the same file into the same project again finds the papers it created last time.
+ * @returns {Promise<{outcome: 'created'|'linked'|'skipped', entry: object}>}
+ */
+async function importEntry(citationImport, entry, index) {
+  const { metadata, errors } = validateMetadata(entry);
+  if (!metadata.title) {
+    return { outcome: 'skipped', entry: { index, key: entry.key, errors } };
+  }
+  const projectId = citationImport.project_id;
+
+  if (metadata.doi) {
+    const match = await query(
+      `UPDATE paper SET
+           journal = COALESCE(journal, $3),
+           year = COALESCE(year, $4),
+           authors = CASE WHEN cardinality(authors) > 0 THEN authors ELSE $5 END,
+           keywords = CASE WHEN cardinality(keywords) > 0 THEN keywords ELSE $6 END,
+           abstract = COALESCE(abstract, $7)
+       WHERE cid = (SELECT cid FROM paper WHERE doi = $1 AND project_id IS NOT DISTINCT FROM $2 ORDER BY created_at LIMIT 1)
+       RETURNING cid, title`,
+      [metadata.doi, projectId, metadata.journal ?? null, metadata.year ?? null,
+        metadata.authors ?? null, metadata.keywords ?? null, metadata.abstract ?? null]
+    );
+    if (match.rows.length > 0) {
+      return { outcome: 'linked', entry: { index, key: entry.key, cid: match.rows[0].cid, title: match.rows[0].title, errors } };
+    }
+  }
+
+  // When it was imported is the paper row's created_at, not part of the stored bytes.
+  const document = { ...metadata, source: citationImport.format, importedFrom: citationImport.filename, projectId };
+  const stored = await putPatiently(Buffer.from(JSON.stringify(document, null, 2)), {
+    filename: `${(entry.key || `entry-${index}`).replace(/[^\w.-]+/g, '_')}.json`,
+    requestedBy: citationImport.requested_by,
+    projectId,
+  });
+  const row = await insertRecord('paper', {
+    ...metadata,
+    full_text: metadata.abstract || '',
+    metadata_status: 'complete',
+    metadata_source: citationImport.format,
+    project_id: projectId,
+    uploaded_by: citationImport.requested_by,
+  }, stored);
+  if (!row) {
+    // The same document is already a paper: an earlier entry of this file, or an earlier run of it.
+    const existing = await query('SELECT cid, title FROM paper WHERE cid = $1', [stored.cid]);
+    return { outcome: 'linked', entry: { index, key: entry.key, cid: stored.cid, title: existing.rows[0]?.title ?? metadata.title, errors } };
+  }
+  // Entries without a DOI can still match a paper by title.
+  const duplicates = await flagDuplicates(stored.cid);
+  return {
+    outcome: 'created',
+    entry: { index, key: entry.key, cid: stored.cid, title: metadata.title, uploadJobId: stored.jobId, duplicateFlags: duplicates.map(flag => flag.id), errors },
+  };
+}
+
+async function processImport(citationImport) {
+  const result = { created: [], linked: [], skipped: [] };
+  try {
+    for (const [index, entry] of citationImport.entries.entries()) {
+      const { outcome, entry: reported } = await importEntry(citationImport, entry, index);
+      result[outcome].push(reported);
+      await updateImport(citationImport.id, { processed: index + 1, result });
+    }
+    await updateImport(citationImport.id, { status: 'succeeded', finished_at: new Date() });
+    console.log(`[CitationImport] Import #${citationImport.id} of ${citationImport.filename}: ${result.created.length} created, ${result.linked.length} linked, ${result.skipped.length} skipped.`);
+  } catch (error) {
+    // Papers created so far stay; importing the file again links them instead of duplicating them.
+    console.error(`[CitationImport] Import #${citationImport.id} failed.`, error);
+    await updateImport(citationImport.id, { status: 'failed', result, error: error.message || String(error), finished_at: new Date() });
+  } finally {
+    // New papers are embedded for chat by the background indexer, in one pass for the whole file.
+    if (result.created.length > 0) requestIndexing();
+  }
+}
+
+async function claimNextImport() {
+  const result = await query(
+    `UPDATE citation_imports SET status = 'running', started_at = NOW(), updated_at = NOW()
+     WHERE id = (SELECT id FROM citation_imports WHERE status = 'queued' ORDER BY created_at, id LIMIT 1)
+       AND status = 'queued'
+     RETURNING *`
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Runs queued imports one after another until none are left.
+ */
+async function drainQueue() {
+  if (isDraining) {
+    drainRequested = true;
+    return;
+  }
+  isDraining = true;
+
+  try {
+    do {
+      drainRequested = false;
+      let citationImport;
+      while ((citationImport = await claimNextImport())) {
+        await processImport(citationImport);
+      }
+    } while (drainRequested);
+  } catch (error) {
+    console.error('[CitationImport] Failed to drain the import queue.', error);
+  } finally {
+    isDraining = false;
+  }
+}
+
+/**
+ * Starts the import worker. Imports that were running when the process last stopped are queued
+ * again from the start, which is safe because a repeated entry finds the paper it created.
+ */
+export async function startCitationImportWorker() {
+  const interrupted = await query(
+    `UPDATE citation_imports SET status = 'queued', processed = 0, result = NULL, updated_at = NOW()
+     WHERE status = 'running' RETURNING id`
+  );
+  if (interrupted.rowCount > 0) {
+    console.log(`[CitationImport] Re-queued ${interrupted.rowCount} interrupted import(s).`);
+  }
+  drainQueue();
+}
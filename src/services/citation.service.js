@@ -0,0 +1,323 @@
+// src/services/citation.service.js
+// Citations of papers in BibTeX, RIS and CSL-JSON, and parsing of .bib and .ris files for import.
+// Papers are the rows of the `paper` table: title, authors, journal, year, doi and keywords.
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+// The most entries one imported file may hold.
+export const MAX_IMPORT_ENTRIES = 1000;
+
+// Lower-case particles that belong to the family name ("Ludwig van Beethoven").
+const NAME_PARTICLES = new Set(['van', 'von', 'der', 'den', 'de', 'del', 'della', 'di', 'da', 'du', 'dos', 'das', 'la', 'le', 'ter', 'ten']);
+
+// Words skipped when a citation key takes the first word of the title.
+const STOP_WORDS = new Set(['a', 'an', 'the', 'on', 'of', 'in', 'for', 'and', 'to', 'with', 'from', 'by', 'at', 'is', 'are']);
+
+/**
+ * Splits an author's name into family and given names. Understands "Family, Given",
+ * "Given Family" and PubMed's "Family GI".
+ * @param {string} name
+ * @returns {{family: string, given?: string}}
+ */
+export function splitName(name) {
+  const clean = name.replace(/\s+/g, ' ').trim();
+  if (clean.includes(',')) {
+    const [family, given] = clean.split(',', 2).map(part => part.trim());
+    return given ? { family, given } : { family };
+  }
+  const parts = clean.split(' ');
+  if (parts.length === 1) return { family: parts[0] };
+  if (/^[A-Z]{1,3}$/.test(parts[parts.length - 1])) {
+    return { family: parts.slice(0, -1).join(' '), given: parts[parts.length - 1] };
+  }
+  let familyStart = parts.length - 1;
+  while (familyStart > 1 && NAME_PARTICLES.has(parts[familyStart - 1])) familyStart--;
+  return { family: parts.slice(familyStart).join(' '), given: parts.slice(0, familyStart).join(' ') };
+}
+
+const asciiWord = (text) => text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function baseKey(paper) {
+  const family = paper.authors?.length > 0 ? asciiWord(splitName(paper.authors[0]).family) : '';
+  const word = (paper.title || '').split(/\s+/).map(asciiWord).find(w => w && !STOP_WORDS.has(w)) || '';
+  return `${family || 'anon'}${paper.year || 'nd'}${word}`;
+}
+
+// 1 -> 'b', 2 -> 'c', ..., 25 -> 'z', 26 -> 'ba', ...
+function keySuffix(index) {
+  let suffix = '';
+  for (let n = index; n > 0; n = Math.floor(n / 26)) suffix = String.fromCharCode(97 + (n % 26)) + suffix;
+  return suffix;
+}
+
+/**
+ * Gives every paper a citation key: the first author's family name, the year and the first
+ * significant word of the title, e.g. `mock2024paper`. Papers that would share a key are told
+ * apart by upload order: the first keeps it and later ones get b, c, ... appended, so adding
+ * papers does not change the keys of those already cited. Keys are not stored, though: merging
+ * a paper away or correcting its authors, year or title re-letters the papers that shared its key.
+ * @param {object[]} papers Rows with cid, title, authors, year and created_at.
+ * @returns {Map<string, string>} CID to citation key.
+ */
+export function assignCitationKeys(papers) {
+  const ordered = [...papers].sort((a, b) => (new Date(a.created_at) - new Date(b.created_at)) || a.cid.localeCompare(b.cid));
+  const groups = new Map();
+  for (const paper of ordered) {
+    const key = baseKey(paper);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(paper);
+  }
+  const keys = new Map();
+  for (const [key, group] of groups) group.forEach((paper, i) => keys.set(paper.cid, key + keySuffix(i)));
+  return keys;
+}
+
+// --- Export ---
+
+const BIBTEX_ESCAPES = { '\\': '\\textbackslash{}', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}' };
+const escapeBibtex = (text) => String(text).replace(/[\\{}&%$#_~^]/g, char => BIBTEX_ESCAPES[char] || `\\${char}`);
+
+const formatName = (name) => {
+  const { family, given } = splitName(name);
+  return given ? `${family}, ${given}` : family;
+};
+
+function toBibtex(papers, keys) {
+  const entries = papers.map((paper) => {
+    const fields = [
+      // Doubled braces keep the title's capitalization in every style.
+      ['title', paper.title && `{${escapeBibtex(paper.title)}}`],
+      ['author', paper.authors?.length > 0 && paper.authors.map(name => escapeBibtex(formatName(name))).join(' and ')],
+      ['journal', paper.journal && escapeBibtex(paper.journal)],
+      ['year', paper.year],
+      // DOIs are verbatim fields in biblatex, so they are not escaped.
+      ['doi', paper.doi],
+      ['keywords', paper.keywords?.length > 0 && escapeBibtex(paper.keywords.join(', '))],
+    ].filter(([, value]) => value);
+    const type = paper.journal ? 'article' : 'misc';
+    return `@${type}{${keys.get(paper.cid)},\n${fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n')}\n}`;
+  });
+  return entries.length > 0 ? `${entries.join('\n\n')}\n` : '';
+}
+
+function toRis(papers, keys) {
+  const line = (tag, value) => `${tag}  - ${value}`;
+  const records = papers.map((paper) => [
+    line('TY', paper.journal ? 'JOUR' : 'GEN'),
+    line('ID', keys.get(paper.cid)),
+    paper.title && line('TI', paper.title),
+    ...(paper.authors || []).map(name => line('AU', formatName(name))),
+    paper.journal && line('JO', paper.journal),
+    paper.year && line('PY', paper.year),
+    paper.doi && line('DO', paper.doi),
+    ...(paper.keywords || []).map(keyword => line('KW', keyword)),
+    'ER  - ',
+  ].filter(Boolean).join('\r\n'));
+  return records.length > 0 ? `${records.join('\r\n\r\n')}\r\n` : '';
+}
+
+function toCslJson(papers, keys) {
+  return JSON.stringify(papers.map(paper => ({
+    id: keys.get(paper.cid),
+    type: paper.journal ? 'article-journal' : 'article',
+    title: paper.title || undefined,
+    author: paper.authors?.length > 0 ? paper.authors.map(splitName) : undefined,
+    'container-title': paper.journal || undefined,
+    issued: paper.year ? { 'date-parts': [[paper.year]] } : undefined,
+    DOI: paper.doi || undefined,
+    keyword: paper.keywords?.length > 0 ? paper.keywords.join(', ') : undefined,
+  })), null, 2);
+}
+
+export const CITATION_FORMATS = {
+  bibtex: { contentType: 'application/x-bibtex', extension: 'bib', format: toBibtex },
+  ris: { contentType: 'application/x-research-info-systems', extension: 'ris', format: toRis },
+  'csl-json': { contentType: 'application/vnd.citationstyles.csl+json', extension: 'json', format: toCslJson },
+};
+
+/**
+ * Formats papers as citations, sorted by citation key.
+ * @param {object[]} papers The papers to cite.
+ * @param {string} format One of the CITATION_FORMATS.
+ * @param {Map<string, string>} [keys] Their citation keys; by default assigned among `papers`.
+ * @returns {{body: string, contentType: string, extension: string}}
+ */
+export function formatCitations(papers, format, keys = assignCitationKeys(papers)) {
+  if (!Object.hasOwn(CITATION_FORMATS, format)) {
+    throw httpError(400, `Invalid format: ${format}. Expected one of: ${Object.keys(CITATION_FORMATS).join(', ')}.`);
+  }
+  const { contentType, extension, format: formatter } = CITATION_FORMATS[format];
+  const sorted = [...papers].sort((a, b) => keys.get(a.cid).localeCompare(keys.get(b.cid)));
+  return { body: formatter(sorted, keys), contentType, extension };
+}
+
+// --- Import ---
+
+const LATEX_ACCENTS = { "'": '\u0301', '`': '\u0300', '^': '\u0302', '"': '\u0308', '~': '\u0303', '=': '\u0304', '.': '\u0307', c: '\u0327', v: '\u030C', u: '\u0306', H: '\u030B' };
+
+/**
+ * Turns a BibTeX value into plain text: accents become Unicode, escapes their character, and
+ * grouping braces are dropped.
+ */
+function decodeLatex(value) {
+  return value
+    .replace(/\\([`'^"~=.]|[cvuH](?=[\s{]))\s*\{?\s*([A-Za-z])\s*\}?/g, (_, accent, letter) => `${letter}${LATEX_ACCENTS[accent]}`.normalize('NFC'))
+    .replace(/\\([&%$#_{}])|[{}]/g, (_, escaped) => escaped ?? '')
+    .replace(/~/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// "Family, Given" as written in BibTeX and RIS, to the "Given Family" used in the paper table.
+const givenFirst = (name) => {
+  const { family, given } = splitName(name);
+  return given ? `${given} ${family}` : family;
+};
+
+// Reads one field value at `start`: {braced}, "quoted" or a bare word, joined with #.
+function readBibtexValue(body, start) {
+  let i = start;
+  let value = '';
+  for (;;) {
+    if (body[i] === '{' || body[i] === '"') {
+      const quoted = body[i] === '"';
+      let depth = quoted ? 0 : 1;
+      const from = ++i;
+      for (; i < body.length; i++) {
+        if (body[i] === '\\') i++;
+        else if (body[i] === '{') depth++;
+        else if (body[i] === '}') depth--;
+        if (quoted ? body[i] === '"' && depth === 0 : depth === 0) break;
+      }
+      value += body.slice(from, i);
+      i++;
+    } else {
+      // Numbers, and @string macros such as `jan`, which are kept as written.
+      const word = /^[^,#}\s]*/.exec(body.slice(i))[0];
+      value += word;
+      i += Math.max(word.length, 1);
+    }
+    const join = /^\s*#\s*/.exec(body.slice(i));
+    if (!join) return { value, end: i };
+    i += join[0].length;
+  }
+}
+
+function parseBibtexFields(body) {
+  const fields = {};
+  const comma = body.indexOf(',');
+  if (comma === -1) return { key: body.trim(), fields };
+  let i = comma + 1;
+  for (;;) {
+    const name = /^[\s,]*([\w-]+)\s*=\s*/.exec(body.slice(i));
+    if (!name) break;
+    const { value, end } = readBibtexValue(body, i + name[0].length);
+    fields[name[1].toLowerCase()] = decodeLatex(value);
+    i = end;
+  }
+  return { key: body.slice(0, comma).trim(), fields };
+}
+
+/**
+ * Parses the entries of a BibTeX file. @string, @preamble and @comment blocks are skipped.
+ * @param {string} text
+ * @returns {object[]} Entries with key, title, authors, journal, year, doi, keywords and
+ *   abstract, as written in the file (not yet validated).
+ */
+export function parseBibtex(text) {
+  const entries = [];
+  const header = /@(\w+)\s*([{(])/g;
+  let match;
+  while ((match = header.exec(text)) !== null) {
+    const [open, close] = match[2] === '{' ? ['{', '}'] : ['(', ')'];
+    let depth = 1;
+    let i = header.lastIndex;
+    for (; i < text.length && depth > 0; i++) {
+      if (text[i] === '\\') i++;
+      else if (text[i] === open) depth++;
+      else if (text[i] === close) depth--;
+    }
+    const body = text.slice(header.lastIndex, i - 1);
+    header.lastIndex = i;
+
+    const type = match[1].toLowerCase();
+    if (['string', 'preamble', 'comment'].includes(type)) continue;
+    const { key, fields } = parseBibtexFields(body);
+    entries.push({
+      key,
+      title: fields.title,
+      authors: fields.author ? fields.author.split(/\s+and\s+/i).map(givenFirst) : undefined,
+      journal: fields.journal || fields.journaltitle || fields.booktitle,
+      year: fields.year || fields.date?.slice(0, 4),
+      doi: fields.doi,
+      keywords: fields.keywords ? fields.keywords.split(/[,;]/) : undefined,
+      abstract: fields.abstract,
+    });
+  }
+  return entries;
+}
+
+/**
+ * Parses the records of a RIS file.
+ * @param {string} text
+ * @returns {object[]} Entries shaped like those of parseBibtex.
+ */
+export function parseRis(text) {
+  const records = [];
+  let tags = null;
+  let lastTag = null;
+  for (const rawLine of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const line = rawLine.trimEnd();
+    const match = /^([A-Z][A-Z0-9])  -(?: (.*))?$/.exec(line);
+    if (!match) {
+      // A value continued on the next line, as long abstracts often are.
+      if (tags && lastTag && line) tags[lastTag][tags[lastTag].length - 1] += ` ${line.trim()}`;
+      continue;
+    }
+    const [, tag, value = ''] = match;
+    if (tag === 'TY') {
+      tags = {};
+    } else if (tag === 'ER') {
+      if (tags) records.push(tags);
+      tags = null;
+    } else if (tags) {
+      (tags[tag] ??= []).push(value.trim());
+    }
+    lastTag = tag;
+  }
+
+  const first = (record, ...names) => names.map(name => record[name]?.[0]).find(Boolean);
+  return records.map(record => ({
+    key: first(record, 'ID'),
+    title: first(record, 'TI', 'T1', 'CT'),
+    authors: (record.AU || record.A1)?.map(givenFirst),
+    journal: first(record, 'JO', 'JF', 'T2', 'JA', 'J2'),
+    year: first(record, 'PY', 'Y1', 'DA')?.match(/\d{4}/)?.[0],
+    doi: first(record, 'DO'),
+    keywords: record.KW,
+    abstract: first(record, 'AB', 'N2'),
+  }));
+}
+
+/**
+ * Parses an uploaded citation file, recognized by its extension or, failing that, its content.
+ * @param {string} filename
+ * @param {string} text
+ * @returns {{format: 'bibtex'|'ris', entries: object[]}}
+ */
+export function parseCitationFile(filename, text) {
+  const extension = filename.toLowerCase().split('.').pop();
+  const format = extension === 'bib' ? 'bibtex'
+    : extension === 'ris' ? 'ris'
+    : /^TY {2}- /m.test(text) ? 'ris'
+    : /@\w+\s*[{(]/.test(text) ? 'bibtex'
+    : null;
+  if (!format) throw httpError(400, 'Expected a BibTeX (.bib) or RIS (.ris) file.');
+
+  const entries = format === 'bibtex' ? parseBibtex(text) : parseRis(text);
+  if (entries.length === 0) throw httpError(400, `No ${format === 'bibtex' ? 'BibTeX entries' : 'RIS records'} found in ${filename}.`);
+  if (entries.length > MAX_IMPORT_ENTRIES) {
+    throw httpError(413, `${filename} holds ${entries.length} entries; import at most ${MAX_IMPORT_ENTRIES} at a time.`);
+  }
+  return { format, entries };
+}
@@ -3,6 +3,12 @@ import pg from 'pg';
 import config from '../config.js';
 
 const { Pool } = pg;
+
+// DATE columns (experiment run dates) have no time of day or zone, so they are kept as
+// 'YYYY-MM-DD' rather than parsed into a Date at local midnight, which can shift the day.
+const DATE_OID = 1082;
+pg.types.setTypeParser(DATE_OID, value => value);
+
 export const pool = new Pool({
   connectionString: config.db.connectionString,
 });
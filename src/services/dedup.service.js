@@ -0,0 +1,284 @@
+// src/services/dedup.service.js
+import { pool, query } from './db.js';
+import config from '../config.js';
+
+export const FLAG_STATUSES = ['open', 'merged', 'dismissed'];
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+// Columns a merge copies from the duplicate into the kept paper where the kept paper has none.
+const MERGED_COLUMNS = ['journal', 'year', 'doi', 'pmid', 'abstract', 'license', 'full_text'];
+const MERGED_ARRAYS = ['authors', 'keywords'];
+
+/**
+ * Lowercases a title and reduces it to its words, so punctuation, accents and spacing do not matter.
+ * @param {string} title
+ * @returns {string}
+ */
+export function normalizeTitle(title) {
+  return String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * How alike two titles are: the share of their distinct words they have in common (0-1).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function titleSimilarity(a, b) {
+  const wordsA = new Set(normalizeTitle(a).split(' ').filter(Boolean));
+  const wordsB = new Set(normalizeTitle(b).split(' ').filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  let shared = 0;
+  for (const word of wordsA) if (wordsB.has(word)) shared++;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Compares two papers of the same project.
+ * @returns {{reason: 'doi'|'title', score: number}|null} Why they look like the same work, or null.
+ */
+export function comparePapers(a, b) {
+  if (a.doi && b.doi) {
+    // Different DOIs are different works, however alike the titles (e.g. a preprint and an erratum).
+    return a.doi === b.doi ? { reason: 'doi', score: 1 } : null;
+  }
+  // Encrypted papers are titled by filename, which says nothing about the work.
+  if (a.is_encrypted || b.is_encrypted) return null;
+  const score = titleSimilarity(a.title, b.title);
+  return score >= config.dedup.titleThreshold ? { reason: 'title', score: Math.round(score * 1000) / 1000 } : null;
+}
+
+async function insertFlag(original, duplicate, match) {
+  const result = await query(
+    `INSERT INTO duplicate_flags (cid, duplicate_cid, reason, score) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (cid, duplicate_cid) DO NOTHING RETURNING *`,
+    [original.cid, duplicate.cid, match.reason, match.score]
+  );
+  return result.rows[0] || null;
+}
+
+const PAPER_COLUMNS = 'cid, title, doi, is_encrypted, project_id, created_at';
+
+/**
+ * Flags the papers in the same project that look like the same work as a newly added one: the
+ * same DOI or, for papers without both DOIs, nearly the same title. The earlier paper is the
+ * original in each flag. Flags already recorded (or dismissed) for a pair are kept as they are.
+ * @param {string} cid The new paper.
+ * @returns {Promise<object[]>} The flags created.
+ */
+export async function flagDuplicates(cid) {
+  const paperResult = await query(`SELECT ${PAPER_COLUMNS} FROM paper WHERE cid = $1`, [cid]);
+  const paper = paperResult.rows[0];
+  if (!paper) return [];
+
+  const others = await query(
+    `SELECT ${PAPER_COLUMNS} FROM paper WHERE project_id IS NOT DISTINCT FROM $1 AND cid <> $2 ORDER BY created_at`,
+    [paper.project_id, cid]
+  );
+  const flags = [];
+  for (const other of others.rows) {
+    const match = comparePapers(other, paper);
+    if (!match) continue;
+    const [original, duplicate] = other.created_at <= paper.created_at ? [other, paper] : [paper, other];
+    const flag = await insertFlag(original, duplicate, match);
+    if (flag) flags.push(flag);
+  }
+  if (flags.length > 0) {
+    console.log(`[DEDUP] Paper ${cid} looks like ${flags.length} other paper(s): ${flags.map(flag => (flag.cid === cid ? flag.duplicate_cid : flag.cid)).join(', ')}`);
+  }
+  return flags;
+}
+
+/**
+ * Compares every pair of papers in a project, for papers added before duplicates were flagged.
+ * @param {number|null} projectId The project, or null for General papers.
+ * @returns {Promise<object[]>} The flags created.
+ */
+export async function scanProject(projectId) {
+  const result = await query(
+    `SELECT ${PAPER_COLUMNS} FROM paper WHERE project_id IS NOT DISTINCT FROM $1 ORDER BY created_at, cid`,
+    [projectId]
+  );
+  const papers = result.rows;
+  const flags = [];
+  for (let i = 0; i < papers.length; i++) {
+    for (let j = i + 1; j < papers.length; j++) {
+      const match = comparePapers(papers[i], papers[j]);
+      if (!match) continue;
+      const flag = await insertFlag(papers[i], papers[j], match);
+      if (flag) flags.push(flag);
+    }
+  }
+  console.log(`[DEDUP] Scanned ${papers.length} paper(s) in project ${projectId ?? 'General'}: ${flags.length} new duplicate flag(s).`);
+  return flags;
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<object|null>} The flag, with the project of its papers.
+ */
+export async function getFlag(id) {
+  const result = await query(
+    `SELECT f.*, COALESCE(p.project_id, d.project_id) AS project_id FROM duplicate_flags f
+     LEFT JOIN paper p ON p.cid = f.cid LEFT JOIN paper d ON d.cid = f.duplicate_cid
+     WHERE f.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+// The project of a flag's papers, whichever of them is left after a merge.
+export const FLAG_PROJECT = 'COALESCE(p.project_id, d.project_id)';
+
+/**
+ * Lists duplicate flags with the title and DOI of both papers.
+ * @param {object} filters
+ * @param {string} [filters.status] One of FLAG_STATUSES.
+ * @param {number|null} [filters.projectId] Only flags in this project (null for General papers).
+ * @param {{clause: string|null, args: any[]}} [filters.visible] From `visibleProjectsClause` for the
+ *   column `FLAG_PROJECT`, numbered from $1.
+ * @param {number} filters.limit
+ * @param {number} filters.offset
+ * @returns {Promise<{flags: object[], total: number}>}
+ */
+export async function listFlags({ status, projectId, visible, limit, offset }) {
+  const conditions = [];
+  const args = [];
+  if (visible?.clause) {
+    conditions.push(visible.clause);
+    args.push(...visible.args);
+  }
+  if (status) {
+    args.push(status);
+    conditions.push(`f.status = $${args.length}`);
+  }
+  if (projectId !== undefined) {
+    args.push(projectId);
+    conditions.push(`${FLAG_PROJECT} IS NOT DISTINCT FROM $${args.length}`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  // Merged flags keep both CIDs, though one of them now only exists as an alias.
+  const from = `FROM duplicate_flags f
+     LEFT JOIN paper p ON p.cid = f.cid
+     LEFT JOIN paper d ON d.cid = f.duplicate_cid
+     ${where}`;
+
+  const [rows, count] = await Promise.all([
+    query(
+      `SELECT f.*, ${FLAG_PROJECT} AS project_id, p.title, p.doi, d.title AS duplicate_title, d.doi AS duplicate_doi
+       ${from} ORDER BY f.created_at DESC LIMIT $${args.length + 1} OFFSET $${args.length + 2}`,
+      [...args, limit, offset]
+    ),
+    query(`SELECT COUNT(*) ${from}`, args),
+  ]);
+  return { flags: rows.rows, total: parseInt(count.rows[0].count, 10) };
+}
+
+/**
+ * Marks a flag as not a duplicate, so the pair is never flagged again.
+ * @param {number} id
+ * @param {number} userId
+ * @returns {Promise<object>} The updated flag.
+ */
+export async function dismissFlag(id, userId) {
+  const result = await query(
+    `UPDATE duplicate_flags SET status = 'dismissed', resolved_by = $2, resolved_at = NOW()
+     WHERE id = $1 AND status = 'open' RETURNING *`,
+    [id, userId]
+  );
+  if (result.rows.length === 0) throw httpError(409, `Duplicate flag #${id} is not open.`);
+  return result.rows[0];
+}
+
+/**
+ * Merges one paper into another. The kept paper takes any metadata it lacks from the duplicate;
+ * analyses and pipeline runs that used the duplicate as an input are re-pointed at the kept
+ * paper; the duplicate's row and search chunks are deleted; and its CID becomes an alias of the
+ * kept paper's, so links to it keep resolving. The duplicate's file stays in storage.
+ * @param {string} keepCid
+ * @param {string} duplicateCid
+ * @param {number} userId
+ * @returns {Promise<{paper: object, repointed: {analyses: number, pipelineRuns: number, pipelineSteps: number}}>}
+ */
+export async function mergePapers(keepCid, duplicateCid, userId) {
+  if (keepCid === duplicateCid) throw httpError(400, 'A paper cannot be merged into itself.');
+
+  let merged;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const papers = await client.query('SELECT * FROM paper WHERE cid = ANY($1) FOR UPDATE', [[keepCid, duplicateCid]]);
+    const kept = papers.rows.find(row => row.cid === keepCid);
+    const duplicate = papers.rows.find(row => row.cid === duplicateCid);
+    if (!kept) throw httpError(404, `Paper ${keepCid} not found.`);
+    if (!duplicate) throw httpError(404, `Paper ${duplicateCid} not found.`);
+    if (kept.is_encrypted !== duplicate.is_encrypted) {
+      throw httpError(400, 'An encrypted paper cannot be merged with an unencrypted one.');
+    }
+
+    const assignments = [
+      ...MERGED_COLUMNS.map(column => `${column} = COALESCE(k.${column}, d.${column})`),
+      ...MERGED_ARRAYS.map(column => `${column} = CASE WHEN cardinality(k.${column}) > 0 THEN k.${column} ELSE d.${column} END`),
+    ];
+    const updated = await client.query(
+      `UPDATE paper k SET ${assignments.join(', ')} FROM paper d WHERE k.cid = $1 AND d.cid = $2 RETURNING k.*`,
+      [keepCid, duplicateCid]
+    );
+
+    const analyses = await client.query(
+      'UPDATE analysis SET source_cids = array_replace(source_cids, $2, $1) WHERE $2 = ANY(source_cids)',
+      [keepCid, duplicateCid]
+    );
+    const pipelineRuns = await client.query(
+      'UPDATE pipeline_runs SET input_cids = array_replace(input_cids, $2, $1) WHERE $2 = ANY(input_cids)',
+      [keepCid, duplicateCid]
+    );
+    const pipelineSteps = await client.query(
+      'UPDATE pipeline_steps SET input_cids = array_replace(input_cids, $2, $1) WHERE $2 = ANY(input_cids)',
+      [keepCid, duplicateCid]
+    );
+
+    await client.query('DELETE FROM document_chunks WHERE cid = $1', [duplicateCid]);
+    await client.query('DELETE FROM paper WHERE cid = $1', [duplicateCid]);
+
+    // Aliases of the duplicate (from earlier merges) now lead to the kept paper too.
+    await client.query('UPDATE cid_aliases SET cid = $1 WHERE cid = $2', [keepCid, duplicateCid]);
+    await client.query(
+      `INSERT INTO cid_aliases (alias_cid, cid, record_type, merged_by) VALUES ($1, $2, 'paper', $3)
+       ON CONFLICT (alias_cid) DO UPDATE SET cid = EXCLUDED.cid, merged_by = EXCLUDED.merged_by, merged_at = NOW()`,
+      [duplicateCid, keepCid, userId]
+    );
+
+    await client.query(
+      `UPDATE duplicate_flags SET status = 'merged', resolved_by = $3, resolved_at = NOW()
+       WHERE status = 'open' AND ((cid = $1 AND duplicate_cid = $2) OR (cid = $2 AND duplicate_cid = $1))`,
+      [keepCid, duplicateCid, userId]
+    );
+    // Other open flags against the duplicate are closed and the kept paper is compared again below.
+    await client.query(
+      `UPDATE duplicate_flags SET status = 'dismissed', resolved_by = $2, resolved_at = NOW()
+       WHERE status = 'open' AND (cid = $1 OR duplicate_cid = $1)`,
+      [duplicateCid, userId]
+    );
+    await client.query('COMMIT');
+
+    const repointed = { analyses: analyses.rowCount, pipelineRuns: pipelineRuns.rowCount, pipelineSteps: pipelineSteps.rowCount };
+    console.log(`[DEDUP] Merged paper ${duplicateCid} into ${keepCid} (user ${userId}); re-pointed ${JSON.stringify(repointed)}.`);
+    merged = { paper: updated.rows[0], repointed };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // The merge is committed by now; a failed rescan must not report it as failed.
+  await flagDuplicates(keepCid).catch(error => console.error(`[DEDUP] Failed to rescan ${keepCid} for duplicates after the merge:`, error));
+  return merged;
+}
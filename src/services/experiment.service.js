@@ -0,0 +1,135 @@
+// src/services/experiment.service.js
+// Structured metadata for experiment records: the instrument, who ran it and when, the samples
+// measured, the protocol followed and the run parameters, which are validated against the
+// schema of the experiment's instrument type (instruments.js).
+import { validateSchema } from './json-schema.js';
+import { INSTRUMENT_TYPES, getInstrumentType } from './instruments.js';
+
+// Request fields and the experiment columns they are stored in.
+export const EXPERIMENT_FIELDS = {
+  description: 'description',
+  instrumentType: 'instrument_type',
+  instrument: 'instrument',
+  operator: 'operator',
+  runDate: 'run_date',
+  sampleIds: 'sample_ids',
+  protocolRef: 'protocol_ref',
+  parameters: 'parameters',
+};
+
+const MAX_SAMPLE_IDS = 1000;
+
+const experimentSchema = {
+  type: 'object',
+  properties: {
+    description: { type: 'string', maxLength: 5000 },
+    instrumentType: { type: 'string', enum: Object.keys(INSTRUMENT_TYPES) },
+    instrument: { type: 'string', minLength: 1, maxLength: 200 },
+    operator: { type: 'string', minLength: 1, maxLength: 200 },
+    runDate: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    sampleIds: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 100 } },
+    protocolRef: { type: 'string', minLength: 1, maxLength: 500 },
+    // `parameters` is checked below: the validator only keeps the properties a schema declares.
+  },
+};
+
+// Multipart forms send every field as a string; these turn them into the types of the schema.
+function parseSampleIds(value) {
+  if (typeof value !== 'string') return value;
+  const text = value.trim();
+  if (text.startsWith('[')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return value;
+    }
+  }
+  return text.split(/[,;\n]/).map(id => id.trim()).filter(Boolean);
+}
+
+function parseParameters(value, errors) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    errors.push('parameters must be a JSON object.');
+    return undefined;
+  }
+}
+
+// Accepts a date or a full timestamp and keeps the date, which is all the column holds.
+function normalizeRunDate(value, errors) {
+  if (typeof value !== 'string') return value;
+  const date = value.trim().slice(0, 10);
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date) {
+    errors.push('runDate must be a date (YYYY-MM-DD).');
+    return undefined;
+  }
+  // A day of slack for time zones ahead of UTC.
+  if (parsed.getTime() > Date.now() + 24 * 60 * 60 * 1000) {
+    errors.push('runDate cannot be in the future.');
+    return undefined;
+  }
+  return date;
+}
+
+/**
+ * Validates experiment metadata from an upload and maps it onto the experiment's columns. Fields
+ * may be typed JSON or, from a multipart form, strings: `sampleIds` as a JSON array or a comma,
+ * semicolon or line separated list, and `parameters` as a JSON object. `parameters` are checked
+ * against the schema of `instrumentType`; parameters the schema does not declare are kept as sent.
+ * Empty strings count as absent.
+ * @param {object} raw The metadata, e.g. `req.body`. Unrelated keys are ignored.
+ * @returns {{metadata: object, fields: object, errors: string[]}} The normalized fields present, the
+ *   same as column values, and every problem found.
+ */
+export function validateExperimentMetadata(raw = {}) {
+  const errors = [];
+  const input = {};
+  for (const field of Object.keys(EXPERIMENT_FIELDS)) {
+    let value = raw[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value === 'string') value = value.trim();
+    if (field === 'sampleIds') value = parseSampleIds(value);
+    if (field === 'parameters') value = parseParameters(value, errors);
+    if (field === 'runDate') value = normalizeRunDate(value, errors);
+    if (value !== undefined) input[field] = value;
+  }
+
+  const { parameters: rawParameters, ...described } = input;
+  const { value: metadata, errors: schemaErrors } = validateSchema(experimentSchema, described, 'experiment');
+  errors.push(...schemaErrors.map(error => error.replace(/^experiment\./, '')));
+  if (rawParameters !== undefined) {
+    if (rawParameters === null || typeof rawParameters !== 'object' || Array.isArray(rawParameters)) {
+      errors.push('parameters must be a JSON object.');
+    } else {
+      metadata.parameters = rawParameters;
+    }
+  }
+
+  if (metadata.sampleIds) {
+    if (metadata.sampleIds.length > MAX_SAMPLE_IDS) errors.push(`sampleIds may list at most ${MAX_SAMPLE_IDS} samples.`);
+    metadata.sampleIds = [...new Set(metadata.sampleIds)];
+  }
+
+  const instrumentType = getInstrumentType(metadata.instrumentType);
+  if (metadata.parameters && !instrumentType) {
+    errors.push(`instrumentType is required with parameters. Expected one of: ${Object.keys(INSTRUMENT_TYPES).join(', ')}.`);
+  } else if (instrumentType) {
+    const { value: parameters, errors: parameterErrors } = validateSchema(instrumentType.parameters, metadata.parameters || {}, 'parameters');
+    errors.push(...parameterErrors.map(error => `${error.replace(/\.$/, '')} for instrument type ${metadata.instrumentType}.`));
+    if (parameters.massRangeMin > parameters.massRangeMax) {
+      errors.push('parameters.massRangeMin must not be above parameters.massRangeMax.');
+    }
+    const merged = { ...metadata.parameters, ...parameters };
+    metadata.parameters = Object.keys(merged).length > 0 ? merged : undefined;
+  }
+
+  const fields = {};
+  for (const [field, column] of Object.entries(EXPERIMENT_FIELDS)) {
+    if (metadata[field] !== undefined) fields[column] = metadata[field];
+  }
+  if (fields.parameters) fields.parameters = JSON.stringify(fields.parameters);
+  return { metadata, fields, errors };
+}
@@ -13,17 +13,38 @@ const SERVICE_ADDRESS = process.env.FLOW_TESTNET_ADDRESS;
 const PRIVATE_KEY = process.env.FLOW_TESTNET_PRIVATE_KEY;
 const KEY_INDEX = 0;
 
-// Central FCL Configuration
+// Access node and standard contract addresses per Flow network. FCLCrypto is used by FCL to
+// check account-proof signatures, so a proof is only verified against the network it was made on.
+const FLOW_NETWORKS = {
+  testnet: {
+    accessNode: "https://rest-testnet.onflow.org",
+    standardContracts: "0x631e88ae7f1d7c20",
+    fclCrypto: "0x74daa6f9c7ef24b1",
+  },
+  mainnet: {
+    accessNode: "https://rest-mainnet.onflow.org",
+    standardContracts: "0x1d7e57aa55817448",
+    fclCrypto: "0xb4b82a1c9d21d284",
+  },
+};
+const FLOW_NETWORK = process.env.FLOW_NETWORK || 'testnet';
+const network = FLOW_NETWORKS[FLOW_NETWORK];
+if (!network) {
+  throw new Error(`Invalid FLOW_NETWORK: ${FLOW_NETWORK}. Expected one of: ${Object.keys(FLOW_NETWORKS).join(', ')}.`);
+}
+
+// Central FCL Configuration. The access node is always set, since wallet sign-in verifies
+// account proofs even when no service account is configured.
+fcl.config().put("accessNode.api", network.accessNode);
 if (!SERVICE_ADDRESS || !PRIVATE_KEY) {
   console.error("🔴 FATAL FLOW ERROR: Missing FLOW_TESTNET_ADDRESS or FLOW_TESTNET_PRIVATE_KEY in your .env file.");
   // We don't exit the process here so the main app can continue running,
   // but Flow transactions will fail.
 } else {
   fcl.config()
-    .put("accessNode.api", "https://rest-testnet.onflow.org")
-    .put("0xNonFungibleToken", "0x631e88ae7f1d7c20") // Standard contract
-    .put("0xMetadataViews", "0x631e88ae7f1d7c20")    // Standard contract
-    .put("0xViewResolver", "0x631e88ae7f1d7c20")      // Standard contract
+    .put("0xNonFungibleToken", network.standardContracts) // Standard contract
+    .put("0xMetadataViews", network.standardContracts)    // Standard contract
+    .put("0xViewResolver", network.standardContracts)      // Standard contract
     .put("0xKintaGenNFT", SERVICE_ADDRESS);          // Your contract address
 }
 
@@ -213,4 +234,20 @@ export async function getAllNftIds() {
     args: (arg, t) => [arg(SERVICE_ADDRESS, t.Address)],
   });
   return ids || []; // Return an empty array if query result is null/undefined
-}
\ No newline at end of file
+}
+/**
+ * Verifies a Flow account proof produced by a wallet through FCL's account-proof service.
+ * @param {string} appIdentifier - The app identifier the frontend passed to FCL.
+ * @param {object} proof
+ * @param {string} proof.address - The Flow address that signed the proof.
+ * @param {string} proof.nonce - The hex nonce the proof was signed over.
+ * @param {object[]} proof.signatures - The composite signatures returned by the wallet.
+ * @returns {Promise<boolean>} Whether the signatures are valid for the account's keys.
+ */
+export async function verifyAccountProof(appIdentifier, { address, nonce, signatures }) {
+  return fcl.AppUtils.verifyAccountProof(
+    appIdentifier,
+    { address, nonce, signatures },
+    { fclCryptoContract: network.fclCrypto }
+  );
+}
@@ -0,0 +1,106 @@
+// src/services/instruments.js
+// The registry of instrument types an experiment can be recorded with. Each type declares a JSON
+// schema (see json-schema.js) for the run parameters that matter for it; an experiment's
+// `parameters` are validated against the schema of its `instrumentType`. The schemas type the
+// parameters they know and leave room for any others, so lab-specific settings can still be
+// recorded. Adding an instrument type means adding an entry here.
+
+export const INSTRUMENT_TYPES = {
+  'gc-ms': {
+    description: 'Gas chromatography-mass spectrometry.',
+    parameters: {
+      type: 'object',
+      properties: {
+        column: { type: 'string', maxLength: 200, description: 'Column model and dimensions, e.g. "DB-5MS 30 m x 0.25 mm".' },
+        carrierGas: { type: 'string', enum: ['helium', 'hydrogen', 'nitrogen'] },
+        ionization: { type: 'string', enum: ['EI', 'CI'] },
+        injectionVolumeUl: { type: 'number', minimum: 0, maximum: 1000 },
+        splitRatio: { type: 'string', pattern: '^(splitless|\\d+:\\d+)$', description: '"splitless" or e.g. "10:1".' },
+        massRangeMin: { type: 'number', minimum: 0 },
+        massRangeMax: { type: 'number', minimum: 0 },
+      },
+    },
+  },
+  'lc-ms': {
+    description: 'Liquid chromatography-mass spectrometry.',
+    parameters: {
+      type: 'object',
+      properties: {
+        column: { type: 'string', maxLength: 200 },
+        mobilePhaseA: { type: 'string', maxLength: 200 },
+        mobilePhaseB: { type: 'string', maxLength: 200 },
+        flowRateMlMin: { type: 'number', minimum: 0, maximum: 100 },
+        ionization: { type: 'string', enum: ['ESI+', 'ESI-', 'APCI+', 'APCI-'] },
+        massRangeMin: { type: 'number', minimum: 0 },
+        massRangeMax: { type: 'number', minimum: 0 },
+      },
+    },
+  },
+  nmr: {
+    description: 'Nuclear magnetic resonance spectroscopy.',
+    parameters: {
+      type: 'object',
+      required: ['nucleus', 'frequencyMhz'],
+      properties: {
+        nucleus: { type: 'string', enum: ['1H', '13C', '15N', '19F', '31P'] },
+        frequencyMhz: { type: 'number', minimum: 20, maximum: 1300, description: 'Spectrometer frequency for the nucleus.' },
+        solvent: { type: 'string', maxLength: 100 },
+        temperatureK: { type: 'number', minimum: 0, maximum: 500 },
+        scans: { type: 'integer', minimum: 1 },
+        pulseProgram: { type: 'string', maxLength: 100 },
+      },
+    },
+  },
+  'plate-reader': {
+    description: 'Microplate reader (absorbance, fluorescence or luminescence).',
+    parameters: {
+      type: 'object',
+      required: ['mode'],
+      properties: {
+        mode: { type: 'string', enum: ['absorbance', 'fluorescence', 'luminescence'] },
+        wavelengthNm: { type: 'number', minimum: 100, maximum: 2000, description: 'Absorbance or emission wavelength.' },
+        excitationNm: { type: 'number', minimum: 100, maximum: 2000 },
+        plateWells: { type: 'integer', enum: [6, 12, 24, 48, 96, 384, 1536] },
+        temperatureC: { type: 'number', minimum: -20, maximum: 100 },
+      },
+    },
+  },
+  'toxicity-assay': {
+    description: 'In vivo dose-response assay, e.g. for an LD50 estimate.',
+    parameters: {
+      type: 'object',
+      required: ['organism', 'route'],
+      properties: {
+        organism: { type: 'string', minLength: 1, maxLength: 200 },
+        route: { type: 'string', enum: ['oral', 'dermal', 'inhalation', 'intravenous', 'intraperitoneal', 'subcutaneous'] },
+        exposureHours: { type: 'number', minimum: 0 },
+        doseUnit: { type: 'string', maxLength: 50, description: 'e.g. "mg/kg".' },
+        groupSize: { type: 'integer', minimum: 1 },
+      },
+    },
+  },
+  other: {
+    description: 'Any other instrument; parameters are not checked.',
+    parameters: { type: 'object' },
+  },
+};
+
+/**
+ * @param {string} name
+ * @returns {object|null} The registered instrument type, or null.
+ */
+export function getInstrumentType(name) {
+  return Object.hasOwn(INSTRUMENT_TYPES, name) ? INSTRUMENT_TYPES[name] : null;
+}
+
+/**
+ * The public description of every instrument type, for the discovery endpoint.
+ * @returns {object[]}
+ */
+export function listInstrumentTypes() {
+  return Object.entries(INSTRUMENT_TYPES).map(([name, type]) => ({
+    name,
+    description: type.description,
+    parameters: type.parameters,
+  }));
+}
@@ -0,0 +1,65 @@
+// src/services/json-schema.js
+// A small validator for the subset of JSON Schema this API uses to describe request bodies and
+// model output: type, properties, required, additionalProperties: false, enum, minimum, maximum,
+// minLength, maxLength, pattern, items and default.
+
+const TYPE_CHECKS = {
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: Array.isArray,
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: Number.isInteger,
+  boolean: value => typeof value === 'boolean',
+};
+
+function validateValue(schema, value, where, errors) {
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    errors.push(`${where} must be of type ${schema.type}.`);
+    return value;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where} must be one of: ${schema.enum.join(', ')}.`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where} must be at least ${schema.minimum}.`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${where} must be at most ${schema.maximum}.`);
+  if (schema.type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${where} must be at least ${schema.minLength} characters.`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${where} must be at most ${schema.maxLength} characters.`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${where} must match ${schema.pattern}.`);
+    }
+  }
+  if (schema.type === 'array' && schema.items) {
+    return value.map((item, i) => validateValue(schema.items, item, `${where}[${i}]`, errors));
+  }
+  if (schema.type === 'object') {
+    const result = {};
+    const properties = schema.properties || {};
+    for (const key of Object.keys(value)) {
+      if (!properties[key] && schema.additionalProperties === false) errors.push(`${where}.${key} is not a known property.`);
+    }
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      if (value[key] !== undefined) result[key] = validateValue(propertySchema, value[key], `${where}.${key}`, errors);
+      else if (propertySchema.default !== undefined) result[key] = propertySchema.default;
+      else if (schema.required?.includes(key)) errors.push(`${where}.${key} is required.`);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Validates a value against a schema and fills in defaults.
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} where How errors name the value, e.g. 'parameters'.
+ * @returns {{value: *, errors: string[]}}
+ */
+export function validateSchema(schema, value, where) {
+  const errors = [];
+  return { value: validateValue(schema, value, where, errors), errors };
+}
@@ -0,0 +1,111 @@
+// src/services/manifest.service.js
+import fs from 'fs';
+import { Readable } from 'stream';
+import { query } from './db.js';
+import * as storage from './storage.service.js';
+import config from '../config.js';
+
+const { pieceSize } = config.resumableUploads;
+
+export const MANIFEST_FORMAT = 'kintagen-manifest/v1';
+
+/**
+ * Stores a file from disk. Files that fit in one provider piece are stored as-is; larger files
+ * are split into pieces that are stored one by one, followed by a JSON manifest linking them.
+ * The manifest's CID then stands for the whole file.
+ * @param {string} filePath The file to store.
+ * @param {object} info
+ * @param {string} info.filename The original filename.
+ * @param {number} info.size The file size in bytes.
+ * @param {string} info.sha256 The hex SHA-256 of the whole file.
+ * @param {number} [info.requestedBy] The user storing the file, recorded on its upload jobs.
+ * @param {number|null} [info.projectId] The project the file is for, recorded on its upload jobs.
+ * @param {object} [progress]
+ * @param {object[]} [progress.storedPieces] Pieces stored by an earlier, interrupted attempt. They are not stored again.
+ * @param {function} [progress.onPieceStored] Called with the list of stored pieces after each piece.
+ * @returns {Promise<import('./storage.service.js').StoredObject & {pieces: object[]|null}>}
+ */
+export async function storeFileInPieces(filePath, { filename, size, sha256, requestedBy, projectId }, { storedPieces = [], onPieceStored } = {}) {
+  const owner = { requestedBy, projectId };
+  if (size <= pieceSize) {
+    const stored = await storage.putFile(filePath, { filename, ...owner });
+    return { ...stored, pieces: null };
+  }
+
+  const pieceCount = Math.ceil(size / pieceSize);
+  console.log(`[Manifest] Splitting ${filename} (${size} bytes) into ${pieceCount} pieces.`);
+  const pieces = [...storedPieces];
+
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    for (let index = pieces.length; index < pieceCount; index++) {
+      const offset = index * pieceSize;
+      const length = Math.min(pieceSize, size - offset);
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, offset);
+
+      // Pieces are stored one at a time, so memory use is bounded by the piece size.
+      const stored = await storage.put(buffer, { filename: `${filename}.part${index + 1}of${pieceCount}`, ...owner });
+      pieces.push({ cid: stored.cid, size: length, offset });
+      console.log(`[Manifest] Stored piece ${index + 1}/${pieceCount} of ${filename}: ${stored.cid}`);
+      await onPieceStored?.(pieces);
+    }
+  } finally {
+    await handle.close();
+  }
+
+  const manifest = {
+    format: MANIFEST_FORMAT,
+    filename,
+    size,
+    sha256,
+    pieces,
+  };
+  const stored = await storage.put(Buffer.from(JSON.stringify(manifest, null, 2)), { filename: `${filename}.manifest.json`, ...owner });
+
+  await query(
+    `INSERT INTO file_manifests (cid, filename, size, sha256, piece_cids, piece_sizes)
+     VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (cid) DO NOTHING`,
+    [stored.cid, filename, size, sha256, pieces.map(p => p.cid), pieces.map(p => p.size)]
+  );
+  console.log(`[Manifest] Stored manifest for ${filename} as ${stored.cid}`);
+
+  return { ...stored, pieces };
+}
+
+/**
+ * @param {string} cid
+ * @returns {Promise<object|null>} The manifest row if the CID is a manifest, otherwise null.
+ */
+export async function getManifest(cid) {
+  const result = await query('SELECT * FROM file_manifests WHERE cid = $1', [cid]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Streams the reassembled file behind a manifest, reading only the pieces a range touches.
+ * @param {object} manifest A row from `file_manifests`.
+ * @param {{start: number, end: number}} [range] Inclusive byte range of the reassembled file.
+ * @returns {Readable}
+ */
+export function createManifestReadStream(manifest, range) {
+  const start = range ? range.start : 0;
+  const end = range ? range.end : Number(manifest.size) - 1;
+
+  async function* readPieces() {
+    let pieceStart = 0;
+    for (let i = 0; i < manifest.piece_cids.length; i++) {
+      const pieceEnd = pieceStart + Number(manifest.piece_sizes[i]) - 1;
+      if (pieceEnd >= start && pieceStart <= end) {
+        const stream = await storage.createReadStream(manifest.piece_cids[i], {
+          start: Math.max(start, pieceStart) - pieceStart,
+          end: Math.min(end, pieceEnd) - pieceStart,
+        });
+        for await (const chunk of stream) yield chunk;
+      }
+      pieceStart = pieceEnd + 1;
+    }
+  }
+
+  return Readable.from(readPieces());
+}
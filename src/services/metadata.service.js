@@ -0,0 +1,376 @@
+// src/services/metadata.service.js
+// Structured metadata for uploaded papers. The model's reply is parsed, normalized and validated
+// against a schema; an invalid reply is sent back with its problems for the model to repair. Each
+// field gets a confidence from the model, lowered when the value cannot be found in the paper, and
+// papers the extraction is unsure about are saved as pending_review for a person to check
+// (PATCH /api/data/paper/:cid) instead of failing the upload. When the paper has a DOI or PMID,
+// its bibliographic record (bibliography.service.js) replaces what the model guessed.
+import { requestPaperMetadata } from './ai.service.js';
+import { resolveReference } from './bibliography.service.js';
+import { validateSchema } from './json-schema.js';
+import config from '../config.js';
+
+const { reviewThreshold, maxAttempts, excerptChars } = config.metadata;
+
+// The fields the model is asked for; bibliographic records add the PMID, abstract and license.
+const EXTRACTED_FIELDS = ['title', 'journal', 'year', 'keywords', 'authors', 'doi'];
+export const METADATA_FIELDS = [...EXTRACTED_FIELDS, 'pmid', 'abstract', 'license'];
+export const METADATA_STATUSES = ['complete', 'pending_review', 'reviewed'];
+
+// The fields a paper is not usable without: below the threshold on any of these, it needs review.
+const REVIEWED_FIELDS = ['title', 'authors', 'year'];
+
+const DOI_PATTERN = /10\.\d{4,9}\/[^\s"'<>]+/i;
+const PMID_PATTERN = /\bPMID:?\s*(\d{1,9})\b/i;
+
+// Lines past the start of a long paper that may still carry its metadata.
+const FRONT_MATTER_LINE = /\bdoi\b|10\.\d{4,9}\/|\b(received|accepted|published|copyright|journal|volume|vol\.)\b|©/i;
+
+function metadataSchema({ partial }) {
+  return {
+    type: 'object',
+    required: partial ? [] : ['title'],
+    properties: {
+      title: { type: 'string', minLength: 1, maxLength: 1000 },
+      journal: { type: 'string', maxLength: 500 },
+      year: { type: 'integer', minimum: 1600, maximum: new Date().getFullYear() + 1 },
+      keywords: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 200 } },
+      authors: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 300 } },
+      doi: { type: 'string', pattern: `^${DOI_PATTERN.source}$`, maxLength: 300 },
+      pmid: { type: 'string', pattern: '^\\d{1,9}$' },
+      abstract: { type: 'string', maxLength: 20000 },
+      license: { type: 'string', maxLength: 500 },
+    },
+  };
+}
+
+const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Brings a DOI to its bare, lower-case form: no resolver URL, `doi:` prefix or trailing punctuation.
+ * @param {string} doi
+ * @returns {string}
+ */
+export function normalizeDoi(doi) {
+  return collapse(doi)
+    .replace(/^(https?:\/\/)?(dx\.)?doi\.org\//i, '')
+    .replace(/^doi:\s*/i, '')
+    .replace(/[.,;)\]]+$/, '')
+    .toLowerCase();
+}
+
+function normalizeYear(year) {
+  if (typeof year === 'number') return year;
+  const match = collapse(year).match(/\b(1[6-9]\d\d|20\d\d)\b/);
+  return match ? Number(match[1]) : year;
+}
+
+function normalizeList(list) {
+  const items = typeof list === 'string' ? list.split(';') : list;
+  const seen = new Set();
+  return items.map(item => (typeof item === 'string' ? collapse(item) : item)).filter(item => {
+    if (item === '') return false;
+    const key = typeof item === 'string' ? item.toLowerCase() : item;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+const NORMALIZERS = {
+  title: value => (typeof value === 'string' ? collapse(value) : value),
+  journal: value => (typeof value === 'string' ? collapse(value) : value),
+  year: value => (typeof value === 'string' || typeof value === 'number' ? normalizeYear(value) : value),
+  keywords: value => (typeof value === 'string' || Array.isArray(value) ? normalizeList(value) : value),
+  authors: value => (typeof value === 'string' || Array.isArray(value) ? normalizeList(value) : value),
+  doi: value => (typeof value === 'string' ? normalizeDoi(value) : value),
+  pmid: value => (typeof value === 'string' || typeof value === 'number' ? collapse(String(value)).replace(/^pmid:?\s*/i, '') : value),
+  abstract: value => (typeof value === 'string' ? collapse(value) : value),
+  license: value => (typeof value === 'string' ? collapse(value) : value),
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Normalizes the metadata fields of an object, leaving out those that are empty. Values of the
+ * wrong type are passed through for validation to report.
+ * @param {object} raw
+ * @returns {object}
+ */
+function normalizeMetadata(raw) {
+  const metadata = {};
+  for (const field of METADATA_FIELDS) {
+    if (isEmpty(raw[field])) continue;
+    const value = NORMALIZERS[field](raw[field]);
+    if (!isEmpty(value)) metadata[field] = value;
+  }
+  return metadata;
+}
+
+/**
+ * Finds the first JSON object in a model reply, skipping code fences and any text around it.
+ * Braces inside strings are ignored, so the object ends where it really ends.
+ * @param {string} reply
+ * @returns {object}
+ */
+export function parseJsonObject(reply) {
+  const text = reply.replace(/```(?:json)?/gi, '');
+  let lastError = null;
+  for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}' && --depth === 0) {
+        try {
+          const value = JSON.parse(text.slice(start, i + 1));
+          if (value !== null && typeof value === 'object' && !Array.isArray(value)) return value;
+        } catch (error) {
+          lastError = error;
+        }
+        break;
+      }
+    }
+  }
+  throw new Error(lastError ? `The reply is not valid JSON: ${lastError.message}` : 'The reply contains no JSON object.');
+}
+
+/**
+ * The text sent to the model: the start of the paper, where its metadata usually is, followed
+ * by any later lines that look like front matter (DOI, journal, dates) up to `excerptChars`.
+ * @param {string} text
+ * @returns {string}
+ */
+export function metadataExcerpt(text) {
+  if (text.length <= excerptChars) return text;
+  const head = text.slice(0, Math.floor(excerptChars * 0.75));
+  let budget = excerptChars - head.length;
+  const extra = [];
+  for (const line of text.slice(head.length).split('\n')) {
+    const clean = collapse(line);
+    if (!clean || !FRONT_MATTER_LINE.test(clean) || clean.length > budget) continue;
+    extra.push(clean);
+    budget -= clean.length + 1;
+  }
+  return extra.length > 0 ? `${head}\n[...]\n${extra.join('\n')}` : head;
+}
+
+/**
+ * Normalizes and validates metadata, leaving out the fields that failed.
+ */
+function validFields(raw, { partial }) {
+  const { value, errors } = validateSchema(metadataSchema({ partial }), normalizeMetadata(raw), 'metadata');
+  const invalidFields = new Set(errors.map(error => error.match(/^metadata\.(\w+)/)?.[1]));
+  const metadata = Object.fromEntries(Object.entries(value).filter(([field]) => !invalidFields.has(field)));
+  return { metadata, errors };
+}
+
+/**
+ * Parses and validates one model reply. `metadata` keeps only the fields that passed.
+ */
+function checkReply(reply) {
+  let raw;
+  try {
+    raw = parseJsonObject(reply);
+  } catch (error) {
+    return { metadata: {}, reported: {}, problems: [error.message] };
+  }
+  const { metadata, errors } = validFields(raw, { partial: false });
+  const reported = raw.confidence !== null && typeof raw.confidence === 'object' ? raw.confidence : {};
+  return { metadata, reported, problems: errors };
+}
+
+/**
+ * How sure we are of each field, from 0 to 1: what the model reported (0.5 if it did not say),
+ * capped when the value does not appear in the paper's text.
+ */
+function scoreFields(metadata, reported, text) {
+  const haystack = collapse(text).toLowerCase();
+  const appears = (value) => haystack.includes(collapse(String(value)).toLowerCase());
+  const confidence = {};
+  for (const field of EXTRACTED_FIELDS) {
+    if (metadata[field] === undefined) {
+      confidence[field] = 0;
+      continue;
+    }
+    const stated = Number(reported[field]);
+    let score = Number.isFinite(stated) ? Math.min(Math.max(stated, 0), 1) : 0.5;
+    if (field === 'title' && !appears(metadata.title)) score = Math.min(score, 0.5);
+    if ((field === 'doi' || field === 'year') && !appears(metadata[field])) score = Math.min(score, 0.3);
+    if (field === 'authors') {
+      // By surname, since the text may give first names as initials.
+      const found = metadata.authors.filter(author => appears(author.split(' ').pop())).length;
+      score *= found / metadata.authors.length;
+    }
+    confidence[field] = Math.round(score * 100) / 100;
+  }
+  return confidence;
+}
+
+/**
+ * Fills in what the model missed from the text itself: the first DOI and PMID on the first pages.
+ */
+function addTextHints(metadata, confidence, text) {
+  const start = text.slice(0, 5000);
+  const doi = !metadata.doi && start.match(DOI_PATTERN);
+  if (doi) {
+    metadata.doi = normalizeDoi(doi[0]);
+    confidence.doi = 0.6;
+  }
+  const pmid = !metadata.pmid && start.match(PMID_PATTERN);
+  if (pmid) {
+    metadata.pmid = pmid[1];
+    confidence.pmid = 0.6;
+  }
+}
+
+const comparable = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+const surnames = (authors) => authors.map(author => comparable(author.split(' ').pop())).join(' ');
+
+// Whether an extracted value and a bibliographic one say the same thing. Titles and journals
+// match when one contains the other, since the model often drops a subtitle or a journal's prefix.
+function agrees(field, extracted, resolved) {
+  if (field === 'title' || field === 'journal') {
+    const [a, b] = [comparable(extracted), comparable(resolved)];
+    return a.includes(b) || b.includes(a);
+  }
+  if (field === 'authors') return surnames(extracted) === surnames(resolved);
+  return String(extracted).toLowerCase() === String(resolved).toLowerCase();
+}
+
+/**
+ * Looks up a paper's bibliographic record by DOI or PMID.
+ * @param {{doi?: string, pmid?: string}} ids
+ * @returns {Promise<{metadata: object, source: string}|null>} The record's valid fields, normalized
+ *   like extracted ones, and the sources it came from; null if no source knows the paper.
+ *   Rejects with statusCode 502 when no source could be reached.
+ */
+export async function lookupReference({ doi, pmid }) {
+  const record = await resolveReference({ doi: doi && normalizeDoi(doi), pmid });
+  if (!record) return null;
+  const { metadata, errors } = validFields(record, { partial: true });
+  if (errors.length > 0) console.warn(`[METADATA] Ignoring invalid fields from ${record.source}: ${errors.join(' ')}`);
+  return { metadata, source: record.source };
+}
+
+/**
+ * Replaces extracted fields with those of the paper's bibliographic record, if its DOI or PMID
+ * resolves, and returns where the two disagreed. If the record's title is not the one found in
+ * the text, the identifier was probably misread: the extracted values are kept and the paper
+ * goes to review. Lookup failures leave the metadata as extracted.
+ */
+async function applyReference(metadata, confidence, problems) {
+  if (!metadata.doi && !metadata.pmid) return { source: 'llm', conflicts: null };
+  const id = metadata.doi ? `DOI ${metadata.doi}` : `PMID ${metadata.pmid}`;
+  let reference;
+  try {
+    reference = await lookupReference({ doi: metadata.doi, pmid: metadata.pmid });
+  } catch (error) {
+    console.warn(`[METADATA] Could not resolve ${id}: ${error.message}`);
+    return { source: 'llm', conflicts: null };
+  }
+  if (!reference) return { source: 'llm', conflicts: null };
+
+  const conflicts = {};
+  for (const [field, resolved] of Object.entries(reference.metadata)) {
+    const extracted = metadata[field];
+    if (extracted !== undefined && !agrees(field, extracted, resolved)) conflicts[field] = { extracted, resolved };
+  }
+  const hasConflicts = Object.keys(conflicts).length > 0;
+  if (conflicts.title && confidence.title >= reviewThreshold) {
+    problems.push(`The ${id} resolves to "${reference.metadata.title}", which is not the title found in the paper.`);
+    return { source: 'llm', conflicts };
+  }
+
+  Object.assign(metadata, reference.metadata);
+  for (const field of Object.keys(reference.metadata)) confidence[field] = 1;
+  // Invalid replies about fields the record has settled no longer matter.
+  const settled = problems.filter(problem => Object.hasOwn(reference.metadata, problem.match(/^metadata\.(\w+)/)?.[1]));
+  for (const problem of settled) problems.splice(problems.indexOf(problem), 1);
+  if (hasConflicts) console.log(`[METADATA] ${reference.source} corrected ${Object.keys(conflicts).join(', ')} for ${id}.`);
+  return { source: reference.source, conflicts: hasConflicts ? conflicts : null };
+}
+
+function summarize({ metadata, confidence, problems, source, conflicts }) {
+  const unsure = REVIEWED_FIELDS.filter(field => !(confidence[field] >= reviewThreshold));
+  const result = { metadata, confidence, source, conflicts };
+  if (problems.length === 0 && unsure.length === 0) {
+    return { ...result, status: 'complete', error: null };
+  }
+  const reasons = [...problems];
+  if (unsure.length > 0) reasons.push(`Low confidence in: ${unsure.join(', ')}.`);
+  return { ...result, status: 'pending_review', error: reasons.join(' ') };
+}
+
+/**
+ * Extracts a paper's metadata from its text, then enriches it from its bibliographic record.
+ * Never rejects: when the model is unreachable or its replies stay invalid after `maxAttempts`
+ * calls, whatever could be salvaged is returned with status pending_review and the reason in `error`.
+ * @param {string} text The paper's full text.
+ * @returns {Promise<{metadata: object, confidence: object, status: string, error: string|null, source: string, conflicts: object|null}>}
+ *   `metadata` holds only the fields found, normalized (year as an integer, DOI in bare form).
+ *   `source` is 'llm' or the bibliographic sources used, and `conflicts` maps each field they
+ *   corrected to its `{extracted, resolved}` values.
+ */
+export async function extractPaperMetadata(text) {
+  const excerpt = metadataExcerpt(text);
+  let best = { metadata: {}, reported: {} };
+  let problems = [];
+  let repair;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let reply;
+    try {
+      reply = await requestPaperMetadata(excerpt, repair);
+    } catch (error) {
+      // Not something a repair prompt can fix.
+      problems = [`Metadata extraction failed: ${error.message}`];
+      break;
+    }
+    const result = checkReply(reply);
+    problems = result.problems;
+    if (problems.length === 0 || Object.keys(result.metadata).length >= Object.keys(best.metadata).length) best = result;
+    if (problems.length === 0) break;
+    console.warn(`[METADATA] Attempt ${attempt}/${maxAttempts} gave an unusable reply: ${problems.join(' ')}`);
+    repair = { reply, problems };
+  }
+
+  const confidence = scoreFields(best.metadata, best.reported, text);
+  addTextHints(best.metadata, confidence, text);
+  const { source, conflicts } = await applyReference(best.metadata, confidence, problems);
+  return summarize({ metadata: best.metadata, confidence, problems, source, conflicts });
+}
+
+/**
+ * Normalizes and validates metadata from elsewhere, such as an imported citation. A title is required.
+ * @param {object} raw
+ * @returns {{metadata: object, errors: string[]}} `metadata` keeps only the fields that passed.
+ */
+export function validateMetadata(raw) {
+  return validFields(raw, { partial: false });
+}
+
+/**
+ * Validates a reviewer's corrections (the body of PATCH /api/data/paper/:cid). Fields may be
+ * omitted to keep them, and set to null to clear them, except the title.
+ * @param {object} [body]
+ * @returns {{value: object, errors: string[]}} `value` maps each given field to its new value.
+ */
+export function validateMetadataUpdate(body = {}) {
+  const errors = Object.keys(body)
+    .filter(field => !METADATA_FIELDS.includes(field))
+    .map(field => `metadata.${field} is not a known property.`);
+  const cleared = METADATA_FIELDS.filter(field => Object.hasOwn(body, field) && isEmpty(body[field]));
+  if (cleared.includes('title')) errors.push('metadata.title cannot be empty.');
+  const result = validateSchema(metadataSchema({ partial: true }), normalizeMetadata(body), 'metadata');
+  const value = { ...result.value };
+  for (const field of cleared) value[field] = null;
+  return { value, errors: [...errors, ...result.errors] };
+}
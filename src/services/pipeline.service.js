@@ -0,0 +1,277 @@
+// src/services/pipeline.service.js
+import { query } from './db.js';
+import { getPipeline, RUN_INPUTS } from './analysis-pipelines.js';
+import { getTool, validateParameters } from './analysis-tools.js';
+import { enqueueAnalysisJob, onAnalysisJobFinished } from './analysis-job.service.js';
+import { insertRecord } from './record.service.js';
+import * as storage from './storage.service.js';
+
+// running -> succeeded or failed. A failed run can be resumed, which puts it back to running.
+export const PIPELINE_RUN_STATUSES = ['running', 'succeeded', 'failed'];
+// A step is 'pending' until its inputs exist, then follows its analysis job.
+export const PIPELINE_STEP_STATUSES = ['pending', 'queued', 'running', 'succeeded', 'failed'];
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+// Steps finishing at the same moment would otherwise advance the same run twice.
+// Like the job queues, this assumes the worker pool runs in this process.
+const runLocks = new Map(); // runId -> promise of the last advance
+
+async function updateRun(runId, fields) {
+  const columns = Object.keys(fields);
+  const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+  await query(
+    `UPDATE pipeline_runs SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1`,
+    [runId, ...columns.map(column => fields[column])]
+  );
+}
+
+async function updateStep(runId, stepId, fields) {
+  const columns = Object.keys(fields);
+  const assignments = columns.map((column, i) => `${column} = $${i + 3}`);
+  await query(
+    `UPDATE pipeline_steps SET ${assignments.join(', ')}, updated_at = NOW() WHERE run_id = $1 AND step_id = $2`,
+    [runId, stepId, ...columns.map(column => fields[column])]
+  );
+}
+
+/**
+ * Validates per-step parameter overrides against each step's tool.
+ * @returns {{value: object, errors: string[]}} Parameters by step ID, with defaults filled in.
+ */
+export function validateStepParameters(pipeline, stepParameters = {}) {
+  const errors = [];
+  if (stepParameters === null || typeof stepParameters !== 'object' || Array.isArray(stepParameters)) {
+    return { value: {}, errors: ['parameters must be an object keyed by step ID.'] };
+  }
+  for (const stepId of Object.keys(stepParameters)) {
+    if (!pipeline.steps.some(step => step.id === stepId)) errors.push(`parameters.${stepId} is not a step of this pipeline.`);
+  }
+  const value = {};
+  for (const step of pipeline.steps) {
+    const result = validateParameters(getTool(step.tool), { ...step.parameters, ...stepParameters[step.id] });
+    errors.push(...result.errors.map(error => error.replace(/^parameters/, `parameters.${step.id}`)));
+    value[step.id] = result.value;
+  }
+  return { value, errors };
+}
+
+/**
+ * Starts a pipeline run. Steps are queued as analysis jobs as soon as their inputs exist.
+ * @param {string} name A pipeline from analysis-pipelines.js.
+ * @param {string[]} inputCids The run inputs, already checked by the caller.
+ * @param {object} parameters Validated parameters by step ID (see `validateStepParameters`).
+ * @param {number} requestedBy
+ * @param {number|null} projectId The project every analysis of the run is recorded in.
+ * @returns {Promise<object>} The run with its steps.
+ */
+export async function startPipelineRun(name, inputCids, parameters, requestedBy, projectId) {
+  const pipeline = getPipeline(name);
+  if (!pipeline) throw new Error(`Unknown pipeline: ${name}`);
+
+  // The definition is copied into the run, so resuming or auditing it never depends on later edits.
+  const result = await query(
+    `INSERT INTO pipeline_runs (pipeline, definition, input_cids, project_id, requested_by)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [name, JSON.stringify(pipeline), inputCids, projectId, requestedBy]
+  );
+  const runId = result.rows[0].id;
+  for (const step of pipeline.steps) {
+    await query(
+      'INSERT INTO pipeline_steps (run_id, step_id, tool, parameters) VALUES ($1, $2, $3, $4)',
+      [runId, step.id, step.tool, parameters[step.id] || {}]
+    );
+  }
+  console.log(`[Pipeline] Run #${runId}: started ${name} on ${inputCids.length} input(s).`);
+
+  await advanceRun(runId);
+  return getPipelineRun(runId);
+}
+
+/**
+ * @param {number} runId
+ * @returns {Promise<object|null>} The run with its steps in definition order.
+ */
+export async function getPipelineRun(runId) {
+  const runResult = await query('SELECT * FROM pipeline_runs WHERE id = $1', [runId]);
+  const run = runResult.rows[0];
+  if (!run) return null;
+
+  const stepsResult = await query('SELECT * FROM pipeline_steps WHERE run_id = $1', [runId]);
+  const order = run.definition.steps.map(step => step.id);
+  const steps = stepsResult.rows.sort((a, b) => order.indexOf(a.step_id) - order.indexOf(b.step_id));
+  return { ...run, steps };
+}
+
+/**
+ * Resumes a failed run from its failed steps. Steps that already succeeded keep their results.
+ * @param {number} runId
+ * @returns {Promise<object>} The run with its steps.
+ */
+export async function resumePipelineRun(runId) {
+  const run = await getPipelineRun(runId);
+  if (!run) throw httpError(404, `Pipeline run #${runId} not found.`);
+  if (run.status !== 'failed') throw httpError(409, `Pipeline run #${runId} is '${run.status}'. Only failed runs can be resumed.`);
+
+  await query(
+    `UPDATE pipeline_steps SET status = 'pending', analysis_job_id = NULL, error = NULL, updated_at = NOW()
+     WHERE run_id = $1 AND status = 'failed'`,
+    [runId]
+  );
+  await updateRun(runId, { status: 'running', error: null, finished_at: null });
+  console.log(`[Pipeline] Run #${runId}: resumed.`);
+
+  await advanceRun(runId);
+  return getPipelineRun(runId);
+}
+
+/**
+ * Stores a JSON document describing the whole run and records it as an `analysis` whose
+ * `source_cids` are the run inputs followed by every intermediate result.
+ * @returns {Promise<string>} The CID of the provenance document.
+ */
+async function storeProvenanceRecord(run, steps) {
+  const provenance = {
+    pipeline: run.pipeline,
+    pipelineRunId: run.id,
+    definition: run.definition,
+    inputCids: run.input_cids,
+    projectId: run.project_id,
+    requestedBy: run.requested_by,
+    startedAt: run.created_at,
+    finishedAt: new Date(),
+    steps: steps.map(step => ({
+      id: step.step_id,
+      tool: step.tool,
+      parameters: step.parameters,
+      inputCids: step.input_cids,
+      analysisJobId: step.analysis_job_id,
+      resultCid: step.result_cid,
+      attempts: step.attempts,
+    })),
+  };
+  const filename = `pipeline_${run.pipeline}_run${run.id}.provenance.json`;
+  const stored = await storage.put(Buffer.from(JSON.stringify(provenance, null, 2)), {
+    filename,
+    requestedBy: run.requested_by,
+    projectId: run.project_id,
+  });
+
+  await insertRecord('analysis', {
+    title: `${run.pipeline} pipeline run #${run.id}`,
+    description: `Provenance of ${steps.map(step => `${step.step_id} (${step.tool})`).join(', ')}`,
+    source_cids: [...run.input_cids, ...steps.map(step => step.result_cid)],
+    project_id: run.project_id,
+    uploaded_by: run.requested_by,
+    parameters: Object.fromEntries(steps.map(step => [step.step_id, step.parameters])),
+    pipeline_run_id: run.id,
+  }, stored);
+  return stored.cid;
+}
+
+/**
+ * Brings a run up to date: copies finished jobs onto their steps, queues every step whose inputs
+ * now exist, and settles the run once nothing is left to do. Safe to call at any time.
+ */
+async function advanceRunNow(runId) {
+  const run = await getPipelineRun(runId);
+  if (!run || run.status !== 'running') return;
+
+  const jobsResult = await query(
+    `SELECT j.id, j.status, j.result_cid, j.error FROM analysis_jobs j
+     JOIN pipeline_steps s ON s.analysis_job_id = j.id WHERE s.run_id = $1`,
+    [runId]
+  );
+  const jobs = new Map(jobsResult.rows.map(job => [job.id, job]));
+
+  const steps = new Map(run.steps.map(step => [step.step_id, step]));
+  for (const step of steps.values()) {
+    const job = jobs.get(step.analysis_job_id);
+    if (!job || job.status === step.status) continue;
+    const fields = { status: job.status };
+    if (job.status === 'succeeded') fields.result_cid = job.result_cid;
+    if (job.status === 'failed') fields.error = job.error;
+    await updateStep(runId, step.step_id, fields);
+    Object.assign(step, fields);
+    if (job.status === 'succeeded' || job.status === 'failed') {
+      console.log(`[Pipeline] Run #${runId}: step ${step.step_id} ${job.status}.`);
+    }
+  }
+
+  for (const definition of run.definition.steps) {
+    const step = steps.get(definition.id);
+    if (step.status !== 'pending') continue;
+    const ready = definition.inputs.every(input => input === RUN_INPUTS || steps.get(input).status === 'succeeded');
+    if (!ready) continue;
+
+    const inputCids = definition.inputs.flatMap(input => (input === RUN_INPUTS ? run.input_cids : [steps.get(input).result_cid]));
+    const job = await enqueueAnalysisJob(step.tool, {
+      inputCids,
+      parameters: step.parameters,
+      pipelineRunId: runId,
+      pipelineStep: step.step_id,
+    }, run.requested_by, run.project_id);
+    const fields = { status: 'queued', analysis_job_id: job.id, input_cids: inputCids, attempts: step.attempts + 1 };
+    await updateStep(runId, step.step_id, fields);
+    Object.assign(step, fields);
+    console.log(`[Pipeline] Run #${runId}: queued step ${step.step_id} as analysis job #${job.id}.`);
+  }
+
+  const all = [...steps.values()];
+  if (all.every(step => step.status === 'succeeded')) {
+    try {
+      const provenanceCid = await storeProvenanceRecord(run, run.definition.steps.map(definition => steps.get(definition.id)));
+      await updateRun(runId, { status: 'succeeded', provenance_cid: provenanceCid, finished_at: new Date() });
+      console.log(`[Pipeline] Run #${runId}: succeeded, provenance stored as ${provenanceCid}.`);
+    } catch (error) {
+      console.error(`[Pipeline] Run #${runId}: failed to store its provenance record.`, error);
+      await updateRun(runId, { status: 'failed', error: `All steps succeeded but the provenance record could not be stored: ${error.message}`, finished_at: new Date() });
+    }
+    return;
+  }
+
+  // Independent branches keep going after a failure; the run fails once nothing is in flight.
+  const failed = all.filter(step => step.status === 'failed');
+  const inFlight = all.some(step => step.status === 'queued' || step.status === 'running');
+  if (failed.length > 0 && !inFlight) {
+    const error = failed.map(step => `Step ${step.step_id} failed: ${step.error}`).join(' ');
+    await updateRun(runId, { status: 'failed', error, finished_at: new Date() });
+    console.log(`[Pipeline] Run #${runId}: failed. ${error}`);
+  }
+}
+
+/**
+ * Advances a run after any advance already under way. A run that cannot be advanced (a step
+ * could not be queued, the database was unreachable) is marked failed rather than left
+ * 'running' with nothing to wake it up; it can be resumed like any failed run.
+ */
+function advanceRun(runId) {
+  const previous = runLocks.get(runId) || Promise.resolve();
+  const next = previous
+    .then(() => advanceRunNow(runId))
+    .catch(async (error) => {
+      console.error(`[Pipeline] Run #${runId}: failed to advance.`, error);
+      await updateRun(runId, { status: 'failed', error: `The run could not be advanced: ${error.message}`, finished_at: new Date() })
+        .catch(updateError => console.error(`[Pipeline] Run #${runId}: could not be marked failed.`, updateError));
+    })
+    .finally(() => {
+      if (runLocks.get(runId) === next) runLocks.delete(runId);
+    });
+  runLocks.set(runId, next);
+  return next;
+}
+
+/**
+ * Advances pipeline runs whenever one of their analysis jobs finishes, and catches up on runs
+ * whose jobs finished (or were interrupted) while the server was down. Call after
+ * `startAnalysisWorker`, which marks interrupted jobs as failed.
+ */
+export async function startPipelineWorker() {
+  onAnalysisJobFinished((job) => {
+    if (job?.params?.pipelineRunId) advanceRun(job.params.pipelineRunId);
+  });
+
+  const running = await query(`SELECT id FROM pipeline_runs WHERE status = 'running'`);
+  for (const { id } of running.rows) await advanceRun(id);
+  console.log(`[Pipeline] Worker started (${running.rowCount} run(s) in progress).`);
+}
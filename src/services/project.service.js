@@ -1,34 +1,251 @@
 // src/services/project.service.js
 import { pool, query } from './db.js'; // Ensure both are exported from db.js
-import { mintProjectNFT } from './flow.service.js';
+import { mintProjectNFT, getNftStory } from './flow.service.js';
+import { PROJECT_ROLES } from './access.service.js';
+import { STORED_TYPES } from './record.service.js';
 import crypto from 'crypto';
 
-export async function getAllProjects() {
-  const result = await query('SELECT id, name, description, nft_id, created_at FROM projects ORDER BY name ASC');
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const PROJECT_COLUMNS = 'p.id, p.name, p.description, p.nft_id, p.created_at, p.updated_at, p.archived_at, m.role';
+
+/**
+ * Lists the projects a user can see, with their role in each. Admins see every project.
+ * @param {object} user The authenticated user (`req.user`).
+ * @param {object} [options]
+ * @param {boolean} [options.includeArchived] Also list archived projects, which are hidden by default.
+ */
+export async function getAllProjects(user, { includeArchived = false } = {}) {
+  const archivedFilter = includeArchived ? '' : 'AND p.archived_at IS NULL';
+  const result = user.isAdmin
+    ? await query(
+        `SELECT ${PROJECT_COLUMNS}
+         FROM projects p LEFT JOIN project_members m ON m.project_id = p.id AND m.user_id = $1
+         WHERE TRUE ${archivedFilter} ORDER BY p.name ASC`,
+        [user.id]
+      )
+    : await query(
+        `SELECT ${PROJECT_COLUMNS}
+         FROM projects p JOIN project_members m ON m.project_id = p.id
+         WHERE m.user_id = $1 ${archivedFilter} ORDER BY p.name ASC`,
+        [user.id]
+      );
   return result.rows;
 }
 
+/**
+ * Gets a project with the number of records of each data type it holds and the latest entry
+ * of its NFT logbook. An unreachable Flow node only leaves `latestLogEntry` null.
+ * @param {number} projectId
+ * @param {object} user The authenticated user (`req.user`), whose role is included.
+ * @returns {Promise<object|null>}
+ */
+export async function getProjectDetails(projectId, user) {
+  const result = await query(
+    `SELECT ${PROJECT_COLUMNS}
+     FROM projects p LEFT JOIN project_members m ON m.project_id = p.id AND m.user_id = $2
+     WHERE p.id = $1`,
+    [projectId, user.id]
+  );
+  const project = result.rows[0];
+  if (!project) return null;
+
+  const countSql = STORED_TYPES
+    .map(type => `(SELECT COUNT(*) FROM ${type} WHERE project_id = $1) AS ${type}`)
+    .join(', ');
+  const countResult = await query(`SELECT ${countSql}`, [projectId]);
+  const counts = Object.fromEntries(STORED_TYPES.map(type => [type, parseInt(countResult.rows[0][type], 10)]));
+
+  let latestLogEntry = null;
+  if (project.nft_id) {
+    try {
+      const story = await getNftStory(project.nft_id);
+      latestLogEntry = story?.length ? story[story.length - 1] : null;
+    } catch (error) {
+      console.warn(`[FLOW] Could not fetch the story of NFT #${project.nft_id} for project ${projectId}:`, error.message);
+    }
+  }
+
+  return { ...project, counts, latestLogEntry };
+}
+
+/**
+ * Renames, re-describes, archives or unarchives a project.
+ * @param {number} projectId
+ * @param {object} changes
+ * @param {string} [changes.name]
+ * @param {string|null} [changes.description]
+ * @param {boolean} [changes.archived] true archives the project, false restores it.
+ * @returns {Promise<object>} The updated project row.
+ */
+export async function updateProject(projectId, { name, description, archived }) {
+  const assignments = [];
+  const args = [projectId];
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) throw httpError(400, 'Project name cannot be empty.');
+    args.push(name.trim());
+    assignments.push(`name = $${args.length}`);
+  }
+  if (description !== undefined) {
+    args.push(description);
+    assignments.push(`description = $${args.length}`);
+  }
+  if (archived !== undefined) {
+    // Archiving twice keeps the original archive date.
+    assignments.push(archived ? 'archived_at = COALESCE(archived_at, NOW())' : 'archived_at = NULL');
+  }
+  if (assignments.length === 0) {
+    throw httpError(400, 'Nothing to update. Send name, description or archived.');
+  }
+
+  const result = await query(
+    `UPDATE projects SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+    args
+  );
+  if (result.rows.length === 0) throw httpError(404, `Project with ID ${projectId} not found.`);
+  console.log(`[DB] Updated project ${projectId}: ${assignments.join(', ')}`);
+  return result.rows[0];
+}
+
+/**
+ * Permanently deletes a project. Its records are kept but become unassigned (General) data
+ * through the `ON DELETE SET NULL` foreign keys. Projects with a minted NFT cannot be deleted,
+ * since their logbook on Flow would point at a project that no longer exists; archive them instead.
+ * @param {number} projectId
+ * @returns {Promise<{counts: object}>} How many records of each type were unassigned.
+ */
+export async function deleteProject(projectId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const projectResult = await client.query('SELECT nft_id FROM projects WHERE id = $1 FOR UPDATE', [projectId]);
+    if (projectResult.rows.length === 0) throw httpError(404, `Project with ID ${projectId} not found.`);
+    if (projectResult.rows[0].nft_id) {
+      throw httpError(409, `Project ${projectId} has NFT #${projectResult.rows[0].nft_id} on Flow and cannot be deleted. Archive it instead.`);
+    }
+
+    const counts = {};
+    for (const type of STORED_TYPES) {
+      const result = await client.query(`SELECT COUNT(*) FROM ${type} WHERE project_id = $1`, [projectId]);
+      counts[type] = parseInt(result.rows[0].count, 10);
+    }
+    await client.query('DELETE FROM projects WHERE id = $1', [projectId]);
+    await client.query('COMMIT');
+
+    console.log(`[DB] Deleted project ${projectId}; its records are now unassigned.`);
+    return { counts };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * --- MODIFIED ---
  * Creates a project in the database ONLY. Does not interact with Flow.
+ * The creator becomes the project's owner.
+ * @param {string} name
+ * @param {string} description
+ * @param {number} ownerId The ID of the user creating the project.
  * @returns {Promise<object>} The newly created project object.
  */
-export async function createProject(name, description) {
+export async function createProject(name, description, ownerId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      'INSERT INTO projects (name, description) VALUES ($1, $2) RETURNING *',
+      [name, description]
+    );
+    await client.query(
+      `INSERT INTO project_members (project_id, user_id, role, added_by) VALUES ($1, $2, 'owner', $2)`,
+      [result.rows[0].id, ownerId]
+    );
+    await client.query('COMMIT');
+    console.log(`[DB] Created project "${name}" with ID: ${result.rows[0].id}`);
+    return { ...result.rows[0], role: 'owner' };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * @param {number} projectId
+ * @returns {Promise<object[]>} The project's members with their roles.
+ */
+export async function listMembers(projectId) {
   const result = await query(
-    'INSERT INTO projects (name, description) VALUES ($1, $2) RETURNING *',
-    [name, description]
+    `SELECT u.id AS user_id, u.display_name, u.eth_address, u.flow_address, m.role, m.added_by, m.created_at
+     FROM project_members m JOIN users u ON u.id = m.user_id
+     WHERE m.project_id = $1 ORDER BY m.created_at ASC`,
+    [projectId]
   );
-  console.log(`[DB] Created project "${name}" with ID: ${result.rows[0].id}`);
+  return result.rows;
+}
+
+async function countOwners(projectId) {
+  const result = await query(`SELECT COUNT(*) FROM project_members WHERE project_id = $1 AND role = 'owner'`, [projectId]);
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Adds a member to a project, or changes the role of an existing member.
+ * @param {number} projectId
+ * @param {number} userId
+ * @param {string} role One of PROJECT_ROLES.
+ * @param {number} addedBy The ID of the user making the change.
+ * @returns {Promise<object>} The membership row.
+ */
+export async function addMember(projectId, userId, role, addedBy) {
+  if (!PROJECT_ROLES.includes(role)) {
+    throw httpError(400, `Invalid role. Expected one of: ${PROJECT_ROLES.join(', ')}.`);
+  }
+
+  const existing = await query('SELECT role FROM project_members WHERE project_id = $1 AND user_id = $2', [projectId, userId]);
+  if (existing.rows[0]?.role === 'owner' && role !== 'owner' && await countOwners(projectId) === 1) {
+    throw httpError(409, 'A project must keep at least one owner.');
+  }
+
+  const result = await query(
+    `INSERT INTO project_members (project_id, user_id, role, added_by) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (project_id, user_id) DO UPDATE SET role = EXCLUDED.role RETURNING *`,
+    [projectId, userId, role, addedBy]
+  );
+  console.log(`[DB] User #${userId} is now '${role}' in project ${projectId}.`);
   return result.rows[0];
 }
 
+/**
+ * Removes a member from a project. The last owner cannot be removed.
+ * @param {number} projectId
+ * @param {number} userId
+ */
+export async function removeMember(projectId, userId) {
+  const existing = await query('SELECT role FROM project_members WHERE project_id = $1 AND user_id = $2', [projectId, userId]);
+  if (existing.rows.length === 0) {
+    throw httpError(404, `User #${userId} is not a member of project ${projectId}.`);
+  }
+  if (existing.rows[0].role === 'owner' && await countOwners(projectId) === 1) {
+    throw httpError(409, 'A project must keep at least one owner.');
+  }
+
+  await query('DELETE FROM project_members WHERE project_id = $1 AND user_id = $2', [projectId, userId]);
+  console.log(`[DB] Removed user #${userId} from project ${projectId}.`);
+}
+
 /**
  * --- NEW FUNCTION ---
  * Mints an NFT for an existing project and updates the database record.
  * @param {number} projectId - The ID of the project in our database.
+ * @param {string} agent - The user minting the NFT, recorded as the agent of its first log entry.
  * @returns {Promise<object>} The updated project object with the new nft_id.
  */
-export async function mintNftForProject(projectId) {
+export async function mintNftForProject(projectId, agent) {
   const client = await pool.connect();
   try {
     // Check if the project already has an NFT
@@ -46,7 +263,7 @@ export async function mintNftForProject(projectId) {
     // 1. Mint the NFT on Flow
     const runHash = crypto.randomBytes(16).toString('hex');
     const flowResult = await mintProjectNFT({
-      agent: "KintaGenBackend",
+      agent,
       outputCID: `project_init_${projectId}`,
       runHash: runHash,
     });
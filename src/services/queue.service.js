@@ -0,0 +1,487 @@
+// src/services/queue.service.js
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { query } from './db.js';
+import { STORED_TYPES } from './record.service.js';
+import { performUpload, getTransactionStatus } from './synapse.js';
+import { assertProjectAccess, visibleProjectsClause } from './access.service.js';
+import config from '../config.js';
+
+const { spoolDir, concurrencyPerProofSet, pollInterval, maxAttempts, retryDelay } = config.uploadQueue;
+
+// A job moves queued -> uploading -> root-added -> confirmed, or to failed from any step.
+// Failed attempts go back to queued until `maxAttempts` is reached.
+export const JOB_STATUSES = ['queued', 'uploading', 'root-added', 'confirmed', 'failed'];
+
+// The storage status mirrored onto every data record whose CID came out of a job.
+export const STORAGE_STATUSES = ['pending', 'confirmed', 'failed'];
+
+// Everything except the spool path, which is an implementation detail of this service.
+const JOB_COLUMNS = 'id, status, filename, size, proof_set_id, commp, tx_hash, root_ids, attempts, error, run_after, requested_by, project_id, created_at, started_at, updated_at';
+
+// Root additions older than this without a live upload promise are checked on-chain.
+const ORPHAN_CHECK_INTERVAL = 60000;
+
+// Status changes are broadcast in-process so `waitForRootAdded` can resolve without polling.
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const activeUploads = new Map(); // proof set key -> number of uploads currently running
+const inFlightJobs = new Set(); // IDs of jobs whose upload promise lives in this process
+let lastOrphanCheck = 0;
+let lastSyncAt = null; // When the last poll-time sync of stored records started
+let isDraining = false;
+let drainRequested = false;
+let pollTimer = null;
+
+// The Synapse calls the worker makes; `startUploadWorker` can replace them, e.g. in tests.
+let backend = { performUpload, getTransactionStatus };
+
+const proofSetKey = (proofSetId) => (proofSetId == null ? 'default' : String(proofSetId));
+
+async function updateJob(jobId, fields) {
+  const columns = Object.keys(fields);
+  const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+  const result = await query(
+    `UPDATE upload_jobs SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+    [jobId, ...columns.map(column => fields[column])]
+  );
+  const job = result.rows[0];
+  jobEvents.emit(`job:${jobId}`, job);
+  if (job.commp) {
+    await syncStoredRecords(job.commp).catch(error => {
+      console.error(`[UploadQueue] Failed to sync records for job #${jobId}:`, error);
+    });
+  }
+  return job;
+}
+
+/**
+ * Copies proof set, root IDs, tx hash and status from the latest job for a CID onto the
+ * data records stored under it. Rows are usually inserted after the root was added, so
+ * this also runs on every poll to catch records that missed the status change. Only records
+ * whose values differ are written, since every write re-runs the table's search trigger.
+ * @param {string} [commp] Only sync records for this CID. Syncs every unsettled record if omitted.
+ * @param {object} [options]
+ * @param {Date} [options.since] Only sync CIDs with a job updated, or a record created, since then.
+ */
+export async function syncStoredRecords(commp, { since } = {}) {
+  for (const table of STORED_TYPES) {
+    const args = [];
+    const filters = [];
+    if (commp) {
+      args.push(commp);
+      filters.push(`AND commp = $${args.length}`);
+    }
+    if (since) {
+      args.push(since);
+      filters.push(`AND (commp IN (SELECT commp FROM upload_jobs WHERE updated_at >= $${args.length})
+                         OR commp IN (SELECT cid FROM ${table} WHERE created_at >= $${args.length}))`);
+    }
+    await query(
+      `UPDATE ${table} r SET
+          storage_status = j.storage_status,
+          proof_set_id = j.proof_set_id,
+          root_ids = j.root_ids,
+          root_tx_hash = j.tx_hash
+       FROM (
+          SELECT DISTINCT ON (commp) commp, proof_set_id, root_ids, tx_hash,
+                 CASE status WHEN 'confirmed' THEN 'confirmed' WHEN 'failed' THEN 'failed' ELSE 'pending' END AS storage_status
+          FROM upload_jobs WHERE commp IS NOT NULL ${filters.join(' ')}
+          ORDER BY commp, updated_at DESC
+       ) j
+       WHERE r.cid = j.commp AND r.storage_status IN ('pending', 'failed')
+         AND (r.storage_status, r.proof_set_id, r.root_ids, r.root_tx_hash)
+             IS DISTINCT FROM (j.storage_status, j.proof_set_id, j.root_ids, j.tx_hash)`,
+      args
+    );
+  }
+}
+
+function removeSpoolFile(job) {
+  fs.unlink(job.spool_path, (err) => {
+    if (err && err.code !== 'ENOENT') console.error(`[UploadQueue] Error deleting spool file for job #${job.id}:`, err);
+  });
+}
+
+/**
+ * Persists the payload to the spool directory and records a new queued job.
+ * @param {Buffer} dataBuffer The file data as a buffer.
+ * @param {object} [options] Optional parameters.
+ * @param {number} [options.proofSetId] An existing proof set ID to use.
+ * @param {string} [options.filename] The original filename, for reporting only.
+ * @param {number} [options.requestedBy] The user whose upload this is.
+ * @param {number|null} [options.projectId] The project the data is for, if any.
+ * @returns {Promise<object>} The newly created job row.
+ */
+export async function enqueueUpload(dataBuffer, options = {}) {
+  const spoolPath = await newSpoolPath();
+  await fs.promises.writeFile(spoolPath, dataBuffer);
+  return insertJob(spoolPath, dataBuffer.length, options);
+}
+
+/**
+ * Like `enqueueUpload`, but copies a file on disk to the spool directory without reading it into memory.
+ * @param {string} filePath The file to upload. It can be deleted once this resolves.
+ * @param {object} [options] As for `enqueueUpload`.
+ * @returns {Promise<object>} The newly created job row.
+ */
+export async function enqueueFileUpload(filePath, options = {}) {
+  const spoolPath = await newSpoolPath();
+  await fs.promises.copyFile(filePath, spoolPath);
+  const { size } = await fs.promises.stat(spoolPath);
+  return insertJob(spoolPath, size, options);
+}
+
+async function newSpoolPath() {
+  await fs.promises.mkdir(spoolDir, { recursive: true });
+  return path.join(spoolDir, `${crypto.randomUUID()}.bin`);
+}
+
+async function insertJob(spoolPath, size, options) {
+  const result = await query(
+    `INSERT INTO upload_jobs (filename, size, spool_path, proof_set_id, requested_by, project_id)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [options.filename || null, size, spoolPath, options.proofSetId ?? null, options.requestedBy ?? null, options.projectId ?? null]
+  );
+  const job = result.rows[0];
+  console.log(`[UploadQueue] Job #${job.id} queued (${job.size} bytes).`);
+
+  setImmediate(drainQueue);
+  return job;
+}
+
+/**
+ * Waits until a job has had its root added (or confirmed), rejecting if it fails. Status changes
+ * made by this process's worker arrive as events; the job row is also polled, so a job another
+ * process picked up, or an event that was missed, still settles the wait.
+ * @param {number} jobId The ID of the upload job.
+ * @param {object} [options]
+ * @param {number} [options.timeout] Give up waiting after this many milliseconds. The rejection
+ *   has `statusCode` 504, the `jobId`, and `settled`: the wait that goes on without a timeout.
+ * @returns {Promise<object>} The job row at the moment the root was added.
+ */
+export function waitForRootAdded(jobId, { timeout } = {}) {
+  const settled = new Promise((resolve, reject) => {
+    const eventName = `job:${jobId}`;
+    const stop = () => {
+      jobEvents.off(eventName, onUpdate);
+      clearInterval(poller);
+    };
+    const onUpdate = (job) => {
+      if (job.status === 'root-added' || job.status === 'confirmed') {
+        stop();
+        resolve(job);
+      } else if (job.status === 'failed') {
+        stop();
+        reject(new Error(`Upload job #${job.id} failed: ${job.error}`));
+      }
+    };
+    const poller = setInterval(() => {
+      query('SELECT * FROM upload_jobs WHERE id = $1', [jobId])
+        .then(result => onUpdate(result.rows[0] || { id: jobId, status: 'failed', error: 'the job no longer exists' }))
+        .catch(error => console.error(`[UploadQueue] Failed to poll job #${jobId}:`, error));
+    }, pollInterval);
+    poller.unref();
+    jobEvents.on(eventName, onUpdate);
+  });
+  if (!timeout) return settled;
+
+  let timer;
+  const timedOut = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(
+      new Error(`Upload job #${jobId} is still in progress after ${Math.round(timeout / 1000)}s. Follow it with GET /api/uploads/${jobId}; uploading the file again once it is confirmed will not store it twice.`),
+      { statusCode: 504, jobId, settled }
+    )), timeout);
+  });
+  return Promise.race([settled, timedOut]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Atomically moves the oldest queued job whose proof set still has a free slot to 'uploading'.
+ * The conditional UPDATE makes the claim safe even if several workers share the database.
+ */
+async function claimNextJob() {
+  const candidates = await query(
+    `SELECT id, proof_set_id FROM upload_jobs
+     WHERE status = 'queued' AND (run_after IS NULL OR run_after <= NOW())
+     ORDER BY created_at ASC, id ASC LIMIT 50`
+  );
+
+  for (const candidate of candidates.rows) {
+    if ((activeUploads.get(proofSetKey(candidate.proof_set_id)) || 0) >= concurrencyPerProofSet) continue;
+
+    const claimed = await query(
+      `UPDATE upload_jobs SET status = 'uploading', attempts = attempts + 1, error = NULL, started_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'queued' RETURNING *`,
+      [candidate.id]
+    );
+    if (claimed.rows.length > 0) {
+      jobEvents.emit(`job:${candidate.id}`, claimed.rows[0]);
+      return claimed.rows[0];
+    }
+  }
+  return null;
+}
+
+async function processJob(job) {
+  console.log(`[UploadQueue] Job #${job.id}: starting upload (attempt ${job.attempts}).`);
+
+  // Callbacks fire in quick succession, so status writes are chained to keep them in order.
+  let pendingUpdate = Promise.resolve();
+  const queueUpdate = (fields) => {
+    pendingUpdate = pendingUpdate.then(() => updateJob(job.id, fields));
+    return pendingUpdate;
+  };
+
+  try {
+    const dataBuffer = await fs.promises.readFile(job.spool_path);
+    const result = await backend.performUpload(dataBuffer, { proofSetId: job.proof_set_id ?? undefined }, {
+      onProviderSelected: (provider) => {
+        // Remembered so downloads can fall back to the provider when FilCDN is unavailable.
+        queueUpdate({ provider_retrieval_url: provider.pieceRetrievalUrl || null });
+      },
+      onRootAdded: ({ commp, proofSetId, txHash }) => {
+        queueUpdate({ status: 'root-added', commp, proof_set_id: proofSetId, tx_hash: txHash });
+      },
+      onRootConfirmed: (rootIds) => {
+        queueUpdate({ status: 'confirmed', root_ids: rootIds });
+      },
+    });
+
+    await pendingUpdate;
+    // The upload promise only settles after confirmation, so make sure the final state is recorded.
+    const finalJob = await updateJob(job.id, { status: 'confirmed', commp: result.commp, proof_set_id: result.proofSetId });
+    console.log(`[UploadQueue] Job #${job.id}: confirmed. CommP: ${finalJob.commp}`);
+    removeSpoolFile(job);
+  } catch (error) {
+    console.error(`[UploadQueue] Job #${job.id}: upload failed.`, error);
+    await pendingUpdate.catch(() => {});
+    const failedJob = (await query('SELECT * FROM upload_jobs WHERE id = $1', [job.id])).rows[0];
+    await handleFailure(failedJob, error);
+  }
+}
+
+/**
+ * Decides what a failed attempt means. A root addition that actually landed is confirmed,
+ * anything else is retried with backoff until the job runs out of attempts.
+ */
+async function handleFailure(job, error) {
+  const message = error.message || String(error);
+
+  if (job.tx_hash) {
+    const txStatus = await backend.getTransactionStatus(job.tx_hash).catch(() => 'unknown');
+    if (txStatus === 'confirmed') {
+      console.log(`[UploadQueue] Job #${job.id}: root addition ${job.tx_hash} landed despite the error. Marking as confirmed.`);
+      await updateJob(job.id, { status: 'confirmed', error: null });
+      removeSpoolFile(job);
+      return;
+    }
+  }
+
+  if (job.attempts < maxAttempts) {
+    const delay = retryDelay * 2 ** (job.attempts - 1);
+    console.log(`[UploadQueue] Job #${job.id}: retrying in ${delay / 1000}s (attempt ${job.attempts} of ${maxAttempts}).`);
+    await updateJob(job.id, {
+      status: 'queued',
+      error: message,
+      tx_hash: null,
+      run_after: new Date(Date.now() + delay),
+    });
+    return;
+  }
+
+  // The spool file is kept so the job can still be retried by hand.
+  console.error(`[UploadQueue] Job #${job.id}: giving up after ${job.attempts} attempt(s).`);
+  await updateJob(job.id, { status: 'failed', error: message });
+}
+
+/**
+ * Root additions whose upload promise died with a previous process never hear about their
+ * confirmation, so their transaction receipt is checked instead.
+ */
+async function checkOrphanedRootAdditions() {
+  if (Date.now() - lastOrphanCheck < ORPHAN_CHECK_INTERVAL) return;
+  lastOrphanCheck = Date.now();
+
+  const result = await query(
+    `SELECT * FROM upload_jobs WHERE status = 'root-added' AND updated_at < NOW() - INTERVAL '2 minutes'`
+  );
+  for (const job of result.rows) {
+    if (inFlightJobs.has(job.id) || !job.tx_hash) continue;
+
+    const txStatus = await backend.getTransactionStatus(job.tx_hash);
+    if (txStatus === 'confirmed') {
+      console.log(`[UploadQueue] Job #${job.id}: root addition confirmed on-chain after restart.`);
+      await updateJob(job.id, { status: 'confirmed' });
+      removeSpoolFile(job);
+    } else if (txStatus === 'reverted') {
+      await handleFailure(job, new Error(`Root addition transaction ${job.tx_hash} reverted.`));
+    }
+  }
+}
+
+/**
+ * Runs on every poll: keeps data records in step with their jobs and picks up new work.
+ */
+async function pollQueue() {
+  try {
+    // The first pass after a start syncs everything; later ones only what changed since, with a
+    // poll interval of overlap for clock differences between this process and the database.
+    const startedAt = new Date();
+    await syncStoredRecords(undefined, { since: lastSyncAt && new Date(lastSyncAt.getTime() - pollInterval) });
+    lastSyncAt = startedAt;
+    await checkOrphanedRootAdditions();
+  } catch (error) {
+    console.error('[UploadQueue] Failed to reconcile upload jobs.', error);
+  }
+  drainQueue();
+}
+
+/**
+ * Claims and starts as many queued jobs as the per-proof-set limits allow.
+ */
+async function drainQueue() {
+  if (isDraining) {
+    drainRequested = true;
+    return;
+  }
+  isDraining = true;
+
+  try {
+    do {
+      drainRequested = false;
+      let claimed;
+      while ((claimed = await claimNextJob())) {
+        // Its own binding, since the callbacks below run after `claimed` has moved on (to null).
+        const job = claimed;
+        const key = proofSetKey(job.proof_set_id);
+        activeUploads.set(key, (activeUploads.get(key) || 0) + 1);
+        inFlightJobs.add(job.id);
+
+        // Not awaited: the job runs in the background and frees its slot when it settles.
+        processJob(job)
+          .catch(error => console.error(`[UploadQueue] Job #${job.id}: unexpected worker error.`, error))
+          .finally(() => {
+            activeUploads.set(key, activeUploads.get(key) - 1);
+            inFlightJobs.delete(job.id);
+            setImmediate(drainQueue);
+          });
+      }
+    } while (drainRequested);
+  } catch (error) {
+    console.error('[UploadQueue] Failed to drain the upload queue.', error);
+  } finally {
+    isDraining = false;
+  }
+}
+
+/**
+ * Starts the background worker. Jobs that were mid-upload when the process last stopped
+ * are put back in the queue, since their upload promise no longer exists.
+ * @param {object} [overrides] Stand-ins for `performUpload` and `getTransactionStatus` from synapse.js.
+ */
+export async function startUploadWorker(overrides = {}) {
+  if (pollTimer) return;
+  backend = { ...backend, ...overrides };
+
+  const recovered = await query(
+    `UPDATE upload_jobs SET status = 'queued', updated_at = NOW() WHERE status = 'uploading' RETURNING id`
+  );
+  if (recovered.rowCount > 0) {
+    console.log(`[UploadQueue] Re-queued ${recovered.rowCount} interrupted upload job(s).`);
+  }
+
+  pollTimer = setInterval(pollQueue, pollInterval).unref();
+  console.log(`[UploadQueue] Worker started (max ${concurrencyPerProofSet} concurrent upload(s) per proof set).`);
+  pollQueue();
+}
+
+/**
+ * Builds a SQL condition limiting upload jobs to those the user requested or that belong to a
+ * project they can view.
+ * @param {object} user The authenticated user (`req.user`).
+ * @param {number} paramIndex The placeholder number to use for the user ID.
+ * @returns {{clause: string|null, args: any[]}} No clause for admins, who can see every job.
+ */
+function visibleJobsClause(user, paramIndex) {
+  const projects = visibleProjectsClause(user, paramIndex);
+  if (!projects.clause) return projects;
+  return { clause: `(requested_by = $${paramIndex} OR ${projects.clause})`, args: projects.args };
+}
+
+/**
+ * Puts a failed job back in the queue with a fresh set of attempts. Retrying spends storage
+ * funds, so it takes the editor role in the job's project; a job without a project can only
+ * be retried by whoever requested it, or an admin.
+ * @param {number} jobId The ID of the upload job.
+ * @param {object} user The authenticated user (`req.user`).
+ * @returns {Promise<object>} The re-queued job.
+ */
+export async function retryUploadJob(jobId, user) {
+  const { clause, args } = visibleJobsClause(user, 2);
+  const job = (await query(`SELECT * FROM upload_jobs WHERE id = $1 ${clause ? `AND ${clause}` : ''}`, [jobId, ...args])).rows[0];
+  if (!job) {
+    throw Object.assign(new Error(`Upload job #${jobId} not found.`), { statusCode: 404 });
+  }
+  if (job.project_id != null || job.requested_by !== user.id) {
+    await assertProjectAccess(user, job.project_id, 'editor');
+  }
+  if (job.status !== 'failed') {
+    throw Object.assign(new Error(`Only failed jobs can be retried. Job #${jobId} is '${job.status}'.`), { statusCode: 409 });
+  }
+  if (!fs.existsSync(job.spool_path)) {
+    throw Object.assign(new Error(`The spooled data for job #${jobId} no longer exists. Upload the file again.`), { statusCode: 410 });
+  }
+
+  await updateJob(job.id, { status: 'queued', attempts: 0, tx_hash: null, run_after: null });
+  setImmediate(drainQueue);
+  return getUploadJob(job.id, user);
+}
+
+/**
+ * @param {number} jobId The ID of the upload job.
+ * @param {object} user The authenticated user (`req.user`).
+ * @returns {Promise<object|null>} The job, or null if it does not exist or the user cannot see it.
+ */
+export async function getUploadJob(jobId, user) {
+  const { clause, args } = visibleJobsClause(user, 2);
+  const result = await query(
+    `SELECT ${JOB_COLUMNS} FROM upload_jobs WHERE id = $1 ${clause ? `AND ${clause}` : ''}`,
+    [jobId, ...args]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Lists the upload jobs a user can see, newest first.
+ * @param {object} user The authenticated user (`req.user`).
+ * @param {object} [filters]
+ * @param {string} [filters.status] Only return jobs in this state.
+ * @param {number} [filters.limit=20]
+ * @param {number} [filters.offset=0]
+ * @returns {Promise<{jobs: object[], total: number}>}
+ */
+export async function listUploadJobs(user, { status, limit = 20, offset = 0 } = {}) {
+  const conditions = [];
+  const args = [];
+  if (status) {
+    args.push(status);
+    conditions.push(`status = $${args.length}`);
+  }
+  const visible = visibleJobsClause(user, args.length + 1);
+  if (visible.clause) {
+    conditions.push(visible.clause);
+    args.push(...visible.args);
+  }
+  const whereString = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await query(`SELECT COUNT(*) FROM upload_jobs ${whereString}`, args);
+  const dataResult = await query(
+    `SELECT ${JOB_COLUMNS} FROM upload_jobs ${whereString} ORDER BY created_at DESC, id DESC LIMIT $${args.length + 1} OFFSET $${args.length + 2}`,
+    [...args, limit, offset]
+  );
+  return { jobs: dataResult.rows, total: parseInt(countResult.rows[0].count, 10) };
+}
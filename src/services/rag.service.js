@@ -0,0 +1,281 @@
+// src/services/rag.service.js
+// Retrieval over our own records for chat: the text of papers, experiments and analyses is split
+// into overlapping chunks, embedded, and stored in `document_chunks`. Questions are embedded the
+// same way and answered from the closest chunks of the records the user can see.
+import { pool, query } from './db.js';
+import { embedTexts, canEmbed } from './ai.service.js';
+import { extractTextFromBuffer } from './pdf.service.js';
+import { visibleProjectsClause } from './access.service.js';
+import * as storage from './storage.service.js';
+import config from '../config.js';
+
+const { chunkSize, chunkOverlap, topK: defaultTopK, indexBatch, indexInterval, maxScoredChunks, maxDocumentBytes } = config.rag;
+const embeddingModel = config.ai.embeddings.model;
+
+// The record types chat searches. Their files are read only if they are PDFs or plain text.
+export const RAG_TYPES = ['paper', 'experiment', 'analysis'];
+
+// One row per searchable record, with the columns describing it.
+const RECORDS_SQL = `(
+    SELECT cid, 'paper' AS type, title, project_id, is_encrypted, created_at,
+           concat_ws(E'\\n', 'Journal: ' || journal, 'Year: ' || year, 'DOI: ' || doi, 'Authors: ' || array_to_string(authors, ', '), 'Keywords: ' || array_to_string(keywords, ', ')) AS details
+    FROM paper
+    UNION ALL
+    SELECT cid, 'experiment', title, project_id, is_encrypted, created_at,
+           concat_ws(E'\\n', description, 'Instrument: ' || instrument, 'Instrument type: ' || instrument_type, 'Operator: ' || operator,
+                     'Run date: ' || run_date, 'Samples: ' || NULLIF(array_to_string(sample_ids, ', '), ''), 'Protocol: ' || protocol_ref,
+                     'Parameters: ' || parameters::text)
+    FROM experiment
+    UNION ALL
+    SELECT cid, 'analysis', title, project_id, is_encrypted, created_at,
+           concat_ws(E'\\n', description, 'Tool: ' || tool, 'Parameters: ' || parameters::text, 'Source CIDs: ' || array_to_string(source_cids, ', '))
+    FROM analysis
+  ) r`;
+
+/**
+ * Splits text into chunks of about `size` characters, ending at a paragraph or sentence break where
+ * one is near, with `overlap` characters repeated so a passage cut in two is still found whole.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function chunkText(text, { size = chunkSize, overlap = chunkOverlap } = {}) {
+  const clean = text.replace(/\r\n?/g, '\n').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+  const chunks = [];
+  let start = 0;
+  while (start < clean.length) {
+    let end = Math.min(start + size, clean.length);
+    if (end < clean.length) {
+      const window = clean.slice(start + Math.floor(size / 2), end);
+      const breakAt = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('. '), window.lastIndexOf('.\n'));
+      if (breakAt !== -1) end = start + Math.floor(size / 2) + breakAt + 1;
+    }
+    const chunk = clean.slice(start, end).trim();
+    if (chunk) chunks.push(chunk);
+    if (end >= clean.length) break;
+    // Start the next chunk on a word boundary inside the overlap.
+    const next = Math.max(end - overlap, start + 1);
+    const space = clean.indexOf(' ', next);
+    start = space !== -1 && space < end ? space + 1 : end;
+  }
+  return chunks;
+}
+
+/**
+ * Reads a stored file as text if it is a PDF or plain text, and returns '' otherwise.
+ * @param {string} cid
+ * @returns {Promise<string>}
+ */
+export async function readStoredText(cid) {
+  const stats = await storage.stat(cid);
+  if (!stats || stats.size > maxDocumentBytes) return '';
+  const buffer = await storage.get(cid);
+  if (buffer.toString('utf8', 0, 4) === '%PDF') return extractTextFromBuffer(buffer);
+  // Zip, tar.gz and other binary data has NUL bytes early on; text does not.
+  return buffer.subarray(0, 8192).includes(0) ? '' : buffer.toString('utf-8');
+}
+
+/**
+ * (Re)builds the chunks of one record. The first chunk describes the record itself, so records
+ * whose file is not text (raw data, analysis bundles) can still be found by their metadata.
+ * @param {string} cid
+ * @param {string} [text] The file's text, if the caller has already extracted it.
+ * @returns {Promise<number>} The number of chunks stored.
+ */
+export async function indexRecord(cid, text) {
+  const result = await query(`SELECT * FROM ${RECORDS_SQL} WHERE cid = $1`, [cid]);
+  const record = result.rows[0];
+  if (!record) throw new Error(`No ${RAG_TYPES.join('/')} record with CID ${cid}.`);
+  if (record.is_encrypted) return 0;
+
+  if (text === undefined) {
+    text = await readStoredText(cid).catch((error) => {
+      console.warn(`[RAG] Could not read CID ${cid}, indexing its metadata only: ${error.message}`);
+      return '';
+    });
+  }
+  const header = [`${record.type}: ${record.title}`, record.details].filter(Boolean).join('\n');
+  const chunks = [header, ...chunkText(text)];
+  const embeddings = await embedTexts(chunks);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM document_chunks WHERE cid = $1', [cid]);
+    for (const [index, content] of chunks.entries()) {
+      await client.query(
+        `INSERT INTO document_chunks (cid, record_type, chunk_index, content, embedding, embedding_model)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [cid, record.type, index, content, embeddings[index], embeddingModel]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  console.log(`[RAG] Indexed ${record.type} ${cid} as ${chunks.length} chunk(s).`);
+  return chunks.length;
+}
+
+/**
+ * Builds the condition selecting the records a search covers: one project, or every project
+ * the user can see.
+ */
+function scopeClause(user, projectId, paramIndex) {
+  if (projectId != null) return { clause: `r.project_id = $${paramIndex}`, args: [projectId] };
+  return visibleProjectsClause(user, paramIndex, 'r.project_id');
+}
+
+// A record whose indexing failed is skipped for this long, so it does not hold up the others.
+const FAILED_RETRY_DELAY = 60 * 60 * 1000;
+const failedAt = new Map(); // CID -> time of its last failed attempt
+let indexingPass = null;
+
+/**
+ * Indexes the newest records that have no chunks for the current embeddings model yet, at most
+ * `indexBatch` of them.
+ * @returns {Promise<boolean>} Whether the batch was full, so more records may be waiting.
+ */
+async function indexMissingRecords() {
+  for (const [cid, time] of failedAt) {
+    if (Date.now() - time > FAILED_RETRY_DELAY) failedAt.delete(cid);
+  }
+  const result = await query(
+    `SELECT r.cid FROM ${RECORDS_SQL}
+     WHERE NOT r.is_encrypted AND NOT r.cid = ANY($2)
+       AND NOT EXISTS (SELECT 1 FROM document_chunks c WHERE c.cid = r.cid AND c.embedding_model = $1)
+     ORDER BY r.created_at DESC LIMIT ${indexBatch}`,
+    [embeddingModel, [...failedAt.keys()]]
+  );
+  for (const { cid } of result.rows) {
+    await indexRecord(cid).catch((error) => {
+      failedAt.set(cid, Date.now());
+      console.error(`[RAG] Failed to index CID ${cid}:`, error);
+    });
+  }
+  return result.rowCount === indexBatch;
+}
+
+/**
+ * Starts an indexing pass unless one is running. Passes run back to back while there is a
+ * backlog, one record at a time, so chat and uploads never wait on indexing.
+ */
+export function requestIndexing() {
+  if (indexBatch <= 0 || indexingPass) return;
+  indexingPass = indexMissingRecords()
+    .catch((error) => {
+      console.error('[RAG] Background indexing failed:', error);
+      return false;
+    })
+    .then((more) => {
+      indexingPass = null;
+      if (more) setImmediate(requestIndexing);
+    });
+}
+
+/**
+ * Indexes records without chunks in the background: those uploaded before chat existed, other
+ * than papers (which are indexed when uploaded), and all of them after an embeddings model change.
+ */
+export function startIndexWorker() {
+  if (indexBatch <= 0 || !canEmbed()) {
+    console.log('[RAG] Background indexing is off (RAG_INDEX_BATCH=0 or no embeddings key).');
+    return;
+  }
+  setInterval(requestIndexing, indexInterval).unref();
+  requestIndexing();
+  console.log(`[RAG] Background indexing started (${indexBatch} records per pass).`);
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Checked once: with pgvector installed (see migration 014), chunks are ranked in Postgres.
+let pgvectorAvailable = null;
+
+function hasPgvector() {
+  if (!pgvectorAvailable) {
+    pgvectorAvailable = query(`SELECT 1 FROM pg_extension WHERE extname = 'vector'`)
+      .then(result => result.rowCount > 0)
+      .catch(() => false);
+  }
+  return pgvectorAvailable;
+}
+
+/**
+ * Finds the stored chunks closest to a text, best first.
+ * @param {object} user The authenticated user (`req.user`); only records they can see are searched.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number|null} [options.projectId] Limit the search to one project the caller has checked access to.
+ * @param {string[]} [options.types] Limit the search to some of RAG_TYPES.
+ * @param {number} [options.limit]
+ * @returns {Promise<{cid: string, type: string, title: string, projectId: number|null, content: string, score: number}[]>}
+ */
+export async function findSimilarChunks(user, text, { projectId = null, types = RAG_TYPES, limit = defaultTopK } = {}) {
+  const [embedding] = await embedTexts([text]);
+  const filter = (paramIndex) => {
+    const scope = scopeClause(user, projectId, paramIndex);
+    return {
+      where: `c.embedding_model = $1 AND c.record_type = ANY($2) AND NOT r.is_encrypted ${scope.clause ? `AND ${scope.clause}` : ''}`,
+      args: [embeddingModel, types, ...scope.args],
+    };
+  };
+  const toPassage = row => ({
+    cid: row.cid,
+    type: row.record_type,
+    title: row.title,
+    projectId: row.project_id,
+    content: row.content,
+    score: row.score ?? cosineSimilarity(embedding, row.embedding),
+  });
+
+  if (await hasPgvector()) {
+    const { where, args } = filter(4);
+    const result = await query(
+      `SELECT c.cid, c.record_type, c.content, r.title, r.project_id,
+              1 - (c.embedding::vector <=> $3::vector) AS score
+       FROM document_chunks c JOIN ${RECORDS_SQL} ON r.cid = c.cid
+       WHERE ${where} AND array_length(c.embedding, 1) = ${embedding.length}
+       ORDER BY c.embedding::vector <=> $3::vector LIMIT ${Number(limit)}`,
+      [args[0], args[1], JSON.stringify(embedding), ...args.slice(2)]
+    );
+    return result.rows.map(toPassage);
+  }
+
+  // Scored in memory when pgvector is not installed, so only the newest records' chunks are read.
+  const { where, args } = filter(3);
+  const result = await query(
+    `SELECT c.cid, c.record_type, c.content, c.embedding, r.title, r.project_id
+     FROM document_chunks c JOIN ${RECORDS_SQL} ON r.cid = c.cid WHERE ${where}
+     ORDER BY r.created_at DESC, c.chunk_index LIMIT ${maxScoredChunks}`,
+    args
+  );
+  return result.rows
+    .map(toPassage)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Finds the passages of our own records closest to a question. Records the background indexer
+ * has not reached yet (see startIndexWorker) are not searched.
+ * @param {object} user The authenticated user (`req.user`); only records they can see are searched.
+ * @param {string} question
+ * @param {object} [options]
+ * @param {number|null} [options.projectId] Limit the search to one project the caller has checked access to.
+ * @param {number} [options.topK]
+ * @returns {Promise<{cid: string, type: string, title: string, projectId: number|null, content: string, score: number}[]>}
+ */
+export async function retrievePassages(user, question, { projectId = null, topK = defaultTopK } = {}) {
+  return findSimilarChunks(user, question, { projectId, limit: topK });
+}
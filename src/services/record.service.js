@@ -0,0 +1,67 @@
+// src/services/record.service.js
+import { query } from './db.js';
+
+// Data tables whose rows point at a stored file by CID.
+export const STORED_TYPES = ['paper', 'experiment', 'analysis', 'genome', 'spectrum'];
+
+/**
+ * Finds the record a merged CID now points at.
+ * @param {string} cid
+ * @returns {Promise<{cid: string, record_type: string}|null>} The alias, or null if the CID was never merged.
+ */
+export async function resolveAlias(cid) {
+  const result = await query('SELECT cid, record_type FROM cid_aliases WHERE alias_cid = $1', [cid]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Finds the data record a CID belongs to, whatever its type. The CID of a record merged into
+ * another (see dedup.service) finds the record it was merged into.
+ * @param {string} cid The CID to look up.
+ * @returns {Promise<{type: string, cid: string, project_id: number|null, is_encrypted: boolean, lit_token_id: string|null}|null>}
+ *   The record, or null if none exists. `cid` differs from the one given for a merged CID.
+ */
+export async function findRecordByCid(cid) {
+  const unionSql = STORED_TYPES
+    .map(type => `SELECT '${type}' as type, cid, project_id, is_encrypted, lit_token_id, filename FROM ${type} WHERE cid = $1`)
+    .join('\n      UNION ALL\n      ');
+  const result = await query(unionSql, [cid]);
+  if (result.rows[0]) return result.rows[0];
+
+  const alias = await resolveAlias(cid);
+  if (!alias) return null;
+  const merged = await query(unionSql, [alias.cid]);
+  return merged.rows[0] || null;
+}
+
+/**
+ * Inserts the data record for a stored file, copying proof set, root transaction and storage
+ * status from the storage result. An existing row with the same CID is left untouched.
+ * @param {string} type One of STORED_TYPES.
+ * @param {object} fields Column values for the record (title, organism, project_id, ...).
+ *   Column names always come from our own code, never from the request.
+ * @param {import('./storage.service.js').StoredObject} stored The result of `storage.put`.
+ * @returns {Promise<object|null>} The inserted row, or null if the CID already existed.
+ */
+export async function insertRecord(type, fields, stored) {
+  if (!STORED_TYPES.includes(type)) {
+    throw new Error(`Invalid data type: ${type}`);
+  }
+
+  const values = {
+    ...fields,
+    cid: stored.cid,
+    proof_set_id: stored.proofSetId ?? null,
+    root_tx_hash: stored.rootTxHash ?? null,
+    storage_status: stored.storageStatus,
+  };
+  const columns = Object.keys(values).filter(column => values[column] !== undefined);
+  const placeholders = columns.map((_, i) => `$${i + 1}`);
+
+  const result = await query(
+    `INSERT INTO ${type} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})
+     ON CONFLICT (cid) DO NOTHING RETURNING *`,
+    columns.map(column => values[column])
+  );
+  return result.rows[0] || null;
+}
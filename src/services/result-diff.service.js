@@ -0,0 +1,102 @@
+// src/services/result-diff.service.js
+// Compares two analysis results (the parsed JSON a script printed) field by field, treating
+// numbers that agree within a tolerance as reproduced.
+
+// Reports are capped so a result with thousands of changed peaks stays readable.
+const MAX_REPORTED = 100;
+
+/**
+ * Turns a key pattern such as '*_b64' into a matcher for key names.
+ */
+function keyMatcher(patterns) {
+  const regexes = patterns.map(pattern =>
+    new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`)
+  );
+  return key => regexes.some(regex => regex.test(key));
+}
+
+const typeOf = value => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+/**
+ * Diffs two JSON values.
+ * @param {*} original The result of the original run.
+ * @param {*} rerun The result of the re-run.
+ * @param {object} [options]
+ * @param {number} [options.relativeTolerance] Numbers match if they differ by at most this fraction of the larger one.
+ * @param {number} [options.absoluteTolerance] ...or by at most this much, which covers values near zero.
+ * @param {string[]} [options.ignoreKeys] Key names to skip at any depth; `*` is a wildcard (e.g. '*_b64' for plots).
+ * @returns {{reproduced: boolean, differenceCount: number, differences: object[],
+ *   withinToleranceCount: number, withinTolerance: object[], ignored: string[]}}
+ *   Each difference is `{ path, kind, original, rerun }` where kind is 'changed', 'added', 'removed'
+ *   or 'type'; numeric ones also carry `delta` and `relativeDelta`.
+ */
+export function diffResults(original, rerun, { relativeTolerance = 0, absoluteTolerance = 0, ignoreKeys = [] } = {}) {
+  const isIgnored = keyMatcher(ignoreKeys);
+  const report = { differenceCount: 0, differences: [], withinToleranceCount: 0, withinTolerance: [], ignored: new Set() };
+
+  const addDifference = (entry) => {
+    report.differenceCount++;
+    if (report.differences.length < MAX_REPORTED) report.differences.push(entry);
+  };
+
+  function compare(a, b, path) {
+    const typeA = typeOf(a);
+    const typeB = typeOf(b);
+    if (typeA !== typeB) {
+      addDifference({ path, kind: 'type', original: a, rerun: b });
+      return;
+    }
+
+    if (typeA === 'number') {
+      if (a === b) return;
+      const delta = b - a;
+      const relativeDelta = Math.max(Math.abs(a), Math.abs(b)) === 0 ? 0 : Math.abs(delta) / Math.max(Math.abs(a), Math.abs(b));
+      const entry = { path, kind: 'changed', original: a, rerun: b, delta, relativeDelta };
+      if (Math.abs(delta) <= absoluteTolerance || relativeDelta <= relativeTolerance) {
+        report.withinToleranceCount++;
+        if (report.withinTolerance.length < MAX_REPORTED) report.withinTolerance.push(entry);
+      } else {
+        addDifference(entry);
+      }
+      return;
+    }
+
+    if (typeA === 'array') {
+      const length = Math.max(a.length, b.length);
+      for (let i = 0; i < length; i++) {
+        if (i >= a.length) addDifference({ path: `${path}[${i}]`, kind: 'added', original: undefined, rerun: b[i] });
+        else if (i >= b.length) addDifference({ path: `${path}[${i}]`, kind: 'removed', original: a[i], rerun: undefined });
+        else compare(a[i], b[i], `${path}[${i}]`);
+      }
+      return;
+    }
+
+    if (typeA === 'object') {
+      for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        const childPath = path ? `${path}.${key}` : key;
+        if (isIgnored(key)) {
+          report.ignored.add(childPath.replace(/\[\d+\]/g, '[]'));
+        } else if (!Object.hasOwn(b, key)) {
+          addDifference({ path: childPath, kind: 'removed', original: a[key], rerun: undefined });
+        } else if (!Object.hasOwn(a, key)) {
+          addDifference({ path: childPath, kind: 'added', original: undefined, rerun: b[key] });
+        } else {
+          compare(a[key], b[key], childPath);
+        }
+      }
+      return;
+    }
+
+    if (a !== b) addDifference({ path, kind: 'changed', original: a, rerun: b });
+  }
+
+  compare(original, rerun, '');
+  return {
+    reproduced: report.differenceCount === 0,
+    differenceCount: report.differenceCount,
+    differences: report.differences,
+    withinToleranceCount: report.withinToleranceCount,
+    withinTolerance: report.withinTolerance,
+    ignored: [...report.ignored],
+  };
+}
@@ -0,0 +1,314 @@
+// src/services/resumable.service.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { query } from './db.js';
+import { STORED_TYPES, insertRecord } from './record.service.js';
+import { storeFileInPieces } from './manifest.service.js';
+import { flagDuplicates } from './dedup.service.js';
+import { validateExperimentMetadata } from './experiment.service.js';
+import config from '../config.js';
+
+const { dir, maxSize } = config.resumableUploads;
+
+// uploading -> completing -> completed, or failed if the hand-off to storage fails (completing
+// again retries) or the file does not match its declared SHA-256 (final; its data is deleted).
+export const RESUMABLE_STATUSES = ['uploading', 'completing', 'completed', 'failed'];
+
+// Uploads currently receiving a chunk, so two PATCH requests can never write at once.
+const activeAppends = new Set();
+
+const partPath = (id) => path.join(dir, `${id}.part`);
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Validates the metadata for the record that will be created once the upload completes,
+ * and maps it onto that table's columns. Done up front so a client does not send
+ * gigabytes only to be told a field is missing.
+ */
+function buildRecordFields(dataType, filename, metadata, common) {
+  switch (dataType) {
+    case 'paper':
+      return { ...common, title: metadata.title || filename };
+    case 'experiment': {
+      if (!metadata.title) throw httpError(400, 'A title is required for experiment data.');
+      const { fields, errors } = validateExperimentMetadata(metadata);
+      if (errors.length > 0) throw httpError(400, `Invalid experiment metadata: ${errors.join(' ')}`);
+      return { ...common, ...fields, title: metadata.title };
+    }
+    case 'analysis':
+      if (!metadata.title) throw httpError(400, `A title is required for ${dataType} data.`);
+      return { ...common, title: metadata.title, description: metadata.description || null };
+    case 'genome':
+      if (!metadata.organism) throw httpError(400, 'An organism is required for genome data.');
+      return {
+        ...common,
+        organism: metadata.organism,
+        assembly_version: metadata.assemblyVersion || null,
+        notes: metadata.notes || null,
+      };
+    case 'spectrum':
+      if (!metadata.compound) throw httpError(400, 'A compound is required for spectrum data.');
+      return {
+        ...common,
+        compound: metadata.compound,
+        technique_nmr_ir_ms: metadata.technique || null,
+        metadata_json: metadata.metadata || null,
+      };
+    default:
+      throw httpError(400, `Invalid data type. Expected one of: ${STORED_TYPES.join(', ')}.`);
+  }
+}
+
+/**
+ * Registers a new resumable upload and creates its empty part file.
+ * @param {object} params
+ * @param {string} params.filename
+ * @param {number} params.size Total size in bytes.
+ * @param {string} [params.sha256] Hex SHA-256 of the whole file, verified on completion.
+ * @param {string} params.dataType The record type to create (paper, experiment, analysis, genome, spectrum).
+ * @param {object} [params.metadata] Record fields, e.g. `{ organism }` for a genome.
+ * @param {number} [params.projectId]
+ * @param {boolean} [params.isEncrypted]
+ * @param {string} [params.litTokenId]
+ * @param {number} params.uploadedBy The ID of the user creating the upload, recorded on the data record.
+ * @returns {Promise<object>} The upload row.
+ */
+export async function createResumableUpload({ filename, size, sha256, dataType, metadata = {}, projectId, isEncrypted, litTokenId, uploadedBy }) {
+  if (!filename) throw httpError(400, 'A filename is required.');
+  if (!Number.isInteger(size) || size <= 0) throw httpError(400, 'size must be a positive integer number of bytes.');
+  if (size > maxSize) throw httpError(413, `Files larger than ${maxSize} bytes are not accepted.`);
+  if (sha256 && !/^[a-f0-9]{64}$/i.test(sha256)) throw httpError(400, 'sha256 must be a hex-encoded SHA-256 digest.');
+
+  const recordFields = buildRecordFields(dataType, filename, metadata, {
+    project_id: projectId ? Number(projectId) : null,
+    is_encrypted: Boolean(isEncrypted),
+    lit_token_id: litTokenId || null,
+    uploaded_by: uploadedBy,
+  });
+
+  const id = crypto.randomUUID();
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(partPath(id), Buffer.alloc(0));
+
+  const result = await query(
+    `INSERT INTO resumable_uploads (id, filename, size, expected_sha256, data_type, record_fields)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [id, filename, size, sha256 ? sha256.toLowerCase() : null, dataType, recordFields]
+  );
+  console.log(`[Resumable] Created upload ${id} for ${filename} (${size} bytes).`);
+  return result.rows[0];
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export async function getResumableUpload(id) {
+  if (!/^[0-9a-f-]{36}$/i.test(id)) return null;
+  const result = await query('SELECT * FROM resumable_uploads WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+async function updateUpload(id, fields) {
+  const columns = Object.keys(fields);
+  const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+  const result = await query(
+    `UPDATE resumable_uploads SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+    [id, ...columns.map(column => fields[column])]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Parses a tus `Upload-Checksum` header.
+ * @param {string} [checksum] `sha256 <base64 digest>`.
+ * @returns {string|null} The expected base64 digest, or null if no checksum was sent.
+ */
+export function parseChunkChecksum(checksum) {
+  if (!checksum) return null;
+  const [algorithm, digest] = checksum.trim().split(/\s+/);
+  if (algorithm !== 'sha256' || !digest) throw httpError(400, 'Only "sha256 <base64 digest>" checksums are supported.');
+  return digest;
+}
+
+/**
+ * Writes a chunk into a part file at `offset`. A chunk that cannot be verified is discarded
+ * entirely, for the client to resend; without a checksum, whatever arrived before a dropped
+ * connection is kept.
+ * @param {string} filePath
+ * @param {number} offset
+ * @param {number} remaining The bytes the upload still expects.
+ * @param {import('stream').Readable} body
+ * @param {string|null} expectedDigest From `parseChunkChecksum`.
+ * @returns {Promise<{offset: number, error: Error|null}>} The new offset, and the error that cut
+ *   the chunk short if part of it was kept.
+ */
+export async function writeChunk(filePath, offset, remaining, body, expectedDigest) {
+  const hash = crypto.createHash('sha256');
+  let received = 0;
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > remaining) return callback(httpError(413, 'The chunk would exceed the declared upload size.'));
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  let streamError = null;
+  try {
+    await pipeline(body, meter, fs.createWriteStream(filePath, { flags: 'r+', start: offset }));
+  } catch (error) {
+    streamError = error;
+  }
+
+  const checksumFailed = expectedDigest && !streamError && hash.digest('base64') !== expectedDigest;
+  if (checksumFailed || streamError?.statusCode || (expectedDigest && streamError)) {
+    await fs.promises.truncate(filePath, offset);
+    if (checksumFailed) throw httpError(460, 'Chunk checksum mismatch.');
+    throw streamError;
+  }
+
+  const { size } = await fs.promises.stat(filePath);
+  return { offset: size, error: streamError };
+}
+
+/**
+ * Appends one chunk at the given offset. The offset must match what the server already has,
+ * so a client that lost track simply asks for the current offset and continues from there.
+ * @param {string} id
+ * @param {number} offset The byte offset the chunk starts at.
+ * @param {import('stream').Readable} body The chunk data.
+ * @param {string} [checksum] Optional `sha256 <base64>` checksum of the chunk (tus checksum extension).
+ * @returns {Promise<number>} The new offset.
+ */
+export async function appendChunk(id, offset, body, checksum) {
+  const upload = await getResumableUpload(id);
+  if (!upload) throw httpError(404, `Resumable upload ${id} not found.`);
+  if (upload.status !== 'uploading') throw httpError(409, `Upload ${id} is already '${upload.status}'.`);
+  if (offset !== Number(upload.upload_offset)) {
+    throw httpError(409, `Offset mismatch: the server has ${upload.upload_offset} bytes.`);
+  }
+  const expectedDigest = parseChunkChecksum(checksum);
+
+  if (activeAppends.has(id)) throw httpError(409, `Another chunk is already being written to upload ${id}.`);
+  activeAppends.add(id);
+
+  try {
+    const written = await writeChunk(partPath(id), offset, Number(upload.size) - offset, body, expectedDigest);
+    await updateUpload(id, { upload_offset: written.offset });
+    if (written.error) throw written.error;
+    return written.offset;
+  } finally {
+    activeAppends.delete(id);
+  }
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Verifies the assembled file and hands it to storage, then creates the data record.
+ * Progress is stored after every piece, so an interrupted hand-off resumes where it stopped.
+ */
+async function finalizeUpload(id) {
+  try {
+    const upload = await getResumableUpload(id);
+    const sha256 = await hashFile(partPath(id));
+    if (upload.expected_sha256 && upload.expected_sha256 !== sha256) {
+      // Completing again would hash the same bytes, so the data goes and the failure is final.
+      await fs.promises.unlink(partPath(id));
+      throw new Error(`Checksum mismatch: expected ${upload.expected_sha256}, got ${sha256}. Start a new upload.`);
+    }
+
+    const stored = await storeFileInPieces(partPath(id), {
+      filename: upload.filename,
+      size: Number(upload.size),
+      sha256,
+      requestedBy: upload.record_fields.uploaded_by,
+      projectId: upload.record_fields.project_id,
+    }, {
+      storedPieces: upload.stored_pieces,
+      onPieceStored: (pieces) => updateUpload(id, { stored_pieces: JSON.stringify(pieces) }),
+    });
+
+    await insertRecord(upload.data_type, { ...upload.record_fields, filename: upload.filename }, stored);
+    if (upload.data_type === 'paper') await flagDuplicates(stored.cid);
+    await updateUpload(id, { status: 'completed', cid: stored.cid, error: null });
+    console.log(`[Resumable] Upload ${id} completed as ${upload.data_type} ${stored.cid}.`);
+
+    await fs.promises.unlink(partPath(id)).catch(() => {});
+  } catch (error) {
+    console.error(`[Resumable] Failed to complete upload ${id}:`, error);
+    await updateUpload(id, { status: 'failed', error: error.message || String(error) })
+      .catch(updateError => console.error(`[Resumable] Could not mark upload ${id} as failed:`, updateError));
+  }
+}
+
+/**
+ * Marks an upload as complete. Verification and storage run in the background;
+ * poll the upload until its status is 'completed' (or 'failed', in which case completing again
+ * retries, unless the file failed its checksum).
+ * @param {string} id
+ * @returns {Promise<object>} The upload row, now 'completing'.
+ */
+export async function completeResumableUpload(id) {
+  const upload = await getResumableUpload(id);
+  if (!upload) throw httpError(404, `Resumable upload ${id} not found.`);
+  if (upload.status === 'completing' || upload.status === 'completed') {
+    throw httpError(409, `Upload ${id} is already '${upload.status}'.`);
+  }
+  if (upload.status === 'failed' && !fs.existsSync(partPath(id))) {
+    throw httpError(409, `Upload ${id} cannot be retried: ${upload.error}`);
+  }
+  if (Number(upload.upload_offset) !== Number(upload.size)) {
+    throw httpError(409, `Upload ${id} is incomplete: ${upload.upload_offset} of ${upload.size} bytes received.`);
+  }
+  if (activeAppends.has(id)) throw httpError(409, `A chunk is still being written to upload ${id}.`);
+
+  // The checks above give the reason for a refusal; this one claims the upload, so of two
+  // concurrent requests only one hands the file to storage.
+  const claimed = await query(
+    `UPDATE resumable_uploads SET status = 'completing', error = NULL, updated_at = NOW()
+     WHERE id = $1 AND status IN ('uploading', 'failed') AND upload_offset = size RETURNING *`,
+    [id]
+  );
+  if (claimed.rows.length === 0) throw httpError(409, `Upload ${id} is already being completed.`);
+  setImmediate(() => finalizeUpload(id));
+  return claimed.rows[0];
+}
+
+/**
+ * Cancels an upload that has not been handed off yet and deletes its data.
+ * @param {string} id
+ */
+export async function abortResumableUpload(id) {
+  const upload = await getResumableUpload(id);
+  if (!upload) throw httpError(404, `Resumable upload ${id} not found.`);
+  if (upload.status === 'completing' || upload.status === 'completed') {
+    throw httpError(409, `Upload ${id} is already '${upload.status}' and can no longer be aborted.`);
+  }
+  if (activeAppends.has(id)) throw httpError(409, `A chunk is still being written to upload ${id}.`);
+
+  await query('DELETE FROM resumable_uploads WHERE id = $1', [id]);
+  await fs.promises.unlink(partPath(id)).catch(() => {});
+  console.log(`[Resumable] Upload ${id} aborted.`);
+}
+
+/**
+ * Restarts hand-offs that were interrupted by a restart.
+ */
+export async function resumeInterruptedUploads() {
+  const result = await query(`SELECT id FROM resumable_uploads WHERE status = 'completing'`);
+  for (const { id } of result.rows) {
+    console.log(`[Resumable] Resuming interrupted hand-off of upload ${id}.`);
+    finalizeUpload(id);
+  }
+}
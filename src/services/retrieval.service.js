@@ -0,0 +1,254 @@
+// src/services/retrieval.service.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import fetch from 'node-fetch';
+import { query } from './db.js';
+import config from '../config.js';
+
+const { gateways, filcdnBaseUrl, timeout, retries, cacheDir, cacheMaxBytes } = config.retrieval;
+
+// Downloads already in progress, so concurrent requests for the same CID share one fetch.
+const inFlightDownloads = new Map();
+
+const isValidCid = (cid) => /^[a-z0-9]+$/i.test(cid);
+
+const cachePath = (cid) => path.join(cacheDir, cid);
+
+// `getCachedFile` hands out paths that the caller opens a moment later, so entries used this
+// recently are never evicted, even if that leaves the cache over its budget for a while.
+const EVICTION_GRACE_MS = 60 * 1000;
+
+/**
+ * Finds the piece retrieval endpoint of the provider that stored a CID, if we uploaded it.
+ */
+async function lookupProviderRetrievalUrl(cid) {
+  const result = await query(
+    `SELECT provider_retrieval_url FROM upload_jobs
+     WHERE commp = $1 AND provider_retrieval_url IS NOT NULL ORDER BY updated_at DESC LIMIT 1`,
+    [cid]
+  );
+  return result.rows[0]?.provider_retrieval_url || null;
+}
+
+/**
+ * Expands the configured gateway order into concrete URLs for a CID.
+ * 'filcdn' and 'provider' are resolved from the wallet and the upload jobs,
+ * anything else is treated as a URL template where {cid} is replaced (or appended).
+ */
+async function buildCandidateUrls(cid) {
+  const urls = [];
+  for (const gateway of gateways) {
+    if (gateway === 'filcdn') {
+      if (filcdnBaseUrl) urls.push(`${filcdnBaseUrl}/${cid}`);
+    } else if (gateway === 'provider') {
+      const providerUrl = await lookupProviderRetrievalUrl(cid);
+      if (providerUrl) urls.push(`${providerUrl.replace(/\/$/, '')}/piece/${cid}`);
+    } else {
+      urls.push(gateway.includes('{cid}') ? gateway.replace('{cid}', cid) : `${gateway.replace(/\/$/, '')}/${cid}`);
+    }
+  }
+  return urls;
+}
+
+/**
+ * Fetches a single URL, aborting if no response headers arrive within the timeout.
+ * The timeout does not cover the body, since large files can legitimately take much longer;
+ * `streamFromGateways` instead gives up on a body that sends nothing for as long.
+ */
+async function fetchWithTimeout(url, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Tries every gateway in order, retrying each one before falling back to the next.
+ * A 404 moves straight on to the next gateway since retrying will not help.
+ * @param {string} cid
+ * @param {object} [options] Options passed to fetch (e.g. `{ method: 'HEAD' }`).
+ * @returns {Promise<Response>} The first successful response.
+ */
+export async function fetchFromGateways(cid, options = {}) {
+  if (!isValidCid(cid)) {
+    throw Object.assign(new Error(`Invalid CID: ${cid}`), { statusCode: 400 });
+  }
+  const { response } = await fetchFromUrls(cid, await buildCandidateUrls(cid), options);
+  return response;
+}
+
+/**
+ * Streams a CID from the gateways. If a gateway's body fails before its first byte, the stream
+ * carries on from the next gateway; once bytes have been passed on, an error ends the stream.
+ * @param {string} cid
+ * @param {object} [options] Options passed to fetch (e.g. a `Range` header).
+ * @param {function} [toStream] Turns a response into the stream to pass on, e.g. to cut a range
+ *   out of a gateway that ignored it. Called again for every gateway that is fallen back to.
+ * @returns {Promise<import('stream').Readable>} Rejects like `fetchFromGateways` if no gateway responds.
+ */
+export async function streamFromGateways(cid, options = {}, toStream = (response) => response.body) {
+  if (!isValidCid(cid)) {
+    throw Object.assign(new Error(`Invalid CID: ${cid}`), { statusCode: 400 });
+  }
+  const urls = await buildCandidateUrls(cid);
+  let { response, index } = await fetchFromUrls(cid, urls, options);
+
+  async function* read() {
+    for (;;) {
+      let started = false;
+      try {
+        for await (const chunk of withIdleTimeout(toStream(response), response.body, urls[index])) {
+          started = true;
+          yield chunk;
+        }
+        return;
+      } catch (error) {
+        if (started || index + 1 >= urls.length) throw error;
+        console.warn(`[Retrieval] ${urls[index]} failed before sending any data (${error.message}); trying the next gateway.`);
+        ({ response, index } = await fetchFromUrls(cid, urls, options, index + 1));
+      }
+    }
+  }
+  return Readable.from(read());
+}
+
+/**
+ * Passes on a stream's chunks, destroying the response `body` it reads from if the gateway sends
+ * nothing for the retrieval timeout. Time spent waiting on the consumer does not count.
+ */
+async function* withIdleTimeout(stream, body, url) {
+  let timer;
+  const arm = () => {
+    timer = setTimeout(() => body.destroy(new Error(`${url} sent no data for ${timeout}ms`)), timeout);
+  };
+  arm();
+  try {
+    for await (const chunk of stream) {
+      clearTimeout(timer);
+      yield chunk;
+      arm();
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * The gateway loop of `fetchFromGateways`, starting at `urls[from]`.
+ * @returns {Promise<{response: Response, index: number}>} The response and the index of its URL.
+ */
+async function fetchFromUrls(cid, urls, options, from = 0) {
+  let notFoundEverywhere = urls.length > from;
+  let lastError = null;
+
+  for (let index = from; index < urls.length; index++) {
+    const url = urls[index];
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      try {
+        const response = await fetchWithTimeout(url, options);
+        if (response.ok) return { response, index };
+
+        // Drain the error page so its connection is released.
+        response.body?.resume();
+        if (response.status === 404) {
+          console.warn(`[Retrieval] ${url} does not have CID ${cid}.`);
+          break;
+        }
+        notFoundEverywhere = false;
+        lastError = new Error(`Gateway responded with HTTP ${response.status}`);
+      } catch (error) {
+        notFoundEverywhere = false;
+        lastError = error.name === 'AbortError' ? new Error(`Timed out after ${timeout}ms`) : error;
+      }
+
+      console.warn(`[Retrieval] Attempt ${attempt} for ${url} failed: ${lastError.message}`);
+      if (attempt <= retries) await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+    }
+  }
+
+  if (notFoundEverywhere) {
+    throw Object.assign(new Error(`CID ${cid} was not found on any retrieval gateway.`), { statusCode: 404 });
+  }
+  throw new Error(`Failed to fetch CID ${cid} from all ${urls.length - from} gateway(s). Last error: ${lastError?.message}`);
+}
+
+/**
+ * Deletes the least recently used cache entries until the cache fits its size budget.
+ * Entries are touched on every hit, so their mtime doubles as the last access time.
+ * Entries used within `EVICTION_GRACE_MS` are kept, which includes the one just downloaded.
+ */
+async function evictCache() {
+  const entries = [];
+  let totalSize = 0;
+  for (const name of await fs.promises.readdir(cacheDir)) {
+    if (name.endsWith('.tmp')) continue;
+    const stats = await fs.promises.stat(path.join(cacheDir, name));
+    entries.push({ name, size: stats.size, lastUsed: stats.mtimeMs });
+    totalSize += stats.size;
+  }
+
+  const recentlyUsed = Date.now() - EVICTION_GRACE_MS;
+  entries.sort((a, b) => a.lastUsed - b.lastUsed);
+  while (totalSize > cacheMaxBytes && entries.length > 0 && entries[0].lastUsed < recentlyUsed) {
+    const entry = entries.shift();
+    await fs.promises.unlink(path.join(cacheDir, entry.name)).catch(() => {});
+    totalSize -= entry.size;
+    console.log(`[Retrieval] Evicted ${entry.name} (${entry.size} bytes) from the cache.`);
+  }
+}
+
+async function downloadToCache(cid) {
+  const body = await streamFromGateways(cid);
+  await fs.promises.mkdir(cacheDir, { recursive: true });
+
+  // Stream to a temporary file so a dropped connection never leaves a partial cache entry.
+  const tempPath = `${cachePath(cid)}.${crypto.randomUUID()}.tmp`;
+  try {
+    await pipeline(body, fs.createWriteStream(tempPath));
+    await fs.promises.rename(tempPath, cachePath(cid));
+  } catch (error) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+
+  console.log(`[Retrieval] Cached CID ${cid}.`);
+  await evictCache().catch(error => console.error('[Retrieval] Cache eviction failed:', error));
+  return cachePath(cid);
+}
+
+/**
+ * @param {string} cid
+ * @returns {boolean} Whether the CID is already in the on-disk cache.
+ */
+export function isCached(cid) {
+  return isValidCid(cid) && fs.existsSync(cachePath(cid));
+}
+
+/**
+ * Makes sure a CID is in the on-disk cache, downloading it from the gateways if needed.
+ * @param {string} cid
+ * @returns {Promise<string>} The path of the cached file.
+ */
+export async function getCachedFile(cid) {
+  if (!isValidCid(cid)) {
+    throw Object.assign(new Error(`Invalid CID: ${cid}`), { statusCode: 400 });
+  }
+
+  const filePath = cachePath(cid);
+  if (fs.existsSync(filePath)) {
+    const now = new Date();
+    await fs.promises.utimes(filePath, now, now).catch(() => {});
+    return filePath;
+  }
+
+  if (!inFlightDownloads.has(cid)) {
+    inFlightDownloads.set(cid, downloadToCache(cid).finally(() => inFlightDownloads.delete(cid)));
+  }
+  return inFlightDownloads.get(cid);
+}
@@ -0,0 +1,124 @@
+// src/services/search.service.js
+// Ranked search across every data type. Each table keeps a `search_vector` (maintained by the
+// trigger from migration 014) over its descriptive columns and, for papers, the text extracted
+// from the PDF. Semantic matches from the chat index can be blended in.
+import { query } from './db.js';
+import { visibleProjectsClause } from './access.service.js';
+import { findSimilarChunks, RAG_TYPES } from './rag.service.js';
+
+// What each type shows as its title, and the text its snippet is cut from.
+export const SEARCH_TYPES = {
+  paper: { title: 'title', document: `concat_ws(E'\\n', title, journal, array_to_string(authors, ', '), doi, left(full_text, 100000))` },
+  experiment: { title: 'title', document: `concat_ws(E'\\n', title, description, instrument, instrument_type, operator, protocol_ref, array_to_string(sample_ids, ', '), parameters::text)` },
+  analysis: { title: 'title', document: `concat_ws(E'\\n', title, description, tool)` },
+  genome: { title: 'organism', document: `concat_ws(E'\\n', organism, assembly_version, notes)` },
+  spectrum: { title: 'compound', document: `concat_ws(E'\\n', compound, technique_nmr_ir_ms, metadata_json::text)` },
+};
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MinWords=8, MaxWords=25, FragmentDelimiter=" … "';
+
+// Snippets are HTML whose only tags are the <mark>s around matches: documents are escaped before
+// ts_headline adds them, since record text (titles, notes, PDF text) is whatever was uploaded.
+export const escapeHtmlSql = (expression) => `replace(replace(replace(${expression}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+export const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Reciprocal rank fusion constant: how much the top few places of either ranking dominate.
+const RRF_K = 60;
+
+/**
+ * Full-text matches, best first, with highlighted snippets (escaped HTML, see HEADLINE_OPTIONS).
+ * @returns {Promise<{rows: object[], total: number}>}
+ */
+async function searchText(user, q, { types, projectId, limit, offset }) {
+  const args = [q, limit, offset];
+  const conditions = [];
+  const visibility = visibleProjectsClause(user, args.length + 1);
+  if (visibility.clause) {
+    conditions.push(visibility.clause);
+    args.push(...visibility.args);
+  }
+  if (projectId === null) {
+    conditions.push('project_id IS NULL');
+  } else if (projectId !== undefined) {
+    args.push(projectId);
+    conditions.push(`project_id = $${args.length}`);
+  }
+  const scope = conditions.map(condition => `AND ${condition}`).join(' ');
+
+  const matches = types.map(type => `
+      SELECT cid, '${type}' AS type, ${SEARCH_TYPES[type].title} AS title, project_id, created_at,
+             ts_rank_cd(search_vector, search.query, 32) AS rank
+      FROM ${type}, search WHERE search_vector @@ search.query ${scope}`);
+  const documents = types.map(type => `WHEN '${type}' THEN (SELECT ${SEARCH_TYPES[type].document} FROM ${type} WHERE cid = hits.cid)`);
+
+  // Snippets are only cut for the page of hits, since ts_headline re-parses the whole document.
+  const result = await query(
+    `WITH search AS (SELECT websearch_to_tsquery('english', $1) AS query),
+     hits AS (
+       SELECT *, COUNT(*) OVER () AS total FROM (${matches.join('\n      UNION ALL')}
+       ) matches
+       ORDER BY rank DESC, created_at DESC LIMIT $2 OFFSET $3
+     )
+     SELECT hits.cid, hits.type, hits.title, hits.project_id, hits.created_at, hits.rank, hits.total,
+            ts_headline('english', ${escapeHtmlSql(`CASE hits.type ${documents.join(' ')} END`)}, search.query, '${HEADLINE_OPTIONS}') AS snippet
+     FROM hits, search ORDER BY hits.rank DESC, hits.created_at DESC`,
+    args
+  );
+  const total = result.rows.length > 0 ? Number(result.rows[0].total) : 0;
+  return { rows: result.rows.map(({ total: _, ...row }) => row), total };
+}
+
+/**
+ * Searches every data type the user can see.
+ * @param {object} user The authenticated user (`req.user`).
+ * @param {string} q The search terms, in web search syntax ("quoted phrases", -excluded, or).
+ * @param {object} [options]
+ * @param {string[]} [options.types] Some of SEARCH_TYPES (defaults to all).
+ * @param {number|null} [options.projectId] One project the caller has checked access to, or null
+ *   for unassigned (General) data. Leave undefined for every project the user can see.
+ * @param {boolean} [options.semantic] Blend in records whose embedded chunks are close to `q`.
+ *   Only papers, experiments and analyses have embeddings.
+ * @returns {Promise<{hits: object[], total: number|null}>} Each hit's `snippet` is escaped HTML
+ *   whose only tags are `<mark>`s. `total` counts text matches; it is null when semantic matches
+ *   are blended in, since those have no fixed count.
+ */
+export async function searchRecords(user, q, { types = Object.keys(SEARCH_TYPES), projectId, semantic = false, limit = 20, offset = 0 } = {}) {
+  if (!semantic) {
+    const { rows, total } = await searchText(user, q, { types, projectId, limit, offset });
+    return { hits: rows, total };
+  }
+
+  // Both rankings are fetched up to the end of the requested page, fused, then paged.
+  const depth = offset + limit;
+  const { rows } = await searchText(user, q, { types, projectId, limit: depth, offset: 0 });
+  const semanticTypes = types.filter(type => RAG_TYPES.includes(type));
+  const chunks = semanticTypes.length === 0 ? [] : await findSimilarChunks(user, q, {
+    projectId: projectId ?? null,
+    types: semanticTypes,
+    limit: depth * 3, // Several chunks of one record often rank together.
+  });
+
+  const hits = new Map();
+  rows.forEach((row, i) => hits.set(row.cid, { ...row, score: 1 / (RRF_K + i + 1) }));
+  let place = 0;
+  for (const chunk of chunks) {
+    // General data only when asked for; the chat index otherwise scopes to visible projects.
+    if (projectId === null && chunk.projectId !== null) continue;
+    const hit = hits.get(chunk.cid);
+    if (hit?.similarity !== undefined) continue;
+    place++;
+    const fields = { similarity: chunk.score, score: (hit?.score || 0) + 1 / (RRF_K + place) };
+    hits.set(chunk.cid, hit ? { ...hit, ...fields } : {
+      cid: chunk.cid,
+      type: chunk.type,
+      title: chunk.title,
+      project_id: chunk.projectId,
+      rank: null,
+      snippet: escapeHtml(chunk.content.slice(0, 300)),
+      ...fields,
+    });
+  }
+
+  const ranked = [...hits.values()].sort((a, b) => b.score - a.score);
+  return { hits: ranked.slice(offset, offset + limit), total: null };
+}
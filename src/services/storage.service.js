@@ -0,0 +1,160 @@
+// src/services/storage.service.js
+import fs from 'fs';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { query } from './db.js';
+import config from '../config.js';
+import * as synapseDriver from './storage/synapse.driver.js';
+import * as localDriver from './storage/local.driver.js';
+
+/**
+ * Every storage driver exports the same functions:
+ *
+ *   init()                    -> Promise<void>          Starts any background work the driver needs.
+ *   put(buffer, options)      -> Promise<StoredObject>  Stores bytes and returns their CID.
+ *   putFile(path, options)    -> Promise<StoredObject>  The same for a file on disk, without reading it into memory.
+ *   get(cid)                  -> Promise<Buffer>        Reads the bytes back. Rejects with statusCode 404 if unknown.
+ *   createReadStream(cid, range) -> Promise<Readable>   Streams the bytes, optionally only `{start, end}` (inclusive).
+ *   stat(cid)                 -> Promise<{cid, size}|null>
+ *   list()                    -> Promise<{cid, size}[]>
+ *
+ * @typedef {object} StoredObject
+ * @property {string} cid The piece CID (CommP) of the stored bytes.
+ * @property {number} size The size in bytes.
+ * @property {string|null} proofSetId The proof set holding the piece, if the driver has one.
+ * @property {string|null} rootTxHash The root addition transaction, if the driver has one.
+ * @property {number|null} jobId The upload job that stored it, if the driver queues uploads.
+ * @property {'pending'|'confirmed'} storageStatus The status to record on the data row.
+ * @property {string} sha256 The hex SHA-256 of the bytes.
+ * @property {boolean} deduplicated True if identical bytes were stored before, so nothing was uploaded.
+ */
+const DRIVERS = {
+  synapse: synapseDriver,
+  local: localDriver,
+};
+
+const driver = DRIVERS[config.storage.driver];
+if (!driver) {
+  throw new Error(`Invalid STORAGE_DRIVER: ${config.storage.driver}. Expected one of: ${Object.keys(DRIVERS).join(', ')}.`);
+}
+
+export const driverName = config.storage.driver;
+
+export const init = () => driver.init();
+
+/**
+ * Finds what storage returned for bytes with this SHA-256, if they were stored before. Bytes
+ * whose upload job has failed for good do not count as stored.
+ * @param {string} sha256 Hex digest.
+ * @returns {Promise<StoredObject|null>}
+ */
+export async function findStored(sha256) {
+  const result = await query(
+    `SELECT s.*, j.status AS job_status, j.proof_set_id AS job_proof_set_id, j.tx_hash AS job_tx_hash
+     FROM stored_objects s LEFT JOIN upload_jobs j ON j.id = s.job_id
+     WHERE s.sha256 = $1 AND s.driver = $2`,
+    [sha256, driverName]
+  );
+  const row = result.rows[0];
+  if (!row || row.job_status === 'failed') return null;
+
+  // As in queue.service's syncStoredRecords, the job's current state wins over the one at upload time.
+  const storageStatus = row.job_status === 'confirmed' ? 'confirmed' : row.job_status ? 'pending' : row.storage_status;
+  return {
+    cid: row.cid,
+    size: Number(row.size),
+    proofSetId: row.job_proof_set_id ?? row.proof_set_id,
+    rootTxHash: row.job_tx_hash ?? row.root_tx_hash,
+    jobId: row.job_id,
+    storageStatus,
+    sha256,
+    deduplicated: true,
+  };
+}
+
+/**
+ * Stores bytes, unless identical bytes were stored before: the file is hashed locally first, and a
+ * known hash returns the earlier result without uploading (or paying for) the file again.
+ * @param {Buffer} dataBuffer The file data as a buffer.
+ * @param {object} [options]
+ * @param {string} [options.filename] The original filename.
+ * @param {number} [options.proofSetId] An existing proof set ID to use (Synapse only). Bytes
+ *   stored in another proof set are stored again.
+ * @param {number} [options.requestedBy] The user storing the file (Synapse only), who can follow its upload job.
+ * @param {number|null} [options.projectId] The project the file is for (Synapse only); its members can follow the upload job.
+ * @returns {Promise<StoredObject>}
+ */
+export async function put(dataBuffer, options = {}) {
+  const sha256 = crypto.createHash('sha256').update(dataBuffer).digest('hex');
+  return storeOnce(sha256, options, () => driver.put(dataBuffer, options));
+}
+
+/**
+ * `put` for a file on disk: it is hashed and stored as a stream, so its size does not matter for memory.
+ * @param {string} filePath
+ * @param {object} [options] As for `put`.
+ * @returns {Promise<StoredObject>}
+ */
+export async function putFile(filePath, options = {}) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  const sha256 = hash.digest('hex');
+  return storeOnce(sha256, options, () => driver.putFile(filePath, options));
+}
+
+async function storeOnce(sha256, options, store) {
+  const known = await findStored(sha256);
+  if (known && (!options.proofSetId || String(known.proofSetId) === String(options.proofSetId))) {
+    console.log(`[STORAGE] ${options.filename || 'File'} is identical to ${known.cid} (sha256 ${sha256.slice(0, 12)}...); not storing it again.`);
+    return known;
+  }
+
+  let stored;
+  try {
+    stored = await store();
+  } catch (error) {
+    // An upload that outlived the request is still remembered once it lands, so the retry that
+    // follows does not store (and pay for) the file again.
+    error.settled?.then(result => rememberStored(sha256, result))
+      .catch(settleError => console.error(`[STORAGE] Upload job #${error.jobId} did not complete:`, settleError));
+    throw error;
+  }
+  await rememberStored(sha256, stored);
+  return { ...stored, sha256, deduplicated: false };
+}
+
+async function rememberStored(sha256, stored) {
+  await query(
+    `INSERT INTO stored_objects (sha256, driver, cid, size, proof_set_id, root_tx_hash, job_id, storage_status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (sha256, driver) DO UPDATE SET
+         cid = EXCLUDED.cid, size = EXCLUDED.size, proof_set_id = EXCLUDED.proof_set_id, root_tx_hash = EXCLUDED.root_tx_hash,
+         job_id = EXCLUDED.job_id, storage_status = EXCLUDED.storage_status, created_at = NOW()`,
+    [sha256, driverName, stored.cid, stored.size, stored.proofSetId, stored.rootTxHash, stored.jobId, stored.storageStatus]
+  );
+}
+
+/**
+ * @param {string} cid
+ * @returns {Promise<Buffer>}
+ */
+export const get = (cid) => driver.get(cid);
+
+/**
+ * Streams a stored file without buffering it in memory.
+ * @param {string} cid
+ * @param {{start: number, end: number}} [range] Inclusive byte range to read.
+ * @returns {Promise<import('stream').Readable>}
+ */
+export const createReadStream = (cid, range) => driver.createReadStream(cid, range);
+
+/**
+ * @param {string} cid
+ * @returns {Promise<{cid: string, size: number}|null>}
+ */
+export const stat = (cid) => driver.stat(cid);
+
+/**
+ * @returns {Promise<{cid: string, size: number}[]>}
+ */
+export const list = () => driver.list();
@@ -0,0 +1,111 @@
+// src/services/storage/local.driver.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable, Writable } from 'stream';
+import { calculate as calculateCommP, createCommPStream } from '@filoz/synapse-sdk/commp';
+import config from '../../config.js';
+
+// Files are stored flat under their CommP, so the CIDs match what Filecoin would report
+// for the same bytes and records can move between drivers unchanged.
+const storageDir = config.storage.localDir;
+
+// CIDs are used as file names, so only accept plain base32 CID strings.
+const isValidCid = (cid) => /^[a-z0-9]+$/i.test(cid);
+
+const objectPath = (cid) => path.join(storageDir, cid);
+
+export async function init() {
+  await fs.promises.mkdir(storageDir, { recursive: true });
+  console.log(`[STORAGE] Using local filesystem storage in ${path.resolve(storageDir)}`);
+}
+
+export async function put(dataBuffer) {
+  const cid = calculateCommP(dataBuffer).toString();
+  return storeObject(cid, dataBuffer.length, (tempPath) => fs.promises.writeFile(tempPath, dataBuffer));
+}
+
+export async function putFile(filePath) {
+  const { stream, getCommP } = createCommPStream();
+  await Readable.toWeb(fs.createReadStream(filePath)).pipeThrough(stream).pipeTo(Writable.toWeb(new Writable({
+    write: (chunk, encoding, callback) => callback(),
+  })));
+  const { size } = await fs.promises.stat(filePath);
+  return storeObject(getCommP().toString(), size, (tempPath) => fs.promises.copyFile(filePath, tempPath));
+}
+
+async function storeObject(cid, size, write) {
+  const target = objectPath(cid);
+
+  // Zero padding does not change a CommP, so "abc" and "abc\0\0" share a CID. Only the size
+  // tells them apart; keep the stored bytes and refuse the others rather than mix them up.
+  const existing = await stat(cid);
+  if (existing && existing.size !== size) {
+    throw Object.assign(
+      new Error(`CID ${cid} is already stored with ${existing.size} bytes, not ${size}; the data differs only by zero padding.`),
+      { statusCode: 409 }
+    );
+  }
+  if (!existing) {
+    // Write to a temporary name first so a crash never leaves a truncated object behind.
+    const tempPath = `${target}.${crypto.randomUUID()}.tmp`;
+    await write(tempPath);
+    await fs.promises.rename(tempPath, target);
+  }
+  console.log(`[STORAGE] Stored ${size} bytes locally as ${cid}`);
+
+  return {
+    cid,
+    size,
+    proofSetId: null,
+    rootTxHash: null,
+    jobId: null,
+    storageStatus: 'confirmed',
+  };
+}
+
+export async function get(cid) {
+  if (!isValidCid(cid)) {
+    throw Object.assign(new Error(`Invalid CID: ${cid}`), { statusCode: 400 });
+  }
+  try {
+    return await fs.promises.readFile(objectPath(cid));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw Object.assign(new Error(`CID ${cid} was not found in local storage.`), { statusCode: 404 });
+    }
+    throw error;
+  }
+}
+
+export async function createReadStream(cid, range) {
+  if (!isValidCid(cid)) {
+    throw Object.assign(new Error(`Invalid CID: ${cid}`), { statusCode: 400 });
+  }
+  if (!fs.existsSync(objectPath(cid))) {
+    throw Object.assign(new Error(`CID ${cid} was not found in local storage.`), { statusCode: 404 });
+  }
+  return fs.createReadStream(objectPath(cid), range);
+}
+
+export async function stat(cid) {
+  if (!isValidCid(cid)) return null;
+  try {
+    const stats = await fs.promises.stat(objectPath(cid));
+    return { cid, size: stats.size };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export async function list() {
+  const entries = await fs.promises.readdir(storageDir, { withFileTypes: true });
+  const objects = [];
+  for (const entry of entries) {
+    if (!entry.isFile() || entry.name.endsWith('.tmp')) continue;
+    const stats = await fs.promises.stat(objectPath(entry.name));
+    objects.push({ cid: entry.name, size: stats.size });
+  }
+  return objects;
+}
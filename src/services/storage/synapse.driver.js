@@ -0,0 +1,103 @@
+// src/services/storage/synapse.driver.js
+import fs from 'fs';
+import { Readable } from 'stream';
+import { query } from '../db.js';
+import { uploadData, uploadFile } from '../synapse.js';
+import { startUploadWorker } from '../queue.service.js';
+import { fetchFromGateways, streamFromGateways, getCachedFile, isCached } from '../retrieval.service.js';
+
+export async function init() {
+  await startUploadWorker();
+}
+
+const toStoredObject = (uploadResult) => ({
+  cid: uploadResult.commp,
+  size: uploadResult.size,
+  proofSetId: uploadResult.proofSetId,
+  rootTxHash: uploadResult.rootTxHash,
+  jobId: uploadResult.jobId,
+  storageStatus: 'pending',
+});
+
+export const put = (dataBuffer, options = {}) => toStored(uploadData(dataBuffer, options));
+
+export const putFile = (filePath, options = {}) => toStored(uploadFile(filePath, options));
+
+async function toStored(upload) {
+  try {
+    return toStoredObject(await upload);
+  } catch (error) {
+    // The upload outlived the wait; pass on what it will be stored as once it lands.
+    if (error.settled) {
+      error.settled = error.settled.then(toStoredObject);
+      // `uploadData` already logs how the job ended, so a caller that stopped waiting loses nothing.
+      error.settled.catch(() => {});
+    }
+    throw error;
+  }
+}
+
+export async function get(cid) {
+  const filePath = await getCachedFile(cid);
+  return fs.promises.readFile(filePath);
+}
+
+/**
+ * Passes on only the bytes `start` to `end` (inclusive) of a full-file body, and stops reading
+ * once past `end`, for gateways that answer a Range request with the whole file.
+ */
+function sliceBody(body, { start, end }) {
+  async function* slice() {
+    let offset = 0;
+    for await (const chunk of body) {
+      const chunkEnd = offset + chunk.length;
+      if (chunkEnd > start) yield chunk.subarray(Math.max(start - offset, 0), Math.min(end + 1 - offset, chunk.length));
+      offset = chunkEnd;
+      if (offset > end) return; // Ends the loop, which destroys the body.
+    }
+  }
+  return Readable.from(slice());
+}
+
+export async function createReadStream(cid, range) {
+  if (isCached(cid)) {
+    return fs.createReadStream(await getCachedFile(cid), range);
+  }
+
+  // Not cached yet: proxy the gateway directly instead of making the client wait for a full download.
+  const headers = range ? { Range: `bytes=${range.start}-${range.end}` } : {};
+  return streamFromGateways(cid, { headers }, (response) => {
+    if (range && response.status !== 206) {
+      // The gateway ignored the range. Cut the slice out of the body as it streams rather than
+      // download the whole file first: a 512-byte sniff of a large file then reads 512 bytes.
+      return sliceBody(response.body, range);
+    }
+    return response.body;
+  });
+}
+
+export async function stat(cid) {
+  // Anything that went through the upload queue knows its own size.
+  const result = await query(
+    `SELECT size FROM upload_jobs WHERE commp = $1 AND status IN ('root-added', 'confirmed') LIMIT 1`,
+    [cid]
+  );
+  if (result.rows.length > 0) return { cid, size: Number(result.rows[0].size) };
+
+  // Older uploads predate the queue, so ask the gateways instead.
+  try {
+    const response = await fetchFromGateways(cid, { method: 'HEAD' });
+    return { cid, size: Number(response.headers.get('content-length')) || null };
+  } catch (error) {
+    if (error.statusCode === 404) return null;
+    throw error;
+  }
+}
+
+export async function list() {
+  const result = await query(
+    `SELECT DISTINCT ON (commp) commp, size FROM upload_jobs
+     WHERE status IN ('root-added', 'confirmed') ORDER BY commp, updated_at DESC`
+  );
+  return result.rows.map(row => ({ cid: row.commp, size: Number(row.size) }));
+}
@@ -1,6 +1,6 @@
 // src/services/synapse.js
 import { Synapse } from '@filoz/synapse-sdk';
-import { acquireLock, releaseLock } from './lock.service.js'; // <-- Import the lock
+import { enqueueUpload, enqueueFileUpload, waitForRootAdded } from './queue.service.js';
 import config from '../config.js';
 
 // Create a single, reusable Synapse instance
@@ -21,86 +21,129 @@ export async function getSynapse() {
 
 /**
  * A high-level function to handle the entire upload process.
- * It creates a storage service (or reuses an existing one) and uploads the data.
+ * The data is placed on the persistent upload queue and this resolves as soon as
+ * the worker reports that the root has been added, exactly like the old direct upload did.
+ * If that takes longer than UPLOAD_WAIT_TIMEOUT_MS, it rejects with the job ID instead (see
+ * `waitForRootAdded`); the job carries on, and the error's `settled` resolves with the result.
  * @param {Buffer} dataBuffer The file data as a buffer.
  * @param {object} [options] Optional parameters.
  * @param {number} [options.proofSetId] An existing proof set ID to use.
- * @returns {Promise<{commp: string, size: number, proofSetId: number}>} The result of the upload.
+ * @param {string} [options.filename] The original filename, kept on the job for reporting.
+ * @param {number} [options.requestedBy] The user whose upload this is.
+ * @param {number|null} [options.projectId] The project the data is for, if any.
+ * @returns {Promise<{commp: string, size: number, proofSetId: number, rootTxHash: string, jobId: number}>} The result of the upload.
  */
 export async function uploadData(dataBuffer, options = {}) {
-  // 1. Acquire the lock BEFORE starting any async operations.
-  // This will make subsequent requests wait here until the lock is free.
-  await acquireLock();
+  const job = await enqueueUpload(dataBuffer, options);
+  console.log(`[SYNAPSE] Upload of ${dataBuffer.length} bytes queued as job #${job.id}.`);
+  return awaitUpload(job);
+}
 
-  // We wrap the entire logic in a new Promise to control when it resolves.
-  return new Promise(async (resolve, reject) => {
-    try {
-      // --- Standard Setup Logic ---
-      const synapse = await getSynapse();
-      const storage = await synapse.createStorage({
-        proofSetId: options.proofSetId,
-        withCDN: true,
-        callbacks: {
-          onProviderSelected: (provider) => console.log(`[SYNAPSE] Provider selected: ${provider.owner}`),
-          onProofSetResolved: (info) => console.log(`[SYNAPSE] Proof set resolved. ID: ${info.proofSetId}, Is Existing: ${info.isExisting}`),
-          onProofSetCreationStarted: (tx) => console.log(`[SYNAPSE] New proof set creation Tx: ${tx.hash}`),
-          onProofSetCreationProgress: (status) => console.log(`[SYNAPSE] Creation progress: Mined=${status.transactionMined}, Live=${status.proofSetLive}`),
-        }
-      });
-      await storage.preflightUpload(dataBuffer.length);
-      
-      console.log(`[SYNAPSE] Starting upload of ${dataBuffer.length} bytes...`);
+/**
+ * `uploadData` for a file on disk, which is queued without being read into memory.
+ * @param {string} filePath The file to upload.
+ * @param {object} [options] As for `uploadData`.
+ * @returns {Promise<{commp: string, size: number, proofSetId: number, rootTxHash: string, jobId: number}>}
+ */
+export async function uploadFile(filePath, options = {}) {
+  const job = await enqueueFileUpload(filePath, options);
+  console.log(`[SYNAPSE] Upload of ${filePath} (${job.size} bytes) queued as job #${job.id}.`);
+  return awaitUpload(job);
+}
 
-      let capturedCommp = null;
-      let hasResolvedForUser = false; // Flag to ensure we only resolve once
+async function awaitUpload(job) {
+  const toResult = (settledJob) => ({
+    commp: settledJob.commp,
+    size: Number(settledJob.size),
+    proofSetId: settledJob.proof_set_id,
+    rootTxHash: settledJob.tx_hash,
+    jobId: settledJob.id,
+  });
+  try {
+    return toResult(await waitForRootAdded(job.id, { timeout: config.uploadQueue.waitTimeout }));
+  } catch (error) {
+    if (error.settled) {
+      error.settled = error.settled.then(toResult);
+      // Whoever asked may have given up by now, so report the outcome instead of leaving it unhandled.
+      error.settled.then(
+        (result) => console.log(`[SYNAPSE] Job #${job.id} stored ${result.commp} after its request timed out.`),
+        (jobError) => console.error(`[SYNAPSE] Job #${job.id} failed after its request timed out:`, jobError.message),
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Performs a single upload against the Synapse SDK. Only the upload queue worker calls this;
+ * everything else should go through `uploadData` so uploads are serialised and persisted.
+ * @param {Buffer} dataBuffer The file data as a buffer.
+ * @param {object} [options] Optional parameters.
+ * @param {number} [options.proofSetId] An existing proof set ID to use.
+ * @param {object} [hooks] Callbacks for the job lifecycle.
+ * @param {function} [hooks.onProviderSelected] Called with the selected provider's info.
+ * @param {function} [hooks.onRootAdded] Called with `{commp, size, proofSetId, txHash}` once the root addition is sent.
+ * @param {function} [hooks.onRootConfirmed] Called with the confirmed root IDs.
+ * @returns {Promise<{commp: string, size: number, proofSetId: number}>} Resolves once the roots are confirmed on-chain.
+ */
+export async function performUpload(dataBuffer, options = {}, hooks = {}) {
+  const synapse = await getSynapse();
+  const storage = await synapse.createStorage({
+    proofSetId: options.proofSetId,
+    withCDN: true,
+    callbacks: {
+      onProviderSelected: (provider) => {
+        console.log(`[SYNAPSE] Provider selected: ${provider.owner}`);
+        hooks.onProviderSelected?.(provider);
+      },
+      onProofSetResolved: (info) => console.log(`[SYNAPSE] Proof set resolved. ID: ${info.proofSetId}, Is Existing: ${info.isExisting}`),
+      onProofSetCreationStarted: (tx) => console.log(`[SYNAPSE] New proof set creation Tx: ${tx.hash}`),
+      onProofSetCreationProgress: (status) => console.log(`[SYNAPSE] Creation progress: Mined=${status.transactionMined}, Live=${status.proofSetLive}`),
+    }
+  });
+  await storage.preflightUpload(dataBuffer.length);
 
-      // 2. We do NOT await this. We let it run in the background and use its callbacks.
-      // We attach .then() and .catch() to its promise to handle the FINAL lock release.
-      storage.upload(dataBuffer, {
-        onUploadComplete: (commp) => {
-          console.log(`[SYNAPSE CALLBACK] Upload to provider complete. CommP: ${commp}`);
-          capturedCommp = commp;
-        },
-        onRootAdded: (tx) => {
-          // 3. This is the FAST resolve for the user.
-          if (hasResolvedForUser) return;
-          hasResolvedForUser = true;
+  console.log(`[SYNAPSE] Starting upload of ${dataBuffer.length} bytes...`);
 
-          console.log(`[SYNAPSE CALLBACK] Root addition transaction sent: ${tx?.hash}. RESOLVING PROMISE FOR USER NOW.`);
-          
-          resolve({
-            commp: capturedCommp.toString(),
-            size: dataBuffer.length,
-            proofSetId: storage.proofSetId,
-          });
-        },
-        onRootConfirmed: (rootIds) => {
-          console.log(`[SYNAPSE CALLBACK] (Info only) Root IDs confirmed on-chain later: ${rootIds.join(', ')}`);
-          // The .then() block below will handle the lock release.
-        },
-      })
-      .then(() => {
-        // 4a. SUCCESS CASE: The entire process, including confirmation, is done. Release the lock.
-        console.log('[SYNAPSE] Full upload process (including confirmation) finished successfully.');
-        releaseLock();
-      })
-      .catch(error => {
-        // 4b. FAILURE CASE: The upload process failed at some point.
-        console.error('[SYNAPSE] Upload process failed.', error);
-        // If we haven't already responded to the user, we need to reject the main promise.
-        if (!hasResolvedForUser) {
-          reject(error);
-        }
-        // CRUCIAL: Always release the lock, even on failure.
-        releaseLock();
+  let capturedCommp = null;
+  await storage.upload(dataBuffer, {
+    onUploadComplete: (commp) => {
+      console.log(`[SYNAPSE CALLBACK] Upload to provider complete. CommP: ${commp}`);
+      capturedCommp = commp;
+    },
+    onRootAdded: (tx) => {
+      console.log(`[SYNAPSE CALLBACK] Root addition transaction sent: ${tx?.hash}`);
+      hooks.onRootAdded?.({
+        commp: capturedCommp.toString(),
+        size: dataBuffer.length,
+        proofSetId: storage.proofSetId,
+        txHash: tx?.hash || null,
       });
-
-    } catch (initialError) {
-      // This catches errors from getSynapse, createStorage, or preflightUpload.
-      console.error('[SYNAPSE] Initial setup failed.', initialError);
-      // We must release the lock and reject the promise.
-      releaseLock();
-      reject(initialError);
-    }
+    },
+    onRootConfirmed: (rootIds) => {
+      console.log(`[SYNAPSE CALLBACK] Root IDs confirmed on-chain: ${rootIds.join(', ')}`);
+      hooks.onRootConfirmed?.(rootIds);
+    },
   });
-}
\ No newline at end of file
+
+  console.log('[SYNAPSE] Full upload process (including confirmation) finished successfully.');
+  return {
+    commp: capturedCommp.toString(),
+    size: dataBuffer.length,
+    proofSetId: storage.proofSetId,
+  };
+}
+
+
+/**
+ * Looks up the receipt of a transaction sent by our wallet, e.g. a root addition
+ * whose confirmation callback was lost when the process restarted.
+ * @param {string} txHash The transaction hash.
+ * @returns {Promise<'confirmed'|'reverted'|'unknown'>} 'unknown' if the transaction has not been mined (yet).
+ */
+export async function getTransactionStatus(txHash) {
+  const synapse = await getSynapse();
+  const receipt = await synapse.getProvider().getTransactionReceipt(txHash);
+  if (!receipt) return 'unknown';
+  return receipt.status === 1 ? 'confirmed' : 'reverted';
+}
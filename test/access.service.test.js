@@ -0,0 +1,28 @@
+// test/access.service.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertProjectAccess, visibleProjectsClause } from '../src/services/access.service.js';
+
+const admin = { id: 1, isAdmin: true };
+const member = { id: 7, isAdmin: false };
+
+test('admins see every project', () => {
+  assert.deepEqual(visibleProjectsClause(admin, 1), { clause: null, args: [] });
+});
+
+test('members only see the projects they belong to', () => {
+  assert.deepEqual(visibleProjectsClause(member, 3), {
+    clause: 'project_id IN (SELECT project_id FROM project_members WHERE user_id = $3)',
+    args: [7],
+  });
+  assert.match(visibleProjectsClause(member, 1, 'r.project_id').clause, /^r\.project_id IN /);
+});
+
+test('unassigned data is for admins only', async () => {
+  await assertProjectAccess(admin, null, 'owner');
+  await assert.rejects(assertProjectAccess(member, null, 'viewer'), { statusCode: 403 });
+});
+
+test('a project ID that is not a number is a 400', async () => {
+  await assert.rejects(assertProjectAccess(member, Number('abc'), 'viewer'), { statusCode: 400 });
+});
@@ -0,0 +1,59 @@
+// test/ai.service.test.js
+// Runs against the fixture-backed mock provider (LLM_PROVIDER=mock, see `npm test`).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  canEmbed,
+  embedTexts,
+  generateSearchQueries,
+  getSearchResults,
+  requestPaperMetadata,
+  streamGroundedAnswer,
+  synthesizeGroundedAnswer,
+} from '../src/services/ai.service.js';
+
+test('generateSearchQueries returns one query per line, at most n', async () => {
+  assert.deepEqual(await generateSearchQueries('ld50 of caffeine', 2), ['mock search query one', 'mock search query two']);
+});
+
+test('getSearchResults fills in the query and reports each one', async () => {
+  const reported = [];
+  const results = await getSearchResults(['NMR Spectra', 'xcms'], 1, {
+    onResults: (query, queryResults, index) => reported.push([query, queryResults.length, index]),
+  });
+  assert.deepEqual(results.map(result => result.url), ['https://example.org/mock/nmr-spectra/1', 'https://example.org/mock/xcms/1']);
+  assert.equal(results[0].title, 'Mock result for NMR Spectra');
+  assert.deepEqual(reported, [['NMR Spectra', 1, 0], ['xcms', 1, 1]]);
+});
+
+test('getSearchResults stops once aborted', async () => {
+  await assert.rejects(getSearchResults(['a'], 1, { signal: AbortSignal.abort() }), { name: 'AbortError' });
+});
+
+test('requestPaperMetadata gets the metadata fixture', async () => {
+  const metadata = JSON.parse(await requestPaperMetadata('Some paper text'));
+  assert.equal(metadata.title, 'Mock Paper Title');
+  assert.equal(metadata.doi, '10.0000/mock.0001');
+});
+
+test('a streamed grounded answer is the same as the complete one', async () => {
+  const messages = [{ role: 'user', content: 'What is the LD50?' }];
+  const answer = await synthesizeGroundedAnswer(messages, [], [], null);
+  assert.match(answer, /mock answer to "What is the LD50\?"/);
+
+  let streamed = '';
+  for await (const piece of streamGroundedAnswer(messages, [], [], null)) streamed += piece;
+  assert.equal(streamed, answer);
+});
+
+test('embeddings are deterministic unit vectors, closer for texts sharing words', async () => {
+  assert.equal(canEmbed(), true);
+  const [a, again, similar, unrelated] = await embedTexts(
+    ['caffeine toxicity in mice', 'caffeine toxicity in mice', 'toxicity of caffeine', 'gas chromatography column'],
+    2
+  );
+  const dot = (x, y) => x.reduce((sum, value, i) => sum + value * y[i], 0);
+  assert.deepEqual(a, again);
+  assert.ok(Math.abs(dot(a, a) - 1) < 1e-9);
+  assert.ok(dot(a, similar) > dot(a, unrelated));
+});
@@ -0,0 +1,60 @@
+// test/analysis-job.service.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { prepareDatabase } from './helpers/database.js';
+
+// The local driver reads its directory from the config when it is first imported.
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kintagen-analysis-'));
+process.env.LOCAL_STORAGE_DIR = path.join(tempDir, 'storage');
+const { fetchInputs, parseJsonOutput, safeFilename } = await import('../src/services/analysis-job.service.js');
+const { getTool } = await import('../src/services/analysis-tools.js');
+const storage = await import('../src/services/storage.service.js');
+const { insertRecord } = await import('../src/services/record.service.js');
+const { pool } = await import('../src/services/db.js');
+
+const skip = await prepareDatabase(pool);
+
+before(() => storage.init());
+after(async () => {
+  await pool.end();
+  await fs.promises.rm(tempDir, { recursive: true, force: true });
+});
+
+test('JSON results are parsed past package start-up messages', () => {
+  assert.deepEqual(parseJsonOutput('{"status":"success","n":3}\n'), { status: 'success', n: 3 });
+  assert.deepEqual(
+    parseJsonOutput('Loading required package: xcms\nThis is MSnbase version 2\n{"status":"success"}'),
+    { status: 'success' }
+  );
+});
+
+test('scripts that print no JSON fail with a clear error', () => {
+  assert.throws(() => parseJsonOutput('Done.\n'), /did not print a JSON result/);
+  assert.throws(() => parseJsonOutput('warning {oops}'), /not valid JSON/);
+});
+
+test('stored filenames stay inside the working directory', () => {
+  assert.equal(safeFilename('plate 1 (raw).csv'), 'plate_1__raw_.csv');
+  assert.equal(safeFilename('../../etc/passwd'), 'passwd');
+  assert.equal(safeFilename('..'), 'data');
+  assert.equal(safeFilename(undefined), 'data');
+});
+
+test('a single input file is fetched under the name it was uploaded with', { skip }, async () => {
+  // netCDF bytes, which are no archive, so xcms has to find the file by its .CDF extension.
+  const data = Buffer.concat([Buffer.from('CDF\x01'), crypto.randomBytes(200)]);
+  const stored = await storage.put(data, { filename: 'sample01.CDF' });
+  await insertRecord('spectrum', { compound: 'caffeine', filename: 'sample01.CDF' }, stored);
+
+  const inputsDir = path.join(tempDir, 'inputs');
+  const job = { id: 1, tool: 'gcms-profiling', params: { inputCids: [stored.cid] } };
+  const inputPath = await fetchInputs(job, getTool('gcms-profiling'), inputsDir);
+
+  assert.equal(inputPath, path.join(inputsDir, stored.cid));
+  assert.deepEqual(fs.readdirSync(inputPath), ['sample01.CDF']);
+  assert.deepEqual(fs.readFileSync(path.join(inputPath, 'sample01.CDF')), data);
+});
@@ -0,0 +1,36 @@
+// test/analysis-pipelines.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPipeline, listPipelines, pipelineInputTypes, pipelineMaxInputs } from '../src/services/analysis-pipelines.js';
+import { validateStepParameters } from '../src/services/pipeline.service.js';
+
+const pipeline = {
+  steps: [
+    { id: 'a', tool: 'gcms-profiling', inputs: ['$inputs'] },
+    { id: 'b', tool: 'gcms-differential', inputs: ['$inputs', 'a'] },
+  ],
+};
+
+test('run inputs are limited by every step that reads them', () => {
+  assert.deepEqual(pipelineInputTypes(pipeline), ['experiment', 'spectrum']);
+  // gcms-differential takes 20 CIDs, one of which is the profiling bundle.
+  assert.equal(pipelineMaxInputs(pipeline), 19);
+});
+
+test('registered pipelines are listed with their step parameter schemas', () => {
+  assert.equal(getPipeline('constructor'), null);
+  const [workflow] = listPipelines().filter(entry => entry.name === 'gcms-workflow');
+  assert.ok(workflow.steps.every(step => step.parameters?.type === 'object'));
+});
+
+test('step parameters are validated per step with defaults filled in', () => {
+  const { value, errors } = validateStepParameters(pipeline, { a: { ppm: 30 } });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { a: { ppm: 30, snthresh: 10 }, b: {} });
+});
+
+test('unknown steps and invalid step parameters are reported under the step ID', () => {
+  const { errors } = validateStepParameters(pipeline, { a: { ppm: 0 }, c: {} });
+  assert.deepEqual(errors, ['parameters.c is not a step of this pipeline.', 'parameters.a.ppm must be at least 1.']);
+  assert.deepEqual(validateStepParameters(pipeline, []).errors, ['parameters must be an object keyed by step ID.']);
+});
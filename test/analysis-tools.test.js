@@ -0,0 +1,55 @@
+// test/analysis-tools.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTool, listTools, hasParameters, validateParameters } from '../src/services/analysis-tools.js';
+
+test('only registered tools are found', () => {
+  assert.equal(getTool('ld50').script, 'ld50_analysis.R');
+  assert.equal(getTool('toString'), null);
+  assert.equal(getTool('missing'), null);
+  assert.ok(listTools().every(tool => tool.name && !('script' in tool) && !('command' in tool)));
+});
+
+test('defaults are filled in for missing parameters', () => {
+  const tool = getTool('gcms-profiling');
+  assert.ok(hasParameters(tool));
+  assert.deepEqual(validateParameters(tool), { value: { ppm: 2500, snthresh: 10 }, errors: [] });
+  assert.deepEqual(validateParameters(tool, { ppm: 30 }).value, { ppm: 30, snthresh: 10 });
+});
+
+test('out-of-range, mistyped and unknown parameters are reported', () => {
+  const tool = getTool('gcms-profiling');
+  const { errors } = validateParameters(tool, { ppm: 0, snthresh: '10', peakwidth: 5 });
+  assert.deepEqual(errors.sort(), [
+    'parameters.peakwidth is not a known property.',
+    'parameters.ppm must be at least 1.',
+    'parameters.snthresh must be of type number.',
+  ]);
+  assert.deepEqual(validateParameters(tool, []).errors, ['parameters must be of type object.']);
+});
+
+test('tools without parameters take none', () => {
+  const tool = getTool('ld50');
+  assert.equal(hasParameters(tool), false);
+  assert.deepEqual(validateParameters(tool, { dose: 1 }).errors, ['parameters.dose is not a known property.']);
+});
+
+test('required properties, enums, lengths and array items are checked', () => {
+  const tool = {
+    parameters: {
+      type: 'object',
+      required: ['mode'],
+      properties: {
+        mode: { type: 'string', enum: ['fast', 'full'] },
+        label: { type: 'string', maxLength: 3 },
+        groups: { type: 'array', items: { type: 'integer' } },
+      },
+    },
+  };
+  assert.deepEqual(validateParameters(tool, {}).errors, ['parameters.mode is required.']);
+  assert.deepEqual(validateParameters(tool, { mode: 'slow', label: 'long', groups: [1, 1.5] }).errors, [
+    'parameters.mode must be one of: fast, full.',
+    'parameters.label must be at most 3 characters.',
+    'parameters.groups[1] must be of type integer.',
+  ]);
+});
@@ -0,0 +1,38 @@
+// test/analysis.service.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runScriptWithProgress } from '../src/services/analysis.service.js';
+
+// Node stands in for Rscript: the runner only cares about the process and its output.
+const script = (source) => ['-e', source];
+
+test('progress lines are reported and left out of stdout', async () => {
+  const progress = [];
+  const { stdout, log } = await runScriptWithProgress(process.execPath, script(`
+    console.log('PROGRESS 10 Reading files');
+    console.log('{"status": "success"}');
+    console.log('PROGRESS 150');
+  `), { onProgress: (percent, message) => progress.push([percent, message]) });
+  assert.deepEqual(progress, [[10, 'Reading files'], [100, null]]);
+  assert.equal(stdout, '{"status": "success"}\n');
+  assert.match(log, /PROGRESS 10 Reading files/);
+});
+
+test('a failing script rejects with its log', async () => {
+  await assert.rejects(
+    runScriptWithProgress(process.execPath, script(`console.error('bad input'); process.exit(3);`)),
+    (error) => /exited with code 3/.test(error.message) && /bad input/.test(error.log)
+  );
+});
+
+test('a script past its timeout is killed', async () => {
+  await assert.rejects(
+    runScriptWithProgress(process.execPath, script('setTimeout(() => {}, 60000);'), { timeout: 200 }),
+    /timed out/
+  );
+});
+
+test('scripts run in the given working directory', async () => {
+  const { stdout } = await runScriptWithProgress(process.execPath, script('console.log(process.cwd())'), { cwd: '/tmp' });
+  assert.equal(stdout.trim(), '/tmp');
+});
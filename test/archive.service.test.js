@@ -0,0 +1,123 @@
+// test/archive.service.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { detectArchiveType, extractArchive } from '../src/services/archive.service.js';
+
+function tarHeader(name, size, type = '0') {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100, 'utf8');
+  header.write('0000644\0', 100);
+  header.write('0000000\0', 108);
+  header.write('0000000\0', 116);
+  header.write(size.toString(8).padStart(11, '0') + '\0', 124);
+  header.write('00000000000\0', 136);
+  header.write(type, 156);
+  header.write('ustar\0', 257, 'latin1');
+  header.write('00', 263);
+  header.fill(' ', 148, 156);
+  const sum = header.reduce((total, byte) => total + byte, 0);
+  header.write(sum.toString(8).padStart(6, '0') + '\0 ', 148);
+  return header;
+}
+
+function tar(entries) {
+  const blocks = [];
+  for (const [name, content, type] of entries) {
+    const data = Buffer.from(content);
+    blocks.push(tarHeader(name, data.length, type), data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+
+// A zip with stored (uncompressed) entries; CRCs are left at zero since extraction ignores them.
+function zip(entries) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, content] of entries) {
+    const nameBytes = Buffer.from(name);
+    const data = Buffer.from(content);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, data);
+    central.push(entry, nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+async function withArchive(bytes, run) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'archive-test-'));
+  try {
+    const archivePath = path.join(dir, 'input');
+    await fs.promises.writeFile(archivePath, bytes);
+    return await run(archivePath, path.join(dir, 'out'));
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('archive types are detected from their first bytes', () => {
+  assert.equal(detectArchiveType(zip([['a.txt', 'a']])), 'zip');
+  assert.equal(detectArchiveType(tar([['a.txt', 'a']])), 'tar');
+  assert.equal(detectArchiveType(zlib.gzipSync(tar([['a.txt', 'a']]))), 'tar.gz');
+  assert.equal(detectArchiveType(Buffer.from('sample,intensity\n')), null);
+});
+
+test('tar, gzipped tar and zip archives are unpacked', async () => {
+  const entries = [['data/', '', '5'], ['data/run1.csv', '1,2,3\n'], ['notes.txt', 'hello']];
+  const archives = {
+    tar: tar(entries),
+    'tar.gz': zlib.gzipSync(tar(entries)),
+    zip: zip([['data/run1.csv', '1,2,3\n'], ['notes.txt', 'hello']]),
+  };
+  for (const [type, bytes] of Object.entries(archives)) {
+    await withArchive(bytes, async (archivePath, out) => {
+      const { files, bytes: total } = await extractArchive(archivePath, type, out);
+      assert.equal(files.length, 2, type);
+      assert.equal(total, 11, type);
+      assert.equal(await fs.promises.readFile(path.join(out, 'data', 'run1.csv'), 'utf8'), '1,2,3\n');
+    });
+  }
+});
+
+test('entries outside the working directory are refused', async () => {
+  for (const name of ['../escape.txt', '/etc/escape.txt', 'data/../../escape.txt']) {
+    await withArchive(tar([[name, 'x']]), async (archivePath, out) => {
+      await assert.rejects(extractArchive(archivePath, 'tar', out), { statusCode: 400 });
+    });
+  }
+});
+
+test('symlinks in a tar are skipped', async () => {
+  await withArchive(tar([['link', '', '2'], ['file.txt', 'ok']]), async (archivePath, out) => {
+    const { files } = await extractArchive(archivePath, 'tar', out);
+    assert.deepEqual(files.map(file => path.basename(file)), ['file.txt']);
+  });
+});
+
+test('archives that expand past the limit are refused', async () => {
+  await withArchive(zlib.gzipSync(tar([['big.bin', Buffer.alloc(4096)]])), async (archivePath, out) => {
+    await assert.rejects(extractArchive(archivePath, 'tar.gz', out, { maxBytes: 1024 }), { statusCode: 413 });
+  });
+});
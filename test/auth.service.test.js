@@ -0,0 +1,50 @@
+// test/auth.service.test.js
+// Every rejection here happens before the nonce is looked up, so no database is needed.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+
+process.env.AUTH_SIWE_DOMAIN = 'app.example.org';
+process.env.AUTH_ALLOWED_ADDRESSES = ' 0xAB5801A7D398351B8BE11C439E05C5B3259AEC9B , 01cf0e2f2f715450, 0xF8D6E0586B0A20C7';
+const { default: config } = await import('../src/config.js');
+const { signInWithEthereum } = await import('../src/services/auth.service.js');
+
+const wallet = ethers.Wallet.createRandom();
+
+function siweMessage({ domain = 'app.example.org', address = wallet.address, nonce = 'abc123', extra = '' } = {}) {
+  return `${domain} wants you to sign in with your Ethereum account:\n${address}\n\nSign in to KintaGen.\n\nURI: https://${domain}\nVersion: 1\nChain ID: 1\n${nonce ? `Nonce: ${nonce}\n` : ''}Issued At: ${new Date().toISOString()}${extra}`;
+}
+
+async function rejects(message, statusCode, pattern, signature) {
+  await assert.rejects(
+    signInWithEthereum(message, signature ?? await wallet.signMessage(message)),
+    error => error.statusCode === statusCode && pattern.test(error.message)
+  );
+}
+
+test('allowlisted addresses are kept in the form sign-in compares', () => {
+  assert.deepEqual(config.auth.allowedAddresses, [
+    '0xAb5801a7D398351b8bE11C439e05C5B3259aeC9B',
+    '0x01cf0e2f2f715450',
+    '0xf8d6e0586b0a20c7',
+  ]);
+});
+
+test('sign-in with Ethereum refuses malformed and misdirected messages', async () => {
+  await rejects('Please sign this.', 400, /Not a valid sign-in-with-Ethereum message/);
+  await rejects(siweMessage({ domain: 'evil.example.com' }), 401, /issued for evil\.example\.com, not app\.example\.org/);
+  await rejects(siweMessage({ nonce: null }), 400, /no nonce/);
+});
+
+test('sign-in with Ethereum refuses messages outside their validity window', async () => {
+  const hour = 60 * 60 * 1000;
+  await rejects(siweMessage({ extra: `\nExpiration Time: ${new Date(Date.now() - hour).toISOString()}` }), 401, /expired/);
+  await rejects(siweMessage({ extra: `\nNot Before: ${new Date(Date.now() + hour).toISOString()}` }), 401, /not valid yet/);
+});
+
+test('sign-in with Ethereum refuses a signature from another wallet', async () => {
+  const message = siweMessage();
+  const other = ethers.Wallet.createRandom();
+  await rejects(message, 401, /does not match the address/, await other.signMessage(message));
+  await rejects(message, 400, /Malformed signature/, '0x1234');
+});
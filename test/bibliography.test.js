@@ -0,0 +1,32 @@
+// test/bibliography.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { stripMarkup } from '../src/services/bibliography/http.js';
+import { createSource } from '../src/services/bibliography/mirror.source.js';
+
+const mirrorPath = fileURLToPath(new URL('../src/services/bibliography/mirror.json', import.meta.url));
+
+test('JATS and HTML abstracts become plain text', () => {
+  assert.equal(
+    stripMarkup('<jats:title>Abstract</jats:title>\n<jats:p>LD<sub>50</sub> &lt; 5 mg/kg &amp; &quot;safe&quot;</jats:p>'),
+    'Abstract LD 50 < 5 mg/kg & "safe"'
+  );
+  // Decoding &amp; last keeps an escaped entity as typed.
+  assert.equal(stripMarkup('&amp;lt;'), '&lt;');
+});
+
+test('the mirror resolves a DOI or a PMID to the same work', async () => {
+  const source = createSource({ mirrorPath });
+  const byDoi = await source.lookup({ doi: '10.0000/mock.0001' });
+  const byPmid = await source.lookup({ pmid: 10000001 });
+  assert.equal(byDoi.title, 'Mock Paper Title');
+  assert.deepEqual(byPmid, byDoi);
+  assert.equal(await source.lookup({ doi: '10.0000/unknown' }), null);
+});
+
+test('mirror results are copies', async () => {
+  const source = createSource({ mirrorPath });
+  (await source.lookup({ doi: '10.0000/mock.0001' })).title = 'Changed';
+  assert.equal((await source.lookup({ doi: '10.0000/mock.0001' })).title, 'Mock Paper Title');
+});
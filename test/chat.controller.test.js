@@ -0,0 +1,123 @@
+// test/chat.controller.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The mock provider reads its fixtures when it is first imported. A reply that is not text makes it
+// throw as it starts answering, which stands in for a provider that drops the connection.
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kintagen-chat-'));
+const fixtures = JSON.parse(fs.readFileSync(new URL('../src/services/ai/mock-fixtures.json', import.meta.url), 'utf-8'));
+fixtures.completions.unshift({ match: 'Please fail', reply: {} });
+process.env.AI_MOCK_FIXTURES = path.join(tempDir, 'fixtures.json');
+fs.writeFileSync(process.env.AI_MOCK_FIXTURES, JSON.stringify(fixtures));
+const { parseChatRequest, chatStreamHandler } = await import('../src/controllers/chat.controller.js');
+const { pool } = await import('../src/services/db.js');
+
+after(async () => {
+  await pool.end();
+  await fs.promises.rm(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Just enough of an Express response to run the handler, collecting the events it writes.
+ * `onEvent` sees each event as it is sent.
+ */
+function createStreamResponse(onEvent = () => {}) {
+  const res = new EventEmitter();
+  return Object.assign(res, {
+    events: [],
+    writableEnded: false,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(headers) {
+      res.headers = headers;
+      return res;
+    },
+    flushHeaders() {},
+    write(chunk) {
+      const [, event, data] = /^event: (\w+)\ndata: (.*)\n\n$/.exec(chunk) || [];
+      if (event) {
+        res.events.push({ event, data: JSON.parse(data) });
+        onEvent(event, res);
+      }
+      return true;
+    },
+    end() {
+      res.writableEnded = true;
+    },
+  });
+}
+
+const streamChat = async (question, onEvent) => {
+  const req = { body: { messages: [{ role: 'user', content: question }] }, user: { id: 1, isAdmin: false } };
+  const res = createStreamResponse(onEvent);
+  await chatStreamHandler(req, res, (error) => { throw error; });
+  assert.equal(res.writableEnded, true);
+  return res;
+};
+
+// Repeated events are counted once, so the order of the stages is easy to compare.
+const stages = (events) => events.map(({ event }) => event).filter((event, i, all) => event !== all[i - 1]);
+
+test('client messages become chat history with assistant and user roles', () => {
+  const chat = parseChatRequest({
+    messages: [
+      { sender: 'user', text: 'What is the LD50 of compound A?' },
+      { sender: 'AI', text: 'About 40 mg/kg.' },
+      { role: 'user', content: 'And its toxicity class?' },
+    ],
+    projectId: '7',
+  });
+  assert.deepEqual(chat.history.map(message => message.role), ['user', 'assistant', 'user']);
+  assert.equal(chat.history[2].content, 'And its toxicity class?');
+  assert.equal(chat.projectId, 7);
+});
+
+test('an empty or missing project means no project scope', () => {
+  const messages = [{ text: 'Hello' }];
+  assert.equal(parseChatRequest({ messages }).projectId, null);
+  assert.equal(parseChatRequest({ messages, projectId: '' }).projectId, null);
+});
+
+test('malformed conversations are rejected', () => {
+  assert.match(parseChatRequest(undefined).error, /"messages" array is required/);
+  assert.match(parseChatRequest({ messages: [] }).error, /"messages" array is required/);
+  assert.match(parseChatRequest({ messages: [{ text: '  ' }] }).error, /non-empty "text"/);
+  assert.match(parseChatRequest({ messages: [{ text: 'Hi' }, { sender: 'bot', text: 'Hello' }] }).error, /last message must be from the user/);
+});
+
+test('a streamed answer reports each stage before its tokens and the full reply', async () => {
+  const res = await streamChat('What is the LD50 of caffeine?');
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['Content-Type'], 'text/event-stream');
+  assert.deepEqual(stages(res.events), ['status', 'records', 'status', 'queries', 'search', 'sources', 'status', 'token', 'done']);
+
+  const data = (name) => res.events.filter(({ event }) => event === name).map(({ data }) => data);
+  assert.deepEqual(data('status').map(status => status.stage), ['retrieving', 'searching', 'writing']);
+  assert.equal(data('queries')[0].queries.length, 3);
+  assert.deepEqual(data('search').map(search => search.index), [0, 1, 2]);
+  assert.ok(data('sources')[0].web.length > 0);
+  const reply = data('token').map(token => token.text).join('');
+  assert.match(reply, /mock answer to "What is the LD50 of caffeine\?"/);
+  assert.equal(data('done')[0].reply, reply);
+});
+
+test('a failing answer ends the stream with an error event', async () => {
+  const res = await streamChat('Please fail while answering.');
+  const last = res.events[res.events.length - 1];
+  assert.deepEqual(last, { event: 'error', data: { error: 'The answer could not be generated. Please try again.' } });
+  assert.ok(!res.events.some(({ event }) => event === 'done'));
+});
+
+test('a client that disconnects stops the answer', async () => {
+  const res = await streamChat('What is the LD50 of caffeine?', (event, response) => {
+    if (event === 'token') response.emit('close');
+  });
+  assert.equal(res.events.filter(({ event }) => event === 'token').length, 1);
+  assert.ok(!res.events.some(({ event }) => event === 'done' || event === 'error'));
+});
@@ -0,0 +1,37 @@
+// test/citation.service.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assignCitationKeys, formatCitations, parseCitationFile } from '../src/services/citation.service.js';
+
+const paper = (cid, createdAt, fields = {}) => ({
+  cid,
+  title: 'Mock Paper Title',
+  authors: ['Ada Mock'],
+  journal: 'Journal of Offline Testing',
+  year: 2024,
+  doi: `10.0000/${cid}`,
+  created_at: createdAt,
+  ...fields,
+});
+
+test('papers sharing a key are told apart in upload order', () => {
+  const keys = assignCitationKeys([paper('second', '2024-02-01'), paper('first', '2024-01-01')]);
+  assert.equal(keys.get('first'), 'mock2024mock');
+  assert.equal(keys.get('second'), 'mock2024mockb');
+});
+
+test('BibTeX export escapes special characters and exports round-trip', () => {
+  const papers = [paper('one', '2024-01-01', { title: 'Yields of 50% & more' })];
+  const { body: bibtex, extension } = formatCitations(papers, 'bibtex');
+  assert.equal(extension, 'bib');
+  assert.match(bibtex, /title = \{\{Yields of 50\\% \\& more\}\}/);
+
+  const { entries } = parseCitationFile('export.bib', bibtex);
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].doi, '10.0000/one');
+});
+
+test('RIS export lists one record per paper', () => {
+  const { body: ris } = formatCitations([paper('one', '2024-01-01'), paper('two', '2024-01-02')], 'ris');
+  assert.equal(ris.match(/^TY {2}- JOUR/gm).length, 2);
+});
@@ -0,0 +1,75 @@
+// test/dedup.service.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { normalizeTitle, titleSimilarity, comparePapers, mergePapers } from '../src/services/dedup.service.js';
+import { insertRecord, findRecordByCid, resolveAlias } from '../src/services/record.service.js';
+import { pool, query } from '../src/services/db.js';
+import { prepareDatabase } from './helpers/database.js';
+
+const skip = await prepareDatabase(pool);
+after(() => pool.end());
+
+// CIDs unique to this run, since the test database keeps its rows between runs.
+const uniqueCid = (name) => `baga${name}${crypto.randomBytes(6).toString('hex')}`;
+const insertPaper = (cid, fields) => insertRecord('paper', fields, { cid, storageStatus: 'confirmed' });
+
+test('titles are compared by their words alone', () => {
+  assert.equal(normalizeTitle('  Café-Based   Synthesis: A Review!'), 'cafe based synthesis a review');
+  assert.equal(normalizeTitle(null), '');
+  assert.equal(titleSimilarity('Protein Folding in Yeast', 'protein folding, in yeast.'), 1);
+  // Two of four distinct words are shared.
+  assert.equal(titleSimilarity('protein folding', 'protein folding in yeast'), 0.5);
+  assert.equal(titleSimilarity('', 'protein folding'), 0);
+});
+
+test('papers with DOIs match on the DOI only, others on the title', () => {
+  const preprint = { cid: 'a', title: 'Protein folding in yeast', doi: null };
+  const published = { cid: 'b', title: 'Protein Folding in Yeast.', doi: '10.1/x' };
+  assert.deepEqual(comparePapers(preprint, published), { reason: 'title', score: 1 });
+  assert.deepEqual(comparePapers(published, { ...published, cid: 'c', title: 'Other' }), { reason: 'doi', score: 1 });
+  assert.equal(comparePapers(published, { ...published, cid: 'c', doi: '10.1/erratum' }), null);
+  assert.equal(comparePapers(preprint, { ...preprint, cid: 'c', is_encrypted: true }), null);
+  assert.equal(comparePapers(preprint, { cid: 'c', title: 'Lipid rafts in yeast', doi: null }), null);
+});
+
+test('merging fills in the kept paper and re-points what used the duplicate', { skip }, async () => {
+  const keepCid = uniqueCid('keep');
+  const duplicateCid = uniqueCid('duplicate');
+  const analysisCid = uniqueCid('analysis');
+  await insertPaper(keepCid, { title: 'Protein folding in yeast', authors: ['Ada Author'] });
+  await insertPaper(duplicateCid, { title: 'Protein Folding in Yeast.', journal: 'Yeast', year: 2020, keywords: ['folding'] });
+  await query(`INSERT INTO analysis (cid, title, source_cids) VALUES ($1, 'Folding rates', $2)`, [analysisCid, [duplicateCid, 'bagaother']]);
+  const run = (await query(
+    `INSERT INTO pipeline_runs (pipeline, definition, input_cids) VALUES ('folding', '{}', $1) RETURNING id`,
+    [[duplicateCid]]
+  )).rows[0];
+
+  const { paper, repointed } = await mergePapers(keepCid, duplicateCid, null);
+
+  assert.equal(paper.cid, keepCid);
+  assert.equal(paper.title, 'Protein folding in yeast');
+  assert.equal(paper.journal, 'Yeast');
+  assert.deepEqual(paper.authors, ['Ada Author']);
+  assert.deepEqual(paper.keywords, ['folding']);
+  assert.deepEqual(repointed, { analyses: 1, pipelineRuns: 1, pipelineSteps: 0 });
+  assert.deepEqual((await query('SELECT source_cids FROM analysis WHERE cid = $1', [analysisCid])).rows[0].source_cids, [keepCid, 'bagaother']);
+  assert.deepEqual((await query('SELECT input_cids FROM pipeline_runs WHERE id = $1', [run.id])).rows[0].input_cids, [keepCid]);
+  assert.equal((await query('SELECT 1 FROM paper WHERE cid = $1', [duplicateCid])).rowCount, 0);
+});
+
+test('the CID of a merged paper finds the paper it was merged into, through later merges too', { skip }, async () => {
+  const [first, second, third] = [uniqueCid('first'), uniqueCid('second'), uniqueCid('third')];
+  for (const cid of [first, second, third]) await insertPaper(cid, { title: 'Yeast prions' });
+
+  await mergePapers(second, first, null);
+  assert.deepEqual(await resolveAlias(first), { cid: second, record_type: 'paper' });
+  assert.equal((await findRecordByCid(first)).cid, second);
+
+  await mergePapers(third, second, null);
+  const record = await findRecordByCid(first);
+  assert.equal(record.type, 'paper');
+  assert.equal(record.cid, third);
+  assert.equal((await findRecordByCid(second)).cid, third);
+  assert.equal(await findRecordByCid(uniqueCid('unknown')), null);
+});
@@ -0,0 +1,40 @@
+// test/experiment.service.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateExperimentMetadata } from '../src/services/experiment.service.js';
+
+test('multipart strings become column values', () => {
+  const { metadata, fields, errors } = validateExperimentMetadata({
+    instrumentType: 'nmr',
+    operator: ' Ada ',
+    runDate: '2024-03-05T10:00:00Z',
+    sampleIds: 'S1; S2, S1',
+    parameters: '{"nucleus":"1H","frequencyMhz":400,"probe":"BBO"}',
+    unrelated: 'ignored',
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(metadata.operator, 'Ada');
+  assert.deepEqual(fields.sample_ids, ['S1', 'S2']);
+  assert.equal(fields.run_date, '2024-03-05');
+  // Parameters the schema does not declare are kept.
+  assert.deepEqual(JSON.parse(fields.parameters), { nucleus: '1H', frequencyMhz: 400, probe: 'BBO' });
+  assert.equal(fields.unrelated, undefined);
+});
+
+test('parameters are checked against the instrument type', () => {
+  assert.deepEqual(validateExperimentMetadata({ instrumentType: 'nmr', parameters: { nucleus: '2H' } }).errors, [
+    'parameters.nucleus must be one of: 1H, 13C, 15N, 19F, 31P for instrument type nmr.',
+    'parameters.frequencyMhz is required for instrument type nmr.',
+  ]);
+  assert.deepEqual(
+    validateExperimentMetadata({ instrumentType: 'gc-ms', parameters: { massRangeMin: 500, massRangeMax: 50 } }).errors,
+    ['parameters.massRangeMin must not be above parameters.massRangeMax.']
+  );
+  assert.match(validateExperimentMetadata({ parameters: { a: 1 } }).errors[0], /^instrumentType is required with parameters/);
+});
+
+test('malformed dates and parameters are reported, not stored', () => {
+  const { fields, errors } = validateExperimentMetadata({ runDate: '2024-02-30', parameters: '{oops' });
+  assert.deepEqual(errors, ['runDate must be a date (YYYY-MM-DD).', 'parameters must be a JSON object.']);
+  assert.deepEqual(fields, {});
+});
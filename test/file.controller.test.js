@@ -0,0 +1,39 @@
+// test/file.controller.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRange, requestedRange } from '../src/controllers/file.controller.js';
+
+test('a closed range is clamped to the file', () => {
+  assert.deepEqual(parseRange('bytes=0-99', 1000), { start: 0, end: 99 });
+  assert.deepEqual(parseRange('bytes=900-2000', 1000), { start: 900, end: 999 });
+});
+
+test('an open range runs to the end of the file', () => {
+  assert.deepEqual(parseRange('bytes=500-', 1000), { start: 500, end: 999 });
+});
+
+test('a suffix range is the last bytes of the file', () => {
+  assert.deepEqual(parseRange('bytes=-100', 1000), { start: 900, end: 999 });
+  assert.deepEqual(parseRange('bytes=-5000', 1000), { start: 0, end: 999 });
+  assert.equal(parseRange('bytes=-0', 1000), 'unsatisfiable');
+});
+
+test('ranges past the end or backwards are unsatisfiable', () => {
+  assert.equal(parseRange('bytes=1000-', 1000), 'unsatisfiable');
+  assert.equal(parseRange('bytes=50-10', 1000), 'unsatisfiable');
+});
+
+test('missing, multiple and foreign ranges send the whole file', () => {
+  assert.equal(parseRange(undefined, 1000), null);
+  assert.equal(parseRange('bytes=-', 1000), null);
+  assert.equal(parseRange('bytes=0-10,20-30', 1000), null);
+  assert.equal(parseRange('items=0-10', 1000), null);
+});
+
+test('If-Range only lets the range through while the ETag matches', () => {
+  const etag = '"bagaexample"';
+  assert.deepEqual(requestedRange({ range: 'bytes=0-9' }, etag, 100), { start: 0, end: 9 });
+  assert.deepEqual(requestedRange({ range: 'bytes=0-9', 'if-range': etag }, etag, 100), { start: 0, end: 9 });
+  assert.equal(requestedRange({ range: 'bytes=0-9', 'if-range': '"bagaother"' }, etag, 100), null);
+  assert.equal(requestedRange({ range: 'bytes=0-9', 'if-range': 'Wed, 21 Oct 2015 07:28:00 GMT' }, etag, 100), null);
+});
@@ -0,0 +1,23 @@
+// test/helpers/database.js
+// Set-up for the tests that need PostgreSQL. They run against POSTGRES_DSN when it can be
+// reached and are skipped otherwise, so the rest of the suite still runs without a database.
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+
+const migrateScript = fileURLToPath(new URL('../../src/migrate.js', import.meta.url));
+
+/**
+ * Brings the test database up to the latest migration.
+ * @param {import('pg').Pool} pool The pool the code under test queries through.
+ * @returns {Promise<string|false>} Why the database tests are skipped, or false if they can run.
+ */
+export async function prepareDatabase(pool) {
+  try {
+    await pool.query('SELECT 1');
+  } catch (error) {
+    return `no database at POSTGRES_DSN (${error.message})`;
+  }
+  await promisify(execFile)(process.execPath, [migrateScript, 'up']);
+  return false;
+}
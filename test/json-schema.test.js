@@ -0,0 +1,49 @@
+// test/json-schema.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema } from '../src/services/json-schema.js';
+
+const schema = {
+  type: 'object',
+  required: ['doi'],
+  additionalProperties: false,
+  properties: {
+    doi: { type: 'string', pattern: '^10\\.\\d{4,9}/\\S+$' },
+    title: { type: 'string', minLength: 1, maxLength: 10 },
+    year: { type: 'integer', minimum: 1900, maximum: 2100 },
+    status: { type: 'string', enum: ['complete', 'pending_review'], default: 'complete' },
+    authors: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+test('valid values pass with defaults filled in', () => {
+  assert.deepEqual(validateSchema(schema, { doi: '10.1000/abc', year: 2024 }, 'metadata'), {
+    value: { doi: '10.1000/abc', year: 2024, status: 'complete' },
+    errors: [],
+  });
+});
+
+test('each violation is named by its path', () => {
+  const { errors } = validateSchema(schema, {
+    doi: 'not-a-doi',
+    title: '',
+    year: 1850.5,
+    status: 'done',
+    authors: ['Ada', 7],
+    colour: 'red',
+  }, 'metadata');
+  assert.deepEqual(errors, [
+    'metadata.colour is not a known property.',
+    'metadata.doi must match ^10\\.\\d{4,9}/\\S+$.',
+    'metadata.title must be at least 1 characters.',
+    'metadata.year must be of type integer.',
+    'metadata.status must be one of: complete, pending_review.',
+    'metadata.authors[1] must be of type string.',
+  ]);
+});
+
+test('missing required properties and wrong top-level types are reported', () => {
+  assert.deepEqual(validateSchema(schema, {}, 'metadata').errors, ['metadata.doi is required.']);
+  assert.deepEqual(validateSchema(schema, ['10.1000/abc'], 'metadata').errors, ['metadata must be of type object.']);
+  assert.deepEqual(validateSchema({ type: 'number', maximum: 5 }, 6, 'limit').errors, ['limit must be at most 5.']);
+});
@@ -0,0 +1,48 @@
+// test/local.driver.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The driver reads its directory from the config when it is first imported.
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kintagen-local-'));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+const driver = await import('../src/services/storage/local.driver.js');
+
+before(() => driver.init());
+after(() => fs.promises.rm(storageDir, { recursive: true, force: true }));
+
+test('put stores bytes under their CommP and get reads them back', async () => {
+  const data = Buffer.from('x'.repeat(200));
+  const stored = await driver.put(data);
+  assert.match(stored.cid, /^baga/);
+  assert.equal(stored.size, data.length);
+  assert.equal(stored.storageStatus, 'confirmed');
+  assert.deepEqual(await driver.get(stored.cid), data);
+  assert.deepEqual(await driver.stat(stored.cid), { cid: stored.cid, size: data.length });
+});
+
+test('the same bytes get the same CID and are kept once', async () => {
+  const data = Buffer.from('y'.repeat(300));
+  const first = await driver.put(data);
+  const second = await driver.put(Buffer.from(data));
+  assert.equal(second.cid, first.cid);
+  const listed = (await driver.list()).filter(object => object.cid === first.cid);
+  assert.equal(listed.length, 1);
+});
+
+test('bytes that only differ by zero padding are refused instead of sharing a CID', async () => {
+  const data = Buffer.from('z'.repeat(200));
+  const stored = await driver.put(data);
+  const padded = Buffer.concat([data, Buffer.alloc(2)]);
+  await assert.rejects(driver.put(padded), { statusCode: 409 });
+  assert.deepEqual(await driver.get(stored.cid), data);
+});
+
+test('unknown and malformed CIDs are told apart', async () => {
+  await assert.rejects(driver.get('bagaunknown'), { statusCode: 404 });
+  await assert.rejects(driver.get('../etc/passwd'), { statusCode: 400 });
+  assert.equal(await driver.stat('bagaunknown'), null);
+  assert.equal(await driver.stat('../etc/passwd'), null);
+});
@@ -0,0 +1,29 @@
+// test/metadata.service.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPaperMetadata, normalizeDoi, parseJsonObject, validateMetadataUpdate } from '../src/services/metadata.service.js';
+
+test('extractPaperMetadata combines the mock reply with the mirrored bibliographic record', async () => {
+  const text = 'Mock Paper Title\nAda Mock, Alan Fixture\nJournal of Offline Testing, 2024\ndoi:10.0000/mock.0001\n\nAbstract...';
+  const result = await extractPaperMetadata(text);
+  assert.equal(result.metadata.title, 'Mock Paper Title');
+  assert.equal(result.metadata.year, 2024);
+  assert.deepEqual(result.metadata.authors, ['Ada Mock', 'Alan Fixture']);
+  assert.equal(result.metadata.pmid, '10000001');
+  assert.notEqual(result.source, 'llm');
+});
+
+test('normalizeDoi keeps the bare DOI', () => {
+  assert.equal(normalizeDoi('https://doi.org/10.1000/ABC.123'), '10.1000/abc.123');
+  assert.equal(normalizeDoi('doi: 10.1000/xyz'), '10.1000/xyz');
+});
+
+test('parseJsonObject finds the object in a chatty reply', () => {
+  assert.deepEqual(parseJsonObject('Sure! ```json\n{"title": "A"}\n```'), { title: 'A' });
+});
+
+test('validateMetadataUpdate rejects unknown fields and an empty title', () => {
+  const { errors } = validateMetadataUpdate({ title: '', colour: 'red' });
+  assert.ok(errors.includes('metadata.colour is not a known property.'));
+  assert.ok(errors.includes('metadata.title cannot be empty.'));
+});
@@ -0,0 +1,171 @@
+// test/queue.service.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { prepareDatabase } from './helpers/database.js';
+
+// The queue reads its settings from the config when it is first imported.
+const spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kintagen-queue-'));
+process.env.UPLOAD_SPOOL_DIR = spoolDir;
+process.env.UPLOAD_CONCURRENCY_PER_PROOF_SET = '1';
+process.env.UPLOAD_MAX_ATTEMPTS = '2';
+const queue = await import('../src/services/queue.service.js');
+const { pool, query } = await import('../src/services/db.js');
+
+const skip = await prepareDatabase(pool);
+
+// Uploads never reach the Synapse SDK: each one waits here until the test settles it.
+const uploads = [];
+let txStatus = 'unknown';
+const backend = {
+  performUpload: (dataBuffer, options, hooks) => new Promise((resolve, reject) => {
+    uploads.push({ data: dataBuffer.toString(), options, hooks, resolve, reject });
+  }),
+  getTransactionStatus: async () => txStatus,
+};
+
+// Polls instead of sleeping, since the worker settles jobs in the background.
+async function waitFor(check, timeout = 8000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the upload queue.');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+const getJob = async (id) => (await query('SELECT * FROM upload_jobs WHERE id = $1', [id])).rows[0];
+const waitForUpload = (data) => waitFor(() => uploads.find(upload => upload.data === data && !upload.settled));
+const waitForStatus = (id, status) => waitFor(async () => {
+  const job = await getJob(id);
+  return job.status === status && job;
+});
+
+function finishUpload(upload, commp) {
+  upload.settled = true;
+  const proofSetId = upload.options.proofSetId ?? 1;
+  upload.hooks.onRootAdded({ commp, proofSetId, txHash: `0x${commp}` });
+  upload.resolve({ commp, size: upload.data.length, proofSetId });
+}
+
+function failUpload(upload, error) {
+  upload.settled = true;
+  upload.reject(error);
+}
+
+async function insertJob(fields) {
+  const spoolPath = path.join(spoolDir, `${fields.status}-${Date.now()}.bin`);
+  fs.writeFileSync(spoolPath, fields.data || '');
+  const result = await query(
+    `INSERT INTO upload_jobs (status, size, spool_path, attempts, error) VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [fields.status, (fields.data || '').length, spoolPath, fields.attempts || 0, fields.error || null]
+  );
+  return result.rows[0];
+}
+
+before(async () => {
+  if (skip) return;
+  // Jobs left waiting by an earlier run would be picked up by this worker.
+  await query(`UPDATE upload_jobs SET status = 'failed' WHERE status IN ('queued', 'uploading')`);
+});
+
+after(async () => {
+  await pool.end();
+  await fs.promises.rm(spoolDir, { recursive: true, force: true });
+});
+
+test('jobs that were uploading when the process stopped are queued again on start', { skip }, async () => {
+  const interrupted = await insertJob({ status: 'uploading', data: 'interrupted', attempts: 1 });
+  await queue.startUploadWorker(backend);
+
+  const upload = await waitForUpload('interrupted');
+  const job = await waitForStatus(interrupted.id, 'uploading');
+  assert.equal(job.attempts, 2);
+
+  finishUpload(upload, 'bagainterrupted');
+  await waitForStatus(interrupted.id, 'confirmed');
+});
+
+test('a proof set gets one upload at a time while other proof sets carry on', { skip }, async () => {
+  const first = await queue.enqueueUpload(Buffer.from('first'), { proofSetId: 7 });
+  const second = await queue.enqueueUpload(Buffer.from('second'), { proofSetId: 7 });
+  const other = await queue.enqueueUpload(Buffer.from('other'), { proofSetId: 8 });
+
+  const firstUpload = await waitForUpload('first');
+  const otherUpload = await waitForUpload('other');
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.equal((await getJob(second.id)).status, 'queued');
+
+  finishUpload(firstUpload, 'bagafirst');
+  const secondUpload = await waitForUpload('second');
+  finishUpload(secondUpload, 'bagasecond');
+  finishUpload(otherUpload, 'bagaother');
+
+  for (const job of [first, second, other]) await waitForStatus(job.id, 'confirmed');
+});
+
+test('a failed upload is retried after a backoff and then given up on', { skip }, async () => {
+  const job = await queue.enqueueUpload(Buffer.from('flaky'), { proofSetId: 9 });
+
+  failUpload(await waitForUpload('flaky'), new Error('provider unavailable'));
+  const queued = await waitForStatus(job.id, 'queued');
+  assert.equal(queued.attempts, 1);
+  assert.equal(queued.error, 'provider unavailable');
+  // The first retry waits the base delay of 30s; the next would wait twice that.
+  assert.ok(Math.abs(queued.run_after - Date.now() - 30000) < 5000, `run_after is ${queued.run_after}`);
+
+  // Due now, so the worker's next poll picks it up for its last attempt.
+  await query('UPDATE upload_jobs SET run_after = NOW() WHERE id = $1', [job.id]);
+  failUpload(await waitForUpload('flaky'), new Error('provider still unavailable'));
+  const failed = await waitForStatus(job.id, 'failed');
+  assert.equal(failed.attempts, 2);
+  assert.equal(failed.error, 'provider still unavailable');
+});
+
+test('an upload whose root addition landed despite the error is confirmed', { skip }, async () => {
+  const job = await queue.enqueueUpload(Buffer.from('landed'), { proofSetId: 10 });
+  const upload = await waitForUpload('landed');
+  upload.hooks.onRootAdded({ commp: 'bagalanded', proofSetId: 10, txHash: '0xlanded' });
+  await waitForStatus(job.id, 'root-added');
+
+  txStatus = 'confirmed';
+  try {
+    failUpload(upload, new Error('confirmation wait timed out'));
+    const confirmed = await waitForStatus(job.id, 'confirmed');
+    assert.equal(confirmed.attempts, 1);
+  } finally {
+    txStatus = 'unknown';
+  }
+});
+
+test('waiting for a root addition times out but keeps following the job', { skip }, async () => {
+  const job = await queue.enqueueUpload(Buffer.from('slow'), { proofSetId: 11 });
+  const upload = await waitForUpload('slow');
+
+  const error = await queue.waitForRootAdded(job.id, { timeout: 50 }).catch(e => e);
+  assert.equal(error.statusCode, 504);
+  assert.equal(error.jobId, job.id);
+
+  // The worker's status change arrives as an event and settles the wait that went on.
+  finishUpload(upload, 'bagaslow');
+  const settled = await error.settled;
+  assert.equal(settled.id, job.id);
+  assert.ok(['root-added', 'confirmed'].includes(settled.status));
+  await waitForStatus(job.id, 'confirmed');
+});
+
+test('a job settled by another process is picked up by polling', { skip }, async () => {
+  // No event is ever emitted for these rows, so only the database poll can settle the waits.
+  const added = await insertJob({ status: 'root-added' });
+  const failed = await insertJob({ status: 'failed', error: 'the provider refused the piece' });
+
+  const [addedJob, failure] = await Promise.all([
+    queue.waitForRootAdded(added.id),
+    queue.waitForRootAdded(failed.id).catch(e => e),
+  ]);
+  assert.equal(addedJob.id, added.id);
+  assert.match(failure.message, /the provider refused the piece/);
+});
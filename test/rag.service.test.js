@@ -0,0 +1,37 @@
+// test/rag.service.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText } from '../src/services/rag.service.js';
+
+const sentences = (count) => Array.from({ length: count }, (_, i) => `Sentence number ${i} about assay results.`).join(' ');
+
+test('short text is a single normalised chunk', () => {
+  assert.deepEqual(chunkText('  Title\r\n\r\n\r\n\r\nBody   text\t here  '), ['Title\n\nBody text here']);
+  assert.deepEqual(chunkText('   '), []);
+});
+
+test('long text is split at sentence ends within the size limit', () => {
+  const chunks = chunkText(sentences(40), { size: 200, overlap: 40 });
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.length <= 200, chunk);
+    assert.ok(chunk.endsWith('.') || chunk === chunks.at(-1), chunk);
+  }
+});
+
+test('consecutive chunks overlap and start on a word boundary', () => {
+  const text = sentences(40);
+  const chunks = chunkText(text, { size: 200, overlap: 40 });
+  for (let i = 1; i < chunks.length; i++) {
+    const previous = chunks[i - 1];
+    assert.ok(text.includes(chunks[i]));
+    assert.ok(previous.includes(chunks[i].split(' ').slice(0, 2).join(' ')), `chunk ${i} does not overlap the one before`);
+  }
+  assert.ok(chunks.at(-1).endsWith('Sentence number 39 about assay results.'));
+});
+
+test('text without sentence breaks still advances', () => {
+  const chunks = chunkText('x'.repeat(1000), { size: 300, overlap: 50 });
+  assert.ok(chunks.every(chunk => chunk.length <= 300));
+  assert.ok(chunks.join('').length >= 1000);
+});
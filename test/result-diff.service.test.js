@@ -0,0 +1,44 @@
+// test/result-diff.service.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffResults } from '../src/services/result-diff.service.js';
+
+test('identical results are reproduced', () => {
+  const result = { status: 'success', results: { ld50: 12.5, peaks: [1, 2, 3] } };
+  const diff = diffResults(result, structuredClone(result));
+  assert.equal(diff.reproduced, true);
+  assert.equal(diff.differenceCount, 0);
+});
+
+test('numbers within tolerance are not differences', () => {
+  const diff = diffResults({ ld50: 100 }, { ld50: 100.5 }, { relativeTolerance: 0.01 });
+  assert.equal(diff.reproduced, true);
+  assert.equal(diff.withinToleranceCount, 1);
+  assert.equal(diff.withinTolerance[0].delta, 0.5);
+});
+
+test('changed, added, removed and retyped values are reported by path', () => {
+  const diff = diffResults(
+    { a: 1, list: [1, 2], gone: true, kind: 'x' },
+    { a: 2, list: [1, 2, 3], kind: 1, extra: null }
+  );
+  assert.equal(diff.reproduced, false);
+  assert.deepEqual(
+    diff.differences.map(({ path, kind }) => [path, kind]).sort(),
+    [['a', 'changed'], ['extra', 'added'], ['gone', 'removed'], ['kind', 'type'], ['list[2]', 'added']]
+  );
+});
+
+test('ignored keys are skipped at any depth', () => {
+  const diff = diffResults({ plots: [{ plot_b64: 'aaa' }] }, { plots: [{ plot_b64: 'bbb' }] }, { ignoreKeys: ['*_b64'] });
+  assert.equal(diff.reproduced, true);
+  assert.deepEqual(diff.ignored, ['plots[].plot_b64']);
+});
+
+test('keys named like Object.prototype members are compared as data', () => {
+  const diff = diffResults({ constructor: 1 }, { toString: 2 });
+  assert.deepEqual(
+    diff.differences.map(({ path, kind }) => [path, kind]),
+    [['constructor', 'removed'], ['toString', 'added']]
+  );
+});
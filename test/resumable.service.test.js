@@ -0,0 +1,77 @@
+// test/resumable.service.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { parseChunkChecksum, writeChunk } from '../src/services/resumable.service.js';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kintagen-resumable-'));
+after(() => fs.promises.rm(workDir, { recursive: true, force: true }));
+
+async function emptyPart() {
+  const filePath = path.join(workDir, `${crypto.randomUUID()}.part`);
+  await fs.promises.writeFile(filePath, Buffer.alloc(0));
+  return filePath;
+}
+
+const digest = (data) => crypto.createHash('sha256').update(data).digest('base64');
+
+// A body that sends some bytes and then breaks off, like a dropped connection.
+function brokenBody(data) {
+  return Readable.from((async function* () {
+    yield data;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    throw new Error('connection reset');
+  })());
+}
+
+test('chunks are written at their offsets', async () => {
+  const filePath = await emptyPart();
+  assert.deepEqual(await writeChunk(filePath, 0, 10, Readable.from([Buffer.from('hello')]), null), { offset: 5, error: null });
+  assert.deepEqual(await writeChunk(filePath, 5, 5, Readable.from([Buffer.from('world')]), null), { offset: 10, error: null });
+  assert.equal(await fs.promises.readFile(filePath, 'utf8'), 'helloworld');
+});
+
+test('a chunk matching its checksum is kept', async () => {
+  const filePath = await emptyPart();
+  const chunk = Buffer.from('checked');
+  const written = await writeChunk(filePath, 0, 100, Readable.from([chunk]), parseChunkChecksum(`sha256 ${digest(chunk)}`));
+  assert.equal(written.offset, chunk.length);
+});
+
+test('a chunk failing its checksum is discarded with a 460', async () => {
+  const filePath = await emptyPart();
+  await writeChunk(filePath, 0, 100, Readable.from([Buffer.from('first')]), null);
+  await assert.rejects(
+    writeChunk(filePath, 5, 95, Readable.from([Buffer.from('second')]), digest(Buffer.from('other'))),
+    { statusCode: 460 }
+  );
+  assert.equal(await fs.promises.readFile(filePath, 'utf8'), 'first');
+});
+
+test('a chunk past the declared size is discarded with a 413', async () => {
+  const filePath = await emptyPart();
+  await assert.rejects(writeChunk(filePath, 0, 3, Readable.from([Buffer.from('too long')]), null), { statusCode: 413 });
+  assert.equal((await fs.promises.stat(filePath)).size, 0);
+});
+
+test('a dropped chunk keeps what arrived unless it had a checksum', async () => {
+  const unchecked = await emptyPart();
+  const written = await writeChunk(unchecked, 0, 100, brokenBody(Buffer.from('partial')), null);
+  assert.equal(written.offset, 7);
+  assert.equal(written.error.message, 'connection reset');
+
+  const checked = await emptyPart();
+  await assert.rejects(writeChunk(checked, 0, 100, brokenBody(Buffer.from('partial')), digest(Buffer.from('partial data'))), /connection reset/);
+  assert.equal((await fs.promises.stat(checked)).size, 0);
+});
+
+test('only sha256 checksums are accepted', () => {
+  assert.equal(parseChunkChecksum(undefined), null);
+  assert.equal(parseChunkChecksum('sha256 abc='), 'abc=');
+  assert.throws(() => parseChunkChecksum('md5 abc='), { statusCode: 400 });
+  assert.throws(() => parseChunkChecksum('sha256'), { statusCode: 400 });
+});
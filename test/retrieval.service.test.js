@@ -0,0 +1,112 @@
+// test/retrieval.service.test.js
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Two stub gateways, 'a' and 'b', served from one local server. Each test sets how they answer.
+let handlers = {};
+const hits = [];
+const server = http.createServer((req, res) => {
+  const [, gateway, cid] = req.url.split('/');
+  hits.push(gateway);
+  const handler = handlers[gateway];
+  if (!handler) {
+    res.writeHead(404).end();
+    return;
+  }
+  handler(req, res, cid);
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+// The service reads its settings from the config when it is first imported.
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kintagen-retrieval-'));
+process.env.RETRIEVAL_GATEWAYS = `${baseUrl}/a/{cid},${baseUrl}/b/{cid}`;
+process.env.RETRIEVAL_TIMEOUT_MS = '200';
+process.env.RETRIEVAL_RETRIES = '1';
+process.env.RETRIEVAL_CACHE_DIR = cacheDir;
+process.env.RETRIEVAL_CACHE_MAX_MB = '0.001'; // 1048 bytes
+const retrieval = await import('../src/services/retrieval.service.js');
+
+const HOUR = 60 * 60 * 1000;
+const send = (body) => (req, res) => res.writeHead(200).end(body);
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+const cacheEntry = (name, size, age) => {
+  const filePath = path.join(cacheDir, name);
+  fs.writeFileSync(filePath, Buffer.alloc(size));
+  const lastUsed = new Date(Date.now() - age);
+  fs.utimesSync(filePath, lastUsed, lastUsed);
+};
+
+beforeEach(() => {
+  handlers = {};
+  hits.length = 0;
+  for (const name of fs.readdirSync(cacheDir)) fs.rmSync(path.join(cacheDir, name));
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await fs.promises.rm(cacheDir, { recursive: true, force: true });
+});
+
+test('gateways are tried in order and a 404 falls back without retrying', async () => {
+  handlers.b = send('from b');
+  const response = await retrieval.fetchFromGateways('bagafallback');
+  assert.equal(await response.text(), 'from b');
+  assert.deepEqual(hits, ['a', 'b']);
+});
+
+test('a failing gateway is retried before falling back to the next', async () => {
+  let attempts = 0;
+  handlers.a = (req, res) => (++attempts === 2 ? res.writeHead(200).end('from a') : res.writeHead(503).end());
+  const response = await retrieval.fetchFromGateways('bagaretry');
+  assert.equal(await response.text(), 'from a');
+  assert.deepEqual(hits, ['a', 'a']);
+
+  hits.length = 0;
+  handlers.a = (req, res) => res.writeHead(503).end();
+  handlers.b = send('from b');
+  assert.equal(await (await retrieval.fetchFromGateways('bagaretry')).text(), 'from b');
+  assert.deepEqual(hits, ['a', 'a', 'b']);
+});
+
+test('a CID missing from every gateway is a 404', async () => {
+  await assert.rejects(retrieval.fetchFromGateways('bagamissing'), { statusCode: 404 });
+  await assert.rejects(retrieval.fetchFromGateways('../etc/passwd'), { statusCode: 400 });
+});
+
+test('a gateway that stops sending data is given up on for the next one', async () => {
+  // Headers arrive, the body never does.
+  handlers.a = (req, res) => res.writeHead(200).flushHeaders();
+  handlers.b = send('from b');
+  assert.equal(await readAll(await retrieval.streamFromGateways('bagastall')), 'from b');
+  assert.deepEqual(hits, ['a', 'b']);
+});
+
+test('the least recently used entries are evicted once the cache is over budget', async () => {
+  cacheEntry('bagaoldest', 600, 2 * HOUR);
+  cacheEntry('bagaolder', 600, HOUR);
+  handlers.a = send('x'.repeat(300));
+
+  // A hit counts as a use, so the oldest entry is now the most recently used of the two.
+  await retrieval.getCachedFile('bagaoldest');
+  const filePath = await retrieval.getCachedFile('bagafresh');
+
+  assert.equal(fs.readFileSync(filePath, 'utf8'), 'x'.repeat(300));
+  assert.deepEqual(fs.readdirSync(cacheDir).sort(), ['bagafresh', 'bagaoldest']);
+});
+
+test('entries used in the last minute are kept even over budget', async () => {
+  cacheEntry('bagarecent', 900, 10 * 1000);
+  handlers.a = send('x'.repeat(300));
+  await retrieval.getCachedFile('bagajustfetched');
+  assert.deepEqual(fs.readdirSync(cacheDir).sort(), ['bagajustfetched', 'bagarecent']);
+});
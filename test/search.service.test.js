@@ -0,0 +1,17 @@
+// test/search.service.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, escapeHtmlSql } from '../src/services/search.service.js';
+
+test('semantic snippets are escaped so only <mark> tags are HTML', () => {
+  assert.equal(escapeHtml('<img src=x onerror=alert(1)> & <b>'), '&lt;img src=x onerror=alert(1)&gt; &amp; &lt;b&gt;');
+  // Already escaped text is escaped again, so it shows as typed.
+  assert.equal(escapeHtml('&lt;'), '&amp;lt;');
+});
+
+test('text snippets escape ampersands before the brackets', () => {
+  assert.equal(
+    escapeHtmlSql('doc'),
+    `replace(replace(replace(doc, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`
+  );
+});
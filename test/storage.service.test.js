@@ -0,0 +1,72 @@
+// test/storage.service.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { prepareDatabase } from './helpers/database.js';
+
+// The local driver reads its directory from the config when it is first imported.
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kintagen-storage-'));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+const storage = await import('../src/services/storage.service.js');
+const { pool, query } = await import('../src/services/db.js');
+
+const skip = await prepareDatabase(pool);
+
+before(() => storage.init());
+after(async () => {
+  await pool.end();
+  await fs.promises.rm(storageDir, { recursive: true, force: true });
+});
+
+// Bytes unique to this run, since the test database remembers hashes between runs.
+const uniqueFile = () => Buffer.concat([Buffer.from('kintagen test file '), crypto.randomBytes(64)]);
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+test('identical bytes are stored once and later puts return the earlier result', { skip }, async () => {
+  const data = uniqueFile();
+  const first = await storage.put(data, { filename: 'rates.csv' });
+  assert.equal(first.deduplicated, false);
+  assert.equal(first.sha256, sha256(data));
+
+  // With the stored object gone, only a put that skips the driver can still succeed without recreating it.
+  fs.rmSync(path.join(storageDir, first.cid));
+  const second = await storage.put(Buffer.from(data), { filename: 'rates (copy).csv' });
+  assert.equal(second.deduplicated, true);
+  assert.equal(second.cid, first.cid);
+  assert.equal(second.size, data.length);
+  assert.equal(fs.existsSync(path.join(storageDir, first.cid)), false);
+  assert.deepEqual(await storage.findStored(sha256(data)), second);
+
+  const filePath = path.join(storageDir, 'rates-on-disk.csv.tmp');
+  fs.writeFileSync(filePath, data);
+  assert.equal((await storage.putFile(filePath)).cid, first.cid);
+});
+
+test('bytes whose upload job failed are stored again', { skip }, async () => {
+  const data = uniqueFile();
+  const job = (await query(
+    `INSERT INTO upload_jobs (status, size, spool_path, commp, error) VALUES ('failed', $1, '/nonexistent', 'bagafailed', 'gave up') RETURNING id`,
+    [data.length]
+  )).rows[0];
+  await query(
+    `INSERT INTO stored_objects (sha256, driver, cid, size, job_id, storage_status) VALUES ($1, $2, 'bagafailed', $3, $4, 'pending')`,
+    [sha256(data), storage.driverName, data.length, job.id]
+  );
+  assert.equal(await storage.findStored(sha256(data)), null);
+
+  const stored = await storage.put(data);
+  assert.equal(stored.deduplicated, false);
+  assert.notEqual(stored.cid, 'bagafailed');
+  assert.deepEqual(await storage.get(stored.cid), data);
+  assert.equal((await storage.findStored(sha256(data))).cid, stored.cid);
+});
+
+test('bytes known in another proof set are stored again in the one asked for', { skip }, async () => {
+  const data = uniqueFile();
+  await storage.put(data);
+  assert.equal((await storage.put(data, { proofSetId: 5 })).deduplicated, false);
+  assert.equal((await storage.put(data)).deduplicated, true);
+});